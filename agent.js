@@ -7,15 +7,29 @@
 
 const TrafficMonitor = require('./src/services/TrafficMonitor');
 const GeolocationService = require('./src/services/GeolocationService');
+const HostnameResolver = require('./src/services/HostnameResolver');
+const ProcessInfoResolver = require('./src/services/ProcessInfoResolver');
+const AsnAggregator = require('./src/services/AsnAggregator');
 const WebSocketServer = require('./src/services/WebSocketServer');
 const CONFIG = require('./src/config');
 
 class LiveTrafficAgent {
-  constructor() {
-    this.trafficMonitor = new TrafficMonitor();
+  /**
+   * @param {Object} options - Agent options
+   * @param {Object} [options.hostnameResolver] - Object with resolve(ip) => Promise<string|null>, defaults to a HostnameResolver
+   * @param {Object} [options.processInfoResolver] - Object with resolve(pid) => Promise<Object|null>, defaults to a ProcessInfoResolver
+   */
+  constructor(options = {}) {
+    this.processInfoResolver = options.processInfoResolver || new ProcessInfoResolver();
+    // Shares the process cache, so connections the monitor resolved are not looked up again
+    this.trafficMonitor = new TrafficMonitor({ processInfoResolver: this.processInfoResolver });
     this.geoService = new GeolocationService();
+    this.hostnameResolver = options.hostnameResolver || new HostnameResolver();
+    this.asnStats = new AsnAggregator();
     this.wsServer = new WebSocketServer();
     this.isRunning = false;
+    this.liveConnections = new Set(); // Connection IDs announced to clients as live arcs
+    this.pendingConnections = new Map(); // Connection ID -> { resolution, hasTrafficEvent } while its lookups run
     this.stats = {
       startTime: null,
       connectionsProcessed: 0,
@@ -39,10 +53,17 @@ class LiveTrafficAgent {
     
     try {
       this.stats.startTime = Date.now();
+
+      // Cache commands refuse to change the cache file while we own it, since our saves would revert them
+      await this.geoService.lockPersistentCache();
       
       // Start WebSocket server first
       await this.startWebSocketServer();
       
+      // Load user-defined include/exclude rules and location overrides before any traffic is processed
+      await this.loadFilterRules();
+      await this.loadLocationOverrides();
+      
       // Set up event handlers
       this.setupEventHandlers();
       
@@ -66,6 +87,34 @@ class LiveTrafficAgent {
     }
   }
 
+  /**
+   * Loads the configured filter rules file and watches it for changes
+   */
+  async loadFilterRules() {
+    if (!CONFIG.FILTER_RULES_FILE) {
+      return;
+    }
+
+    const ipFilter = this.trafficMonitor.ipFilter;
+    await ipFilter.loadRulesFile(CONFIG.FILTER_RULES_FILE);
+    ipFilter.watchRulesFile();
+    console.log(`🧹 Filter rules: ${CONFIG.FILTER_RULES_FILE} (reload with SIGHUP or by saving the file)`);
+  }
+
+  /**
+   * Loads the configured location overrides file and watches it for changes
+   */
+  async loadLocationOverrides() {
+    if (!CONFIG.GEOLOCATION_OVERRIDES_FILE) {
+      return;
+    }
+
+    const overrides = this.geoService.overrides;
+    await overrides.loadFile(CONFIG.GEOLOCATION_OVERRIDES_FILE);
+    overrides.watchFile();
+    console.log(`📌 Location overrides: ${CONFIG.GEOLOCATION_OVERRIDES_FILE} (reload with SIGHUP or by saving the file)`);
+  }
+
   /**
    * Starts the WebSocket server
    */
@@ -121,6 +170,23 @@ class LiveTrafficAgent {
       await this.handleTrafficEvent(trafficData);
     });
 
+    // Handle connection lifecycle events from monitor
+    this.trafficMonitor.on('connectionOpened', async (connectionData) => {
+      await this.handleConnectionOpened(connectionData);
+    });
+
+    this.trafficMonitor.on('connectionActive', (connectionData) => {
+      this.handleConnectionActive(connectionData);
+    });
+
+    this.trafficMonitor.on('connectionClosed', (connectionData) => {
+      this.handleConnectionClosed(connectionData);
+    });
+
+    this.trafficMonitor.on('listeningChanged', (sockets) => {
+      this.wsServer.broadcast({ type: 'listening', sockets });
+    });
+
     // Handle WebSocket client connections
     this.wsServer.on('clientConnected', (clientInfo) => {
       this.stats.clientsConnected++;
@@ -140,9 +206,17 @@ class LiveTrafficAgent {
       if (this.wsServer.clients.size === 0) {
         console.log('⏸️  No clients connected, pausing traffic monitoring...');
         this.trafficMonitor.stop();
+        this.liveConnections.clear();
       }
     });
 
+    // Reload filter rules and location overrides without restarting
+    process.on('SIGHUP', () => {
+      console.log('\n🔄 Received SIGHUP, reloading filter rules and location overrides...');
+      this.trafficMonitor.ipFilter.reloadRulesFile();
+      this.geoService.overrides.reloadFile();
+    });
+
     // Handle process termination
     process.on('SIGINT', () => {
       console.log('\n🛑 Received SIGINT, shutting down gracefully...');
@@ -165,33 +239,22 @@ class LiveTrafficAgent {
       
       console.log(`🔍 Processing connection: ${trafficData.processName} -> ${trafficData.destIP}:${trafficData.destPort}`);
       
-      // Get geolocation for destination IP
-      const locationData = await this.geoService.getLocation(trafficData.destIP);
+      // Resolve hostname and geolocation for destination IP, and details of the owning process
+      const pending = this.getPendingConnection(trafficData);
+      pending.hasTrafficEvent = true;
+      const { hostname, locationData, processInfo } = await pending.resolution;
       
       if (locationData && locationData.status === 'success') {
         this.stats.locationsResolved++;
         
         // Create enhanced message for frontend with process classification
-        const message = {
-          type: 'traffic',
-          ip: trafficData.destIP,
-          lat: locationData.lat,
-          lon: locationData.lon,
-          city: locationData.city,
-          country: locationData.country,
-          processName: trafficData.processName,
-          processType: trafficData.processType,
-          primaryColor: trafficData.primaryColor,
-          gradientColors: trafficData.gradientColors,
-          colorScheme: trafficData.colorScheme,
-          port: trafficData.destPort,
-          timestamp: trafficData.timestamp
-        };
+        const message = this.buildTrafficMessage({ ...trafficData, hostname, processInfo }, locationData);
+        this.asnStats.record(message);
 
         // Broadcast to all connected clients
         this.wsServer.broadcast(message);
         
-        console.log(`📍 Located: ${trafficData.destIP} -> ${locationData.city}, ${locationData.country}`);
+        console.log(`📍 Located: ${trafficData.destIP}${hostname ? ` (${hostname})` : ''} -> ${locationData.city}, ${locationData.country}`);
       } else {
         console.log(`❓ Could not locate: ${trafficData.destIP}`);
       }
@@ -202,6 +265,189 @@ class LiveTrafficAgent {
     }
   }
 
+  /**
+   * Looks up the hostname and location of a connection's destination and the details of its process
+   * The lookups run at the same time; hostname and process lookups never fail, they yield null instead
+   * @param {Object} connectionData - Connection data from monitor
+   * @returns {Promise<Object>} - Object with hostname, locationData and processInfo
+   */
+  async resolveConnection(connectionData) {
+    const [hostname, locationData, processInfo] = await Promise.all([
+      this.hostnameResolver.resolve(connectionData.destIP),
+      this.geoService.getLocation(connectionData.destIP),
+      this.processInfoResolver.resolve(connectionData.pid)
+    ]);
+
+    return { hostname, locationData, processInfo };
+  }
+
+  /**
+   * Starts resolving a connection, or joins the lookups already running for it
+   * The monitor emits connectionOpened and traffic for a new connection in the same tick,
+   * so both handlers share one set of lookups
+   * @param {Object} connectionData - Connection data from monitor
+   * @returns {Object} - Object with resolution (promise of resolveConnection's result) and hasTrafficEvent
+   */
+  getPendingConnection(connectionData) {
+    const { connectionId } = connectionData;
+    const existing = connectionId ? this.pendingConnections.get(connectionId) : null;
+    if (existing) {
+      return existing;
+    }
+
+    const pending = { resolution: this.resolveConnection(connectionData), hasTrafficEvent: false };
+    if (connectionId) {
+      this.pendingConnections.set(connectionId, pending);
+      const forget = () => {
+        if (this.pendingConnections.get(connectionId) === pending) {
+          this.pendingConnections.delete(connectionId);
+        }
+      };
+      pending.resolution.then(forget, forget);
+    }
+    return pending;
+  }
+
+  /**
+   * Builds the message sent to clients for a located connection
+   * @param {Object} trafficData - Traffic data from monitor, with hostname and processInfo if resolved
+   * @param {Object} locationData - Successful geolocation result
+   * @returns {Object} - Traffic message
+   */
+  buildTrafficMessage(trafficData, locationData) {
+    const processInfo = trafficData.processInfo || {};
+    // Classify helpers by the application they belong to rather than their own name
+    const application = processInfo.application || trafficData.application || trafficData.processName;
+    const processColorInfo = this.trafficMonitor.enhanceConnectionData({ ...trafficData, application });
+
+    return {
+      type: 'traffic',
+      connectionId: trafficData.connectionId,
+      ip: trafficData.destIP,
+      ipVersion: trafficData.ipVersion,
+      hostname: trafficData.hostname || null,
+      lat: locationData.lat,
+      lon: locationData.lon,
+      city: locationData.city,
+      country: locationData.country,
+      label: locationData.label,
+      asn: locationData.asn || null,
+      asName: locationData.asName || '',
+      org: locationData.org || '',
+      isp: locationData.isp || '',
+      processName: trafficData.processName,
+      application,
+      processType: processColorInfo.processType,
+      pid: trafficData.pid || null,
+      user: processInfo.user || trafficData.user || null,
+      exe: processInfo.exe || null,
+      cmdline: processInfo.cmdline || null,
+      containerId: trafficData.containerId || null,
+      containerName: trafficData.containerName || null,
+      containerImage: trafficData.containerImage || null,
+      primaryColor: processColorInfo.primaryColor,
+      gradientColors: processColorInfo.gradientColors,
+      colorScheme: processColorInfo.colorScheme,
+      // The service port: the remote port for outbound connections, our listening port for inbound ones
+      port: trafficData.direction === 'inbound' ? trafficData.sourcePort : trafficData.destPort,
+      direction: trafficData.direction || 'outbound',
+      protocol: trafficData.protocol || 'tcp',
+      // Cumulative counters, only reported by collectors with byte counts
+      bytesIn: this.getCounter(trafficData.bytesIn),
+      bytesOut: this.getCounter(trafficData.bytesOut),
+      packetsIn: this.getCounter(trafficData.packetsIn),
+      packetsOut: this.getCounter(trafficData.packetsOut),
+      timestamp: trafficData.timestamp
+    };
+  }
+
+  /**
+   * Gets a counter value for a client message
+   * @param {number|undefined} value - Counter reported by the traffic monitor
+   * @returns {number|null} - The value, or null if the collector does not count bytes
+   */
+  getCounter(value) {
+    return Number.isFinite(value) ? value : null;
+  }
+
+  /**
+   * Handles a newly opened connection by geolocating it and announcing it to clients
+   * A traffic event for the same connection already sends a message with its connection ID, which
+   * clients show as a live arc, so connectionOpened is only broadcast when there is none
+   * @param {Object} connectionData - Connection data from monitor
+   */
+  async handleConnectionOpened(connectionData) {
+    try {
+      const pending = this.getPendingConnection(connectionData);
+      const { hostname, locationData, processInfo } = await pending.resolution;
+
+      // Skip if the lookup failed or the connection closed while we were locating it
+      if (!locationData || locationData.status !== 'success' ||
+          !this.trafficMonitor.activeConnections.has(connectionData.connectionId)) {
+        return;
+      }
+
+      this.liveConnections.add(connectionData.connectionId);
+      if (pending.hasTrafficEvent) {
+        return;
+      }
+
+      this.wsServer.broadcast({
+        ...this.buildTrafficMessage({ ...connectionData, hostname, processInfo }, locationData),
+        type: 'connectionOpened',
+        openedAt: connectionData.openedAt
+      });
+
+    } catch (error) {
+      this.stats.errors++;
+      console.error('❌ Error handling connection opened event:', error.message);
+    }
+  }
+
+  /**
+   * Forwards a connection heartbeat to clients
+   * @param {Object} connectionData - Connection data from monitor
+   */
+  handleConnectionActive(connectionData) {
+    if (!this.liveConnections.has(connectionData.connectionId)) {
+      return;
+    }
+
+    this.wsServer.broadcast({
+      type: 'connectionActive',
+      connectionId: connectionData.connectionId,
+      ip: connectionData.destIP,
+      lastSeen: connectionData.lastSeen,
+      duration: connectionData.duration,
+      bytesIn: this.getCounter(connectionData.bytesIn),
+      bytesOut: this.getCounter(connectionData.bytesOut),
+      bytesInRate: this.getCounter(connectionData.bytesInRate),
+      bytesOutRate: this.getCounter(connectionData.bytesOutRate)
+    });
+  }
+
+  /**
+   * Forwards a closed connection and its lifetime to clients
+   * @param {Object} connectionData - Connection data from monitor
+   */
+  handleConnectionClosed(connectionData) {
+    if (!this.liveConnections.delete(connectionData.connectionId)) {
+      return;
+    }
+
+    console.log(`🔌 Connection closed: ${connectionData.processName} -> ${connectionData.destIP}:${connectionData.destPort} after ${Math.round(connectionData.duration / 1000)}s`);
+
+    this.wsServer.broadcast({
+      type: 'connectionClosed',
+      connectionId: connectionData.connectionId,
+      ip: connectionData.destIP,
+      closedAt: connectionData.closedAt,
+      duration: connectionData.duration,
+      bytesIn: this.getCounter(connectionData.bytesIn),
+      bytesOut: this.getCounter(connectionData.bytesOut)
+    });
+  }
+
   /**
    * Finds a WebSocket client by ID
    * @param {string} clientId - Client ID to find
@@ -232,6 +478,9 @@ class LiveTrafficAgent {
       errors: this.stats.errors,
       trafficMonitor: this.trafficMonitor.getStatus(),
       geoService: this.geoService.getStatus(),
+      hostnameResolver: this.hostnameResolver.getStatus ? this.hostnameResolver.getStatus() : null,
+      processInfoResolver: this.processInfoResolver.getStatus ? this.processInfoResolver.getStatus() : null,
+      asnStats: this.asnStats.getStatus(),
       wsServer: this.wsServer.getStatus()
     };
   }
@@ -250,9 +499,43 @@ class LiveTrafficAgent {
     console.log(`👥 Active clients: ${stats.clientsConnected}`);
     console.log(`❌ Errors: ${stats.errors}`);
     console.log(`💾 Geo cache size: ${stats.geoService.cacheSize}`);
+
+    const topAsns = stats.asnStats.top.slice(0, 5);
+    if (topAsns.length > 0) {
+      console.log('🏢 Top networks:');
+      topAsns.forEach(({ asn, asName, connections, share }) => {
+        console.log(`   ${asn ? `AS${asn}` : '-'} ${asName}: ${connections} connections (${Math.round(share * 100)}%)`);
+      });
+    }
+
+    const topDestinations = stats.trafficMonitor.bandwidth.topDestinations.slice(0, 5);
+    if (topDestinations.length > 0) {
+      console.log('📶 Top destinations by volume:');
+      topDestinations.forEach(({ ip, bytesIn, bytesOut }) => {
+        console.log(`   ${ip}: ${this.formatBytes(bytesIn)} in, ${this.formatBytes(bytesOut)} out`);
+      });
+    }
     console.log('');
   }
 
+  /**
+   * Formats a byte count for the console
+   * @param {number} bytes - Byte count
+   * @returns {string} - e.g. '512 B', '1.5 KB', '3.2 MB'
+   */
+  formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+
+    return unit === 0 ? `${value} ${units[unit]}` : `${value.toFixed(1)} ${units[unit]}`;
+  }
+
   /**
    * Stops the agent and all components
    */
@@ -266,11 +549,16 @@ class LiveTrafficAgent {
     try {
       // Stop traffic monitoring
       this.trafficMonitor.stop();
+      this.trafficMonitor.ipFilter.unwatchRulesFile();
+      this.geoService.overrides.unwatchFile();
+      this.liveConnections.clear();
       
       // Stop WebSocket server
       this.wsServer.stop();
       
-      // Clear geolocation cache
+      // Write pending geolocation results before clearing the in-memory cache
+      await this.geoService.flushPersistentCache();
+      await this.geoService.unlockPersistentCache();
       this.geoService.clearCache();
       
       this.isRunning = false;
@@ -283,7 +571,11 @@ class LiveTrafficAgent {
 }
 
 // Create and start the agent if this file is run directly
-if (require.main === module) {
+if (require.main === module && process.argv[2] === 'cache') {
+  // Cache management commands: node agent.js cache <command>
+  const CacheCommand = require('./src/cli/CacheCommand');
+  new CacheCommand(new GeolocationService()).run(process.argv.slice(3)).then(code => process.exit(code));
+} else if (require.main === module) {
   const agent = new LiveTrafficAgent();
   
   // Print stats every 30 seconds
@@ -0,0 +1,419 @@
+const fs = require('fs').promises;
+const path = require('path');
+const CONFIG = require('../config');
+
+const CSV_COLUMNS = ['key', 'status', 'country', 'countryCode', 'region', 'regionName', 'city', 'zip', 'lat', 'lon',
+  'timezone', 'isp', 'org', 'as', 'asn', 'asName', 'label', 'network', 'provider', 'message', 'error', 'timestamp'];
+const NUMERIC_COLUMNS = ['lat', 'lon', 'asn', 'timestamp'];
+
+const USAGE = `Usage: node agent.js cache <command> [options]
+
+Commands:
+  list [--json]                        List cached addresses and network ranges
+  lookup <ip>                          Geolocate one address (uses and fills the cache)
+  purge [--all]                        Remove expired entries (--all removes every entry)
+  prewarm <file>                       Geolocate the addresses in a file (one per line, # comments)
+  export <file> [--format json|csv]    Write the cache to a file
+  import <file> [--format json|csv]    Merge entries from a file into the cache
+
+The format defaults to csv for .csv files and json otherwise.
+purge, prewarm and import refuse to run while the agent is running.`;
+
+// Commands whose changes a running agent would revert with its next save
+const WRITE_COMMANDS = ['purge', 'prewarm', 'import'];
+
+/**
+ * CacheCommand class for inspecting and managing the geolocation cache from the command line
+ * Works on the same cache file as the agent; changes are saved before the command returns.
+ * The agent rewrites the file from memory, so commands that change it refuse to run while it is running.
+ */
+class CacheCommand {
+  /**
+   * @param {GeolocationService} geoService - Service whose cache is managed
+   * @param {Object} output - Object with log and error functions (defaults to console)
+   */
+  constructor(geoService, output = console) {
+    this.geoService = geoService;
+    this.output = output;
+  }
+
+  /**
+   * Runs a subcommand
+   * @param {string[]} args - Arguments after "cache"
+   * @returns {Promise<number>} - Process exit code
+   */
+  async run(args) {
+    const [command, ...rest] = args;
+    const { positional, flags } = this.parseArgs(rest);
+
+    const commands = {
+      list: () => this.list(flags),
+      lookup: () => this.lookup(positional[0]),
+      purge: () => this.purge(flags),
+      prewarm: () => this.prewarm(positional[0]),
+      export: () => this.exportCache(positional[0], flags),
+      import: () => this.importCache(positional[0], flags)
+    };
+
+    if (!commands[command]) {
+      this.output.error(command ? `Unknown cache command: ${command}\n\n${USAGE}` : USAGE);
+      return 1;
+    }
+
+    try {
+      if (WRITE_COMMANDS.includes(command)) {
+        const agentPid = await this.geoService.getCacheLockOwner();
+        if (agentPid) {
+          throw new Error(`The agent (PID ${agentPid}) is running and would overwrite the changes when it next saves the cache. Stop it first.`);
+        }
+      }
+
+      await this.geoService.cacheLoadPromise;
+      await commands[command]();
+      return 0;
+    } catch (error) {
+      this.output.error(`Error: ${error.message}`);
+      return 1;
+    }
+  }
+
+  /**
+   * Splits arguments into positional values and --flags
+   * @param {string[]} args - Arguments
+   * @returns {Object} - Object with positional array and flags object (--format csv -> { format: 'csv' })
+   */
+  parseArgs(args) {
+    const positional = [];
+    const flags = {};
+
+    for (let i = 0; i < args.length; i++) {
+      const match = args[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+      if (!match) {
+        positional.push(args[i]);
+      } else if (match[2] !== undefined) {
+        flags[match[1]] = match[2];
+      } else if (match[1] === 'format') {
+        flags.format = args[++i];
+      } else {
+        flags[match[1]] = true;
+      }
+    }
+
+    return { positional, flags };
+  }
+
+  /**
+   * Prints cached addresses and ranges, most recently used first
+   * @param {Object} flags - Command flags (json)
+   */
+  async list(flags) {
+    const { entries, ranges } = this.geoService.exportCache();
+
+    if (flags.json) {
+      this.output.log(JSON.stringify({ entries, ranges }, null, 2));
+      return;
+    }
+
+    const now = Date.now();
+    const rows = [...Object.entries(entries).reverse(), ...Object.entries(ranges).reverse()];
+
+    for (const [key, entry] of rows) {
+      this.output.log(`${key.padEnd(40)} ${entry.status.padEnd(8)} ${this.describe(entry).padEnd(40)} ${this.formatAge(now - entry.timestamp)} ago`);
+    }
+
+    const stats = this.geoService.getCacheStats();
+    this.output.log(`${stats.size} addresses (${stats.negativeSize} failed lookups), ${stats.rangeSize} ranges`);
+  }
+
+  /**
+   * Geolocates a single address and prints the result
+   * @param {string} ip - IP address
+   */
+  async lookup(ip) {
+    if (!this.geoService.ipFilter.isValidIP(ip)) {
+      throw new Error(`Invalid IP address: ${ip}`);
+    }
+
+    await this.loadOverrides();
+    const result = await this.geoService.getLocation(ip);
+    await this.geoService.flushPersistentCache();
+
+    this.output.log(JSON.stringify(result, null, 2));
+  }
+
+  /**
+   * Removes expired entries, or every entry with --all
+   * @param {Object} flags - Command flags (all)
+   */
+  async purge(flags) {
+    let removed;
+
+    if (flags.all) {
+      const stats = this.geoService.getCacheStats();
+      removed = stats.size + stats.rangeSize;
+      this.geoService.clearCache();
+    } else {
+      removed = this.geoService.cleanupExpiredCache();
+    }
+
+    await this.geoService.forceSavePersistentCache();
+    this.output.log(`Removed ${removed} entries`);
+  }
+
+  /**
+   * Geolocates every public address listed in a file
+   * @param {string} file - File with one address per line
+   */
+  async prewarm(file) {
+    const text = await this.readInput(file);
+    const { ipFilter } = this.geoService;
+    const ips = new Set();
+    let skipped = 0;
+
+    for (const line of text.split(/\r?\n/)) {
+      const value = line.replace(/#.*$/, '').trim();
+      if (!value) {
+        continue;
+      }
+
+      if (ipFilter.isValidIP(value) && !ipFilter.isPrivateIP(value)) {
+        ips.add(ipFilter.normalizeIP(value));
+      } else {
+        skipped++;
+      }
+    }
+
+    await this.loadOverrides();
+    const results = await this.geoService.getLocations(Array.from(ips));
+    await this.geoService.flushPersistentCache();
+
+    const located = results.filter(result => result.status === 'success').length;
+    this.output.log(`Prewarmed ${ips.size} addresses: ${located} located, ${ips.size - located} failed, ${skipped} skipped (invalid or private)`);
+  }
+
+  /**
+   * Writes the cache to a JSON or CSV file
+   * @param {string} file - Output file
+   * @param {Object} flags - Command flags (format)
+   */
+  async exportCache(file, flags) {
+    const format = this.getFormat(file, flags);
+    const data = this.geoService.exportCache();
+    const content = format === 'csv' ? this.toCSV(data) : JSON.stringify(data, null, 2);
+
+    await fs.writeFile(file, `${content}\n`);
+    this.output.log(`Exported ${Object.keys(data.entries).length} addresses and ${Object.keys(data.ranges).length} ranges to ${file}`);
+  }
+
+  /**
+   * Merges entries from a JSON or CSV file into the cache
+   * @param {string} file - Input file
+   * @param {Object} flags - Command flags (format)
+   */
+  async importCache(file, flags) {
+    const format = this.getFormat(file, flags);
+    const text = await this.readInput(file);
+    let data;
+
+    try {
+      data = format === 'csv' ? this.fromCSV(text) : JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Failed to parse ${file}: ${error.message}`);
+    }
+
+    const { imported, expired, invalid } = this.geoService.importCache(data);
+    await this.geoService.forceSavePersistentCache();
+
+    this.output.log(`Imported ${imported} entries (${expired} expired, ${invalid} invalid skipped)`);
+  }
+
+  /**
+   * Loads the configured location overrides so lookups match the agent
+   */
+  async loadOverrides() {
+    if (CONFIG.GEOLOCATION_OVERRIDES_FILE) {
+      await this.geoService.overrides.loadFile(CONFIG.GEOLOCATION_OVERRIDES_FILE);
+    }
+  }
+
+  /**
+   * Reads an input file
+   * @param {string} file - File path
+   * @returns {Promise<string>} - File contents
+   */
+  async readInput(file) {
+    if (!file) {
+      throw new Error('A file argument is required');
+    }
+    return fs.readFile(file, 'utf8');
+  }
+
+  /**
+   * Determines the import/export format
+   * @param {string} file - File path
+   * @param {Object} flags - Command flags (format)
+   * @returns {string} - 'json' or 'csv'
+   */
+  getFormat(file, flags) {
+    if (!file) {
+      throw new Error('A file argument is required');
+    }
+
+    const format = flags.format || (path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'json');
+    if (format !== 'json' && format !== 'csv') {
+      throw new Error(`Unknown format: ${format} (expected json or csv)`);
+    }
+    return format;
+  }
+
+  /**
+   * Converts cache data to CSV with one row per address or range
+   * @param {Object} data - Object with entries and ranges
+   * @returns {string} - CSV text with a header row
+   */
+  toCSV(data) {
+    const rows = [...Object.entries(data.entries), ...Object.entries(data.ranges)].map(([key, entry]) =>
+      CSV_COLUMNS.map(column => (column === 'key' ? key : entry[column])));
+
+    return [CSV_COLUMNS, ...rows]
+      .map(row => row.map(value => this.escapeCSV(value)).join(','))
+      .join('\n');
+  }
+
+  /**
+   * Converts CSV produced by toCSV back to cache data
+   * Rows whose key is in CIDR notation are ranges; empty cells are left out
+   * @param {string} text - CSV text
+   * @returns {Object} - Object with entries and ranges
+   * @throws {Error} - If the CSV is malformed or has no key column
+   */
+  fromCSV(text) {
+    const [header, ...rows] = this.parseCSV(text);
+    if (!header || !header.includes('key')) {
+      throw new Error('CSV must have a header row with a key column');
+    }
+
+    const data = { entries: {}, ranges: {} };
+
+    for (const row of rows) {
+      const entry = {};
+      let key = null;
+
+      header.forEach((column, index) => {
+        const value = row[index];
+        if (column === 'key') {
+          key = value;
+        } else if (value !== undefined && value !== '') {
+          entry[column] = NUMERIC_COLUMNS.includes(column) ? Number(value) : value;
+        }
+      });
+
+      if (!key) {
+        continue;
+      }
+
+      if (key.includes('/')) {
+        data.ranges[key] = entry;
+      } else {
+        data.entries[key] = { ip: key, ...entry };
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Quotes a CSV value if needed
+   * @param {*} value - Cell value
+   * @returns {string} - CSV cell
+   */
+  escapeCSV(value) {
+    if (value === undefined || value === null) {
+      return '';
+    }
+
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Parses CSV text (RFC 4180 quoting) into rows of cells
+   * @param {string} text - CSV text
+   * @returns {string[][]} - Rows, without empty lines
+   * @throws {Error} - If a quoted cell is not closed
+   */
+  parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (quoted) {
+      throw new Error('Unterminated quoted value');
+    }
+
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter(cells => cells.length > 1 || cells[0] !== '');
+  }
+
+  /**
+   * Describes a cached result in a few words
+   * @param {Object} entry - Cache entry
+   * @returns {string} - Label or place for successes, the reason for failures
+   */
+  describe(entry) {
+    if (entry.status !== 'success') {
+      return entry.message || entry.error || 'lookup failed';
+    }
+
+    const place = `${entry.city}, ${entry.country}`;
+    return entry.label ? `${entry.label} (${place})` : place;
+  }
+
+  /**
+   * Formats a duration as a short age
+   * @param {number} ms - Duration in milliseconds
+   * @returns {string} - e.g. '45s', '12m', '3h', '2d'
+   */
+  formatAge(ms) {
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h`;
+    return `${Math.floor(seconds / 86400)}d`;
+  }
+}
+
+module.exports = CacheCommand;
@@ -0,0 +1,264 @@
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const CONFIG = require('../config');
+const IPFilter = require('../utils/IPFilter');
+
+// An IPv4 address or a bracketed IPv6 address (lsof/nettop print IPv6 as [addr]:port)
+const ADDRESS_PATTERN = '(\\d{1,3}(?:\\.\\d{1,3}){3}|\\[[0-9a-fA-F:.]+(?:%[\\w.-]+)?\\])';
+const ENDPOINT_PAIR_REGEX = new RegExp(`${ADDRESS_PATTERN}:(\\d+)->${ADDRESS_PATTERN}:(\\d+)`);
+const ipFilter = new IPFilter();
+
+/**
+ * @typedef {Object} Connection
+ * @property {string} processName - Name of the owning process ('unknown' if not available)
+ * @property {number} [pid] - ID of the owning process, when the collector can see it
+ * @property {string} [user] - Owner of the process, when the collector reports it (lsof)
+ * @property {string} sourceIP - Local IP address
+ * @property {number} sourcePort - Local port
+ * @property {string} destIP - Remote IP address
+ * @property {number} destPort - Remote port
+ * @property {string} protocol - Transport protocol, 'tcp' or 'udp' (UDP only for sockets with a connected remote endpoint)
+ * @property {number} timestamp - Time the connection was observed
+ */
+
+/**
+ * @typedef {Object} ListeningSocket
+ * Snapshot collectors with capabilities.hasListeners report these alongside connections
+ * @property {boolean} listening - Always true; distinguishes the entry from a Connection
+ * @property {string} processName - Name of the owning process ('unknown' if not available)
+ * @property {string} sourceIP - Local address the socket is bound to ('*' for any address)
+ * @property {number} sourcePort - Local port
+ * @property {string} protocol - 'tcp' for listening sockets, 'udp' for bound sockets without a remote endpoint
+ * @property {number} timestamp - Time the socket was observed
+ */
+
+/**
+ * BaseCollector class defining the interface shared by all connection collectors
+ *
+ * Collectors come in two modes, declared by capabilities.mode:
+ * - 'snapshot': implement snapshot(); the base class polls it and emits 'snapshot'
+ *   with the complete list of connections currently open
+ * - 'stream': implement startStream()/stopStream() and emit 'connections' with
+ *   batches of connections as they are observed
+ *
+ * Events: 'snapshot', 'connections', 'warning' (non-fatal message),
+ * 'unavailable' (collector cannot run here, caller should fall back),
+ * 'exit' (stream process ended unexpectedly), 'end' (finite source fully read)
+ */
+class BaseCollector extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.name = 'base';
+    this.capabilities = {
+      mode: 'snapshot',
+      platforms: null, // null means any platform
+      hasByteCounts: false,
+      hasUDP: false,
+      hasListeners: false,
+      hasIPv6: false,
+      hasProcessInfo: false
+    };
+    this.isRunning = false;
+    this.pollInterval = options.pollInterval || CONFIG.COLLECTOR_POLL_INTERVAL;
+    this.retryDelay = 2000;
+    this.pollTimer = null;
+  }
+
+  /**
+   * Checks whether this collector can run on a platform
+   * @param {string} platform - Value of process.platform
+   * @returns {boolean} - True if supported
+   */
+  isSupported(platform) {
+    const platforms = this.capabilities.platforms;
+    return !platforms || platforms.includes(platform);
+  }
+
+  /**
+   * Starts collecting connections
+   */
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+
+    if (this.capabilities.mode === 'stream') {
+      this.startStream();
+    } else {
+      this.poll();
+    }
+  }
+
+  /**
+   * Stops collecting connections
+   */
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.isRunning = false;
+
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+      this.pollTimer = null;
+    }
+
+    if (this.capabilities.mode === 'stream') {
+      this.stopStream();
+    }
+  }
+
+  /**
+   * Takes one snapshot and schedules the next one (snapshot mode)
+   */
+  async poll() {
+    if (!this.isRunning) return;
+
+    let nextDelay = this.pollInterval;
+
+    try {
+      const connections = await this.snapshot();
+
+      // null means this cycle produced no usable snapshot; keep previous state
+      if (this.isRunning && connections) {
+        this.emit('snapshot', connections);
+      }
+    } catch (error) {
+      if (this.isUnavailableError(error)) {
+        this.isRunning = false;
+        this.emit('unavailable', error);
+        return;
+      }
+
+      this.emit('warning', `${this.name} error: ${error.message}`);
+      nextDelay = this.retryDelay;
+    }
+
+    if (this.isRunning) {
+      this.pollTimer = setTimeout(() => this.poll(), nextDelay);
+    }
+  }
+
+  /**
+   * Decides whether an error means the collector cannot work on this machine
+   * @param {Error} error - Error raised by the collector
+   * @returns {boolean} - True if the caller should fall back to another collector
+   */
+  isUnavailableError(error) {
+    return error.code === 'ENOENT' || error.code === 'EACCES' || error.unavailable === true;
+  }
+
+  /**
+   * Returns the complete list of currently open connections (snapshot mode)
+   * @returns {Promise<Array<Connection|ListeningSocket>|null>} - Connections and, if the collector
+   *   has listeners, listening sockets; or null to skip this cycle
+   */
+  async snapshot() {
+    throw new Error(`${this.name} collector does not implement snapshot()`);
+  }
+
+  /**
+   * Starts a long-running capture (stream mode)
+   */
+  startStream() {
+    throw new Error(`${this.name} collector does not implement startStream()`);
+  }
+
+  /**
+   * Stops a long-running capture (stream mode)
+   */
+  stopStream() {}
+
+  /**
+   * Gets the PID of the long-running capture process, if any
+   * @returns {number|null} - Process ID or null
+   */
+  getProcessId() {
+    return null;
+  }
+
+  /**
+   * Runs a command to completion and collects its stdout
+   * @param {string} command - Command to run
+   * @param {string[]} args - Command arguments
+   * @param {Object} options - Options
+   * @param {RegExp} [options.ignoreStderr] - stderr output matching this is not reported
+   * @param {Function} [options.onData] - Receives stdout chunks as they arrive; stdout is then not collected
+   * @returns {Promise<Object>} - Resolves with { code, stdout }
+   */
+  runCommand(command, args, options = {}) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, args, {
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+
+      let stdout = '';
+
+      child.stdout.on('data', (data) => {
+        if (options.onData) {
+          options.onData(data);
+        } else {
+          stdout += data.toString();
+        }
+      });
+
+      child.stderr.on('data', (data) => {
+        const errorMsg = data.toString().trim();
+        if (errorMsg && !(options.ignoreStderr && options.ignoreStderr.test(errorMsg))) {
+          this.emit('warning', `${command} stderr: ${errorMsg}`);
+        }
+      });
+
+      child.on('close', (code) => {
+        resolve({ code, stdout });
+      });
+
+      child.on('error', (error) => {
+        if (error.code === 'ENOENT') {
+          error.message = `${command} command not found. This collector requires ${command} to be installed.`;
+        }
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Finds a "source:port->dest:port" pair in a line of tool output
+   * IPv6 addresses are expected in brackets and are returned normalized without them
+   * @param {string} line - Line of output
+   * @returns {Object|null} - Object with sourceIP, sourcePort, destIP, destPort, or null if absent
+   */
+  parseEndpointPair(line) {
+    const match = line.match(ENDPOINT_PAIR_REGEX);
+    if (!match) {
+      return null;
+    }
+
+    const [, sourceIP, sourcePort, destIP, destPort] = match;
+    const unwrap = (ip) => ipFilter.normalizeIP(ip.replace(/^\[|\]$/g, ''));
+
+    return {
+      sourceIP: unwrap(sourceIP),
+      sourcePort: parseInt(sourcePort, 10),
+      destIP: unwrap(destIP),
+      destPort: parseInt(destPort, 10)
+    };
+  }
+
+  /**
+   * Gets a description of this collector for status reporting
+   * @returns {Object} - Name and capabilities
+   */
+  describe() {
+    return {
+      name: this.name,
+      capabilities: { ...this.capabilities }
+    };
+  }
+}
+
+module.exports = BaseCollector;
@@ -0,0 +1,74 @@
+const LsofCollector = require('./LsofCollector');
+const NettopCollector = require('./NettopCollector');
+const ProcNetCollector = require('./ProcNetCollector');
+const SsCollector = require('./SsCollector');
+const PcapFileCollector = require('./PcapFileCollector');
+
+/**
+ * CollectorRegistry class mapping collector names to collector classes
+ * so the capture backend can be chosen via configuration
+ */
+class CollectorRegistry {
+  constructor() {
+    this.collectors = new Map();
+  }
+
+  /**
+   * Creates a registry with all built-in collectors registered
+   * @returns {CollectorRegistry} - Registry instance
+   */
+  static createDefault() {
+    const registry = new CollectorRegistry();
+    registry.register('lsof', LsofCollector);
+    registry.register('nettop', NettopCollector);
+    registry.register('proc', ProcNetCollector);
+    registry.register('ss', SsCollector);
+    registry.register('pcap-file', PcapFileCollector);
+    return registry;
+  }
+
+  /**
+   * Registers a collector class under a name
+   * @param {string} name - Collector name used in configuration
+   * @param {Function} CollectorClass - Class extending BaseCollector
+   */
+  register(name, CollectorClass) {
+    if (!name || typeof CollectorClass !== 'function') {
+      throw new Error('Collector registration requires a name and a collector class');
+    }
+    this.collectors.set(name, CollectorClass);
+  }
+
+  /**
+   * Checks whether a collector is registered
+   * @param {string} name - Collector name
+   * @returns {boolean} - True if registered
+   */
+  has(name) {
+    return this.collectors.has(name);
+  }
+
+  /**
+   * Creates a collector instance by name
+   * @param {string} name - Collector name
+   * @param {Object} options - Options passed to the collector constructor
+   * @returns {BaseCollector} - Collector instance
+   */
+  create(name, options = {}) {
+    const CollectorClass = this.collectors.get(name);
+    if (!CollectorClass) {
+      throw new Error(`Unknown collector: ${name}`);
+    }
+    return new CollectorClass(options);
+  }
+
+  /**
+   * Gets the names of all registered collectors
+   * @returns {string[]} - Collector names
+   */
+  getNames() {
+    return Array.from(this.collectors.keys());
+  }
+}
+
+module.exports = CollectorRegistry;
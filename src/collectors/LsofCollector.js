@@ -0,0 +1,165 @@
+const BaseCollector = require('./BaseCollector');
+const CONFIG = require('../config');
+const IPFilter = require('../utils/IPFilter');
+const LsofFieldParser = require('../utils/LsofFieldParser');
+
+// "TCP *:22 (LISTEN)", "TCP [::1]:631 (LISTEN)" or "UDP *:5353" at the end of a line
+const LISTENING_REGEX = /\b(TCP|UDP) (\*|\[[0-9a-fA-F:.]+(?:%[\w.-]+)?\]|[\d.]+):(\d+)(?: \((\w+)\))?$/;
+const ipFilter = new IPFilter();
+
+/**
+ * LsofCollector class for periodic connection snapshots using `lsof -i -P -n -F`
+ * Snapshots use the machine-readable field output, parsed as it streams in. The column
+ * output of plain `lsof -i -P -n` is still understood by parseOutput and parseLine.
+ */
+class LsofCollector extends BaseCollector {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'lsof';
+    this.capabilities = {
+      ...this.capabilities,
+      mode: 'snapshot',
+      platforms: ['darwin', 'linux', 'freebsd', 'openbsd'],
+      hasUDP: true,
+      hasListeners: true,
+      hasIPv6: true,
+      hasProcessInfo: true
+    };
+  }
+
+  /**
+   * Runs lsof once and parses its field output as it arrives
+   * @returns {Promise<Object[]|null>} - Connections, or null if lsof failed
+   */
+  async snapshot() {
+    const parser = new LsofFieldParser();
+    const connections = [];
+
+    const { code } = await this.runCommand('lsof', CONFIG.LSOF_ARGS, {
+      ignoreStderr: /lsof: WARNING/,
+      onData: (chunk) => {
+        connections.push(...parser.write(chunk));
+      }
+    });
+    connections.push(...parser.end());
+
+    if (code !== 0) {
+      return null;
+    }
+
+    return connections;
+  }
+
+  /**
+   * Parses complete lsof output into connections and listening sockets
+   * @param {string} data - Raw lsof output, either field output (-F) or the default columns
+   * @returns {Object[]} - Parsed connections and listening sockets
+   */
+  parseOutput(data) {
+    // Field output starts with a process set: p<PID>
+    if (/^p\d+\n/.test(data)) {
+      const parser = new LsofFieldParser();
+      return [...parser.write(data), ...parser.end()];
+    }
+
+    const lines = data.split('\n').filter(line => line.trim());
+    const connections = [];
+
+    for (const line of lines) {
+      // Skip the header line
+      if (/^COMMAND\s+PID\s/.test(line)) {
+        continue;
+      }
+
+      const connectionData = this.parseLine(line) || this.parseListeningLine(line);
+      if (connectionData) {
+        connections.push(connectionData);
+      }
+    }
+
+    return connections;
+  }
+
+  /**
+   * Parses a single line of lsof output
+   * @param {string} line - Single line from lsof output
+   * @returns {Object|null} - Parsed connection data or null if invalid
+   */
+  parseLine(line) {
+    try {
+      // lsof output format: COMMAND PID USER FD TYPE DEVICE SIZE/OFF NODE NAME
+      // Example: Chrome 1234 user 123u IPv4 0x123456 0t0 TCP 192.168.1.100:12345->1.2.3.4:443 (ESTABLISHED)
+      // IPv6:    curl 4321 user 5u IPv6 0x654321 0t0 TCP [2001:db8::2]:50000->[2606:4700::1111]:443 (ESTABLISHED)
+      // UDP:     Chrome 1234 user 45u IPv4 0x789abc 0t0 UDP 192.168.1.100:54321->142.250.80.46:443
+
+      // TCP connections must be ESTABLISHED; UDP has no state, connected sockets show a remote endpoint
+      let protocol;
+      if (/\bTCP\b/.test(line)) {
+        if (!line.includes('ESTABLISHED')) {
+          return null;
+        }
+        protocol = 'tcp';
+      } else if (/\bUDP\b/.test(line)) {
+        protocol = 'udp';
+      } else {
+        return null;
+      }
+
+      const parts = line.trim().split(/\s+/);
+      if (parts.length < 9) return null;
+
+      const processName = parts[0];
+
+      // Find the connection pattern anywhere in the line
+      const endpoints = this.parseEndpointPair(line);
+
+      if (endpoints) {
+        return {
+          processName: processName,
+          pid: parseInt(parts[1], 10),
+          user: parts[2],
+          ...endpoints,
+          protocol,
+          timestamp: Date.now(),
+          rawLine: line
+        };
+      }
+
+      return null;
+    } catch (error) {
+      console.error('[LsofCollector] Error parsing lsof line:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Parses a line of lsof output describing a listening TCP socket or an unconnected UDP socket
+   * Example: sshd 812 root 3u IPv4 0x123456 0t0 TCP *:22 (LISTEN)
+   * @param {string} line - Single line from lsof output
+   * @returns {Object|null} - Listening socket or null if the line is not one
+   */
+  parseListeningLine(line) {
+    const match = line.trim().match(LISTENING_REGEX);
+    if (!match) {
+      return null;
+    }
+
+    const [, protocol, address, port, state] = match;
+    if (protocol === 'TCP' ? state !== 'LISTEN' : state !== undefined) {
+      return null;
+    }
+
+    const parts = line.trim().split(/\s+/);
+    return {
+      listening: true,
+      processName: parts[0],
+      pid: parseInt(parts[1], 10),
+      sourceIP: address === '*' ? '*' : ipFilter.normalizeIP(address.replace(/^\[|\]$/g, '')),
+      sourcePort: parseInt(port, 10),
+      protocol: protocol.toLowerCase(),
+      timestamp: Date.now()
+    };
+  }
+}
+
+module.exports = LsofCollector;
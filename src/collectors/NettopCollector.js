@@ -0,0 +1,290 @@
+const { spawn } = require('child_process');
+const BaseCollector = require('./BaseCollector');
+const IPFilter = require('../utils/IPFilter');
+const CONFIG = require('../config');
+
+// Flow rows name the socket as "tcp4 192.168.1.5:49152<->17.57.144.10:5223"
+const FLOW_REGEX = /^(tcp|udp)([46]) (\S+)<->(\S+)$/;
+// Process rows name the process as "Google Chrome H.1234"
+const PROCESS_REGEX = /^(.+)\.(\d+)$/;
+const COUNTER_COLUMNS = {
+  bytes_in: 'bytesIn',
+  bytes_out: 'bytesOut',
+  packets_in: 'packetsIn',
+  packets_out: 'packetsOut'
+};
+const ipFilter = new IPFilter();
+
+/**
+ * NettopCollector class for continuous connection capture using macOS `nettop` CSV logging
+ * Each sample is a header row followed by process rows, each followed by the rows of its flows;
+ * the columns chosen with -J (CONFIG.NETTOP_ARGS) add cumulative byte and packet counters
+ */
+class NettopCollector extends BaseCollector {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'nettop';
+    this.capabilities = {
+      ...this.capabilities,
+      mode: 'stream',
+      platforms: ['darwin'],
+      hasByteCounts: true,
+      hasUDP: true,
+      hasProcessInfo: true
+    };
+    this.nettopProcess = null;
+    this.startupTimeout = 3000; // Give up if nettop produces nothing within 3 seconds
+    this.startupTimer = null;
+    this.nettopArgs = options.nettopArgs || CONFIG.NETTOP_ARGS;
+    this.counterColumns = {}; // Column index -> counter name, from the latest header row
+    this.currentProcess = null; // Process row the following flow rows belong to
+  }
+
+  /**
+   * Spawns nettop in continuous logging mode
+   */
+  startStream() {
+    this.counterColumns = {};
+    this.currentProcess = null;
+    this.nettopProcess = spawn('nettop', this.nettopArgs, {
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    const nettopProcess = this.nettopProcess;
+    let outputBuffer = '';
+    let hasReceivedData = false;
+
+    nettopProcess.stdout.on('data', (data) => {
+      hasReceivedData = true;
+      outputBuffer += data.toString();
+
+      // Process complete lines
+      const lines = outputBuffer.split('\n');
+      outputBuffer = lines.pop() || ''; // Keep incomplete line in buffer
+
+      if (lines.length > 0) {
+        const connections = this.parseOutput(lines.join('\n'));
+        if (connections.length > 0) {
+          this.emit('connections', connections);
+        }
+      }
+    });
+
+    nettopProcess.stderr.on('data', (data) => {
+      const errorMsg = data.toString().trim();
+      if (errorMsg && !errorMsg.includes('nettop:') && !errorMsg.includes('Sampling')) {
+        this.emit('warning', `nettop stderr: ${errorMsg}`);
+
+        if (errorMsg.includes('Permission') || errorMsg.includes('denied')) {
+          this.markUnavailable(new Error('nettop permission denied'));
+        }
+      }
+    });
+
+    nettopProcess.on('close', (code) => {
+      if (!this.isRunning || nettopProcess !== this.nettopProcess) {
+        return;
+      }
+
+      // nettop closing immediately without data usually means it needs sudo
+      if (!hasReceivedData) {
+        this.markUnavailable(new Error(`nettop exited with code ${code} before producing data (likely needs sudo)`));
+        return;
+      }
+
+      this.nettopProcess = null;
+      this.emit('exit', code);
+    });
+
+    nettopProcess.on('error', (error) => {
+      this.markUnavailable(error);
+    });
+
+    this.startupTimer = setTimeout(() => {
+      this.startupTimer = null;
+      if (!hasReceivedData && this.nettopProcess === nettopProcess) {
+        this.markUnavailable(new Error('nettop timeout - no data received'));
+      }
+    }, this.startupTimeout);
+  }
+
+  /**
+   * Kills the nettop process
+   */
+  stopStream() {
+    if (this.startupTimer) {
+      clearTimeout(this.startupTimer);
+      this.startupTimer = null;
+    }
+
+    if (this.nettopProcess) {
+      const nettopProcess = this.nettopProcess;
+      this.nettopProcess = null;
+      nettopProcess.kill();
+    }
+  }
+
+  /**
+   * Stops the collector and reports it cannot run here
+   * @param {Error} error - Reason nettop is unavailable
+   */
+  markUnavailable(error) {
+    if (!this.isRunning) return;
+
+    this.stop();
+    this.emit('unavailable', error);
+  }
+
+  /**
+   * Gets the PID of the running nettop process
+   * @returns {number|null} - Process ID or null
+   */
+  getProcessId() {
+    return this.nettopProcess ? this.nettopProcess.pid : null;
+  }
+
+  /**
+   * Parses a chunk of nettop output into connections
+   * @param {string} data - Raw nettop output data
+   * @returns {Object[]} - Parsed connections
+   */
+  parseOutput(data) {
+    const lines = data.split('\n').filter(line => line.trim());
+    const connections = [];
+
+    for (const line of lines) {
+      if (line.startsWith('time,')) {
+        this.parseHeader(line);
+        continue;
+      }
+
+      // Skip separator lines and empty lines
+      if (line.includes('---') || line.includes('Sampling') || !line.trim()) {
+        continue;
+      }
+
+      const trafficData = this.parseLine(line);
+      if (trafficData) {
+        connections.push(trafficData);
+      }
+    }
+
+    return connections;
+  }
+
+  /**
+   * Records which columns of the following rows hold byte and packet counters
+   * @param {string} line - Header row, e.g. "time,,bytes_in,bytes_out,"
+   */
+  parseHeader(line) {
+    this.counterColumns = {};
+    line.split(',').forEach((column, index) => {
+      if (COUNTER_COLUMNS[column.trim()]) {
+        this.counterColumns[index] = COUNTER_COLUMNS[column.trim()];
+      }
+    });
+  }
+
+  /**
+   * Parses a single line of nettop output
+   * @param {string} line - Single line from nettop output
+   * @returns {Object|null} - Parsed traffic data, or null for process rows and invalid lines
+   */
+  parseLine(line) {
+    try {
+      const fields = line.split(',');
+      const flow = (fields[1] || '').trim().match(FLOW_REGEX);
+      if (flow) {
+        return this.parseFlow(flow, fields, line);
+      }
+
+      // Look for connection patterns like "source->destination"
+      const endpoints = this.parseEndpointPair(line);
+
+      if (endpoints) {
+        // Extract process name (usually at the beginning of the line)
+        const processMatch = line.match(/^([^,\s]+)/);
+        const processName = processMatch ? processMatch[1] : 'unknown';
+
+        return {
+          processName: processName,
+          ...endpoints,
+          // nettop labels flows tcp4/tcp6/udp4/udp6
+          protocol: /\budp[46]?\b/i.test(line) ? 'udp' : 'tcp',
+          timestamp: Date.now(),
+          rawLine: line
+        };
+      }
+
+      const processRow = (fields[1] || '').match(PROCESS_REGEX);
+      if (processRow) {
+        this.currentProcess = { name: processRow[1], pid: parseInt(processRow[2], 10) };
+      }
+
+      return null;
+    } catch (error) {
+      console.error('[NettopCollector] Error parsing line:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Builds a connection from a flow row
+   * @param {Array} flow - FLOW_REGEX match: protocol, family, local and remote endpoint
+   * @param {string[]} fields - CSV fields of the row
+   * @param {string} line - Raw row
+   * @returns {Object|null} - Connection with counters, or null for flows without a remote endpoint
+   */
+  parseFlow(flow, fields, line) {
+    const [, protocol, family, localText, remoteText] = flow;
+    const local = this.parseFlowEndpoint(localText, family);
+    const remote = this.parseFlowEndpoint(remoteText, family);
+    if (!local || !remote) {
+      return null;
+    }
+
+    const connection = {
+      processName: this.currentProcess ? this.currentProcess.name : 'unknown',
+      pid: this.currentProcess ? this.currentProcess.pid : null,
+      sourceIP: local.ip,
+      sourcePort: local.port,
+      destIP: remote.ip,
+      destPort: remote.port,
+      protocol,
+      timestamp: Date.now(),
+      rawLine: line
+    };
+
+    for (const [index, counter] of Object.entries(this.counterColumns)) {
+      const value = parseInt(fields[index], 10);
+      if (!Number.isNaN(value)) {
+        connection[counter] = value;
+      }
+    }
+
+    return connection;
+  }
+
+  /**
+   * Parses a nettop flow endpoint; IPv4 uses "addr:port", IPv6 uses "addr.port"
+   * @param {string} text - Endpoint text, e.g. 192.168.1.5:49152 or 2001:db8::1%en0.443
+   * @param {string} family - '4' or '6'
+   * @returns {Object|null} - Object with ip and port, or null for wildcards and malformed endpoints
+   */
+  parseFlowEndpoint(text, family) {
+    const separator = family === '6' ? text.lastIndexOf('.') : text.lastIndexOf(':');
+    if (separator <= 0) {
+      return null;
+    }
+
+    const ip = text.slice(0, separator).replace(/%.*$/, '');
+    const port = parseInt(text.slice(separator + 1), 10);
+    if (ip === '*' || Number.isNaN(port) || !ipFilter.isValidIP(ip)) {
+      return null;
+    }
+
+    return { ip: ipFilter.normalizeIP(ip), port };
+  }
+}
+
+module.exports = NettopCollector;
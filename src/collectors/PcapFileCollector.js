@@ -0,0 +1,237 @@
+const fs = require('fs').promises;
+const BaseCollector = require('./BaseCollector');
+const CONFIG = require('../config');
+const CIDRMatcher = require('../utils/CIDRMatcher');
+
+// pcap link-layer header types (https://www.tcpdump.org/linktypes.html)
+const LINKTYPE_NULL = 0;
+const LINKTYPE_ETHERNET = 1;
+const LINKTYPE_RAW = 101;
+const LINKTYPE_LINUX_SLL = 113;
+const LINKTYPE_IPV4 = 228;
+const LINKTYPE_IPV6 = 229;
+
+const PROTOCOL_TCP = 6;
+const PROTOCOL_UDP = 17;
+
+/**
+ * PcapFileCollector class for replaying connections from a libpcap capture file
+ * Useful for offline analysis and for reproducing traffic without root privileges
+ */
+class PcapFileCollector extends BaseCollector {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'pcap-file';
+    this.capabilities = {
+      ...this.capabilities,
+      mode: 'stream',
+      platforms: null,
+      hasUDP: true,
+      hasIPv6: true,
+      hasProcessInfo: false
+    };
+    this.file = options.file || CONFIG.PCAP_FILE;
+  }
+
+  /**
+   * Reads the capture file and emits every flow it contains, then 'end'
+   */
+  startStream() {
+    if (!this.file) {
+      const error = new Error('No pcap file configured (set CONFIG.PCAP_FILE)');
+      error.unavailable = true;
+      this.isRunning = false;
+      process.nextTick(() => this.emit('unavailable', error));
+      return;
+    }
+
+    fs.readFile(this.file)
+      .then((buffer) => {
+        if (!this.isRunning) return;
+
+        const connections = this.parseCapture(buffer);
+        if (connections.length > 0) {
+          this.emit('connections', connections);
+        }
+
+        this.isRunning = false;
+        this.emit('end');
+      })
+      .catch((error) => {
+        if (!this.isRunning) return;
+        this.isRunning = false;
+        this.emit('unavailable', error);
+      });
+  }
+
+  /**
+   * Parses a pcap capture into one connection per TCP or UDP flow, in order of first appearance
+   * @param {Buffer} buffer - Complete pcap file contents
+   * @returns {Object[]} - Parsed connections
+   */
+  parseCapture(buffer) {
+    const header = this.parseGlobalHeader(buffer);
+    const seenFlows = new Set();
+    const connections = [];
+    let offset = 24;
+
+    while (offset + 16 <= buffer.length) {
+      const tsSec = header.readUInt32(buffer, offset);
+      const tsFraction = header.readUInt32(buffer, offset + 4);
+      const capturedLength = header.readUInt32(buffer, offset + 8);
+      const packetStart = offset + 16;
+      offset = packetStart + capturedLength;
+
+      if (offset > buffer.length) {
+        break; // Truncated capture
+      }
+
+      const packet = this.parsePacket(buffer.subarray(packetStart, offset), header.linkType);
+      if (!packet) {
+        continue;
+      }
+
+      const isUDP = packet.protocol === PROTOCOL_UDP;
+      const flowKey = `${isUDP ? 'udp' : 'tcp'} ${[
+        `${packet.srcIP}:${packet.srcPort}`,
+        `${packet.dstIP}:${packet.dstPort}`
+      ].sort().join('<->')}`;
+
+      if (seenFlows.has(flowKey)) {
+        continue;
+      }
+      seenFlows.add(flowKey);
+
+      // A SYN-ACK means we joined the flow from the server side; report the client as source.
+      // UDP has no handshake, so a reply from a well-known port to an ephemeral one is reversed.
+      const reversed = isUDP
+        ? packet.srcPort < 1024 && packet.dstPort >= 1024
+        : packet.syn && packet.ack;
+
+      connections.push({
+        processName: 'unknown',
+        sourceIP: reversed ? packet.dstIP : packet.srcIP,
+        sourcePort: reversed ? packet.dstPort : packet.srcPort,
+        destIP: reversed ? packet.srcIP : packet.dstIP,
+        destPort: reversed ? packet.srcPort : packet.dstPort,
+        protocol: isUDP ? 'udp' : 'tcp',
+        timestamp: tsSec * 1000 + Math.floor(tsFraction / header.fractionsPerMs)
+      });
+    }
+
+    return connections;
+  }
+
+  /**
+   * Parses the 24-byte pcap global header
+   * @param {Buffer} buffer - Complete pcap file contents
+   * @returns {Object} - Byte order reader, timestamp resolution and link type
+   */
+  parseGlobalHeader(buffer) {
+    if (buffer.length < 24) {
+      throw new Error('Invalid pcap file: header too short');
+    }
+
+    const magics = {
+      a1b2c3d4: 1000, // microsecond timestamps
+      a1b23c4d: 1000000 // nanosecond timestamps
+    };
+
+    for (const littleEndian of [true, false]) {
+      const magic = (littleEndian ? buffer.readUInt32LE(0) : buffer.readUInt32BE(0)).toString(16);
+      if (magics[magic]) {
+        const readUInt32 = (buf, at) => (littleEndian ? buf.readUInt32LE(at) : buf.readUInt32BE(at));
+        return {
+          readUInt32,
+          fractionsPerMs: magics[magic],
+          linkType: readUInt32(buffer, 20)
+        };
+      }
+    }
+
+    throw new Error('Invalid pcap file: unrecognised magic number (pcapng is not supported)');
+  }
+
+  /**
+   * Extracts addresses, ports and TCP flags from a captured frame
+   * @param {Buffer} frame - Captured frame
+   * @param {number} linkType - pcap link-layer header type
+   * @returns {Object|null} - Packet summary or null if not IP/TCP/UDP
+   */
+  parsePacket(frame, linkType) {
+    let ipOffset;
+
+    switch (linkType) {
+      case LINKTYPE_ETHERNET: {
+        let etherTypeOffset = 12;
+        if (frame.length >= 18 && frame.readUInt16BE(12) === 0x8100) {
+          etherTypeOffset = 16; // 802.1Q VLAN tag
+        }
+        ipOffset = etherTypeOffset + 2;
+        break;
+      }
+      case LINKTYPE_LINUX_SLL:
+        ipOffset = 16;
+        break;
+      case LINKTYPE_NULL:
+        ipOffset = 4;
+        break;
+      case LINKTYPE_RAW:
+      case LINKTYPE_IPV4:
+      case LINKTYPE_IPV6:
+        ipOffset = 0;
+        break;
+      default:
+        return null;
+    }
+
+    if (frame.length <= ipOffset) {
+      return null;
+    }
+
+    const version = frame[ipOffset] >> 4;
+    let protocol;
+    let transportOffset;
+    let srcIP;
+    let dstIP;
+
+    if (version === 4 && frame.length >= ipOffset + 20) {
+      const headerLength = (frame[ipOffset] & 0x0f) * 4;
+      protocol = frame[ipOffset + 9];
+      srcIP = Array.from(frame.subarray(ipOffset + 12, ipOffset + 16)).join('.');
+      dstIP = Array.from(frame.subarray(ipOffset + 16, ipOffset + 20)).join('.');
+      transportOffset = ipOffset + headerLength;
+    } else if (version === 6 && frame.length >= ipOffset + 40) {
+      protocol = frame[ipOffset + 6];
+      srcIP = CIDRMatcher.fromBytes(frame.subarray(ipOffset + 8, ipOffset + 24));
+      dstIP = CIDRMatcher.fromBytes(frame.subarray(ipOffset + 24, ipOffset + 40));
+      transportOffset = ipOffset + 40;
+    } else {
+      return null;
+    }
+
+    if ((protocol !== PROTOCOL_TCP && protocol !== PROTOCOL_UDP) || frame.length < transportOffset + 4) {
+      return null;
+    }
+
+    const packet = {
+      protocol,
+      srcIP,
+      dstIP,
+      srcPort: frame.readUInt16BE(transportOffset),
+      dstPort: frame.readUInt16BE(transportOffset + 2),
+      syn: false,
+      ack: false
+    };
+
+    if (protocol === PROTOCOL_TCP && frame.length >= transportOffset + 14) {
+      const flags = frame[transportOffset + 13];
+      packet.syn = (flags & 0x02) !== 0;
+      packet.ack = (flags & 0x10) !== 0;
+    }
+
+    return packet;
+  }
+}
+
+module.exports = PcapFileCollector;
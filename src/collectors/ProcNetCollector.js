@@ -0,0 +1,34 @@
+const BaseCollector = require('./BaseCollector');
+const ProcNetReader = require('../utils/ProcNetReader');
+const CONFIG = require('../config');
+
+/**
+ * ProcNetCollector class for periodic connection snapshots from Linux /proc/net/{tcp,udp}{,6}
+ * The tables have no per-socket byte or packet counters; the ss collector reads them over netlink
+ */
+class ProcNetCollector extends BaseCollector {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'proc';
+    this.capabilities = {
+      ...this.capabilities,
+      mode: 'snapshot',
+      platforms: ['linux'],
+      hasUDP: true,
+      hasListeners: true,
+      hasIPv6: true,
+      hasProcessInfo: true
+    };
+    this.reader = new ProcNetReader(options.procRoot || CONFIG.PROC_ROOT);
+  }
+
+  /**
+   * Reads the current connection tables
+   * @returns {Promise<Object[]>} - Connections
+   */
+  async snapshot() {
+    return this.reader.readConnections();
+  }
+}
+
+module.exports = ProcNetCollector;
@@ -0,0 +1,212 @@
+const BaseCollector = require('./BaseCollector');
+
+/**
+ * SsCollector class for periodic connection snapshots using iproute2 `ss -tuanpiH`
+ * The -i details add cumulative byte and segment counters to TCP connections
+ */
+class SsCollector extends BaseCollector {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'ss';
+    this.capabilities = {
+      ...this.capabilities,
+      mode: 'snapshot',
+      platforms: ['linux'],
+      hasByteCounts: true,
+      hasUDP: true,
+      hasListeners: true,
+      hasIPv6: true,
+      hasProcessInfo: true
+    };
+  }
+
+  /**
+   * Runs ss once and parses its output
+   * @returns {Promise<Object[]|null>} - Connections, or null if ss failed
+   */
+  async snapshot() {
+    const { code, stdout } = await this.runCommand('ss', ['-tuanpiH']);
+
+    if (code !== 0) {
+      return null;
+    }
+
+    return this.parseOutput(stdout);
+  }
+
+  /**
+   * Parses complete ss output into connections and listening sockets
+   * @param {string} data - Raw ss output data
+   * @returns {Object[]} - Parsed connections and listening sockets
+   */
+  parseOutput(data) {
+    const connections = [];
+    let previous = null;
+
+    for (const line of data.split('\n')) {
+      // With -i, the details of a socket follow it on an indented line
+      if (/^\s/.test(line)) {
+        if (previous) {
+          Object.assign(previous, this.parseCounters(line));
+          previous = null;
+        }
+        continue;
+      }
+
+      const entry = this.parseLine(line) || this.parseListeningLine(line);
+      if (entry) {
+        connections.push(entry);
+      }
+      previous = entry && !entry.listening ? entry : null;
+    }
+
+    return connections;
+  }
+
+  /**
+   * Parses the byte and segment counters from an ss -i details line
+   * Example: cubic wscale:7,7 rtt:20.5/3 bytes_sent:5120 bytes_acked:5121 bytes_received:20480 segs_out:40 segs_in:35
+   * @param {string} line - Details line
+   * @returns {Object} - bytesIn, bytesOut, packetsIn and packetsOut, for the counters present
+   */
+  parseCounters(line) {
+    const read = (name) => {
+      const match = line.match(new RegExp(`\\b${name}:(\\d+)`));
+      return match ? parseInt(match[1], 10) : undefined;
+    };
+
+    // Kernels before 4.19 only report bytes_acked for the sending side
+    const bytesSent = read('bytes_sent');
+    const counters = {
+      bytesIn: read('bytes_received'),
+      bytesOut: bytesSent !== undefined ? bytesSent : read('bytes_acked'),
+      packetsIn: read('segs_in'),
+      packetsOut: read('segs_out')
+    };
+
+    return Object.fromEntries(Object.entries(counters).filter(([, value]) => value !== undefined));
+  }
+
+  /**
+   * Parses a single line of ss output
+   * Example: tcp ESTAB 0 0 192.168.1.100:54321 142.250.80.46:443 users:(("curl",pid=1234,fd=3))
+   * The Netid column (tcp/udp) is only printed when several socket types are listed; without it TCP is assumed.
+   * Connected UDP sockets are reported as ESTAB too.
+   * @param {string} line - Single line from ss output
+   * @returns {Object|null} - Parsed connection data or null if invalid
+   */
+  parseLine(line) {
+    const { protocol, parts } = this.splitLine(line);
+    if (parts.length < 5 || parts[0] !== 'ESTAB') {
+      return null;
+    }
+
+    const local = this.parseEndpoint(parts[3]);
+    const remote = this.parseEndpoint(parts[4]);
+    if (!local || !remote) {
+      return null;
+    }
+
+    return {
+      processName: this.parseProcessName(line),
+      pid: this.parsePid(line),
+      sourceIP: local.ip,
+      sourcePort: local.port,
+      destIP: remote.ip,
+      destPort: remote.port,
+      protocol,
+      timestamp: Date.now(),
+      rawLine: line
+    };
+  }
+
+  /**
+   * Parses a line of ss output describing a listening TCP socket or an unconnected UDP socket
+   * Example: tcp LISTEN 0 128 0.0.0.0:22 0.0.0.0:* users:(("sshd",pid=812,fd=3))
+   * @param {string} line - Single line from ss output
+   * @returns {Object|null} - Listening socket or null if the line is not one
+   */
+  parseListeningLine(line) {
+    const { protocol, parts } = this.splitLine(line);
+    const listenState = protocol === 'udp' ? 'UNCONN' : 'LISTEN';
+    if (parts.length < 5 || parts[0] !== listenState) {
+      return null;
+    }
+
+    const local = this.parseEndpoint(parts[3]);
+    if (!local) {
+      return null;
+    }
+
+    return {
+      listening: true,
+      processName: this.parseProcessName(line),
+      pid: this.parsePid(line),
+      sourceIP: local.ip,
+      sourcePort: local.port,
+      protocol,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Splits an ss line into columns, removing the Netid column if present
+   * @param {string} line - Single line from ss output
+   * @returns {Object} - Object with protocol ('tcp' when there is no Netid column) and the remaining columns
+   */
+  splitLine(line) {
+    const parts = line.trim().split(/\s+/);
+    let protocol = 'tcp';
+    if (parts[0] === 'tcp' || parts[0] === 'udp') {
+      protocol = parts.shift();
+    }
+    return { protocol, parts };
+  }
+
+  /**
+   * Extracts the first process name from the users:(...) column
+   * @param {string} line - Single line from ss output
+   * @returns {string} - Process name or 'unknown'
+   */
+  parseProcessName(line) {
+    const processMatch = line.match(/users:\(\("([^"]+)"/);
+    return processMatch ? processMatch[1] : 'unknown';
+  }
+
+  /**
+   * Extracts the first process ID from the users:(...) column
+   * @param {string} line - Single line from ss output
+   * @returns {number|null} - Process ID, or null if ss could not see the owning process
+   */
+  parsePid(line) {
+    const pidMatch = line.match(/users:\(\("[^"]+",pid=(\d+)/);
+    return pidMatch ? parseInt(pidMatch[1], 10) : null;
+  }
+
+  /**
+   * Parses an ss endpoint such as 1.2.3.4:443, [2001:db8::1]:443 or 10.0.0.1%eth0:22
+   * @param {string} endpoint - Address and port
+   * @returns {Object|null} - Object with ip and port, or null if malformed
+   */
+  parseEndpoint(endpoint) {
+    const separator = endpoint.lastIndexOf(':');
+    if (separator <= 0) {
+      return null;
+    }
+
+    let ip = endpoint.slice(0, separator).replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+    const port = parseInt(endpoint.slice(separator + 1), 10);
+
+    if (ip.toLowerCase().startsWith('::ffff:') && ip.includes('.')) {
+      ip = ip.slice(7);
+    }
+
+    if (!ip || Number.isNaN(port)) {
+      return null;
+    }
+
+    return { ip, port };
+  }
+}
+
+module.exports = SsCollector;
@@ -5,56 +5,139 @@ const CONFIG = {
   WEBSOCKET_PORT: 8080,
   
   // Geolocation API configuration
+  // Providers are tried in order until one answers. Types: 'mmdb' (local MaxMind-format database),
+  // 'http' (self-hosted service returning ip-api style JSON; url may contain {ip}) and 'ip-api'.
+  // Entries may override GEOLOCATION_PROVIDER_DEFAULTS, e.g.
+  // [{ type: 'mmdb' }, { type: 'http', name: 'geo-internal', url: 'http://geo.internal/json/{ip}', timeout: 2000 }, { type: 'ip-api' }]
+  GEOLOCATION_PROVIDERS: [
+    { type: 'ip-api' }
+  ],
+  GEOLOCATION_PROVIDER_DEFAULTS: {
+    timeout: 10000, // Per-request timeout (ms)
+    rateLimitDelay: 0, // Minimum delay between requests to this provider (ms)
+    batchRateLimitDelay: 0, // Minimum delay between batch requests to this provider (ms)
+    failureThreshold: 5, // Consecutive failures before the provider is skipped
+    resetTimeout: 60000 // Time a failing provider is skipped before it is tried again (ms)
+  },
   GEOLOCATION_API_URL: 'http://ip-api.com/json/',
+  GEOLOCATION_BATCH_API_URL: 'http://ip-api.com/batch',
+  GEOLOCATION_BATCH_SIZE: 100, // Queued lookups sent per batch request (1 disables batching)
+  GEOLOCATION_BATCH_RATE_LIMIT_DELAY: 4000, // Default batchRateLimitDelay of ip-api, whose /batch allows 15 requests per minute
+  GEOLOCATION_MMDB_CITY_FILE: null, // e.g. 'data/GeoLite2-City.mmdb'
+  GEOLOCATION_MMDB_ASN_FILE: null, // e.g. 'data/GeoLite2-ASN.mmdb' (optional, adds as/isp/org)
   GEOLOCATION_RATE_LIMIT_DELAY: 250, // Minimum delay between requests (ms)
   GEOLOCATION_MAX_RETRIES: 3,
   GEOLOCATION_RETRY_BASE_DELAY: 1000, // Base delay for exponential backoff (ms)
   GEOLOCATION_CACHE_DURATION: 24 * 60 * 60 * 1000, // 24 hours in milliseconds
+  GEOLOCATION_NEGATIVE_CACHE_DURATION: 30 * 60 * 1000, // Failed lookups are retried after 30 minutes
   GEOLOCATION_CACHE_FILE: '.cache/geolocation.json',
+  GEOLOCATION_CACHE_MAX_ENTRIES: 10000, // Least recently used entries are evicted beyond this
+  GEOLOCATION_CACHE_SAVE_INTERVAL: 5000, // New results are written to the cache file at most this often (ms)
+  // Locations for CIDR ranges that take priority over every provider (JSON or YAML list, see README);
+  // reloaded on change or SIGHUP
+  GEOLOCATION_OVERRIDES_FILE: null,
+  GEOLOCATION_OVERRIDES_WATCH_INTERVAL: 1000,
+  // Results also answer lookups for other addresses in the same network block: the block
+  // reported by the provider (MMDB), otherwise these prefix lengths per IP version (null disables)
+  GEOLOCATION_RANGE_PREFIX: { 4: 24, 6: 48 },
   GEOLOCATION_MAX_CONCURRENT_REQUESTS: 5,
   
   // Traffic monitoring configuration
   MAX_ARCS_RETAINED: 50,
-  NETTOP_ARGS: ['-L', '0', '-x', '-J', 'bytes_out'],
+  LSOF_ARGS: ['-i', '-P', '-n', '+c', '0', '-FpcuLftPnT'], // Field output (-F) with full command names (+c 0)
+  // nettop CSV logging: -L 0 samples forever, -x prints raw numbers, -n skips name resolution
+  NETTOP_ARGS: ['-L', '0', '-x', '-n', '-J', 'bytes_in,bytes_out,packets_in,packets_out'],
+  BANDWIDTH_MAX_DESTINATIONS: 1000, // Destinations kept in per-destination byte totals
+  BANDWIDTH_TOP_LIMIT: 10, // Destinations listed in bandwidth stats
+  
+  // Connection collector selection: 'auto' tries the platform defaults in order,
+  // any other registered name ('lsof', 'nettop', 'proc', 'ss', 'pcap-file') is tried first.
+  // Only nettop and ss count bytes, so on Linux choose 'ss' for bandwidth stats
+  COLLECTOR: 'auto',
+  COLLECTOR_DEFAULTS: {
+    darwin: ['lsof'],
+    linux: ['proc', 'ss', 'lsof'],
+    default: ['lsof']
+  },
+  COLLECTOR_POLL_INTERVAL: 500, // Snapshot interval for polling collectors (ms)
+  PROC_ROOT: '/proc', // Linux procfs mount used by the proc collector
+  PCAP_FILE: null, // Capture file replayed by the pcap-file collector
+  CONNECTION_ACTIVE_INTERVAL: 5000, // How often connectionActive is emitted for open connections (ms)
+  CONNECTION_IDLE_TIMEOUT: 15000, // Stream collectors: connection closed after this much silence (ms)
+  QUIC_PORTS: [443], // UDP connections to these ports are reported as protocol 'quic' (a guess by port)
   
-  // IP filtering rules
+  // Reverse DNS lookups that add a hostname to traffic messages
+  HOSTNAME_LOOKUP_ENABLED: true,
+  HOSTNAME_LOOKUP_TIMEOUT: 2000, // Per-query timeout (ms); timed-out lookups yield no hostname
+  HOSTNAME_MAX_CONCURRENT_LOOKUPS: 4,
+  HOSTNAME_CACHE_MAX_ENTRIES: 10000,
+  HOSTNAME_CACHE_DURATION: 60 * 60 * 1000, // 1 hour
+  HOSTNAME_NEGATIVE_CACHE_DURATION: 5 * 60 * 1000, // Addresses without a PTR record are retried after 5 minutes
+
+  // Owning process details (user, executable, command line) added to traffic messages
+  PROCESS_INFO_CACHE_MAX_ENTRIES: 1000, // Keyed by PID and start time, so reused PIDs are looked up again
+  PROCESS_INFO_CACHE_DURATION: 5000, // How long a PID's details are used before its start time is checked again (ms)
+  // Processes that start applications; the walk up the parent chain for the application name stops below them
+  PROCESS_TREE_ROOTS: [
+    'launchd', 'systemd', 'init', 'kthreadd', 'login', 'sshd', 'sudo', 'su', 'tmux', 'screen',
+    'sh', 'bash', 'zsh', 'fish', 'dash', 'ksh', 'tcsh', 'gnome-shell', 'plasmashell', 'containerd-shim'
+  ],
+  PROCESS_TREE_MAX_DEPTH: 16, // Parents walked at most per process
+
+  // Container attribution on Linux (container ID from /proc/<pid>/cgroup, name and image from the runtime API)
+  CONTAINER_RUNTIME_SOCKETS: ['/var/run/docker.sock', '/run/podman/podman.sock'], // First existing socket is used
+  CONTAINER_REFRESH_INTERVAL: 10000, // How often container names are reloaded (ms)
+  CONTAINER_CACHE_DURATION: 30000, // How long a PID's container ID is cached (ms)
+  CONTAINER_CACHE_MAX_ENTRIES: 5000,
+
+  // Per-ASN traffic totals reported in agent stats
+  ASN_STATS_MAX_ENTRIES: 1000, // Least recently seen autonomous systems are dropped beyond this
+  ASN_STATS_MAX_IPS: 1000, // Addresses remembered per AS (least recently seen are dropped), so uniqueIPs stops at this
+  ASN_STATS_MAX_NAMES: 50, // Organizations and applications remembered per AS (least recently seen are dropped)
+  ASN_STATS_TOP_LIMIT: 10, // Autonomous systems listed in stats
+
+  // User-defined include/exclude rules (JSON or YAML file, see README); reloaded on change or SIGHUP
+  FILTER_RULES_FILE: null,
+  FILTER_RULES_WATCH_INTERVAL: 1000,
+
+  // IP filtering rules: CIDR ranges that are never geolocated
+  // Defaults are the non-globally-reachable entries of the IANA IPv4 and IPv6
+  // special-purpose address registries, plus multicast and NAT64. IPv6 outside
+  // 2000::/3 global unicast is filtered as well, whether or not it is listed
   IP_FILTER_RULES: [
-    '192.168.',    // Private Class C
-    '10.',         // Private Class A
-    '172.16.',     // Private Class B (start)
-    '172.17.',     // Private Class B
-    '172.18.',     // Private Class B
-    '172.19.',     // Private Class B
-    '172.20.',     // Private Class B
-    '172.21.',     // Private Class B
-    '172.22.',     // Private Class B
-    '172.23.',     // Private Class B
-    '172.24.',     // Private Class B
-    '172.25.',     // Private Class B
-    '172.26.',     // Private Class B
-    '172.27.',     // Private Class B
-    '172.28.',     // Private Class B
-    '172.29.',     // Private Class B
-    '172.30.',     // Private Class B
-    '172.31.',     // Private Class B (end)
-    '127.',        // Loopback
-    '169.254.',    // Link-local
-    '224.',        // Multicast (start)
-    '225.',        // Multicast
-    '226.',        // Multicast
-    '227.',        // Multicast
-    '228.',        // Multicast
-    '229.',        // Multicast
-    '230.',        // Multicast
-    '231.',        // Multicast
-    '232.',        // Multicast
-    '233.',        // Multicast
-    '234.',        // Multicast
-    '235.',        // Multicast
-    '236.',        // Multicast
-    '237.',        // Multicast
-    '238.',        // Multicast
-    '239.'         // Multicast (end)
+    '0.0.0.0/8',          // "This network" (RFC 791)
+    '10.0.0.0/8',         // Private-Use (RFC 1918)
+    '100.64.0.0/10',      // Shared Address Space / CGNAT (RFC 6598)
+    '127.0.0.0/8',        // Loopback (RFC 1122)
+    '169.254.0.0/16',     // Link-local (RFC 3927)
+    '172.16.0.0/12',      // Private-Use (RFC 1918)
+    '192.0.0.0/24',       // IETF Protocol Assignments (RFC 6890)
+    '192.0.2.0/24',       // Documentation TEST-NET-1 (RFC 5737)
+    '192.88.99.0/24',     // Deprecated 6to4 Relay Anycast (RFC 7526)
+    '192.168.0.0/16',     // Private-Use (RFC 1918)
+    '198.18.0.0/15',      // Benchmarking (RFC 2544)
+    '198.51.100.0/24',    // Documentation TEST-NET-2 (RFC 5737)
+    '203.0.113.0/24',     // Documentation TEST-NET-3 (RFC 5737)
+    '224.0.0.0/4',        // Multicast (RFC 5771)
+    '240.0.0.0/4',        // Reserved (RFC 1112)
+    '255.255.255.255/32', // Limited Broadcast (RFC 919)
+    '::/128',             // Unspecified Address (RFC 4291)
+    '::1/128',            // Loopback Address (RFC 4291)
+    '::ffff:0:0/96',      // IPv4-mapped Address (RFC 4291)
+    '64:ff9b::/96',       // IPv4-IPv6 Translation, well-known NAT64 prefix (RFC 6052)
+    '64:ff9b:1::/48',     // IPv4-IPv6 Translation, local use (RFC 8215)
+    '100::/64',           // Discard-Only Address Block (RFC 6666)
+    '100:0:0:1::/64',     // Dummy IPv6 Prefix (RFC 9780)
+    '2001::/23',          // IETF Protocol Assignments, incl. Teredo (RFC 2928)
+    '2001:2::/48',        // Benchmarking (RFC 5180)
+    '2001:10::/28',       // Deprecated ORCHID (RFC 4843)
+    '2001:db8::/32',      // Documentation (RFC 3849)
+    '3fff::/20',          // Documentation (RFC 9637)
+    '5f00::/16',          // Segment Routing SIDs (RFC 9602)
+    'fc00::/7',           // Unique-Local (RFC 4193)
+    'fe80::/10',          // Link-Local Unicast (RFC 4291)
+    'fec0::/10',          // Deprecated Site-Local (RFC 3879)
+    'ff00::/8'            // Multicast (RFC 4291)
   ],
   
   // Frontend configuration
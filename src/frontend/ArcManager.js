@@ -12,12 +12,20 @@ class ArcManager {
     this.config = {
       maxArcs: 50,
       arcLifetime: 30000, // 30 seconds
+      liveArcTimeout: 60000, // Live arcs with no heartbeat for this long are removed
+      closedArcLinger: 2000, // Keep closed connection arcs briefly so the close is visible
       animationDuration: 2000, // 2 seconds
       arcColor: '#00ffff',
       arcStroke: 0.5,
+      maxArcStroke: 2, // Stroke of the busiest connections when byte counts are available
       arcDashLength: 0.4,
       arcDashGap: 0.2,
       arcDashAnimateTime: 2000,
+      // Dash pattern per protocol so UDP and QUIC stand out from TCP's long dashes
+      protocolDashes: {
+        udp: { dashLength: 0.05, dashGap: 0.1 },
+        quic: { dashLength: 0.15, dashGap: 0.05 }
+      },
       arcAltitude: 0.1,
       arcAltitudeAutoScale: 0.5,
       showLabels: true,
@@ -68,8 +76,8 @@ class ArcManager {
         // Arc appearance
         .arcColor(d => d.color || this.config.arcColor)
         .arcStroke(d => d.stroke || this.config.arcStroke)
-        .arcDashLength(this.config.arcDashLength)
-        .arcDashGap(this.config.arcDashGap)
+        .arcDashLength(d => this.getArcDash(d).dashLength)
+        .arcDashGap(d => this.getArcDash(d).dashGap)
         .arcDashAnimateTime(this.config.arcDashAnimateTime)
         
         // Arc coordinates
@@ -134,21 +142,49 @@ class ArcManager {
         return this.arcs.get(arcId);
       }
 
+      // Inbound arcs run from the remote peer to us, so the dash animation shows the direction
+      const inbound = trafficData.direction === 'inbound';
+      const remote = { lat: trafficData.lat, lon: trafficData.lon };
+      const [start, end] = inbound ? [remote, userLocation] : [userLocation, remote];
+
       const arcData = {
         id: arcId,
-        startLat: userLocation.lat,
-        startLon: userLocation.lon,
-        endLat: trafficData.lat,
-        endLon: trafficData.lon,
+        startLat: start.lat,
+        startLon: start.lon,
+        endLat: end.lat,
+        endLon: end.lon,
         ip: trafficData.ip || 'Unknown',
+        hostname: trafficData.hostname || null,
         city: trafficData.city || 'Unknown',
         country: trafficData.country || 'Unknown',
+        label: trafficData.label || null,
+        org: trafficData.org || null,
         processName: trafficData.processName || trafficData.process,
         processType: trafficData.processType || 'other',
+        application: trafficData.application || null,
+        pid: trafficData.pid || null,
+        user: trafficData.user || null,
+        exe: trafficData.exe || null,
+        cmdline: trafficData.cmdline || null,
+        containerId: trafficData.containerId || null,
+        containerName: trafficData.containerName || null,
+        containerImage: trafficData.containerImage || null,
         primaryColor: trafficData.primaryColor,
         gradientColors: trafficData.gradientColors,
         colorScheme: trafficData.colorScheme,
         port: trafficData.port,
+        protocol: trafficData.protocol || 'tcp',
+        direction: trafficData.direction || 'outbound',
+        bytesIn: trafficData.bytesIn || 0,
+        bytesOut: trafficData.bytesOut || 0,
+        bytesInRate: 0,
+        bytesOutRate: 0,
+        connectionId: trafficData.connectionId || null,
+        isLive: Boolean(trafficData.connectionId),
+        openedAt: trafficData.openedAt || trafficData.timestamp || Date.now(),
+        lastSeen: Date.now(),
+        closedAt: null,
+        duration: 0,
         timestamp: trafficData.timestamp || Date.now(),
         createdAt: Date.now(),
         color: this.getArcColor(trafficData),
@@ -237,8 +273,7 @@ class ArcManager {
 
     // Find expired arcs
     for (const [arcId, arc] of this.arcs) {
-      const age = now - arc.createdAt;
-      if (age > this.config.arcLifetime) {
+      if (this.isArcExpired(arc, now)) {
         arcsToRemove.push(arcId);
       }
     }
@@ -262,6 +297,81 @@ class ArcManager {
     }
   }
 
+  /**
+   * Checks whether an arc should be removed
+   * Arcs for tracked connections live until the backend reports them closed;
+   * other arcs expire after a fixed lifetime
+   * @param {Object} arc - Arc data
+   * @param {number} now - Current time
+   * @returns {boolean} - True if the arc has expired
+   */
+  isArcExpired(arc, now) {
+    if (!arc.isLive) {
+      return now - arc.createdAt > this.config.arcLifetime;
+    }
+
+    if (arc.closedAt) {
+      return now - arc.closedAt > this.config.closedArcLinger;
+    }
+
+    // Heartbeats stopped (e.g. backend paused) - don't keep the arc forever
+    return now - arc.lastSeen > this.config.liveArcTimeout;
+  }
+
+  /**
+   * Gets the arc for a tracked connection
+   * @param {string} connectionId - Connection ID from the backend
+   * @returns {Object|null} - Arc data or null
+   */
+  getConnectionArc(connectionId) {
+    return this.arcs.get(this.generateArcId({ connectionId })) || null;
+  }
+
+  /**
+   * Records a connectionActive heartbeat for a tracked connection
+   * @param {Object} data - connectionActive message
+   * @returns {boolean} - True if the connection has an arc
+   */
+  updateConnection(data) {
+    const arc = this.getConnectionArc(data.connectionId);
+    if (!arc) {
+      return false;
+    }
+
+    arc.lastSeen = Date.now();
+    arc.duration = data.duration || arc.duration;
+
+    if (data.bytesIn !== null && data.bytesIn !== undefined) {
+      arc.bytesIn = data.bytesIn;
+      arc.bytesOut = data.bytesOut || 0;
+      arc.bytesInRate = data.bytesInRate || 0;
+      arc.bytesOutRate = data.bytesOutRate || 0;
+
+      const stroke = this.getArcStroke(arc);
+      if (stroke !== arc.stroke) {
+        arc.stroke = stroke;
+        this.updateGlobeArcs();
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Marks a tracked connection as closed; its arc is removed after a short linger
+   * @param {Object} data - connectionClosed message
+   * @returns {boolean} - True if the connection has an arc
+   */
+  closeConnection(data) {
+    const arc = this.getConnectionArc(data.connectionId);
+    if (!arc) {
+      return false;
+    }
+
+    arc.closedAt = Date.now();
+    arc.duration = data.duration || arc.duration;
+    return true;
+  }
+
   /**
    * Updates the globe with current arc data
    */
@@ -277,6 +387,11 @@ class ArcManager {
    * @returns {string} - Unique arc ID
    */
   generateArcId(trafficData) {
+    // Tracked connections keep one arc for their whole lifetime
+    if (trafficData.connectionId) {
+      return `conn_${this.simpleHash(trafficData.connectionId)}`;
+    }
+
     const timestamp = trafficData.timestamp || Date.now();
     const hash = this.simpleHash(`${trafficData.ip}_${trafficData.port}_${timestamp}`);
     return `arc_${hash}`;
@@ -415,6 +530,14 @@ class ArcManager {
    * @returns {number} - Stroke width
    */
   getArcStroke(trafficData) {
+    // With byte counts, scale with the transfer rate: 1 KB/s or less is the base stroke,
+    // each tenfold increase adds half of it, up to maxArcStroke
+    const rate = (trafficData.bytesInRate || 0) + (trafficData.bytesOutRate || 0);
+    if (rate > 0) {
+      const scale = 1 + Math.max(0, Math.log10(rate / 1024)) * 0.5;
+      return Math.min(this.config.arcStroke * scale, this.config.maxArcStroke);
+    }
+
     // Thicker strokes for common ports
     const port = trafficData.port;
     
@@ -425,6 +548,18 @@ class ArcManager {
     }
   }
 
+  /**
+   * Gets the dash pattern of an arc from its protocol
+   * @param {Object} arc - Arc data
+   * @returns {Object} - Object with dashLength and dashGap
+   */
+  getArcDash(arc) {
+    return this.config.protocolDashes[arc.protocol] || {
+      dashLength: this.config.arcDashLength,
+      dashGap: this.config.arcDashGap
+    };
+  }
+
   /**
    * Generates arc label text with process classification
    * @param {Object} arc - Arc data
@@ -433,6 +568,10 @@ class ArcManager {
   generateArcLabel(arc) {
     const parts = [];
     
+    if (arc.label) {
+      parts.push(arc.label);
+    }
+    
     if (arc.city && arc.country) {
       parts.push(`${arc.city}, ${arc.country}`);
     } else if (arc.country) {
@@ -440,26 +579,69 @@ class ArcManager {
     }
     
     if (arc.ip) {
-      parts.push(arc.ip);
+      parts.push(arc.hostname ? `${arc.hostname} (${arc.ip})` : arc.ip);
     }
     
     if (arc.processName) {
-      parts.push(`Process: ${arc.processName}`);
+      parts.push(`Process: ${arc.processName}${arc.pid ? ` (${arc.pid})` : ''}${arc.user ? ` as ${arc.user}` : ''}`);
     } else if (arc.process) {
       parts.push(`Process: ${arc.process}`);
     }
+
+    if (arc.application && arc.application !== arc.processName) {
+      parts.push(`Application: ${arc.application}`);
+    }
+
+    if (arc.containerId) {
+      const container = arc.containerName || arc.containerId;
+      parts.push(`Container: ${container}${arc.containerImage ? ` (${arc.containerImage})` : ''}`);
+    }
+
+    if (arc.exe) {
+      parts.push(`Executable: ${arc.exe}`);
+    }
     
     if (arc.processType && arc.processType !== 'other') {
       parts.push(`Type: ${arc.processType}`);
     }
     
     if (arc.port) {
-      parts.push(`Port: ${arc.port}`);
+      parts.push(`Port: ${arc.port}${arc.protocol ? `/${arc.protocol.toUpperCase()}` : ''}`);
+    }
+
+    if (arc.direction === 'inbound') {
+      parts.push('Inbound');
+    }
+    
+    if (arc.isLive && arc.duration) {
+      parts.push(`Open for: ${Math.round(arc.duration / 1000)}s`);
+    }
+
+    if (arc.bytesIn || arc.bytesOut) {
+      parts.push(`Traffic: ${this.formatBytes(arc.bytesIn)} in / ${this.formatBytes(arc.bytesOut)} out`);
     }
     
     return parts.join('\n');
   }
 
+  /**
+   * Formats a byte count for labels
+   * @param {number} bytes - Byte count
+   * @returns {string} - e.g. '512 B', '1.5 KB', '3.2 MB'
+   */
+  formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes || 0;
+    let unit = 0;
+
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+
+    return unit === 0 ? `${value} ${units[unit]}` : `${value.toFixed(1)} ${units[unit]}`;
+  }
+
   /**
    * Adds a connection point at the destination location
    * @param {Object} trafficData - Traffic data
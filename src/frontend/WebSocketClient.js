@@ -24,6 +24,10 @@ class WebSocketClient {
       error: [],
       message: [],
       traffic: [],
+      connectionOpened: [],
+      connectionActive: [],
+      connectionClosed: [],
+      listening: [],
       stats: [],
       reconnecting: [],
       reconnected: []
@@ -114,6 +118,16 @@ class WebSocketClient {
           this.emit('traffic', data);
           break;
           
+        case 'connectionOpened':
+        case 'connectionActive':
+        case 'connectionClosed':
+          this.emit(data.type, data);
+          break;
+          
+        case 'listening':
+          this.emit('listening', data.sockets);
+          break;
+          
         case 'stats':
           this.emit('stats', data.data);
           break;
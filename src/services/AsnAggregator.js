@@ -0,0 +1,115 @@
+const CONFIG = require('../config');
+const LRUCache = require('../utils/LRUCache');
+
+/**
+ * AsnAggregator class for totals of traffic per autonomous system
+ * Answers questions like "how much of our traffic goes to AWS vs. Google vs. Akamai".
+ * Connections whose AS is unknown are counted together under asn null.
+ * Addresses, organizations and applications are remembered per AS up to a limit, dropping the least
+ * recently seen, so large networks such as AS15169 do not grow without bound in a long-running agent.
+ */
+class AsnAggregator {
+  /**
+   * @param {number} maxEntries - Maximum autonomous systems tracked (least recently seen are dropped)
+   * @param {Object} [options] - Per-AS limits
+   * @param {number} [options.maxIPs] - Addresses remembered per AS
+   * @param {number} [options.maxNames] - Organizations and applications remembered per AS
+   */
+  constructor(maxEntries = CONFIG.ASN_STATS_MAX_ENTRIES, options = {}) {
+    this.entries = new LRUCache(maxEntries);
+    this.maxIPs = options.maxIPs || CONFIG.ASN_STATS_MAX_IPS;
+    this.maxNames = options.maxNames || CONFIG.ASN_STATS_MAX_NAMES;
+    this.totalConnections = 0;
+  }
+
+  /**
+   * Counts a located connection
+   * @param {Object} traffic - Traffic message fields: ip, asn, asName, org, application or processName
+   */
+  record(traffic) {
+    const asn = traffic.asn || null;
+    const key = asn === null ? 'unknown' : `AS${asn}`;
+    let entry = this.entries.get(key);
+
+    if (!entry) {
+      entry = {
+        asn,
+        asName: asn === null ? 'Unknown' : traffic.asName || '',
+        orgs: new LRUCache(this.maxNames), // Org -> true
+        ips: new LRUCache(this.maxIPs), // IP -> true
+        processes: new LRUCache(this.maxNames), // Application -> connections
+        connections: 0,
+        firstSeen: Date.now(),
+        lastSeen: null
+      };
+      this.entries.set(key, entry);
+    }
+
+    entry.connections++;
+    entry.lastSeen = Date.now();
+    entry.ips.set(traffic.ip, true);
+
+    if (traffic.org) {
+      entry.orgs.set(traffic.org, true);
+    }
+    // Count helper processes under the application they belong to
+    const application = traffic.application || traffic.processName;
+    if (application) {
+      entry.processes.set(application, (entry.processes.peek(application) || 0) + 1);
+    }
+    // Older cached results may lack the AS name; fill it in once known
+    if (!entry.asName && traffic.asName) {
+      entry.asName = traffic.asName;
+    }
+
+    this.totalConnections++;
+  }
+
+  /**
+   * Gets the autonomous systems with the most connections
+   * @param {number} limit - Maximum number of entries
+   * @returns {Object[]} - Entries sorted by connections, each with asn, asName, orgs, connections,
+   *   share (fraction of all connections), uniqueIPs (at most maxIPs), topProcesses, firstSeen and lastSeen
+   */
+  getTop(limit = CONFIG.ASN_STATS_TOP_LIMIT) {
+    return Array.from(this.entries.values())
+      .sort((a, b) => b.connections - a.connections)
+      .slice(0, limit)
+      .map(entry => ({
+        asn: entry.asn,
+        asName: entry.asName,
+        orgs: Array.from(entry.orgs.keys()),
+        connections: entry.connections,
+        share: this.totalConnections > 0 ? entry.connections / this.totalConnections : 0,
+        uniqueIPs: entry.ips.size,
+        topProcesses: Array.from(entry.processes.entries())
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 3)
+          .map(([name, connections]) => ({ name, connections })),
+        firstSeen: entry.firstSeen,
+        lastSeen: entry.lastSeen
+      }));
+  }
+
+  /**
+   * Clears all totals
+   */
+  reset() {
+    this.entries.clear();
+    this.totalConnections = 0;
+  }
+
+  /**
+   * Gets aggregation status
+   * @returns {Object} - Totals and the top autonomous systems
+   */
+  getStatus() {
+    return {
+      totalConnections: this.totalConnections,
+      trackedAsns: this.entries.size,
+      top: this.getTop()
+    };
+  }
+}
+
+module.exports = AsnAggregator;
@@ -0,0 +1,174 @@
+const CONFIG = require('../config');
+const LRUCache = require('../utils/LRUCache');
+
+const COUNTERS = ['bytesIn', 'bytesOut', 'packetsIn', 'packetsOut'];
+const NO_CHANGE = { bytesIn: 0, bytesOut: 0, packetsIn: 0, packetsOut: 0 };
+
+/**
+ * BandwidthTracker class for byte and packet counters per connection and per destination
+ * Collectors with byte counts report cumulative counters for each socket; the tracker turns
+ * successive readings into totals, transfer rates and per-destination volume.
+ */
+class BandwidthTracker {
+  /**
+   * @param {number} maxDestinations - Maximum destinations tracked (least recently active are dropped)
+   */
+  constructor(maxDestinations = CONFIG.BANDWIDTH_MAX_DESTINATIONS) {
+    this.connections = new Map(); // Connection key -> counters, rates and time of the last reading
+    this.destinations = new LRUCache(maxDestinations);
+  }
+
+  /**
+   * Checks whether a connection report carries byte counters
+   * @param {Object} connection - Connection reported by a collector
+   * @returns {boolean} - True if bytesIn or bytesOut is present
+   */
+  static hasCounters(connection) {
+    return Number.isFinite(connection.bytesIn) || Number.isFinite(connection.bytesOut);
+  }
+
+  /**
+   * Records a counter reading for a connection
+   * @param {string} connectionKey - Unique connection identifier
+   * @param {Object} connection - Connection with destIP and cumulative bytesIn, bytesOut, packetsIn, packetsOut
+   * @param {number} now - Time of the reading
+   */
+  record(connectionKey, connection, now) {
+    if (!BandwidthTracker.hasCounters(connection)) {
+      return;
+    }
+
+    let entry = this.connections.get(connectionKey);
+    if (!entry) {
+      entry = { destIP: connection.destIP, updatedAt: now, bytesInRate: 0, bytesOutRate: 0 };
+      COUNTERS.forEach(counter => { entry[counter] = 0; });
+      this.connections.set(connectionKey, entry);
+    }
+
+    const deltas = {};
+    for (const counter of COUNTERS) {
+      const value = connection[counter];
+      if (!Number.isFinite(value)) {
+        deltas[counter] = 0;
+        continue;
+      }
+      // A counter going backwards means the socket was replaced; count the new value from zero
+      deltas[counter] = value >= entry[counter] ? value - entry[counter] : value;
+      entry[counter] = value;
+    }
+
+    const elapsed = (now - entry.updatedAt) / 1000;
+    if (elapsed > 0) {
+      entry.bytesInRate = Math.round(deltas.bytesIn / elapsed);
+      entry.bytesOutRate = Math.round(deltas.bytesOut / elapsed);
+      entry.updatedAt = now;
+    }
+
+    this.addToDestination(connection.destIP, deltas, now);
+  }
+
+  /**
+   * Adds counter increases to a destination's totals
+   * @param {string} destIP - Destination IP address
+   * @param {Object} deltas - Increase of each counter
+   * @param {number} now - Time of the reading
+   */
+  addToDestination(destIP, deltas, now) {
+    let totals = this.destinations.get(destIP);
+    if (!totals) {
+      totals = { ip: destIP, connections: 0, firstSeen: now, lastSeen: now };
+      COUNTERS.forEach(counter => { totals[counter] = 0; });
+      this.destinations.set(destIP, totals);
+    }
+
+    COUNTERS.forEach(counter => { totals[counter] += deltas[counter]; });
+    totals.lastSeen = now;
+  }
+
+  /**
+   * Gets the counters of a connection
+   * @param {string} connectionKey - Unique connection identifier
+   * @returns {Object|null} - Totals and rates (bytes per second), or null if no counters were reported
+   */
+  getConnection(connectionKey) {
+    const entry = this.connections.get(connectionKey);
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      bytesIn: entry.bytesIn,
+      bytesOut: entry.bytesOut,
+      packetsIn: entry.packetsIn,
+      packetsOut: entry.packetsOut,
+      bytesInRate: entry.bytesInRate,
+      bytesOutRate: entry.bytesOutRate
+    };
+  }
+
+  /**
+   * Counts a new connection to a destination
+   * @param {string} destIP - Destination IP address
+   * @param {number} now - Time the connection was opened
+   */
+  countConnection(destIP, now) {
+    this.addToDestination(destIP, NO_CHANGE, now);
+    this.destinations.peek(destIP).connections++;
+  }
+
+  /**
+   * Stops tracking a closed connection; its volume stays in the destination totals
+   * @param {string} connectionKey - Unique connection identifier
+   */
+  forget(connectionKey) {
+    this.connections.delete(connectionKey);
+  }
+
+  /**
+   * Stops tracking all connections, keeping the destination totals
+   */
+  clearConnections() {
+    this.connections.clear();
+  }
+
+  /**
+   * Gets the destinations that transferred the most data
+   * @param {number} limit - Maximum number of entries
+   * @returns {Object[]} - Destination totals sorted by bytesIn + bytesOut
+   */
+  getTopDestinations(limit = CONFIG.BANDWIDTH_TOP_LIMIT) {
+    return Array.from(this.destinations.values())
+      .filter(totals => totals.bytesIn + totals.bytesOut > 0)
+      .sort((a, b) => (b.bytesIn + b.bytesOut) - (a.bytesIn + a.bytesOut))
+      .slice(0, limit)
+      .map(totals => ({ ...totals }));
+  }
+
+  /**
+   * Clears all counters
+   */
+  reset() {
+    this.connections.clear();
+    this.destinations.clear();
+  }
+
+  /**
+   * Gets tracker status
+   * @returns {Object} - Totals over all destinations and the top destinations
+   */
+  getStatus() {
+    const totals = { bytesIn: 0, bytesOut: 0, packetsIn: 0, packetsOut: 0 };
+    for (const destination of this.destinations.values()) {
+      COUNTERS.forEach(counter => { totals[counter] += destination[counter]; });
+    }
+
+    return {
+      ...totals,
+      trackedConnections: this.connections.size,
+      trackedDestinations: this.destinations.size,
+      topDestinations: this.getTopDestinations()
+    };
+  }
+}
+
+module.exports = BandwidthTracker;
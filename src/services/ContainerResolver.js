@@ -0,0 +1,221 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const CONFIG = require('../config');
+const LRUCache = require('../utils/LRUCache');
+
+// Container ID as the last component of a cgroup path: /docker/<id>, docker-<id>.scope,
+// libpod-<id>.scope (Podman may add a /container child), cri-containerd-<id>.scope, crio-<id>.scope, /kubepods/.../<id>
+const CGROUP_CONTAINER_REGEX = /(?:^|[/-])([0-9a-f]{64})(?:\.scope)?(?:\/container)?$/;
+
+/**
+ * ContainerResolver class for attributing processes to containers on Linux
+ * The container ID comes from /proc/<pid>/cgroup and is looked up synchronously, so TrafficMonitor
+ * can filter and classify by container before emitting events. Names and images come from a
+ * Docker-compatible runtime API socket (Docker, Podman) when one exists; the container list is
+ * refreshed periodically and whenever an unknown container is seen.
+ */
+class ContainerResolver {
+  /**
+   * @param {Object} options - Resolver options
+   * @param {string} [options.platform] - Value of process.platform; other platforms have no containers
+   * @param {string} [options.procRoot] - Linux procfs mount
+   * @param {string[]} [options.socketPaths] - Runtime API sockets to try, first existing one is used
+   * @param {number} [options.refreshInterval] - How often the container list is refreshed (ms)
+   * @param {number} [options.cacheDuration] - How long a PID's container ID is cached (ms)
+   */
+  constructor(options = {}) {
+    this.platform = options.platform || process.platform;
+    this.procRoot = options.procRoot || CONFIG.PROC_ROOT;
+    this.socketPaths = options.socketPaths || CONFIG.CONTAINER_RUNTIME_SOCKETS;
+    this.refreshInterval = options.refreshInterval || CONFIG.CONTAINER_REFRESH_INTERVAL;
+    this.cacheDuration = options.cacheDuration || CONFIG.CONTAINER_CACHE_DURATION;
+    this.pidCache = new LRUCache(CONFIG.CONTAINER_CACHE_MAX_ENTRIES); // PID -> { containerId, timestamp }
+    this.containers = new Map(); // Short container ID -> { name, image }
+    this.requestedIds = new Set(); // Unknown IDs that already triggered a refresh
+    this.socketPath = null;
+    this.refreshPromise = null;
+    this.refreshTimer = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Finds the runtime socket and starts refreshing the container list
+   * @returns {Promise<void>} - Resolves after the first refresh
+   */
+  async start() {
+    if (this.platform !== 'linux') {
+      return;
+    }
+
+    this.socketPath = this.socketPaths.find(socketPath => fs.existsSync(socketPath)) || null;
+    if (!this.socketPath) {
+      return;
+    }
+
+    console.log(`[ContainerResolver] Reading container names from ${this.socketPath}`);
+    this.refreshTimer = setInterval(() => this.refresh(), this.refreshInterval);
+    await this.refresh();
+  }
+
+  /**
+   * Stops refreshing the container list
+   */
+  stop() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  /**
+   * Gets the container a process runs in
+   * @param {number} pid - Process ID
+   * @returns {Object|null} - Object with containerId (12 characters, as printed by docker ps),
+   *   containerName and containerImage (null if the runtime is unknown), or null outside containers
+   */
+  getContainer(pid) {
+    const containerId = this.getContainerId(pid);
+    if (!containerId) {
+      return null;
+    }
+
+    const container = this.containers.get(containerId);
+    if (!container && this.socketPath && !this.requestedIds.has(containerId)) {
+      // A container started since the last refresh; later events get its name
+      this.requestedIds.add(containerId);
+      this.refresh();
+    }
+
+    return {
+      containerId,
+      containerName: container ? container.name : null,
+      containerImage: container ? container.image : null
+    };
+  }
+
+  /**
+   * Gets the container ID of a process from its cgroup
+   * @param {number} pid - Process ID
+   * @returns {string|null} - Short container ID, or null if the process is not in a container or has exited
+   */
+  getContainerId(pid) {
+    if (this.platform !== 'linux' || !Number.isInteger(pid) || pid <= 0) {
+      return null;
+    }
+
+    const cached = this.pidCache.get(pid);
+    if (cached && Date.now() - cached.timestamp <= this.cacheDuration) {
+      return cached.containerId;
+    }
+
+    let containerId = null;
+    try {
+      // A few hundred bytes from procfs; read synchronously so connections are attributed before filtering
+      containerId = this.parseCgroup(fs.readFileSync(path.join(this.procRoot, String(pid), 'cgroup'), 'utf8'));
+    } catch (error) {
+      // Process exited or /proc is not readable
+    }
+
+    this.pidCache.set(pid, { containerId, timestamp: Date.now() });
+    return containerId;
+  }
+
+  /**
+   * Extracts a container ID from the content of /proc/<pid>/cgroup
+   * Handles cgroup v1 (one line per hierarchy) and v2 (a single 0:: line)
+   * @param {string} content - File content, lines of hierarchy-ID:controllers:path
+   * @returns {string|null} - Short container ID, or null if no path belongs to a container
+   */
+  parseCgroup(content) {
+    for (const line of content.split('\n')) {
+      const cgroupPath = line.slice(line.indexOf(':', line.indexOf(':') + 1) + 1).trim();
+      const match = cgroupPath.match(CGROUP_CONTAINER_REGEX);
+      if (match) {
+        return match[1].slice(0, 12);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Reloads container names and images from the runtime
+   * Concurrent calls share one request; failures keep the previous list
+   * @returns {Promise<void>} - Never rejects
+   */
+  refresh() {
+    if (!this.socketPath) {
+      return Promise.resolve();
+    }
+
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.requestJSON('/containers/json')
+        .then((list) => {
+          this.containers = new Map(list.map(container => [
+            container.Id.slice(0, 12),
+            {
+              name: (container.Names && container.Names[0] || '').replace(/^\//, '') || null,
+              image: container.Image || null
+            }
+          ]));
+          this.lastError = null;
+        })
+        .catch((error) => {
+          if (this.lastError !== error.message) {
+            console.warn(`[ContainerResolver] Failed to list containers: ${error.message}`);
+          }
+          this.lastError = error.message;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+
+    return this.refreshPromise;
+  }
+
+  /**
+   * Makes a GET request to the runtime API over its unix socket
+   * @param {string} requestPath - API path
+   * @returns {Promise<Object>} - Parsed JSON response
+   * @throws {Error} - If the request fails or the response is not successful JSON
+   */
+  requestJSON(requestPath) {
+    return new Promise((resolve, reject) => {
+      const request = http.get({ socketPath: this.socketPath, path: requestPath, timeout: 2000 }, (response) => {
+        let body = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => { body += chunk; });
+        response.on('end', () => {
+          if (response.statusCode !== 200) {
+            reject(new Error(`HTTP ${response.statusCode}`));
+            return;
+          }
+          try {
+            resolve(JSON.parse(body));
+          } catch (error) {
+            reject(new Error(`Invalid JSON: ${error.message}`));
+          }
+        });
+      });
+
+      request.on('timeout', () => request.destroy(new Error('Request timed out')));
+      request.on('error', reject);
+    });
+  }
+
+  /**
+   * Gets resolver status
+   * @returns {Object} - Runtime socket in use, known containers and cached PIDs
+   */
+  getStatus() {
+    return {
+      socketPath: this.socketPath,
+      containers: this.containers.size,
+      cachedPids: this.pidCache.size,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = ContainerResolver;
@@ -1,16 +1,30 @@
-const fetch = require('node-fetch');
 const fs = require('fs').promises;
 const path = require('path');
 const CONFIG = require('../config');
+const IPFilter = require('../utils/IPFilter');
+const CIDRMatcher = require('../utils/CIDRMatcher');
+const ProviderChain = require('./providers/ProviderChain');
+const HttpProvider = require('./providers/HttpProvider');
+const LRUCache = require('../utils/LRUCache');
+const LocationOverrides = require('../utils/LocationOverrides');
 
 /**
  * GeolocationService class for IP-to-coordinates conversion
  * Handles HTTP requests to geolocation APIs with enhanced rate limiting and caching
  */
 class GeolocationService {
-  constructor() {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object[]} [options.providers] - Provider chain configuration (defaults to CONFIG.GEOLOCATION_PROVIDERS)
+   * @param {string} [options.cacheFile] - Persistent cache path (defaults to CONFIG.GEOLOCATION_CACHE_FILE)
+   */
+  constructor(options = {}) {
     this.apiUrl = CONFIG.GEOLOCATION_API_URL;
-    this.cache = new Map();
+    this.cache = new LRUCache(CONFIG.GEOLOCATION_CACHE_MAX_ENTRIES);
+    this.rangeCache = new LRUCache(CONFIG.GEOLOCATION_CACHE_MAX_ENTRIES); // CIDR -> location
+    this.rangePrefix = CONFIG.GEOLOCATION_RANGE_PREFIX;
+    this.rangePrefixLengths = { 4: new Set(), 6: new Set() }; // Block sizes present in rangeCache
+    this.cacheStats = { hits: 0, rangeHits: 0, negativeHits: 0, misses: 0 };
     this.requestQueue = [];
     this.activeRequests = new Set();
     this.isProcessingQueue = false;
@@ -18,13 +32,31 @@ class GeolocationService {
     this.maxRetries = CONFIG.GEOLOCATION_MAX_RETRIES;
     this.retryBaseDelay = CONFIG.GEOLOCATION_RETRY_BASE_DELAY;
     this.cacheDuration = CONFIG.GEOLOCATION_CACHE_DURATION;
-    this.cacheFile = CONFIG.GEOLOCATION_CACHE_FILE;
+    this.negativeCacheDuration = CONFIG.GEOLOCATION_NEGATIVE_CACHE_DURATION;
+    this.cacheFile = options.cacheFile || CONFIG.GEOLOCATION_CACHE_FILE;
+    this.saveInterval = CONFIG.GEOLOCATION_CACHE_SAVE_INTERVAL;
+    this.saveTimer = null;
+    this.cacheDirty = false;
+    this.savePromise = Promise.resolve();
     this.maxConcurrentRequests = CONFIG.GEOLOCATION_MAX_CONCURRENT_REQUESTS;
+    this.batchSize = CONFIG.GEOLOCATION_BATCH_SIZE;
+    this.batchesSent = 0;
+    this.inFlight = new Map(); // IP -> pending lookup promise shared by concurrent callers
+    this.coalescedRequests = 0;
     this.lastRequestTime = 0;
     this.cacheLoaded = false;
+    this.ipFilter = new IPFilter();
+    this.overrides = new LocationOverrides();
+    this.overrideHits = 0;
+    this.providers = ProviderChain.fromConfig(options.providers || CONFIG.GEOLOCATION_PROVIDERS);
+
+    // Local lookups never leave the machine, so there is nothing to rate limit
+    if (this.providers.isLocalOnly()) {
+      this.rateLimitDelay = 0;
+    }
     
-    // Load persistent cache on startup (non-blocking)
-    this.loadPersistentCache().catch(err => {
+    // Load persistent cache on startup (non-blocking; await cacheLoadPromise to wait for it)
+    this.cacheLoadPromise = this.loadPersistentCache().catch(err => {
       console.warn(`[GeolocationService] Failed to load cache: ${err.message}`);
     });
   }
@@ -39,23 +71,10 @@ class GeolocationService {
       await fs.mkdir(cacheDir, { recursive: true });
       
       const data = await fs.readFile(this.cacheFile, 'utf8');
-      const cacheData = JSON.parse(data);
-      
-      // Load cache entries and validate expiration
-      const now = Date.now();
-      let loadedCount = 0;
-      let expiredCount = 0;
+      const { imported, expired, invalid } = this.importCache(JSON.parse(data));
       
-      for (const [ip, entry] of Object.entries(cacheData)) {
-        if (entry.timestamp && (now - entry.timestamp) <= this.cacheDuration) {
-          this.cache.set(ip, entry);
-          loadedCount++;
-        } else {
-          expiredCount++;
-        }
-      }
-      
-      console.log(`[GeolocationService] Loaded ${loadedCount} cached entries, expired ${expiredCount} entries`);
+      console.log(`[GeolocationService] Loaded ${imported} cached entries, expired ${expired} entries${invalid ? `, skipped ${invalid} invalid entries` : ''}`);
+      this.cacheLoaded = true;
     } catch (error) {
       if (error.code !== 'ENOENT') {
         console.warn(`[GeolocationService] Failed to load persistent cache: ${error.message}`);
@@ -63,28 +82,211 @@ class GeolocationService {
     }
   }
 
+  /**
+   * Adds entries in the persistent cache format to the cache
+   * Entries are stored least recently used first, so inserting them in order restores recency
+   * @param {Object} data - Object with entries (IP -> location) and ranges (CIDR -> location),
+   *   or a plain IP -> location object as written by older versions
+   * @returns {Object} - Counts of imported, expired and invalid entries
+   * @throws {Error} - If data is not an object
+   */
+  importCache(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Cache data must be an object');
+    }
+
+    // Older cache files hold only the IP entries, without the entries/ranges sections
+    const entries = data.entries && typeof data.entries === 'object' ? data.entries : data;
+    const ranges = entries === data ? {} : data.ranges || {};
+
+    const now = Date.now();
+    const counts = { imported: 0, expired: 0, invalid: 0 };
+
+    for (const [ip, entry] of Object.entries(entries)) {
+      if (!this.isValidCacheEntry(entry) || !this.ipFilter.isValidIP(ip)) {
+        counts.invalid++;
+      } else if (this.isExpired(entry, now)) {
+        counts.expired++;
+      } else {
+        this.cache.set(this.ipFilter.normalizeIP(ip), entry);
+        counts.imported++;
+      }
+    }
+
+    for (const [network, entry] of Object.entries(ranges)) {
+      if (!this.isValidCacheEntry(entry) || entry.status !== 'success') {
+        counts.invalid++;
+      } else if (this.isExpired(entry, now)) {
+        counts.expired++;
+      } else if (this.setCachedRange(network, entry)) {
+        counts.imported++;
+      } else {
+        counts.invalid++;
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Gets the cache contents in the persistent cache format
+   * @returns {Object} - Object with entries (IP -> location) and ranges (CIDR -> location)
+   */
+  exportCache() {
+    return {
+      entries: Object.fromEntries(this.cache.entries()),
+      ranges: Object.fromEntries(this.rangeCache.entries())
+    };
+  }
+
+  /**
+   * Checks that a cache entry has the fields lookups rely on
+   * @param {Object} entry - Cache entry
+   * @returns {boolean} - True if the entry has a status, a timestamp and, if successful, coordinates
+   */
+  isValidCacheEntry(entry) {
+    if (!entry || typeof entry !== 'object' || typeof entry.status !== 'string' || typeof entry.timestamp !== 'number') {
+      return false;
+    }
+
+    return entry.status !== 'success' || (typeof entry.lat === 'number' && typeof entry.lon === 'number');
+  }
+
   /**
    * Saves persistent cache to disk
+   * Saves are serialized, and each writes a temporary file that is renamed over the cache
+   * file, so a crash mid-write leaves the previous cache file intact
+   * @returns {Promise<void>}
+   */
+  savePersistentCache() {
+    // The write snapshots the cache when it starts, which is no earlier than this,
+    // so anything cached from here on gets marked for another save
+    this.cacheDirty = false;
+    this.savePromise = this.savePromise.then(() => this.writeCacheFile());
+    return this.savePromise;
+  }
+
+  /**
+   * Writes the cache to a temporary file and renames it over the cache file
+   * @returns {Promise<void>}
    */
-  async savePersistentCache() {
+  async writeCacheFile() {
+    const tempFile = `${this.cacheFile}.${process.pid}.tmp`;
+
     try {
-      // Convert Map to Object for JSON serialization
-      const cacheData = {};
-      for (const [ip, entry] of this.cache.entries()) {
-        cacheData[ip] = entry;
-      }
+      const cacheData = this.exportCache();
       
       // Ensure cache directory exists
       const cacheDir = path.dirname(this.cacheFile);
       await fs.mkdir(cacheDir, { recursive: true });
       
-      await fs.writeFile(this.cacheFile, JSON.stringify(cacheData, null, 2));
+      await fs.writeFile(tempFile, JSON.stringify(cacheData));
+      await fs.rename(tempFile, this.cacheFile);
       console.log(`[GeolocationService] Saved ${this.cache.size} entries to persistent cache`);
     } catch (error) {
+      this.cacheDirty = true;
       console.error(`[GeolocationService] Failed to save persistent cache: ${error.message}`);
     }
   }
 
+  /**
+   * Gets the file that records which process keeps the cache file up to date
+   * @returns {string} - Lock file path next to the cache file
+   */
+  getCacheLockFile() {
+    return `${this.cacheFile}.lock`;
+  }
+
+  /**
+   * Records this process as the owner of the cache file
+   * The owner rewrites the file from memory when it saves, so other writers would be reverted
+   * @returns {Promise<void>}
+   */
+  async lockPersistentCache() {
+    await fs.mkdir(path.dirname(this.cacheFile), { recursive: true });
+    await fs.writeFile(this.getCacheLockFile(), String(process.pid));
+  }
+
+  /**
+   * Removes the lock file if this process wrote it
+   * @returns {Promise<void>}
+   */
+  async unlockPersistentCache() {
+    if (await this.readCacheLockPid() === process.pid) {
+      await fs.unlink(this.getCacheLockFile()).catch(() => {});
+    }
+  }
+
+  /**
+   * Finds another running process that owns the cache file
+   * @returns {Promise<number|null>} - PID of the owner, or null if there is none or it has exited
+   */
+  async getCacheLockOwner() {
+    const pid = await this.readCacheLockPid();
+    if (pid === null || pid === process.pid) {
+      return null;
+    }
+
+    try {
+      process.kill(pid, 0);
+      return pid;
+    } catch (error) {
+      // EPERM: the process exists but belongs to another user, e.g. an agent started with sudo
+      return error.code === 'EPERM' ? pid : null;
+    }
+  }
+
+  /**
+   * Reads the PID from the lock file
+   * @returns {Promise<number|null>} - PID, or null if there is no valid lock file
+   */
+  async readCacheLockPid() {
+    try {
+      const pid = parseInt(await fs.readFile(this.getCacheLockFile(), 'utf8'), 10);
+      return pid > 0 ? pid : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Marks the cache as changed and schedules a save, batching changes made within saveInterval
+   */
+  schedulePersistentSave() {
+    this.cacheDirty = true;
+
+    if (this.saveTimer) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.savePersistentCache();
+    }, this.saveInterval);
+
+    // A pending save must not keep the process alive; flushPersistentCache() covers shutdown
+    if (this.saveTimer.unref) {
+      this.saveTimer.unref();
+    }
+  }
+
+  /**
+   * Writes unsaved cache changes now, cancelling any scheduled save
+   * @returns {Promise<void>}
+   */
+  async flushPersistentCache() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    if (this.cacheDirty) {
+      await this.savePersistentCache();
+    } else {
+      await this.savePromise;
+    }
+  }
+
   /**
    * Gets geolocation data for an IP address
    * @param {string} ip - IP address to geolocate
@@ -95,14 +297,30 @@ class GeolocationService {
       throw new Error('Invalid IP address provided');
     }
 
+    // Normalize so that equivalent IPv6 spellings share one cache entry and request
+    ip = this.ipFilter.normalizeIP(ip);
+
+    // Overrides win over providers and are not cached, so edits apply immediately
+    const override = this.overrides.lookup(ip);
+    if (override) {
+      this.overrideHits++;
+      return override;
+    }
+
     // Check cache first (including expiration check)
     const cachedResult = this.getCachedResult(ip);
     if (cachedResult) {
       return cachedResult;
     }
 
+    // Share the pending lookup if this IP is already queued or being fetched
+    if (this.inFlight.has(ip)) {
+      this.coalescedRequests++;
+      return this.inFlight.get(ip);
+    }
+
     // Add to queue and process
-    return new Promise((resolve, reject) => {
+    const lookup = new Promise((resolve, reject) => {
       this.requestQueue.push({
         ip,
         resolve,
@@ -112,31 +330,137 @@ class GeolocationService {
       });
 
       this.processQueue();
+    }).finally(() => {
+      this.inFlight.delete(ip);
     });
+
+    this.inFlight.set(ip, lookup);
+    return lookup;
   }
 
   /**
    * Gets cached result if valid and not expired
+   * Falls back to a result cached for a network block containing the address
    * @param {string} ip - IP address to check
-   * @returns {Object|null} - Cached result or null if not found/expired
+   * @returns {Object|null} - Cached result (possibly a cached failure) or null if not found/expired
    */
   getCachedResult(ip) {
-    if (!this.cache.has(ip)) {
+    const cached = this.getUnexpired(this.cache, ip);
+    if (cached) {
+      if (cached.status === 'success') {
+        this.cacheStats.hits++;
+      } else {
+        this.cacheStats.negativeHits++;
+      }
+      return cached;
+    }
+
+    const range = this.getCachedRange(ip);
+    if (range) {
+      this.cacheStats.rangeHits++;
+      return { ...range, ip };
+    }
+
+    this.cacheStats.misses++;
+    return null;
+  }
+
+  /**
+   * Gets the result cached for the most specific network block containing an address
+   * @param {string} ip - IP address
+   * @returns {Object|null} - Cached block result (with network) or null if not found/expired
+   */
+  getCachedRange(ip) {
+    const version = this.ipFilter.getIPVersion(ip);
+    if (!version) {
       return null;
     }
 
-    const cached = this.cache.get(ip);
-    const now = Date.now();
+    const prefixLengths = Array.from(this.rangePrefixLengths[version]).sort((a, b) => b - a);
+
+    for (const prefixLength of prefixLengths) {
+      const cached = this.getUnexpired(this.rangeCache, CIDRMatcher.networkOf(ip, prefixLength));
+      if (cached) {
+        return cached;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Gets an entry from a cache, removing it if it has expired
+   * @param {LRUCache} cache - Cache to read
+   * @param {string} key - IP address or network
+   * @returns {Object|null} - Cached entry or null if not found/expired
+   */
+  getUnexpired(cache, key) {
+    if (!cache.has(key)) {
+      return null;
+    }
+
+    const cached = cache.get(key);
     
     // Check if cache entry has expired
-    if (cached.timestamp && (now - cached.timestamp) > this.cacheDuration) {
-      this.cache.delete(ip);
+    if (this.isExpired(cached)) {
+      cache.delete(key);
       return null;
     }
 
     return cached;
   }
 
+  /**
+   * Checks whether a cache entry has outlived its TTL
+   * Failed lookups expire after negativeCacheDuration so they are retried sooner
+   * @param {Object} entry - Cache entry
+   * @param {number} now - Current time
+   * @returns {boolean} - True if expired
+   */
+  isExpired(entry, now = Date.now()) {
+    const duration = entry.status === 'success' ? this.cacheDuration : this.negativeCacheDuration;
+    return Boolean(entry.timestamp) && (now - entry.timestamp) > duration;
+  }
+
+  /**
+   * Caches a result for the network block of the looked-up address
+   * The block is the one reported by the provider, otherwise the configured prefix length
+   * @param {string} ip - IP address that was looked up
+   * @param {Object} result - Successful location data
+   */
+  cacheRange(ip, result) {
+    const version = this.ipFilter.getIPVersion(ip);
+    const defaultPrefix = this.rangePrefix ? this.rangePrefix[version] : null;
+    const network = result.network || (defaultPrefix ? CIDRMatcher.networkOf(ip, defaultPrefix) : null);
+
+    if (network) {
+      const entry = { ...result, network };
+      delete entry.ip; // Filled in with the requested address on each hit
+      this.setCachedRange(network, entry);
+    }
+  }
+
+  /**
+   * Stores a network block result
+   * @param {string} network - Block in CIDR notation
+   * @param {Object} entry - Location data
+   * @returns {boolean} - True if stored, false if the network is not valid CIDR
+   */
+  setCachedRange(network, entry) {
+    let parsed;
+    try {
+      parsed = CIDRMatcher.parseCIDR(network);
+    } catch (error) {
+      return false;
+    }
+
+    // Key by the canonical spelling so lookups via networkOf() find it
+    const key = CIDRMatcher.networkOf(CIDRMatcher.fromBytes(parsed.bytes), parsed.prefixLength);
+    this.rangeCache.set(key, entry);
+    this.rangePrefixLengths[parsed.version].add(parsed.prefixLength);
+    return true;
+  }
+
   /**
    * Processes the request queue with enhanced rate limiting and concurrent request management
    */
@@ -148,8 +472,6 @@ class GeolocationService {
     this.isProcessingQueue = true;
 
     while (this.requestQueue.length > 0 && this.activeRequests.size < this.maxConcurrentRequests) {
-      const request = this.requestQueue.shift();
-      
       // Ensure rate limiting delay has passed
       const now = Date.now();
       const timeSinceLastRequest = now - this.lastRequestTime;
@@ -158,13 +480,106 @@ class GeolocationService {
         await this.delay(delayNeeded);
       }
 
+      // Requests that queued up during the delay go out together
+      const batch = this.takeBatch();
+
       // Process request asynchronously
-      this.processRequest(request);
+      if (batch.length > 1) {
+        this.processBatch(batch);
+      } else {
+        this.processRequest(batch[0]);
+      }
     }
 
     this.isProcessingQueue = false;
   }
 
+  /**
+   * Takes the next requests to send from the head of the queue
+   * @returns {Object[]} - Up to batchSize requests, or a single request if batching is not possible
+   */
+  takeBatch() {
+    const batch = [];
+
+    if (this.batchSize > 1 && this.providers.supportsBatch()) {
+      while (batch.length < this.batchSize && this.requestQueue.length > 0 && !this.requestQueue[0].single) {
+        batch.push(this.requestQueue.shift());
+      }
+    }
+
+    if (batch.length === 0) {
+      batch.push(this.requestQueue.shift());
+    }
+
+    return batch;
+  }
+
+  /**
+   * Processes several requests with one batch lookup
+   * Addresses the batch could not resolve are put back at the head of the queue as single
+   * requests, which then get the usual retry logic
+   * @param {Object[]} requests - Request objects with ip, resolve, reject, retries
+   */
+  async processBatch(requests) {
+    const batchKey = `batch:${++this.batchesSent}`;
+    this.activeRequests.add(batchKey);
+    this.lastRequestTime = Date.now();
+
+    const fallback = [];
+
+    try {
+      console.log(`[GeolocationService] Fetching locations for ${requests.length} addresses in one batch`);
+      const results = await this.providers.lookupBatch(requests.map(request => request.ip));
+
+      results.forEach((result, index) => {
+        if (result instanceof Error) {
+          fallback.push(requests[index]);
+        } else {
+          this.completeRequest(requests[index], result);
+        }
+      });
+    } catch (error) {
+      console.error(`[GeolocationService] Batch lookup failed: ${error.message}`);
+      fallback.push(...requests);
+    } finally {
+      this.activeRequests.delete(batchKey);
+
+      if (fallback.length > 0) {
+        console.log(`[GeolocationService] Falling back to single lookups for ${fallback.length} addresses`);
+        fallback.forEach(request => { request.single = true; });
+        this.requestQueue.unshift(...fallback);
+      }
+
+      // Continue processing queue if there are more requests
+      if (this.requestQueue.length > 0) {
+        setTimeout(() => this.processQueue(), this.rateLimitDelay);
+      }
+    }
+  }
+
+  /**
+   * Caches a lookup result and resolves the waiting request
+   * @param {Object} request - Request object with ip and resolve
+   * @param {Object} result - Location data
+   */
+  completeRequest(request, result) {
+    // Cache results with timestamp; failures (unknown, private or reserved addresses, or
+    // exhausted retries) are kept for the shorter negativeCacheDuration
+    if (result && result.status) {
+      result.timestamp = Date.now();
+      this.cache.set(request.ip, result);
+
+      if (result.status === 'success') {
+        this.cacheRange(request.ip, result);
+      }
+      
+      // Write-behind: batched with other results cached within the save interval
+      this.schedulePersistentSave();
+    }
+    
+    request.resolve(result);
+  }
+
   /**
    * Processes a single request with retry logic and exponential backoff
    * @param {Object} request - Request object with ip, resolve, reject, retries
@@ -175,17 +590,7 @@ class GeolocationService {
 
     try {
       const result = await this.fetchLocationData(request.ip);
-      
-      // Cache successful results with timestamp
-      if (result && result.status === 'success') {
-        result.timestamp = Date.now();
-        this.cache.set(request.ip, result);
-        
-        // Save to persistent cache periodically
-        this.savePersistentCache();
-      }
-      
-      request.resolve(result);
+      this.completeRequest(request, result);
     } catch (error) {
       // Implement exponential backoff for retries
       if (request.retries < this.maxRetries) {
@@ -215,7 +620,7 @@ class GeolocationService {
           timestamp: Date.now()
         };
         
-        request.resolve(failedResult);
+        this.completeRequest(request, failedResult);
       }
     } finally {
       this.activeRequests.delete(request.ip);
@@ -228,57 +633,24 @@ class GeolocationService {
   }
 
   /**
-   * Fetches location data from the geolocation API
+   * Fetches location data from the provider chain
    * @param {string} ip - IP address to lookup
-   * @returns {Promise<Object>} - API response data
+   * @returns {Promise<Object>} - Normalized location data
    */
   async fetchLocationData(ip) {
-    const url = `${this.apiUrl}${ip}`;
-    
     try {
       console.log(`[GeolocationService] Fetching location for ${ip}`);
-      
-      const response = await fetch(url, {
-        timeout: 10000, // 10 second timeout
-        headers: {
-          'User-Agent': 'Live-Traffic-Globe/1.0'
-        }
-      });
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+      const data = await this.providers.lookup(ip);
 
-      const data = await response.json();
-      
-      // Validate response structure
-      if (!this.isValidLocationResponse(data)) {
-        throw new Error('Invalid response format from geolocation API');
+      if (data.status === 'success') {
+        console.log(`[GeolocationService] Located ${ip} via ${data.provider}: ${data.city}, ${data.country}`);
       }
 
-      console.log(`[GeolocationService] Located ${ip}: ${data.city}, ${data.country}`);
-      
-      return {
-        ip: ip,
-        status: data.status,
-        country: data.country || 'Unknown',
-        countryCode: data.countryCode || 'XX',
-        region: data.region || '',
-        regionName: data.regionName || '',
-        city: data.city || 'Unknown',
-        zip: data.zip || '',
-        lat: parseFloat(data.lat) || 0,
-        lon: parseFloat(data.lon) || 0,
-        timezone: data.timezone || '',
-        isp: data.isp || '',
-        org: data.org || '',
-        as: data.as || '',
-        timestamp: Date.now()
-      };
-
+      return data;
     } catch (error) {
       console.error(`[GeolocationService] Error fetching location for ${ip}:`, error.message);
-      
+
       // Throw error to trigger retry logic
       throw error;
     }
@@ -290,29 +662,7 @@ class GeolocationService {
    * @returns {boolean} - True if valid response structure
    */
   isValidLocationResponse(data) {
-    if (!data || typeof data !== 'object') {
-      return false;
-    }
-
-    // Check for required fields
-    const requiredFields = ['status'];
-    for (const field of requiredFields) {
-      if (!(field in data)) {
-        return false;
-      }
-    }
-
-    // If status is success, check for coordinate fields
-    if (data.status === 'success') {
-      if (typeof data.lat !== 'number' && typeof data.lat !== 'string') {
-        return false;
-      }
-      if (typeof data.lon !== 'number' && typeof data.lon !== 'string') {
-        return false;
-      }
-    }
-
-    return true;
+    return HttpProvider.isValidLocationResponse(data);
   }
 
   /**
@@ -348,6 +698,9 @@ class GeolocationService {
    */
   clearCache() {
     this.cache.clear();
+    this.rangeCache.clear();
+    this.rangePrefixLengths[4].clear();
+    this.rangePrefixLengths[6].clear();
     console.log('[GeolocationService] Cache cleared');
   }
 
@@ -356,12 +709,39 @@ class GeolocationService {
    * @returns {Object} - Cache statistics
    */
   getCacheStats() {
+    const { hits, rangeHits, negativeHits, misses } = this.cacheStats;
+    const lookups = hits + rangeHits + negativeHits + misses;
+
     return {
       size: this.cache.size,
-      entries: Array.from(this.cache.keys())
+      maxSize: this.cache.maxSize,
+      evictions: this.cache.evictions,
+      entries: Array.from(this.cache.keys()),
+      rangeSize: this.rangeCache.size,
+      ranges: Array.from(this.rangeCache.keys()),
+      negativeSize: this.countNegativeEntries(),
+      hits,
+      rangeHits,
+      negativeHits,
+      misses,
+      hitRate: lookups > 0 ? (hits + rangeHits) / lookups : 0
     };
   }
 
+  /**
+   * Counts cached failures
+   * @returns {number} - Number of cache entries for failed lookups
+   */
+  countNegativeEntries() {
+    let count = 0;
+    for (const entry of this.cache.values()) {
+      if (entry.status !== 'success') {
+        count++;
+      }
+    }
+    return count;
+  }
+
   /**
    * Sets rate limiting parameters
    * @param {number} delay - Delay between requests in milliseconds
@@ -388,10 +768,12 @@ class GeolocationService {
     const now = Date.now();
     let removedCount = 0;
     
-    for (const [ip, entry] of this.cache.entries()) {
-      if (entry.timestamp && (now - entry.timestamp) > this.cacheDuration) {
-        this.cache.delete(ip);
-        removedCount++;
+    for (const cache of [this.cache, this.rangeCache]) {
+      for (const [key, entry] of cache.entries()) {
+        if (this.isExpired(entry, now)) {
+          cache.delete(key);
+          removedCount++;
+        }
       }
     }
     
@@ -407,6 +789,11 @@ class GeolocationService {
    * @returns {Promise<void>}
    */
   async forceSavePersistentCache() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
     await this.savePersistentCache();
   }
 
@@ -417,16 +804,31 @@ class GeolocationService {
   getStatus() {
     return {
       cacheSize: this.cache.size,
+      negativeCacheSize: this.countNegativeEntries(),
+      cacheMaxSize: this.cache.maxSize,
+      rangeCacheSize: this.rangeCache.size,
+      cacheEvictions: this.cache.evictions,
+      cacheSaveInterval: this.saveInterval,
+      cacheSavePending: this.cacheDirty,
       queueLength: this.requestQueue.length,
       activeRequests: this.activeRequests.size,
+      inFlightLookups: this.inFlight.size,
+      coalescedRequests: this.coalescedRequests,
       isProcessingQueue: this.isProcessingQueue,
       rateLimitDelay: this.rateLimitDelay,
       maxRetries: this.maxRetries,
       retryBaseDelay: this.retryBaseDelay,
       cacheDuration: this.cacheDuration,
+      negativeCacheDuration: this.negativeCacheDuration,
       maxConcurrentRequests: this.maxConcurrentRequests,
+      batchSize: this.batchSize,
+      batchesSent: this.batchesSent,
       cacheFile: this.cacheFile,
       apiUrl: this.apiUrl,
+      providers: this.providers.getStatus(),
+      overrides: this.overrides.size,
+      overridesFile: this.overrides.file,
+      overrideHits: this.overrideHits,
       lastRequestTime: this.lastRequestTime
     };
   }
@@ -0,0 +1,151 @@
+const dns = require('dns');
+const CONFIG = require('../config');
+const LRUCache = require('../utils/LRUCache');
+
+/**
+ * HostnameResolver class for reverse DNS (PTR) lookups of destination addresses
+ * Results are cached, lookups for the same address share one query, at most
+ * maxConcurrent queries run at a time and each query is bounded by a timeout.
+ * resolve() never rejects: addresses without a usable PTR record resolve to null.
+ */
+class HostnameResolver {
+  /**
+   * @param {Object} options - Resolver options
+   * @param {Function} [options.reverse] - Reverse lookup function (ip) => Promise<string[]>, defaults to dns.promises.reverse
+   * @param {boolean} [options.enabled] - Whether lookups are made at all
+   * @param {number} [options.timeout] - Per-query timeout in milliseconds
+   * @param {number} [options.maxConcurrent] - Maximum queries in flight
+   * @param {number} [options.maxEntries] - Cache size limit
+   * @param {number} [options.cacheDuration] - Time hostnames are cached (ms)
+   * @param {number} [options.negativeCacheDuration] - Time failed lookups are cached (ms)
+   */
+  constructor(options = {}) {
+    this.reverse = options.reverse || dns.promises.reverse;
+    this.enabled = options.enabled !== undefined ? options.enabled : CONFIG.HOSTNAME_LOOKUP_ENABLED;
+    this.timeout = options.timeout || CONFIG.HOSTNAME_LOOKUP_TIMEOUT;
+    this.maxConcurrent = options.maxConcurrent || CONFIG.HOSTNAME_MAX_CONCURRENT_LOOKUPS;
+    this.cacheDuration = options.cacheDuration || CONFIG.HOSTNAME_CACHE_DURATION;
+    this.negativeCacheDuration = options.negativeCacheDuration || CONFIG.HOSTNAME_NEGATIVE_CACHE_DURATION;
+    this.cache = new LRUCache(options.maxEntries || CONFIG.HOSTNAME_CACHE_MAX_ENTRIES);
+    this.inFlight = new Map(); // IP -> pending lookup promise
+    this.queue = []; // Lookups waiting for a free slot
+    this.activeLookups = 0;
+    this.stats = { hits: 0, lookups: 0, resolved: 0, failed: 0, timeouts: 0 };
+  }
+
+  /**
+   * Resolves the hostname of an address
+   * @param {string} ip - IP address
+   * @returns {Promise<string|null>} - Hostname, or null if there is none or the lookup failed
+   */
+  resolve(ip) {
+    if (!this.enabled || !ip) {
+      return Promise.resolve(null);
+    }
+
+    const cached = this.cache.get(ip);
+    if (cached) {
+      const duration = cached.hostname ? this.cacheDuration : this.negativeCacheDuration;
+      if (Date.now() - cached.timestamp <= duration) {
+        this.stats.hits++;
+        return Promise.resolve(cached.hostname);
+      }
+      this.cache.delete(ip);
+    }
+
+    if (this.inFlight.has(ip)) {
+      return this.inFlight.get(ip);
+    }
+
+    const lookup = new Promise((resolve) => {
+      this.queue.push({ ip, resolve });
+      this.processQueue();
+    }).finally(() => {
+      this.inFlight.delete(ip);
+    });
+
+    this.inFlight.set(ip, lookup);
+    return lookup;
+  }
+
+  /**
+   * Starts queued lookups while slots are free
+   */
+  processQueue() {
+    while (this.queue.length > 0 && this.activeLookups < this.maxConcurrent) {
+      const { ip, resolve } = this.queue.shift();
+      this.activeLookups++;
+
+      this.lookup(ip).then((hostname) => {
+        this.cache.set(ip, { hostname, timestamp: Date.now() });
+        resolve(hostname);
+      }).finally(() => {
+        this.activeLookups--;
+        this.processQueue();
+      });
+    }
+  }
+
+  /**
+   * Queries the PTR record of an address
+   * @param {string} ip - IP address
+   * @returns {Promise<string|null>} - First hostname, or null on failure or timeout
+   */
+  async lookup(ip) {
+    this.stats.lookups++;
+    let timer;
+
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        this.stats.timeouts++;
+        reject(new Error(`timed out after ${this.timeout}ms`));
+      }, this.timeout);
+    });
+
+    try {
+      const hostnames = await Promise.race([this.reverse(ip), timeout]);
+      const hostname = Array.isArray(hostnames) && hostnames.length > 0 ? hostnames[0].replace(/\.$/, '') : null;
+
+      if (hostname) {
+        this.stats.resolved++;
+      } else {
+        this.stats.failed++;
+      }
+      return hostname;
+    } catch (error) {
+      // ENOTFOUND (no PTR record) is the common case and not worth a log line
+      if (error.code !== 'ENOTFOUND') {
+        console.warn(`[HostnameResolver] Reverse lookup failed for ${ip}: ${error.message}`);
+      }
+      this.stats.failed++;
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Clears the hostname cache
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * Gets resolver status and statistics
+   * @returns {Object} - Resolver status
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      cacheSize: this.cache.size,
+      activeLookups: this.activeLookups,
+      queuedLookups: this.queue.length,
+      maxConcurrent: this.maxConcurrent,
+      timeout: this.timeout,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = HostnameResolver;
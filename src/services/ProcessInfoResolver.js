@@ -0,0 +1,324 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const CONFIG = require('../config');
+const LRUCache = require('../utils/LRUCache');
+
+// ps row of user, ppid, lstart (e.g. "Mon Oct 19 09:12:01 2026") and then comm and args, which may both contain spaces
+const PS_ROW_REGEX = /^\s*(\S+)\s+(\d+)\s+(\w+\s+\w+\s+\d+\s+[\d:]+\s+\d+)\s+(.*)$/;
+
+/**
+ * ProcessInfoResolver class for the user, executable path, command line and application of a process
+ * Reads /proc on Linux and runs `ps` elsewhere. Results are cached by PID and process start
+ * time, so a PID reused by a new process is never given the old process's details. Checking the
+ * start time costs a read (a ps call outside Linux), so a PID resolved within the last
+ * cacheDuration is trusted without one.
+ * The application is found by walking up the parent chain: helpers and child processes belong to
+ * their topmost ancestor below a session root such as launchd, systemd, sshd or a shell.
+ * resolve() never rejects: processes that have exited or cannot be inspected resolve to null.
+ */
+class ProcessInfoResolver {
+  /**
+   * @param {Object} options - Resolver options
+   * @param {string} [options.platform] - Value of process.platform
+   * @param {string} [options.procRoot] - Linux procfs mount
+   * @param {string} [options.passwdFile] - File mapping uids to user names on Linux
+   * @param {Function} [options.execFile] - child_process.execFile compatible function used to run ps
+   * @param {number} [options.maxEntries] - Cache size limit
+   * @param {number} [options.cacheDuration] - How long a PID's details are used without checking its start time (ms)
+   * @param {string[]} [options.rootProcesses] - Process names that end the walk up the parent chain
+   */
+  constructor(options = {}) {
+    this.platform = options.platform || process.platform;
+    this.procRoot = options.procRoot || CONFIG.PROC_ROOT;
+    this.passwdFile = options.passwdFile || '/etc/passwd';
+    this.execFile = options.execFile || execFile;
+    this.cache = new LRUCache(options.maxEntries || CONFIG.PROCESS_INFO_CACHE_MAX_ENTRIES);
+    this.cacheDuration = options.cacheDuration || CONFIG.PROCESS_INFO_CACHE_DURATION;
+    this.pidCache = new LRUCache(options.maxEntries || CONFIG.PROCESS_INFO_CACHE_MAX_ENTRIES); // PID -> { info, timestamp }
+    this.rootProcesses = new Set(options.rootProcesses || CONFIG.PROCESS_TREE_ROOTS);
+    this.inFlight = new Map(); // PID -> pending lookup promise
+    this.userNamesPromise = null; // Resolves to uid -> user name, read once from passwdFile
+    this.stats = { hits: 0, lookups: 0, failed: 0 };
+  }
+
+  /**
+   * Resolves the details of a process
+   * @param {number} pid - Process ID
+   * @param {number} [depth] - Number of descendants already walked through (used for parents)
+   * @returns {Promise<Object|null>} - Object with pid, ppid, name, user, exe, cmdline, startTime and application, or null
+   */
+  resolve(pid, depth = 0) {
+    if (!Number.isInteger(pid) || pid <= 0) {
+      return Promise.resolve(null);
+    }
+
+    if (this.inFlight.has(pid)) {
+      return this.inFlight.get(pid);
+    }
+
+    const lookup = this.lookup(pid, depth)
+      .catch(() => {
+        this.stats.failed++;
+        return null;
+      })
+      .finally(() => {
+        this.inFlight.delete(pid);
+      });
+
+    this.inFlight.set(pid, lookup);
+    return lookup;
+  }
+
+  /**
+   * Reads the start time of a process and, on Linux, its details unless they are cached
+   * @param {number} pid - Process ID
+   * @param {number} depth - Number of descendants already walked through
+   * @returns {Promise<Object>} - Process details
+   */
+  async lookup(pid, depth) {
+    const recent = this.pidCache.get(pid);
+    if (recent && Date.now() - recent.timestamp < this.cacheDuration) {
+      this.stats.hits++;
+      return recent.info;
+    }
+
+    const identity = await this.readIdentity(pid);
+    const key = `${pid}:${identity.startTime}`;
+
+    const cached = this.cache.get(key);
+    if (cached) {
+      this.stats.hits++;
+      this.pidCache.set(pid, { info: cached, timestamp: Date.now() });
+      return cached;
+    }
+
+    this.stats.lookups++;
+    // ps reports every detail with the start time, so only /proc needs a second read
+    const details = this.platform === 'linux' ? await this.readProcDetails(pid) : null;
+
+    const info = { pid, ...identity, ...details };
+    info.application = await this.resolveApplication(info, depth);
+    this.cache.set(key, info);
+    this.pidCache.set(pid, { info, timestamp: Date.now() });
+    return info;
+  }
+
+  /**
+   * Reads when a process started, with its name and parent from the same file on Linux
+   * and with all of its details from the same ps call elsewhere
+   * @param {number} pid - Process ID
+   * @returns {Promise<Object>} - Object with startTime (clock ticks since boot on Linux, as printed by ps
+   *   elsewhere), name and ppid, plus user, exe and cmdline from ps
+   * @throws {Error} - If the process does not exist
+   */
+  async readIdentity(pid) {
+    if (this.platform === 'linux') {
+      const stat = await fs.readFile(path.join(this.procRoot, String(pid), 'stat'), 'utf8');
+      // The command name in parentheses may contain spaces; fields after it are space separated
+      const nameEnd = stat.lastIndexOf(')');
+      const fields = stat.slice(nameEnd + 2).split(' ');
+      return {
+        startTime: fields[19], // Field 22, starttime
+        name: stat.slice(stat.indexOf('(') + 1, nameEnd),
+        ppid: parseInt(fields[1], 10) // Field 4
+      };
+    }
+
+    return this.readPsDetails(pid);
+  }
+
+  /**
+   * Finds the application a process belongs to
+   * A process started by a session root is an application of its own; any other process belongs
+   * to its parent's application, so Chrome helpers roll up into Chrome and VS Code's node children into VS Code
+   * @param {Object} info - Process details with pid, ppid, name and exe
+   * @param {number} depth - Number of descendants already walked through
+   * @returns {Promise<string>} - Application name
+   */
+  async resolveApplication(info, depth) {
+    if (this.isRootProcess(info) || depth >= CONFIG.PROCESS_TREE_MAX_DEPTH || !(info.ppid > 1)) {
+      return this.getApplicationName(info);
+    }
+
+    const parent = await this.resolve(info.ppid, depth + 1);
+    if (!parent || this.isRootProcess(parent)) {
+      return this.getApplicationName(info);
+    }
+    return parent.application;
+  }
+
+  /**
+   * Checks whether a process starts applications rather than belonging to one (init, session managers, shells)
+   * @param {Object} info - Process details with name
+   * @returns {boolean} - True if the name is in the root process list
+   */
+  isRootProcess(info) {
+    // Login shells are named with a leading dash, e.g. -zsh
+    return Boolean(info.name) && this.rootProcesses.has(info.name.replace(/^-/, ''));
+  }
+
+  /**
+   * Gets the display name of an application from its top process
+   * @param {Object} info - Process details with name and exe
+   * @returns {string|null} - Name of the outermost macOS .app bundle, else the executable file name, else the process name
+   */
+  getApplicationName(info) {
+    if (info.exe) {
+      const bundle = info.exe.match(/\/([^/]+)\.app\//);
+      return bundle ? bundle[1] : path.basename(info.exe);
+    }
+    return info.name || null;
+  }
+
+  /**
+   * Reads process details from /proc
+   * @param {number} pid - Process ID
+   * @returns {Promise<Object>} - Object with user, exe and cmdline (null where not readable)
+   */
+  async readProcDetails(pid) {
+    const dir = path.join(this.procRoot, String(pid));
+    const [status, exe, cmdline] = await Promise.all([
+      fs.readFile(path.join(dir, 'status'), 'utf8').catch(() => ''),
+      // Reading another user's exe link needs root
+      fs.readlink(path.join(dir, 'exe')).catch(() => null),
+      fs.readFile(path.join(dir, 'cmdline'), 'utf8').catch(() => '')
+    ]);
+
+    const uidMatch = status.match(/^Uid:\s+(\d+)/m);
+
+    return {
+      user: uidMatch ? await this.getUserName(uidMatch[1]) : null,
+      exe: exe ? exe.replace(/ \(deleted\)$/, '') : null,
+      cmdline: cmdline.split('\0').filter(Boolean).join(' ') || null
+    };
+  }
+
+  /**
+   * Reads process details with a single ps call
+   * @param {number} pid - Process ID
+   * @returns {Promise<Object>} - Object with startTime, name, ppid, user, exe and cmdline
+   * @throws {Error} - If the process does not exist or ps prints an unexpected row
+   */
+  async readPsDetails(pid) {
+    const output = await this.runPs(pid, 'user=,ppid=,lstart=,comm=,args=');
+    if (!output) {
+      throw new Error(`No process ${pid}`);
+    }
+
+    const match = output.match(PS_ROW_REGEX);
+    if (!match) {
+      throw new Error(`Unexpected ps output for ${pid}`);
+    }
+
+    const [, user, ppid, startTime, command] = match;
+    const { exe, cmdline } = this.splitPsCommand(command);
+
+    return {
+      startTime: startTime.replace(/\s+/g, ' '),
+      name: path.basename(exe),
+      ppid: parseInt(ppid, 10),
+      user,
+      exe,
+      cmdline: cmdline || null
+    };
+  }
+
+  /**
+   * Splits the comm and args columns of a ps row
+   * Both may contain spaces, but args starts with argv[0], which is the executable path (comm on
+   * macOS) or at least the executable's file name, so the split is the first space followed by it
+   * @param {string} command - comm and args separated by a space
+   * @returns {Object} - Object with exe (comm) and cmdline (args)
+   */
+  splitPsCommand(command) {
+    for (let index = command.indexOf(' '); index !== -1; index = command.indexOf(' ', index + 1)) {
+      const exe = command.slice(0, index);
+      const cmdline = command.slice(index + 1);
+      if (cmdline.startsWith(exe) || cmdline.startsWith(path.basename(exe))) {
+        return { exe, cmdline };
+      }
+    }
+
+    // argv[0] was rewritten (e.g. "nginx: worker process"); assume a comm without spaces
+    const index = command.indexOf(' ');
+    return index === -1
+      ? { exe: command, cmdline: '' }
+      : { exe: command.slice(0, index), cmdline: command.slice(index + 1) };
+  }
+
+  /**
+   * Runs ps for one process
+   * @param {number} pid - Process ID
+   * @param {string} columns - ps -o columns with empty headers, e.g. 'user=,ppid='
+   * @returns {Promise<string>} - Trimmed output, empty if the process does not exist
+   */
+  runPs(pid, columns) {
+    return new Promise((resolve, reject) => {
+      this.execFile('ps', ['-ww', '-p', String(pid), '-o', columns], (error, stdout) => {
+        // ps exits with 1 when the process does not exist
+        if (error && error.code !== 1) {
+          reject(error);
+          return;
+        }
+        resolve(String(stdout || '').trim());
+      });
+    });
+  }
+
+  /**
+   * Maps a uid to a user name using the passwd file
+   * @param {string} uid - Numeric user ID
+   * @returns {Promise<string>} - User name, or the uid if it has none
+   */
+  async getUserName(uid) {
+    // Concurrent lookups share one read, so none sees a half-loaded map
+    if (!this.userNamesPromise) {
+      this.userNamesPromise = this.loadUserNames();
+    }
+
+    const userNames = await this.userNamesPromise;
+    return userNames.get(uid) || uid;
+  }
+
+  /**
+   * Reads the passwd file
+   * @returns {Promise<Map>} - uid -> user name (first entry wins), empty if the file cannot be read
+   */
+  async loadUserNames() {
+    const userNames = new Map();
+    try {
+      const passwd = await fs.readFile(this.passwdFile, 'utf8');
+      for (const line of passwd.split('\n')) {
+        const [name, , id] = line.split(':');
+        if (name && id && !userNames.has(id)) {
+          userNames.set(id, name);
+        }
+      }
+    } catch (error) {
+      console.warn(`[ProcessInfoResolver] Failed to read ${this.passwdFile}: ${error.message}`);
+    }
+    return userNames;
+  }
+
+  /**
+   * Clears the process cache
+   */
+  clearCache() {
+    this.cache.clear();
+    this.pidCache.clear();
+  }
+
+  /**
+   * Gets resolver status and statistics
+   * @returns {Object} - Resolver status
+   */
+  getStatus() {
+    return {
+      cacheSize: this.cache.size,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = ProcessInfoResolver;
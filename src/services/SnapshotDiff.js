@@ -0,0 +1,82 @@
+/**
+ * SnapshotDiff class for comparing consecutive snapshots of periodic collectors
+ * A snapshot is the complete set of open connections, so a connection is new exactly when it
+ * was missing from the previous snapshot and closed exactly when it is missing from the current
+ * one. Connections are keyed by transport, 5-tuple and PID; the same socket reported twice in a
+ * snapshot (for example once per file descriptor) counts once.
+ */
+class SnapshotDiff {
+  constructor() {
+    this.previous = new Map(); // Key -> connection from the latest snapshot
+    this.snapshots = 0;
+    this.lastDiff = null;
+  }
+
+  /**
+   * Builds the key identifying a connection across snapshots
+   * @param {Object} connection - Connection with protocol, sourceIP, sourcePort, destIP, destPort and pid
+   * @returns {string} - Key such as tcp:192.168.1.100:50000->1.2.3.4:443#812 (no PID: trailing #)
+   */
+  static getKey(connection) {
+    // QUIC is classified by port only; the socket is UDP either way
+    const transport = connection.protocol === 'tcp' ? 'tcp' : 'udp';
+    const pid = Number.isInteger(connection.pid) ? connection.pid : '';
+    return `${transport}:${connection.sourceIP}:${connection.sourcePort}->${connection.destIP}:${connection.destPort}#${pid}`;
+  }
+
+  /**
+   * Compares a snapshot with the previous one and makes it the new baseline
+   * @param {Object[]} connections - Complete set of connections from the collector, normalized
+   * @returns {Object} - { added, removed, unchanged } arrays of connections; removed entries are
+   *   the objects from the previous snapshot, the others are from this one
+   */
+  update(connections) {
+    const current = new Map();
+    const added = [];
+    const unchanged = [];
+
+    for (const connection of connections) {
+      const key = SnapshotDiff.getKey(connection);
+      if (current.has(key)) {
+        continue;
+      }
+
+      current.set(key, connection);
+      (this.previous.has(key) ? unchanged : added).push(connection);
+    }
+
+    const removed = [];
+    for (const [key, connection] of this.previous) {
+      if (!current.has(key)) {
+        removed.push(connection);
+      }
+    }
+
+    this.previous = current;
+    this.snapshots++;
+    this.lastDiff = { added: added.length, removed: removed.length, unchanged: unchanged.length };
+    return { added, removed, unchanged };
+  }
+
+  /**
+   * Forgets the previous snapshot, so every connection of the next one is added
+   */
+  reset() {
+    this.previous.clear();
+    this.lastDiff = null;
+  }
+
+  /**
+   * Gets diff status
+   * @returns {Object} - Connections in the baseline, snapshots compared and counts of the latest diff
+   */
+  getStatus() {
+    return {
+      connections: this.previous.size,
+      snapshots: this.snapshots,
+      lastDiff: this.lastDiff
+    };
+  }
+}
+
+module.exports = SnapshotDiff;
@@ -1,18 +1,33 @@
-const { spawn } = require('child_process');
 const EventEmitter = require('events');
 const CONFIG = require('../config');
 const IPFilter = require('../utils/IPFilter');
 const ProcessColorizer = require('../utils/ProcessColorizer');
+const CollectorRegistry = require('../collectors/CollectorRegistry');
+const BandwidthTracker = require('./BandwidthTracker');
+const ContainerResolver = require('./ContainerResolver');
+const ProcessInfoResolver = require('./ProcessInfoResolver');
+const SnapshotDiff = require('./SnapshotDiff');
 
 /**
- * TrafficMonitor class for spawning and managing nettop subprocess
- * to monitor network traffic and extract destination IP addresses
+ * TrafficMonitor class for running a connection collector (lsof, nettop, /proc, ss, pcap)
+ * and turning its output into deduplicated, classified traffic events
+ * Each batch from the collector first has its processes resolved, so helpers are classified,
+ * filtered, logged and grouped under the application they belong to rather than their own name.
  */
 class TrafficMonitor extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
-    this.nettopProcess = null;
     this.isRunning = false;
+    this.platform = options.platform || process.platform;
+    this.registry = options.registry || CollectorRegistry.createDefault();
+    this.collectorName = options.collector || CONFIG.COLLECTOR;
+    this.collectorOptions = {
+      procRoot: options.procRoot,
+      ...options.collectorOptions
+    };
+    this.collector = null;
+    this.collectorCandidates = [];
+    this.parsers = new Map();
     this.ipFilter = new IPFilter();
     this.processColorizer = new ProcessColorizer();
     this.restartAttempts = 0;
@@ -26,10 +41,30 @@ class TrafficMonitor extends EventEmitter {
     this.cleanupInterval = null;
     this.ipCacheTimeout = 10000; // 10 seconds cache timeout for more real-time display
     this.connectionCacheTimeout = 5000; // 5 seconds connection cache timeout for real-time
+
+    // Public connections of the previous snapshot; for snapshot collectors a connection is new when the diff adds it
+    this.snapshotDiff = new SnapshotDiff();
+    
+    // Connection lifecycle tracking (opened -> active... -> closed)
+    this.activeConnections = new Map(); // Open public connections by connection key
+    this.lifecycleInterval = null;
+    this.connectionActiveInterval = CONFIG.CONNECTION_ACTIVE_INTERVAL;
+    this.connectionIdleTimeout = CONFIG.CONNECTION_IDLE_TIMEOUT;
+
+    // Listening sockets from the latest snapshot, by protocol:address:port
+    this.listeningSockets = new Map();
+
+    // Byte and packet counters from collectors with hasByteCounts
+    this.bandwidth = new BandwidthTracker();
+    this.containers = options.containerResolver || new ContainerResolver({ platform: this.platform, procRoot: options.procRoot });
+    this.processInfo = options.processInfoResolver || new ProcessInfoResolver({ platform: this.platform, procRoot: options.procRoot });
+
+    // Batches wait for their process lookups in order, so a slow lookup never lets a newer snapshot overtake an older one
+    this.processing = Promise.resolve();
   }
 
   /**
-   * Starts the network traffic monitoring - tries nettop first, falls back to lsof
+   * Starts the network traffic monitoring using the configured collector
    */
   start() {
     if (this.isRunning) {
@@ -45,172 +80,154 @@ class TrafficMonitor extends EventEmitter {
       
       // Start cleanup interval for cache management
       this.startCleanupInterval();
+      this.startLifecycleInterval();
+      this.containers.start();
       
-      // Try continuous monitoring first (nettop), fall back to periodic (lsof)
-      this.tryStartContinuousMonitoring();
+      // Try the configured collector first, then the platform defaults
+      this.collectorCandidates = this.resolveCollectorNames();
+      if (!this.startNextCollector()) {
+        throw new Error(`No usable connection collector for platform ${this.platform}`);
+      }
 
       console.log('[TrafficMonitor] Network monitoring started successfully');
       this.emit('started');
 
     } catch (error) {
       console.error('[TrafficMonitor] Failed to start:', error.message);
+      this.stopCleanupInterval();
+      this.stopLifecycleInterval();
+      this.containers.stop();
       this.isRunning = false;
       this.emit('error', error);
     }
   }
 
   /**
-   * Tries to start continuous monitoring, falls back to periodic if needed
+   * Resolves the ordered list of collectors to try
+   * @returns {string[]} - Collector names, preferred first
    */
-  tryStartContinuousMonitoring() {
-    // nettop doesn't provide the connection details we need, so use lsof directly
-    console.log('[TrafficMonitor] Using lsof for real-time connection monitoring...');
-    this.startPeriodicMonitoring();
+  resolveCollectorNames() {
+    const defaults = CONFIG.COLLECTOR_DEFAULTS[this.platform] || CONFIG.COLLECTOR_DEFAULTS.default;
+
+    if (this.collectorName && this.collectorName !== 'auto') {
+      return [this.collectorName, ...defaults.filter(name => name !== this.collectorName)];
+    }
+
+    return [...defaults];
   }
 
   /**
-   * Starts continuous real-time monitoring using nettop for live traffic capture
+   * Starts the next usable collector from the candidate list
+   * @returns {boolean} - True if a collector was started
    */
-  startContinuousMonitoring() {
-    if (!this.isRunning) return;
+  startNextCollector() {
+    while (this.collectorCandidates.length > 0) {
+      const name = this.collectorCandidates.shift();
+
+      if (!this.registry.has(name)) {
+        console.warn(`[TrafficMonitor] Unknown collector "${name}", skipping`);
+        continue;
+      }
+
+      const collector = this.registry.create(name, this.collectorOptions);
+      if (!collector.isSupported(this.platform)) {
+        console.log(`[TrafficMonitor] ${name} collector is not supported on ${this.platform}, skipping`);
+        continue;
+      }
+
+      console.log(`[TrafficMonitor] Using ${name} collector (${collector.capabilities.mode} mode)...`);
+      if (!collector.capabilities.hasByteCounts) {
+        this.warnNoByteCounts(collector);
+      }
+      this.attachCollector(collector);
+      collector.start();
+      return true;
+    }
 
-    console.log('[TrafficMonitor] Starting continuous nettop monitoring...');
+    return false;
+  }
 
-    // Use nettop for continuous real-time monitoring
-    // -P: Don't resolve port names, -l 0: Continuous logging, -n: No name resolution
-    this.nettopProcess = spawn('nettop', ['-P', '-n', '-l', '0'], {
-      stdio: ['pipe', 'pipe', 'pipe']
+  /**
+   * Explains that bandwidth stats stay empty with a collector that has no byte counters
+   * @param {BaseCollector} collector - Collector without hasByteCounts
+   */
+  warnNoByteCounts(collector) {
+    const alternatives = this.registry.getNames().filter((name) => {
+      const candidate = this.registry.create(name, this.collectorOptions);
+      return candidate.capabilities.hasByteCounts && candidate.isSupported(this.platform);
     });
+    const hint = alternatives.length > 0 ? `; set COLLECTOR to ${alternatives.map(name => `'${name}'`).join(' or ')} for them` : '';
 
-    let outputBuffer = '';
-    let hasReceivedData = false;
+    console.log(`[TrafficMonitor] The ${collector.name} collector has no byte counters, so bandwidth stats stay empty${hint}`);
+  }
 
-    this.nettopProcess.stdout.on('data', (data) => {
-      hasReceivedData = true;
-      outputBuffer += data.toString();
-      
-      // Process complete lines
-      const lines = outputBuffer.split('\n');
-      outputBuffer = lines.pop() || ''; // Keep incomplete line in buffer
-      
-      if (lines.length > 0) {
-        this.parseTrafficData(lines.join('\n'));
-      }
+  /**
+   * Wires a collector's events into the shared processing pipeline
+   * @param {BaseCollector} collector - Collector instance
+   */
+  attachCollector(collector) {
+    this.collector = collector;
+
+    collector.on('snapshot', (connections) => {
+      this.handleConnections(connections);
     });
 
-    this.nettopProcess.stderr.on('data', (data) => {
-      const errorMsg = data.toString().trim();
-      if (errorMsg && !errorMsg.includes('nettop:') && !errorMsg.includes('Sampling')) {
-        console.error(`[TrafficMonitor] nettop stderr: ${errorMsg}`);
-        
-        // If we get permission errors, fall back to lsof
-        if (errorMsg.includes('Permission') || errorMsg.includes('denied')) {
-          console.log('[TrafficMonitor] nettop permission denied, falling back to lsof...');
-          this.nettopProcess.kill();
-          this.startPeriodicMonitoring();
-          return;
-        }
-      }
+    collector.on('connections', (connections) => {
+      this.handleConnections(connections, { streaming: true });
     });
 
-    this.nettopProcess.on('close', (code) => {
-      console.log(`[TrafficMonitor] nettop process closed with code ${code}`);
-      
-      // If nettop closes immediately without receiving data, fall back to lsof
-      if (!hasReceivedData && code === 0) {
-        console.log('[TrafficMonitor] nettop closed immediately, likely needs sudo. Falling back to lsof...');
-        this.startPeriodicMonitoring();
-        return;
-      }
-      
-      if (this.isRunning && this.restartAttempts < this.maxRestartAttempts) {
-        console.log('[TrafficMonitor] Attempting to restart nettop...');
-        this.attemptRestart();
-      } else if (code !== 0) {
-        console.log('[TrafficMonitor] nettop failed, falling back to lsof...');
-        this.startPeriodicMonitoring();
-      }
+    collector.on('warning', (message) => {
+      console.error(`[TrafficMonitor] ${message}`);
     });
 
-    this.nettopProcess.on('error', (error) => {
-      console.error('[TrafficMonitor] nettop error:', error.message);
-      
-      if (error.code === 'ENOENT') {
-        console.log('[TrafficMonitor] nettop not found, falling back to lsof...');
-        this.startPeriodicMonitoring();
-      } else if (error.code === 'EACCES') {
-        console.log('[TrafficMonitor] nettop permission denied, falling back to lsof...');
-        this.startPeriodicMonitoring();
-      } else {
-        console.log('[TrafficMonitor] nettop failed, falling back to lsof...');
-        this.startPeriodicMonitoring();
-      }
+    collector.on('unavailable', (error) => {
+      this.handleCollectorUnavailable(collector, error);
     });
 
-    // Set a timeout to check if nettop is working
-    setTimeout(() => {
-      if (!hasReceivedData && this.nettopProcess && !this.nettopProcess.killed) {
-        console.log('[TrafficMonitor] nettop timeout - no data received, falling back to lsof...');
-        this.nettopProcess.kill();
-        this.startPeriodicMonitoring();
+    collector.on('exit', (code) => {
+      console.log(`[TrafficMonitor] ${collector.name} process closed with code ${code}`);
+      if (this.isRunning && collector === this.collector) {
+        this.attemptRestart();
       }
-    }, 3000); // 3 second timeout
+    });
+
+    collector.on('end', () => {
+      console.log(`[TrafficMonitor] ${collector.name} collector finished`);
+    });
   }
 
   /**
-   * Starts periodic monitoring using lsof as fallback
+   * Stops the current collector and removes its listeners
    */
-  startPeriodicMonitoring() {
-    if (!this.isRunning) return;
-
-    console.log('[TrafficMonitor] Starting periodic lsof monitoring (fallback mode)...');
-
-    const runLsof = () => {
-      if (!this.isRunning) return;
-
-      const lsofProcess = spawn('lsof', ['-i', '-P', '-n'], {
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
-
-      let outputData = '';
+  detachCollector() {
+    if (!this.collector) {
+      return;
+    }
 
-      lsofProcess.stdout.on('data', (data) => {
-        outputData += data.toString();
-      });
+    const collector = this.collector;
+    this.collector = null;
+    collector.removeAllListeners();
+    collector.stop();
+  }
 
-      lsofProcess.stderr.on('data', (data) => {
-        const errorMsg = data.toString().trim();
-        if (errorMsg && !errorMsg.includes('lsof: WARNING')) {
-          console.error(`[TrafficMonitor] lsof stderr: ${errorMsg}`);
-        }
-      });
+  /**
+   * Falls back to the next collector when the current one cannot run
+   * @param {BaseCollector} collector - Collector that became unavailable
+   * @param {Error} error - Reason reported by the collector
+   */
+  handleCollectorUnavailable(collector, error) {
+    if (collector !== this.collector || !this.isRunning) {
+      return;
+    }
 
-      lsofProcess.on('close', (code) => {
-        if (code === 0 && outputData) {
-          this.parseConnectionData(outputData);
-        }
-        
-        // Schedule next monitoring cycle with shorter interval for more real-time feel
-        if (this.isRunning) {
-          setTimeout(runLsof, 500); // Check every 500ms for more responsive monitoring
-        }
-      });
+    console.error(`[TrafficMonitor] ${collector.name} collector unavailable: ${error.message}`);
+    this.detachCollector();
 
-      lsofProcess.on('error', (error) => {
-        console.error('[TrafficMonitor] lsof error:', error.message);
-        
-        if (error.code === 'ENOENT') {
-          this.emit('error', new Error('lsof command not found. This tool requires lsof to be installed.'));
-        } else {
-          // Retry after a delay
-          if (this.isRunning) {
-            setTimeout(runLsof, 2000);
-          }
-        }
-      });
-    };
+    if (this.startNextCollector()) {
+      return;
+    }
 
-    runLsof();
+    this.emit('error', error);
   }
 
   /**
@@ -225,20 +242,26 @@ class TrafficMonitor extends EventEmitter {
     console.log('[TrafficMonitor] Stopping network traffic monitoring...');
     this.isRunning = false;
     
+    this.detachCollector();
+    this.collectorCandidates = [];
+    
     // Clear cleanup interval
-    if (this.cleanupInterval) {
-      clearInterval(this.cleanupInterval);
-      this.cleanupInterval = null;
-    }
+    this.stopCleanupInterval();
+    this.stopLifecycleInterval();
+    this.containers.stop();
     
     // Clear caches
     this.processedIPs.clear();
     this.connectionStates.clear();
     this.ipLastSeen.clear();
+    this.snapshotDiff.reset();
+    this.activeConnections.clear();
+    this.listeningSockets.clear();
+    this.bandwidth.clearConnections();
   }
 
   /**
-   * Attempts to restart the nettop process with exponential backoff
+   * Restarts a stream collector that exited, with exponential backoff
    */
   attemptRestart() {
     this.restartAttempts++;
@@ -247,129 +270,405 @@ class TrafficMonitor extends EventEmitter {
     console.log(`[TrafficMonitor] Attempting restart ${this.restartAttempts}/${this.maxRestartAttempts} in ${delay}ms`);
     
     setTimeout(() => {
+      if (!this.isRunning || !this.collector) {
+        return;
+      }
+
       if (this.restartAttempts <= this.maxRestartAttempts) {
-        this.start();
+        this.collector.start();
       } else {
         console.error('[TrafficMonitor] Max restart attempts reached');
-        this.emit('error', new Error('Failed to restart nettop after multiple attempts'));
+        this.emit('error', new Error(`Failed to restart ${this.collector.name} after multiple attempts`));
       }
     }, delay);
   }
 
   /**
-   * Parses lsof output to extract connection information with deduplication
+   * Gets a cached collector instance used only for parsing raw output
+   * @param {string} name - Collector name
+   * @returns {BaseCollector} - Collector instance
+   */
+  getParser(name) {
+    if (!this.parsers.has(name)) {
+      this.parsers.set(name, this.registry.create(name, this.collectorOptions));
+    }
+    return this.parsers.get(name);
+  }
+
+  /**
+   * Feeds raw lsof output through the processing pipeline
    * @param {string} data - Raw lsof output data
    */
   parseConnectionData(data) {
     try {
-      const lines = data.split('\n').filter(line => line.trim());
-      const currentConnections = new Set();
-      let newConnectionsCount = 0;
-      let duplicatesFiltered = 0;
-      
-      console.log(`[TrafficMonitor] Processing ${lines.length} lines from lsof`);
-      
-      for (const line of lines) {
-        // Skip header lines and empty lines
-        if (line.includes('COMMAND') || line.includes('PID') || !line.trim()) {
-          continue;
-        }
-
-        // Parse lsof output format
-        const connectionData = this.parseLsofLine(line);
-        
-        if (connectionData && connectionData.destIP) {
-          // Create unique connection key for state tracking
-          const connectionKey = `${connectionData.processName}:${connectionData.sourceIP}:${connectionData.sourcePort}->${connectionData.destIP}:${connectionData.destPort}`;
-          currentConnections.add(connectionKey);
-          
-          // Filter out private/local IPs first
-          if (this.ipFilter.isPrivateIP(connectionData.destIP)) {
-            continue;
-          }
-          
-          // Check if this is a new connection we haven't processed recently
-          if (this.isNewConnection(connectionKey, connectionData.destIP)) {
-            // Enhance connection data with process classification
-            const enhancedConnectionData = this.enhanceConnectionData(connectionData);
-            
-            console.log(`[TrafficMonitor] New connection: ${enhancedConnectionData.processName} (${enhancedConnectionData.processType}) -> ${enhancedConnectionData.destIP}:${enhancedConnectionData.destPort}`);
-            
-            // Update tracking state
-            this.updateConnectionState(connectionKey, connectionData.destIP);
-            
-            // Emit traffic event for new connections only
-            this.emit('traffic', enhancedConnectionData);
-            newConnectionsCount++;
-          } else {
-            duplicatesFiltered++;
-          }
-        }
-      }
-      
-      // Clean up stale connections that are no longer active
-      this.cleanupStaleConnections(currentConnections);
-      
-      if (newConnectionsCount > 0 || duplicatesFiltered > 0) {
-        console.log(`[TrafficMonitor] Processed: ${newConnectionsCount} new connections, ${duplicatesFiltered} duplicates filtered`);
-      }
+      this.processConnections(this.getParser('lsof').parseOutput(data));
     } catch (error) {
       console.error('[TrafficMonitor] Error parsing connection data:', error.message);
     }
   }
 
   /**
-   * Parses nettop output to extract destination IP addresses with real-time processing
+   * Feeds raw nettop output through the processing pipeline
    * @param {string} data - Raw nettop output data
    */
   parseTrafficData(data) {
     try {
-      const lines = data.split('\n').filter(line => line.trim());
-      let newConnectionsCount = 0;
-      let duplicatesFiltered = 0;
-      
-      for (const line of lines) {
-        // Skip header lines and empty lines
-        if (line.includes('time') || line.includes('---') || line.includes('Sampling') || !line.trim()) {
-          continue;
-        }
+      this.processConnections(this.getParser('nettop').parseOutput(data), { streaming: true });
+    } catch (error) {
+      console.error('[TrafficMonitor] Error parsing traffic data:', error.message);
+    }
+  }
 
-        // Parse nettop output format
-        const trafficData = this.parseNettopLine(line);
-        
-        if (trafficData && trafficData.destIP) {
-          // Filter out private/local IPs first
-          if (this.ipFilter.isPrivateIP(trafficData.destIP)) {
-            continue;
-          }
-          
-          // Create connection key for deduplication
-          const connectionKey = `${trafficData.processName}:${trafficData.sourceIP}:${trafficData.sourcePort}->${trafficData.destIP}:${trafficData.destPort}`;
-          
-          // For nettop, be less aggressive with deduplication since it's real-time
-          if (this.isNewConnectionForRealTime(connectionKey, trafficData.destIP)) {
-            // Enhance traffic data with process classification
-            const enhancedTrafficData = this.enhanceConnectionData(trafficData);
-            
-            console.log(`[TrafficMonitor] Real-time connection: ${enhancedTrafficData.processName} (${enhancedTrafficData.processType}) -> ${enhancedTrafficData.destIP}:${enhancedTrafficData.destPort}`);
-            
-            // Update tracking state
-            this.updateConnectionState(connectionKey, trafficData.destIP);
-            
-            // Emit traffic event
-            this.emit('traffic', enhancedTrafficData);
-            newConnectionsCount++;
-          } else {
-            duplicatesFiltered++;
-          }
+  /**
+   * Resolves the applications of a collector batch and then processes it, after any earlier batch
+   * @param {Object[]} connections - Connections reported by a collector
+   * @param {Object} options - Processing options, as for processConnections
+   * @returns {Promise} - Resolves once the batch has been processed
+   */
+  handleConnections(connections, options = {}) {
+    this.processing = this.processing
+      .then(() => this.resolveApplications(connections))
+      .then((resolved) => {
+        if (this.isRunning) {
+          this.processConnections(resolved, options);
         }
+      })
+      .catch((error) => {
+        console.error('[TrafficMonitor] Error processing connections:', error.message);
+      });
+
+    return this.processing;
+  }
+
+  /**
+   * Adds the application each connection's process belongs to
+   * Lookups are cached by the resolver, so only processes not seen before cost a read
+   * @param {Object[]} connections - Connections and listening sockets reported by a collector
+   * @returns {Promise<Object[]>} - The same entries, with application where their process could be resolved
+   */
+  async resolveApplications(connections) {
+    const pids = Array.from(new Set(connections
+      .filter(connection => connection && Number.isInteger(connection.pid))
+      .map(connection => connection.pid)));
+    const processInfos = await Promise.all(pids.map(pid => this.processInfo.resolve(pid)));
+    const applications = new Map();
+
+    pids.forEach((pid, index) => {
+      if (processInfos[index] && processInfos[index].application) {
+        applications.set(pid, processInfos[index].application);
       }
+    });
+
+    return connections.map(connection => (connection && applications.has(connection.pid)
+      ? { ...connection, application: applications.get(connection.pid) }
+      : connection));
+  }
+
+  /**
+   * Runs connections from any collector through filtering, deduplication and
+   * classification, emitting traffic events for new connections
+   * Connections are classified, filtered and logged by application, falling back to the process
+   * name for connections handleConnections could not resolve
+   * Snapshots are compared with the previous snapshot: connections it lacked are new, connections
+   * missing from it are closed, and the diff is emitted as snapshotDiff
+   * @param {Object[]} connections - Connections reported by a collector
+   * @param {Object} options - Processing options
+   * @param {boolean} [options.streaming] - True for incremental batches from stream collectors;
+   *   uses time-based real-time deduplication and skips stale-connection cleanup
+   */
+  processConnections(connections, options = {}) {
+    const streaming = options.streaming === true;
+    const now = Date.now();
+    const currentConnections = new Set();
+    const publicConnections = [];
+    let newConnectionsCount = 0;
+    let duplicatesFiltered = 0;
+
+    // Listeners first, so connections in the same snapshot are classified against them
+    if (!streaming) {
+      this.updateListeningSockets(connections.filter(connection => connection && connection.listening));
+    }
+
+    for (const rawConnection of connections) {
+      if (!rawConnection || rawConnection.listening || !rawConnection.destIP) {
+        continue;
+      }
+
+      // Collectors spell IPv6 differently; normalize so keys and lookups agree
+      const connectionData = {
+        ...rawConnection,
+        sourceIP: this.ipFilter.normalizeIP(rawConnection.sourceIP),
+        destIP: this.ipFilter.normalizeIP(rawConnection.destIP),
+        protocol: this.classifyProtocol(rawConnection),
+        application: rawConnection.application || rawConnection.processName,
+        // Container ID, name and image, so rules can filter by container
+        ...this.containers.getContainer(rawConnection.pid)
+      };
+      connectionData.direction = this.classifyDirection(connectionData);
+
+      // Same key as the snapshot diff, so lifecycle, counters and diff agree on which connection this is
+      const connectionKey = SnapshotDiff.getKey(connectionData);
+      connectionData.connectionId = connectionKey;
+      currentConnections.add(connectionKey);
       
-      if (newConnectionsCount > 0) {
-        console.log(`[TrafficMonitor] Real-time processed: ${newConnectionsCount} new connections, ${duplicatesFiltered} duplicates filtered`);
+      // Filter out private/local IPs and user-excluded destinations first
+      if (this.ipFilter.isFilteredConnection(connectionData)) {
+        continue;
       }
-    } catch (error) {
-      console.error('[TrafficMonitor] Error parsing traffic data:', error.message);
+
+      publicConnections.push(connectionData);
+    }
+
+    const diff = streaming ? null : this.snapshotDiff.update(publicConnections);
+    const added = diff ? new Set(diff.added) : null;
+
+    for (const connectionData of publicConnections) {
+      const connectionKey = connectionData.connectionId;
+      this.trackConnectionLifecycle(connectionKey, connectionData, streaming, now);
+      this.bandwidth.record(connectionKey, connectionData, now);
+      
+      // Stream collectors never report a complete set, so fall back to recently-seen timers
+      const isNew = streaming
+        ? this.isNewConnectionForRealTime(connectionKey, connectionData.destIP)
+        : added.has(connectionData);
+
+      if (isNew) {
+        // Enhance connection data with process classification
+        const enhancedConnectionData = {
+          ...this.enhanceConnectionData(connectionData),
+          ...this.bandwidth.getConnection(connectionKey),
+          ipVersion: this.ipFilter.getIPVersion(connectionData.destIP)
+        };
+        
+        const arrow = enhancedConnectionData.direction === 'inbound' ? '<-' : '->';
+        const helper = enhancedConnectionData.processName !== enhancedConnectionData.application ? ` via ${enhancedConnectionData.processName}` : '';
+        console.log(`[TrafficMonitor] New connection: ${enhancedConnectionData.application} (${enhancedConnectionData.processType})${helper} ${arrow} ${enhancedConnectionData.destIP}:${enhancedConnectionData.destPort}/${enhancedConnectionData.protocol}`);
+        
+        // Update tracking state
+        this.updateConnectionState(connectionKey, connectionData.destIP);
+        
+        // Emit traffic event for new connections only
+        this.emit('traffic', enhancedConnectionData);
+        newConnectionsCount++;
+      } else {
+        duplicatesFiltered++;
+      }
+    }
+    
+    // A snapshot is the complete set of open connections, so anything it removed has closed
+    if (diff) {
+      this.cleanupStaleConnections(currentConnections);
+      this.closeRemovedConnections(diff.removed, now);
+      this.emit('snapshotDiff', { ...diff, timestamp: now });
+    }
+    
+    if (newConnectionsCount > 0 || duplicatesFiltered > 0) {
+      console.log(`[TrafficMonitor] Processed: ${newConnectionsCount} new connections, ${duplicatesFiltered} duplicates filtered`);
+    }
+  }
+
+  /**
+   * Determines the protocol reported for a connection
+   * UDP to a QUIC port (CONFIG.QUIC_PORTS) is assumed to be QUIC/HTTP3; this is a guess by port only
+   * @param {Object} connection - Connection reported by a collector
+   * @returns {string} - 'tcp', 'udp' or 'quic'
+   */
+  classifyProtocol(connection) {
+    if (connection.protocol !== 'udp') {
+      return 'tcp'; // Collectors without a protocol field only report TCP
+    }
+
+    return CONFIG.QUIC_PORTS.includes(connection.destPort) ? 'quic' : 'udp';
+  }
+
+  /**
+   * Determines whether a connection was made to us or by us
+   * Collectors report the local end as source; a connection whose local port is a listening
+   * port of the same transport (on its address or on any address) was accepted, so it is inbound
+   * @param {Object} connection - Normalized connection with protocol
+   * @returns {string} - 'inbound' or 'outbound'
+   */
+  classifyDirection(connection) {
+    const transport = connection.protocol === 'tcp' ? 'tcp' : 'udp';
+    const port = connection.sourcePort;
+
+    return this.listeningSockets.has(`${transport}:${connection.sourceIP}:${port}`) ||
+      this.listeningSockets.has(`${transport}:*:${port}`)
+      ? 'inbound'
+      : 'outbound';
+  }
+
+  /**
+   * Replaces the listening sockets with those of the latest snapshot
+   * Emits listeningChanged with the per-application list when the set changes
+   * @param {Object[]} listeners - Listening sockets reported by the collector
+   */
+  updateListeningSockets(listeners) {
+    const sockets = new Map();
+
+    for (const listener of listeners) {
+      const ip = this.ipFilter.normalizeIP(listener.sourceIP);
+      // 0.0.0.0 and :: accept connections on every address
+      const address = !ip || ip === '*' || ip === '0.0.0.0' || ip === '::' ? '*' : ip;
+      const key = `${listener.protocol}:${address}:${listener.sourcePort}`;
+
+      if (!sockets.has(key)) {
+        sockets.set(key, {
+          processName: listener.processName,
+          application: listener.application || listener.processName,
+          pid: Number.isInteger(listener.pid) ? listener.pid : null,
+          protocol: listener.protocol,
+          address,
+          port: listener.sourcePort
+        });
+      }
+    }
+
+    const changed = sockets.size !== this.listeningSockets.size ||
+      Array.from(sockets.keys()).some(key => !this.listeningSockets.has(key));
+    this.listeningSockets = sockets;
+
+    if (changed) {
+      this.emit('listeningChanged', this.getListeningSockets());
+    }
+  }
+
+  /**
+   * Gets the listening sockets grouped by application
+   * @returns {Object[]} - Entries with application, processNames (the processes that own its sockets) and
+   *   sockets ({ protocol, address, port, pid }), by application name
+   */
+  getListeningSockets() {
+    const byApplication = new Map();
+
+    for (const socket of this.listeningSockets.values()) {
+      if (!byApplication.has(socket.application)) {
+        byApplication.set(socket.application, { processNames: new Set(), sockets: [] });
+      }
+      const group = byApplication.get(socket.application);
+      group.processNames.add(socket.processName);
+      group.sockets.push({
+        protocol: socket.protocol,
+        address: socket.address,
+        port: socket.port,
+        pid: socket.pid
+      });
+    }
+
+    return Array.from(byApplication.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([application, { processNames, sockets }]) => ({
+        application,
+        processNames: Array.from(processNames).sort(),
+        sockets: sockets.sort((a, b) => a.port - b.port || a.protocol.localeCompare(b.protocol))
+      }));
+  }
+
+  /**
+   * Records that a public connection was seen, emitting connectionOpened the first time
+   * @param {string} connectionKey - Unique connection identifier
+   * @param {Object} connectionData - Connection reported by the collector
+   * @param {boolean} streaming - True if reported by a stream collector
+   * @param {number} now - Time of the current batch
+   */
+  trackConnectionLifecycle(connectionKey, connectionData, streaming, now) {
+    const existing = this.activeConnections.get(connectionKey);
+    if (existing) {
+      existing.lastSeen = now;
+      return;
+    }
+
+    const entry = {
+      connection: {
+        ...this.enhanceConnectionData(connectionData),
+        connectionId: connectionKey
+      },
+      openedAt: now,
+      lastSeen: now,
+      streaming
+    };
+
+    this.activeConnections.set(connectionKey, entry);
+    this.bandwidth.countConnection(connectionData.destIP, now);
+    this.emit('connectionOpened', {
+      ...entry.connection,
+      openedAt: entry.openedAt
+    });
+  }
+
+  /**
+   * Closes tracked connections that a snapshot diff removed
+   * @param {Object[]} removed - Connections missing from the latest snapshot
+   * @param {number} now - Time of the snapshot
+   */
+  closeRemovedConnections(removed, now) {
+    for (const connection of removed) {
+      this.closeConnection(connection.connectionId, now);
+    }
+  }
+
+  /**
+   * Stops tracking a connection and emits connectionClosed with its lifetime
+   * @param {string} connectionKey - Unique connection identifier
+   * @param {number} closedAt - Time the connection was found closed
+   */
+  closeConnection(connectionKey, closedAt) {
+    const entry = this.activeConnections.get(connectionKey);
+    if (!entry) {
+      return;
+    }
+
+    const counters = this.bandwidth.getConnection(connectionKey);
+    this.activeConnections.delete(connectionKey);
+    this.bandwidth.forget(connectionKey);
+    this.emit('connectionClosed', {
+      ...entry.connection,
+      ...counters,
+      openedAt: entry.openedAt,
+      closedAt,
+      duration: closedAt - entry.openedAt
+    });
+  }
+
+  /**
+   * Emits connectionActive for every open connection and closes idle stream connections
+   * Stream collectors never report a connection as gone, so silence means closed
+   */
+  checkConnectionLifecycle() {
+    const now = Date.now();
+
+    for (const [connectionKey, entry] of this.activeConnections) {
+      if (entry.streaming && now - entry.lastSeen > this.connectionIdleTimeout) {
+        this.closeConnection(connectionKey, entry.lastSeen);
+        continue;
+      }
+
+      this.emit('connectionActive', {
+        ...entry.connection,
+        ...this.bandwidth.getConnection(connectionKey),
+        openedAt: entry.openedAt,
+        lastSeen: entry.lastSeen,
+        duration: now - entry.openedAt
+      });
+    }
+  }
+
+  /**
+   * Starts the periodic connectionActive heartbeat
+   */
+  startLifecycleInterval() {
+    this.lifecycleInterval = setInterval(() => {
+      this.checkConnectionLifecycle();
+    }, this.connectionActiveInterval);
+  }
+
+  /**
+   * Stops the periodic connectionActive heartbeat
+   */
+  stopLifecycleInterval() {
+    if (this.lifecycleInterval) {
+      clearInterval(this.lifecycleInterval);
+      this.lifecycleInterval = null;
     }
   }
 
@@ -379,79 +678,16 @@ class TrafficMonitor extends EventEmitter {
    * @returns {Object|null} - Parsed connection data or null if invalid
    */
   parseLsofLine(line) {
-    try {
-      // lsof output format: COMMAND PID USER FD TYPE DEVICE SIZE/OFF NODE NAME
-      // Example: Chrome 1234 user 123u IPv4 0x123456 0t0 TCP 192.168.1.100:12345->1.2.3.4:443 (ESTABLISHED)
-      
-      // Look for TCP connections with ESTABLISHED state first
-      if (!line.includes('TCP') || !line.includes('ESTABLISHED')) {
-        return null;
-      }
-      
-      const parts = line.trim().split(/\s+/);
-      if (parts.length < 9) return null;
-      
-      const processName = parts[0];
-      
-      // Find the connection pattern anywhere in the line
-      const connectionRegex = /(\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}):(\d+)->(\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}):(\d+)/;
-      const match = line.match(connectionRegex);
-      
-      if (match) {
-        const [, sourceIP, sourcePort, destIP, destPort] = match;
-        
-        return {
-          processName: processName,
-          sourceIP: sourceIP,
-          sourcePort: parseInt(sourcePort, 10),
-          destIP: destIP,
-          destPort: parseInt(destPort, 10),
-          timestamp: Date.now(),
-          rawLine: line
-        };
-      }
-      
-      return null;
-    } catch (error) {
-      console.error('[TrafficMonitor] Error parsing lsof line:', error.message);
-      return null;
-    }
+    return this.getParser('lsof').parseLine(line);
   }
 
   /**
-   * Parses a single line of nettop output (legacy method)
+   * Parses a single line of nettop output
    * @param {string} line - Single line from nettop output
    * @returns {Object|null} - Parsed traffic data or null if invalid
    */
   parseNettopLine(line) {
-    try {
-      // Look for connection patterns like "source->destination"
-      const connectionRegex = /(\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}):(\d+)->(\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}):(\d+)/;
-      const match = line.match(connectionRegex);
-      
-      if (match) {
-        const [, sourceIP, sourcePort, destIP, destPort] = match;
-        
-        // Extract process name (usually at the beginning of the line)
-        const processMatch = line.match(/^([^,\s]+)/);
-        const processName = processMatch ? processMatch[1] : 'unknown';
-        
-        return {
-          processName: processName,
-          sourceIP: sourceIP,
-          sourcePort: parseInt(sourcePort, 10),
-          destIP: destIP,
-          destPort: parseInt(destPort, 10),
-          timestamp: Date.now(),
-          rawLine: line
-        };
-      }
-      
-      return null;
-    } catch (error) {
-      console.error('[TrafficMonitor] Error parsing line:', error.message);
-      return null;
-    }
+    return this.getParser('nettop').parseLine(line);
   }
 
   /**
@@ -465,27 +701,13 @@ class TrafficMonitor extends EventEmitter {
   }
 
   /**
-   * Checks if a connection is new and should be processed
-   * @param {string} connectionKey - Unique connection identifier
-   * @param {string} destIP - Destination IP address
-   * @returns {boolean} - True if this is a new connection
+   * Stops the cache cleanup interval
    */
-  isNewConnection(connectionKey, destIP) {
-    const now = Date.now();
-    
-    // Check if we've seen this exact connection recently
-    const connectionLastSeen = this.connectionStates.get(connectionKey);
-    if (connectionLastSeen && (now - connectionLastSeen) < this.connectionCacheTimeout) {
-      return false; // Connection seen recently, not new
-    }
-    
-    // Check if we've processed this IP recently (broader deduplication)
-    const ipLastSeen = this.ipLastSeen.get(destIP);
-    if (ipLastSeen && (now - ipLastSeen) < this.ipCacheTimeout) {
-      return false; // IP processed recently, not new
+  stopCleanupInterval() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
     }
-    
-    return true; // This is a new connection
   }
 
   /**
@@ -584,12 +806,15 @@ class TrafficMonitor extends EventEmitter {
 
   /**
    * Enhances connection data with process classification and color information
-   * @param {Object} connectionData - Raw connection data
+   * @param {Object} connectionData - Raw connection data; classified by container, else by application when known,
+   *   else by process name
    * @returns {Object} - Enhanced connection data with process type and color info
    */
   enhanceConnectionData(connectionData) {
-    // Get process classification and color information
-    const processColorInfo = this.processColorizer.getProcessColorInfo(connectionData.processName);
+    // Get process classification and color information; containerized traffic is colored per container
+    const processColorInfo = connectionData.containerId
+      ? this.processColorizer.getContainerColorInfo(connectionData.containerName || connectionData.containerId)
+      : this.processColorizer.getProcessColorInfo(connectionData.application || connectionData.processName);
     
     // Create enhanced connection data with all required fields for WebSocket message
     return {
@@ -621,9 +846,15 @@ class TrafficMonitor extends EventEmitter {
   getStatus() {
     return {
       isRunning: this.isRunning,
-      processId: this.nettopProcess ? this.nettopProcess.pid : null,
+      collector: this.collector ? this.collector.describe() : null,
+      processId: this.collector ? this.collector.getProcessId() : null,
       restartAttempts: this.restartAttempts,
       maxRestartAttempts: this.maxRestartAttempts,
+      activeConnections: this.activeConnections.size,
+      listeningSockets: this.getListeningSockets(),
+      bandwidth: this.bandwidth.getStatus(),
+      containers: this.containers.getStatus(),
+      snapshotDiff: this.snapshotDiff.getStatus(),
       deduplication: this.getDeduplicationStats()
     };
   }
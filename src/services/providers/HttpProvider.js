@@ -0,0 +1,203 @@
+const fetch = require('node-fetch');
+
+/**
+ * HttpProvider class for geolocation services that answer GET requests with
+ * ip-api style JSON (status, country, countryCode, city, lat, lon, ...)
+ * Used for ip-api.com itself and for self-hosted services with a compatible API;
+ * an optional batch endpoint resolves many addresses in one request
+ */
+class HttpProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.url - Service URL; '{ip}' is replaced by the address, otherwise it is appended
+   * @param {string} [options.batchUrl] - Endpoint accepting a POSTed JSON array of addresses (ip-api /batch style)
+   * @param {number} [options.batchSize] - Maximum addresses per batch request
+   * @param {string} [options.name] - Name used in logs and status
+   * @param {Object} [options.headers] - Extra request headers
+   */
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('HTTP geolocation provider requires a url');
+    }
+
+    this.name = options.name || 'http';
+    this.url = options.url;
+    this.batchUrl = options.batchUrl || null;
+    this.batchSize = options.batchSize || 100;
+    this.headers = options.headers || {};
+    this.isLocal = false;
+  }
+
+  /**
+   * Builds the request URL for an address
+   * @param {string} ip - IP address
+   * @returns {string} - Request URL
+   */
+  buildUrl(ip) {
+    return this.url.includes('{ip}') ? this.url.replace('{ip}', ip) : `${this.url}${ip}`;
+  }
+
+  /**
+   * Looks up an IP address
+   * @param {string} ip - IP address to lookup
+   * @param {Object} options - Lookup options
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @returns {Promise<Object>} - Normalized location data
+   */
+  async lookup(ip, options = {}) {
+    const response = await fetch(this.buildUrl(ip), {
+      timeout: options.timeout || 10000,
+      headers: {
+        'User-Agent': 'Live-Traffic-Globe/1.0',
+        ...this.headers
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+
+    // Validate response structure
+    if (!HttpProvider.isValidLocationResponse(data)) {
+      throw new Error('Invalid response format from geolocation API');
+    }
+
+    return this.normalizeResponse(ip, data);
+  }
+
+  /**
+   * Checks whether this provider can resolve several addresses in one request
+   * @returns {boolean} - True if a batch endpoint is configured
+   */
+  supportsBatch() {
+    return this.batchUrl !== null;
+  }
+
+  /**
+   * Looks up several IP addresses with one POST to the batch endpoint
+   * @param {string[]} ips - IP addresses (at most batchSize)
+   * @param {Object} options - Lookup options
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @returns {Promise<Object[]>} - Normalized location data in the same order as ips
+   */
+  async lookupBatch(ips, options = {}) {
+    if (!this.supportsBatch()) {
+      throw new Error(`${this.name} does not support batch lookups`);
+    }
+
+    if (ips.length > this.batchSize) {
+      throw new Error(`${this.name} accepts at most ${this.batchSize} addresses per batch`);
+    }
+
+    const response = await fetch(this.batchUrl, {
+      method: 'POST',
+      timeout: options.timeout || 10000,
+      headers: {
+        'User-Agent': 'Live-Traffic-Globe/1.0',
+        'Content-Type': 'application/json',
+        ...this.headers
+      },
+      body: JSON.stringify(ips)
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+
+    if (!Array.isArray(data) || data.length !== ips.length || !data.every(HttpProvider.isValidLocationResponse)) {
+      throw new Error('Invalid response format from geolocation batch API');
+    }
+
+    // Answers come back in request order
+    return data.map((entry, index) => this.normalizeResponse(ips[index], entry));
+  }
+
+  /**
+   * Converts an ip-api style response into the normalized location object
+   * @param {string} ip - IP address that was looked up
+   * @param {Object} data - Validated response data
+   * @returns {Object} - Normalized location data
+   */
+  normalizeResponse(ip, data) {
+    const { asn, asName } = HttpProvider.parseAS(data.as);
+
+    return {
+      ip: ip,
+      status: data.status,
+      country: data.country || 'Unknown',
+      countryCode: data.countryCode || 'XX',
+      region: data.region || '',
+      regionName: data.regionName || '',
+      city: data.city || 'Unknown',
+      zip: data.zip || '',
+      lat: parseFloat(data.lat) || 0,
+      lon: parseFloat(data.lon) || 0,
+      timezone: data.timezone || '',
+      isp: data.isp || '',
+      org: data.org || '',
+      as: data.as || '',
+      asn: asn,
+      asName: data.asname || asName,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Splits an ip-api style AS field ("AS15169 Google LLC") into number and name
+   * @param {string} as - AS field
+   * @returns {Object} - Object with asn (number or null) and asName
+   */
+  static parseAS(as) {
+    const match = typeof as === 'string' ? as.match(/^AS(\d+)\s*(.*)$/i) : null;
+    return match ? { asn: Number(match[1]), asName: match[2].trim() } : { asn: null, asName: '' };
+  }
+
+  /**
+   * Validates the structure of an ip-api style response
+   * @param {Object} data - Response data to validate
+   * @returns {boolean} - True if valid response structure
+   */
+  static isValidLocationResponse(data) {
+    if (!data || typeof data !== 'object') {
+      return false;
+    }
+
+    // Check for required fields
+    const requiredFields = ['status'];
+    for (const field of requiredFields) {
+      if (!(field in data)) {
+        return false;
+      }
+    }
+
+    // If status is success, check for coordinate fields
+    if (data.status === 'success') {
+      if (typeof data.lat !== 'number' && typeof data.lat !== 'string') {
+        return false;
+      }
+      if (typeof data.lon !== 'number' && typeof data.lon !== 'string') {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Gets provider status
+   * @returns {Object} - Provider status
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      url: this.url,
+      batchUrl: this.batchUrl
+    };
+  }
+}
+
+module.exports = HttpProvider;
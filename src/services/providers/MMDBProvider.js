@@ -0,0 +1,148 @@
+const MMDBReader = require('../../utils/MMDBReader');
+const CIDRMatcher = require('../../utils/CIDRMatcher');
+
+/**
+ * MMDBProvider class for offline geolocation from local MaxMind-format databases
+ * Reads a City database (GeoLite2-City, GeoIP2-City, DB-IP City Lite) and, optionally,
+ * an ASN database, and returns results in the same shape as the ip-api lookup
+ */
+class MMDBProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.cityFile - Path to the City .mmdb file
+   * @param {string} [options.asnFile] - Path to the ASN .mmdb file
+   * @param {string} [options.language] - Preferred language for place names
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'mmdb';
+    this.cityFile = options.cityFile;
+    this.asnFile = options.asnFile || null;
+    this.language = options.language || 'en';
+    this.isLocal = true;
+    this.cityReader = null;
+    this.asnReader = null;
+    this.openPromise = null;
+  }
+
+  /**
+   * Loads the database files (once; later calls reuse the same readers)
+   * @returns {Promise<void>}
+   */
+  open() {
+    if (!this.openPromise) {
+      if (!this.cityFile) {
+        return Promise.reject(new Error('No MMDB city database configured'));
+      }
+
+      this.openPromise = Promise.all([
+        MMDBReader.open(this.cityFile),
+        this.asnFile ? MMDBReader.open(this.asnFile) : null
+      ]).then(([cityReader, asnReader]) => {
+        this.cityReader = cityReader;
+        this.asnReader = asnReader;
+        console.log(`[MMDBProvider] Loaded ${cityReader.metadata.database_type}${asnReader ? ` and ${asnReader.metadata.database_type}` : ''}`);
+      }).catch((error) => {
+        // Allow a later call to retry, e.g. after the file has been downloaded
+        this.openPromise = null;
+        throw error;
+      });
+    }
+
+    return this.openPromise;
+  }
+
+  /**
+   * Looks up an IP address in the local databases
+   * @param {string} ip - IP address to lookup
+   * @returns {Promise<Object>} - Normalized location data (status 'fail' if not found)
+   */
+  async lookup(ip) {
+    await this.open();
+
+    const cityResult = this.safeLookup(this.cityReader, ip);
+    const asnResult = this.safeLookup(this.asnReader, ip);
+    const city = cityResult && cityResult.record;
+    const asn = asnResult && asnResult.record;
+
+    if (!city || !city.location) {
+      return {
+        ip: ip,
+        status: 'fail',
+        message: 'IP address not found in local database',
+        timestamp: Date.now()
+      };
+    }
+
+    const subdivision = (city.subdivisions && city.subdivisions[0]) || {};
+    const asOrg = asn ? asn.autonomous_system_organization || '' : '';
+    const asNumber = asn ? asn.autonomous_system_number : null;
+
+    return {
+      ip: ip,
+      status: 'success',
+      country: this.getName(city.country) || 'Unknown',
+      countryCode: (city.country && city.country.iso_code) || 'XX',
+      region: subdivision.iso_code || '',
+      regionName: this.getName(subdivision) || '',
+      city: this.getName(city.city) || 'Unknown',
+      zip: (city.postal && city.postal.code) || '',
+      lat: city.location.latitude || 0,
+      lon: city.location.longitude || 0,
+      timezone: city.location.time_zone || '',
+      isp: asOrg,
+      org: asOrg,
+      as: asNumber ? `AS${asNumber} ${asOrg}`.trim() : '',
+      asn: asNumber || null,
+      asName: asOrg,
+      network: CIDRMatcher.networkOf(ip, cityResult.prefixLength),
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Looks up an IP in a reader, treating unsupported addresses as not found
+   * @param {MMDBReader|null} reader - Database reader
+   * @param {string} ip - IP address
+   * @returns {Object|null} - Object with record and prefixLength, or null
+   */
+  safeLookup(reader, ip) {
+    if (!reader) {
+      return null;
+    }
+
+    try {
+      return reader.lookup(ip);
+    } catch (error) {
+      return null; // e.g. an IPv6 address in an IPv4-only database
+    }
+  }
+
+  /**
+   * Picks a localized name from a MaxMind names map
+   * @param {Object} entity - Object with a names map (country, city, subdivision)
+   * @returns {string|null} - Name in the preferred language, falling back to English
+   */
+  getName(entity) {
+    if (!entity || !entity.names) {
+      return null;
+    }
+    return entity.names[this.language] || entity.names.en || null;
+  }
+
+  /**
+   * Gets provider status
+   * @returns {Object} - Provider status
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      cityFile: this.cityFile,
+      asnFile: this.asnFile,
+      loaded: this.cityReader !== null,
+      databaseType: this.cityReader ? this.cityReader.metadata.database_type : null,
+      buildEpoch: this.cityReader ? this.cityReader.metadata.build_epoch : null
+    };
+  }
+}
+
+module.exports = MMDBProvider;
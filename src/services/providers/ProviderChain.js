@@ -0,0 +1,324 @@
+const CircuitBreaker = require('../../utils/CircuitBreaker');
+const HttpProvider = require('./HttpProvider');
+const MMDBProvider = require('./MMDBProvider');
+const CONFIG = require('../../config');
+
+/**
+ * ProviderChain class that tries geolocation providers in order until one answers
+ * Each provider has its own rate limit, timeout, circuit breaker and success/failure counters
+ *
+ * A provider that throws (network error, HTTP error, timeout) counts as a failure and feeds its
+ * circuit breaker; a provider that answers status 'fail' (address unknown to it) counts as a miss
+ * and the next provider is asked. The chain throws only if no provider gave any answer.
+ */
+class ProviderChain {
+  /**
+   * @param {Object[]} entries - Objects with provider plus optional rateLimitDelay, batchRateLimitDelay,
+   *   timeout, failureThreshold and resetTimeout (falling back to CONFIG.GEOLOCATION_PROVIDER_DEFAULTS)
+   */
+  constructor(entries) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error('At least one geolocation provider is required');
+    }
+
+    const defaults = CONFIG.GEOLOCATION_PROVIDER_DEFAULTS;
+
+    this.entries = entries.map(({ provider, ...settings }) => {
+      const options = { ...defaults, ...settings };
+      return {
+        provider,
+        rateLimitDelay: options.rateLimitDelay,
+        batchRateLimitDelay: options.batchRateLimitDelay,
+        timeout: options.timeout,
+        breaker: new CircuitBreaker({
+          failureThreshold: options.failureThreshold,
+          resetTimeout: options.resetTimeout
+        }),
+        nextRequestTime: 0,
+        nextBatchTime: 0,
+        stats: {
+          success: 0,
+          miss: 0,
+          failure: 0,
+          skipped: 0,
+          lastError: null,
+          lastSuccessTime: null,
+          lastFailureTime: null
+        }
+      };
+    });
+  }
+
+  /**
+   * Creates a chain from provider configuration entries
+   * @param {Object[]} configs - Entries with type ('mmdb', 'http' or 'ip-api') and provider options
+   * @returns {ProviderChain} - Provider chain
+   */
+  static fromConfig(configs) {
+    return new ProviderChain(configs.map((config) => {
+      const { type, rateLimitDelay, batchRateLimitDelay, timeout, failureThreshold, resetTimeout, ...options } = config;
+      const settings = { rateLimitDelay, batchRateLimitDelay, timeout, failureThreshold, resetTimeout };
+
+      // ip-api limits its batch endpoint separately from single lookups
+      if (type === 'ip-api' && batchRateLimitDelay === undefined) {
+        settings.batchRateLimitDelay = CONFIG.GEOLOCATION_BATCH_RATE_LIMIT_DELAY;
+      }
+
+      // Leave unset values to the defaults
+      Object.keys(settings).forEach(key => settings[key] === undefined && delete settings[key]);
+
+      return { provider: ProviderChain.createProvider(type, options), ...settings };
+    }));
+  }
+
+  /**
+   * Creates a provider instance from its type
+   * @param {string} type - Provider type
+   * @param {Object} options - Provider options
+   * @returns {Object} - Provider instance
+   */
+  static createProvider(type, options) {
+    switch (type) {
+      case 'mmdb':
+        return new MMDBProvider({
+          cityFile: CONFIG.GEOLOCATION_MMDB_CITY_FILE,
+          asnFile: CONFIG.GEOLOCATION_MMDB_ASN_FILE,
+          ...options
+        });
+      case 'http':
+        return new HttpProvider(options);
+      case 'ip-api':
+        return new HttpProvider({
+          name: 'ip-api',
+          url: CONFIG.GEOLOCATION_API_URL,
+          batchUrl: CONFIG.GEOLOCATION_BATCH_API_URL,
+          ...options
+        });
+      default:
+        throw new Error(`Unknown geolocation provider type: ${type}`);
+    }
+  }
+
+  /**
+   * Checks whether every provider answers locally (no network requests)
+   * @returns {boolean} - True if all providers are local
+   */
+  isLocalOnly() {
+    return this.entries.every(entry => entry.provider.isLocal === true);
+  }
+
+  /**
+   * Checks whether any provider can resolve several addresses in one request
+   * @returns {boolean} - True if batch lookups save requests
+   */
+  supportsBatch() {
+    return this.entries.some(entry => this.canBatch(entry.provider));
+  }
+
+  /**
+   * Checks whether a provider has a batch endpoint
+   * @param {Object} provider - Provider instance
+   * @returns {boolean} - True if the provider implements lookupBatch
+   */
+  canBatch(provider) {
+    return typeof provider.supportsBatch === 'function' && provider.supportsBatch();
+  }
+
+  /**
+   * Looks up an IP address, trying each provider in order
+   * @param {string} ip - IP address to lookup
+   * @returns {Promise<Object>} - Location data from the first provider that knows the address,
+   *   or the last 'fail' answer if none does
+   * @throws {Error} - If every provider failed or was skipped
+   */
+  async lookup(ip) {
+    let missResult = null;
+    let lastError = null;
+
+    for (const entry of this.entries) {
+      try {
+        const result = await this.callProvider(entry, ip, () => entry.provider.lookup(ip, { timeout: entry.timeout }));
+        const answer = this.recordAnswer(entry, result);
+
+        if (answer.status === 'success') {
+          return answer;
+        }
+        missResult = answer;
+      } catch (error) {
+        if (!error.skipped) {
+          lastError = error;
+        }
+      }
+    }
+
+    if (missResult) {
+      return missResult;
+    }
+
+    throw lastError || new Error('All geolocation providers are unavailable');
+  }
+
+  /**
+   * Looks up several IP addresses, passing the ones a provider cannot answer on to the next
+   * Providers with a batch endpoint get one request; others are asked one address at a time
+   * @param {string[]} ips - IP addresses to lookup
+   * @returns {Promise<Array<Object|Error>>} - For each address, in order, its location data
+   *   (or last 'fail' answer), or the Error that prevented any answer
+   */
+  async lookupBatch(ips) {
+    const answers = new Array(ips.length).fill(null);
+    let pending = ips.map((ip, index) => index);
+    let lastError = null;
+
+    for (const entry of this.entries) {
+      if (pending.length === 0) {
+        break;
+      }
+
+      const { provider } = entry;
+
+      if (this.canBatch(provider)) {
+        const batch = pending.map(index => ips[index]);
+        try {
+          const results = await this.callProvider(entry, `batch of ${batch.length}`, () => provider.lookupBatch(batch, { timeout: entry.timeout }), { batch: true });
+          results.forEach((result, position) => {
+            answers[pending[position]] = this.recordAnswer(entry, result);
+          });
+        } catch (error) {
+          if (!error.skipped) {
+            lastError = error;
+          }
+        }
+      } else {
+        await Promise.all(pending.map(async (index) => {
+          try {
+            const result = await this.callProvider(entry, ips[index], () => provider.lookup(ips[index], { timeout: entry.timeout }));
+            answers[index] = this.recordAnswer(entry, result);
+          } catch (error) {
+            if (!error.skipped) {
+              lastError = error;
+            }
+          }
+        }));
+      }
+
+      pending = pending.filter(index => !answers[index] || answers[index].status !== 'success');
+    }
+
+    return answers.map(answer => answer || lastError || new Error('All geolocation providers are unavailable'));
+  }
+
+  /**
+   * Calls a provider through its circuit breaker, rate limit and timeout
+   * @param {Object} entry - Chain entry
+   * @param {string} description - What is being looked up, for log messages
+   * @param {Function} call - Starts the provider request and returns its promise
+   * @param {Object} [options] - Call options
+   * @param {boolean} [options.batch] - True for batch requests, which are spaced by batchRateLimitDelay
+   * @returns {Promise<*>} - Provider result
+   * @throws {Error} - Provider error, timeout, or an error with skipped=true if the circuit is open
+   */
+  async callProvider(entry, description, call, options = {}) {
+    const { provider, breaker, stats } = entry;
+
+    if (!breaker.allowRequest()) {
+      stats.skipped++;
+      const error = new Error(`${provider.name} skipped: circuit open`);
+      error.skipped = true;
+      throw error;
+    }
+
+    try {
+      await this.waitForRateLimit(entry, options.batch === true);
+      const result = await this.withTimeout(call(), entry.timeout, provider.name);
+      breaker.recordSuccess();
+      return result;
+    } catch (error) {
+      breaker.recordFailure();
+      stats.failure++;
+      stats.lastError = error.message;
+      stats.lastFailureTime = Date.now();
+      console.warn(`[ProviderChain] ${provider.name} failed for ${description}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Counts a provider answer and tags it with the provider name
+   * @param {Object} entry - Chain entry
+   * @param {Object} result - Provider answer
+   * @returns {Object} - Tagged answer
+   */
+  recordAnswer(entry, result) {
+    const { provider, stats } = entry;
+
+    if (result && result.status === 'success') {
+      stats.success++;
+      stats.lastSuccessTime = Date.now();
+    } else {
+      stats.miss++;
+    }
+
+    return { ...result, provider: provider.name };
+  }
+
+  /**
+   * Waits until a provider's rate limit allows another request and reserves the slot
+   * Single and batch requests are spaced independently
+   * @param {Object} entry - Chain entry
+   * @param {boolean} [batch] - True to wait for a batch request slot
+   * @returns {Promise<void>}
+   */
+  async waitForRateLimit(entry, batch = false) {
+    const delay = batch ? entry.batchRateLimitDelay : entry.rateLimitDelay;
+    const timeField = batch ? 'nextBatchTime' : 'nextRequestTime';
+    if (!delay) {
+      return;
+    }
+
+    const now = Date.now();
+    const slot = Math.max(now, entry[timeField]);
+    entry[timeField] = slot + delay;
+
+    if (slot > now) {
+      await new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+  }
+
+  /**
+   * Rejects if a lookup does not settle in time
+   * @param {Promise} promise - Lookup promise
+   * @param {number} timeout - Timeout in milliseconds
+   * @param {string} name - Provider name for the error message
+   * @returns {Promise} - Lookup result
+   */
+  withTimeout(promise, timeout, name) {
+    if (!timeout) {
+      return promise;
+    }
+
+    let timer;
+    const timeoutPromise = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`${name} timed out after ${timeout}ms`)), timeout);
+    });
+
+    return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Gets per-provider health and counters
+   * @returns {Object[]} - Status of each provider in chain order
+   */
+  getStatus() {
+    return this.entries.map(({ provider, breaker, stats, rateLimitDelay, batchRateLimitDelay, timeout }) => ({
+      ...provider.getStatus(),
+      ...breaker.getStatus(),
+      ...stats,
+      rateLimitDelay,
+      batchRateLimitDelay,
+      timeout
+    }));
+  }
+}
+
+module.exports = ProviderChain;
@@ -0,0 +1,64 @@
+const AsnAggregator = require('../services/AsnAggregator');
+
+describe('AsnAggregator', () => {
+  let aggregator;
+
+  const google = { asn: 15169, asName: 'Google LLC', org: 'Google LLC' };
+  const aws = { asn: 16509, asName: 'AMAZON-02', org: 'Amazon.com, Inc.' };
+
+  beforeEach(() => {
+    aggregator = new AsnAggregator();
+  });
+
+  test('should rank autonomous systems by connections with their share', () => {
+    aggregator.record({ ...google, ip: '142.250.80.46', processName: 'Chrome' });
+    aggregator.record({ ...google, ip: '142.250.80.46', processName: 'Chrome' });
+    aggregator.record({ ...google, ip: '8.8.8.8', processName: 'mDNSResponder', org: 'Google Public DNS' });
+    aggregator.record({ ...aws, ip: '52.94.236.248', processName: 'Slack' });
+
+    const [first, second] = aggregator.getTop();
+
+    expect(first).toEqual(expect.objectContaining({
+      asn: 15169,
+      asName: 'Google LLC',
+      orgs: ['Google LLC', 'Google Public DNS'],
+      connections: 3,
+      share: 0.75,
+      uniqueIPs: 2,
+      topProcesses: [{ name: 'Chrome', connections: 2 }, { name: 'mDNSResponder', connections: 1 }]
+    }));
+    expect(second).toEqual(expect.objectContaining({ asn: 16509, connections: 1, share: 0.25 }));
+  });
+
+  test('should group connections without an AS as unknown', () => {
+    aggregator.record({ ip: '1.2.3.4', asn: null, asName: '' });
+
+    expect(aggregator.getTop()).toEqual([expect.objectContaining({ asn: null, asName: 'Unknown', connections: 1 })]);
+  });
+
+  test('should limit the number of tracked and listed autonomous systems', () => {
+    const small = new AsnAggregator(2);
+    [1, 2, 3].forEach(asn => small.record({ asn, asName: `AS-${asn}`, ip: `10.0.0.${asn}` }));
+
+    expect(small.getTop().map(entry => entry.asn)).toEqual(expect.arrayContaining([2, 3]));
+    expect(small.getTop(1)).toHaveLength(1);
+    expect(small.getStatus()).toEqual(expect.objectContaining({ totalConnections: 3, trackedAsns: 2 }));
+
+    small.reset();
+    expect(small.getStatus()).toEqual({ totalConnections: 0, trackedAsns: 0, top: [] });
+  });
+
+  test('should cap the addresses, organizations and applications remembered per AS', () => {
+    const capped = new AsnAggregator(10, { maxIPs: 3, maxNames: 2 });
+    for (let i = 1; i <= 5; i++) {
+      capped.record({ ...google, ip: `142.250.80.${i}`, org: `Org ${i}`, processName: `App ${i}` });
+    }
+    capped.record({ ...google, ip: '142.250.80.5', org: 'Org 5', processName: 'App 5' });
+
+    const [entry] = capped.getTop();
+    expect(entry.connections).toBe(6);
+    expect(entry.uniqueIPs).toBe(3);
+    expect(entry.orgs).toEqual(['Org 4', 'Org 5']);
+    expect(entry.topProcesses).toEqual([{ name: 'App 5', connections: 2 }, { name: 'App 4', connections: 1 }]);
+  });
+});
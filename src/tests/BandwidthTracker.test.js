@@ -0,0 +1,54 @@
+const BandwidthTracker = require('../services/BandwidthTracker');
+
+describe('BandwidthTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new BandwidthTracker();
+  });
+
+  test('should turn cumulative readings into totals and rates', () => {
+    tracker.record('conn-1', { destIP: '142.250.80.46', bytesIn: 1000, bytesOut: 200, packetsIn: 4, packetsOut: 2 }, 0);
+    tracker.record('conn-1', { destIP: '142.250.80.46', bytesIn: 5000, bytesOut: 1200, packetsIn: 10, packetsOut: 5 }, 2000);
+
+    expect(tracker.getConnection('conn-1')).toEqual({
+      bytesIn: 5000,
+      bytesOut: 1200,
+      packetsIn: 10,
+      packetsOut: 5,
+      bytesInRate: 2000,
+      bytesOutRate: 500
+    });
+  });
+
+  test('should aggregate volume per destination and keep it after connections close', () => {
+    tracker.countConnection('142.250.80.46', 0);
+    tracker.countConnection('142.250.80.46', 0);
+    tracker.countConnection('1.1.1.1', 0);
+    tracker.record('conn-1', { destIP: '142.250.80.46', bytesIn: 3000, bytesOut: 100 }, 0);
+    tracker.record('conn-2', { destIP: '142.250.80.46', bytesIn: 2000, bytesOut: 100 }, 0);
+    tracker.record('conn-3', { destIP: '1.1.1.1', bytesIn: 100, bytesOut: 50 }, 0);
+    tracker.forget('conn-1');
+
+    expect(tracker.getConnection('conn-1')).toBeNull();
+    expect(tracker.getTopDestinations()).toEqual([
+      expect.objectContaining({ ip: '142.250.80.46', connections: 2, bytesIn: 5000, bytesOut: 200 }),
+      expect.objectContaining({ ip: '1.1.1.1', connections: 1, bytesIn: 100, bytesOut: 50 })
+    ]);
+    expect(tracker.getStatus()).toEqual(expect.objectContaining({ bytesIn: 5100, bytesOut: 250, trackedConnections: 2 }));
+  });
+
+  test('should restart counting when a counter goes backwards', () => {
+    tracker.record('conn-1', { destIP: '1.1.1.1', bytesIn: 5000, bytesOut: 0 }, 0);
+    tracker.record('conn-1', { destIP: '1.1.1.1', bytesIn: 300, bytesOut: 0 }, 1000);
+
+    expect(tracker.getTopDestinations()[0].bytesIn).toBe(5300);
+  });
+
+  test('should ignore connections without counters', () => {
+    tracker.record('conn-1', { destIP: '1.1.1.1' }, 0);
+
+    expect(tracker.getConnection('conn-1')).toBeNull();
+    expect(tracker.getStatus().trackedDestinations).toBe(0);
+  });
+});
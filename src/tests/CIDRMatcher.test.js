@@ -0,0 +1,104 @@
+const CIDRMatcher = require('../utils/CIDRMatcher');
+
+describe('CIDRMatcher', () => {
+  describe('parseCIDR', () => {
+    test('should parse IPv4 and IPv6 ranges', () => {
+      expect(CIDRMatcher.parseCIDR('100.64.0.0/10')).toEqual({ version: 4, bytes: [100, 64, 0, 0], prefixLength: 10 });
+      expect(CIDRMatcher.parseCIDR('fe80::/10')).toEqual(expect.objectContaining({ version: 6, prefixLength: 10 }));
+    });
+
+    test('should treat a bare address as a single host', () => {
+      expect(CIDRMatcher.parseCIDR('8.8.8.8').prefixLength).toBe(32);
+      expect(CIDRMatcher.parseCIDR('::1').prefixLength).toBe(128);
+    });
+
+    test('should reject malformed ranges', () => {
+      expect(() => CIDRMatcher.parseCIDR('10.0.0.0/33')).toThrow('Invalid CIDR: 10.0.0.0/33');
+      expect(() => CIDRMatcher.parseCIDR('10.0.0.0/abc')).toThrow('Invalid CIDR');
+      expect(() => CIDRMatcher.parseCIDR('10.0.0/8')).toThrow('Invalid CIDR');
+      expect(() => CIDRMatcher.parseCIDR('::/129')).toThrow('Invalid CIDR');
+      expect(() => CIDRMatcher.parseCIDR('10.0.0.0/8/8')).toThrow('Invalid CIDR');
+      expect(() => CIDRMatcher.parseCIDR(null)).toThrow('Invalid CIDR');
+    });
+  });
+
+  describe('toBytes', () => {
+    test('should expand IPv6 addresses including embedded IPv4 tails', () => {
+      expect(CIDRMatcher.toBytes('::ffff:1.2.3.4').bytes).toEqual([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0xff, 1, 2, 3, 4]);
+      expect(CIDRMatcher.toBytes('fe80::1%en0').bytes[0]).toBe(0xfe);
+      expect(CIDRMatcher.toBytes('not-an-ip')).toBeNull();
+    });
+  });
+
+  describe('fromBytes', () => {
+    const format = ip => CIDRMatcher.fromBytes(CIDRMatcher.toBytes(ip).bytes);
+
+    test('should compress the first longest run of zero groups only', () => {
+      expect(format('2001:0db8:0000:0000:0000:0000:0000:0001')).toBe('2001:db8::1');
+      expect(format('2001:db8:0:1:1:1:1:1')).toBe('2001:db8:0:1:1:1:1:1');
+      expect(format('2001:0:0:1:0:0:0:1')).toBe('2001:0:0:1::1');
+      expect(format('1:0:0:2:0:0:3:4')).toBe('1::2:0:0:3:4');
+      expect(format('::')).toBe('::');
+      expect(format('::1')).toBe('::1');
+      expect(format('fe80::')).toBe('fe80::');
+    });
+
+    test('should format IPv4 addresses and raw buffers', () => {
+      expect(CIDRMatcher.fromBytes([8, 8, 4, 4])).toBe('8.8.4.4');
+      expect(CIDRMatcher.fromBytes(Buffer.from('20010db8000000000000000000000001', 'hex'))).toBe('2001:db8::1');
+    });
+  });
+
+  describe('match', () => {
+    test('should match addresses on prefix boundaries that are not octet aligned', () => {
+      const matcher = new CIDRMatcher(['100.64.0.0/10', '172.16.0.0/12']);
+
+      expect(matcher.contains('100.64.0.0')).toBe(true);
+      expect(matcher.contains('100.127.255.255')).toBe(true);
+      expect(matcher.contains('100.128.0.0')).toBe(false);
+      expect(matcher.contains('172.31.1.1')).toBe(true);
+      expect(matcher.contains('172.32.0.1')).toBe(false);
+    });
+
+    test('should return the most specific rule', () => {
+      const matcher = new CIDRMatcher([
+        { cidr: '10.0.0.0/8', value: 'wide' },
+        { cidr: '10.1.0.0/16', value: 'narrow' }
+      ]);
+
+      expect(matcher.match('10.1.2.3')).toEqual({ cidr: '10.1.0.0/16', prefixLength: 16, value: 'narrow' });
+      expect(matcher.match('10.2.2.3').value).toBe('wide');
+      expect(matcher.size).toBe(2);
+    });
+
+    test('should keep IPv4 and IPv6 rules separate', () => {
+      const matcher = new CIDRMatcher(['0.0.0.0/0']);
+
+      expect(matcher.contains('8.8.8.8')).toBe(true);
+      expect(matcher.contains('2606:4700::1111')).toBe(false);
+    });
+
+    test('should match IPv6 ranges', () => {
+      const matcher = new CIDRMatcher(['fc00::/7', '2001:db8::/32']);
+
+      expect(matcher.contains('fd12:3456::1')).toBe(true);
+      expect(matcher.contains('2001:DB8:ffff::1')).toBe(true);
+      expect(matcher.contains('2001:db9::1')).toBe(false);
+    });
+
+    test('should return null for invalid addresses', () => {
+      const matcher = new CIDRMatcher(['10.0.0.0/8']);
+      expect(matcher.match('invalid')).toBeNull();
+    });
+  });
+
+  test('should compute the network block containing an address', () => {
+    expect(CIDRMatcher.networkOf('8.8.8.8', 24)).toBe('8.8.8.0/24');
+    expect(CIDRMatcher.networkOf('172.31.255.1', 12)).toBe('172.16.0.0/12');
+    expect(CIDRMatcher.networkOf('2001:db8:abcd:12::1', 48)).toBe('2001:db8:abcd::/48');
+    expect(CIDRMatcher.networkOf('2001:db8::1', 128)).toBe('2001:db8::1/128');
+    expect(CIDRMatcher.networkOf('1.2.3.4', 0)).toBe('0.0.0.0/0');
+    expect(CIDRMatcher.networkOf('1.2.3.4', 33)).toBeNull();
+    expect(CIDRMatcher.networkOf('nope', 24)).toBeNull();
+  });
+});
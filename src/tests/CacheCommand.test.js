@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GeolocationService = require('../services/GeolocationService');
+const CacheCommand = require('../cli/CacheCommand');
+
+jest.mock('node-fetch');
+const fetch = require('node-fetch');
+
+describe('CacheCommand', () => {
+  let tempDir;
+  let geoService;
+  let command;
+  let output;
+
+  const located = (ip, city) => ({ ip, status: 'success', city, country: 'Testland', lat: 1, lon: 2, timestamp: Date.now() });
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'geocache-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    geoService = new GeolocationService({ cacheFile: path.join(tempDir, 'geolocation.json') });
+    output = { log: jest.fn(), error: jest.fn() };
+    command = new CacheCommand(geoService, output);
+    await geoService.cacheLoadPromise;
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+    fetch.mockReset();
+  });
+
+  const printed = () => output.log.mock.calls.map(call => call[0]).join('\n');
+  const savedCache = () => JSON.parse(fs.readFileSync(geoService.cacheFile, 'utf8'));
+
+  test('should print usage for unknown commands', async () => {
+    expect(await command.run(['frobnicate'])).toBe(1);
+    expect(output.error).toHaveBeenCalledWith(expect.stringContaining('Unknown cache command: frobnicate'));
+    expect(await command.run([])).toBe(1);
+    expect(output.error).toHaveBeenLastCalledWith(expect.stringContaining('Usage: node agent.js cache'));
+  });
+
+  test('should list entries, most recently used first', async () => {
+    geoService.cache.set('8.8.8.8', located('8.8.8.8', 'Mountain View'));
+    geoService.cache.set('1.1.1.1', located('1.1.1.1', 'Sydney'));
+    geoService.cache.set('240.0.0.1', { ip: '240.0.0.1', status: 'fail', message: 'reserved range', timestamp: Date.now() });
+
+    expect(await command.run(['list'])).toBe(0);
+
+    const lines = output.log.mock.calls.map(call => call[0]);
+    expect(lines[0]).toMatch(/^240\.0\.0\.1\s+fail\s+reserved range/);
+    expect(lines[2]).toMatch(/^8\.8\.8\.8\s+success\s+Mountain View, Testland\s+0s ago$/);
+    expect(lines[3]).toBe('3 addresses (1 failed lookups), 0 ranges');
+  });
+
+  test('should look up an address and save the result', async () => {
+    fetch.mockResolvedValue({ ok: true, json: async () => ({ status: 'success', city: 'Mountain View', lat: 37.4, lon: -122.1 }) });
+
+    expect(await command.run(['lookup', '8.8.8.8'])).toBe(0);
+
+    expect(JSON.parse(printed())).toEqual(expect.objectContaining({ ip: '8.8.8.8', city: 'Mountain View' }));
+    expect(Object.keys(savedCache().entries)).toEqual(['8.8.8.8']);
+  });
+
+  test('should reject invalid addresses', async () => {
+    expect(await command.run(['lookup', 'not-an-ip'])).toBe(1);
+    expect(output.error).toHaveBeenCalledWith('Error: Invalid IP address: not-an-ip');
+  });
+
+  test('should purge expired entries, or everything with --all', async () => {
+    geoService.cache.set('8.8.8.8', located('8.8.8.8', 'Mountain View'));
+    geoService.cache.set('1.1.1.1', { ...located('1.1.1.1', 'Sydney'), timestamp: Date.now() - geoService.cacheDuration - 1 });
+
+    await command.run(['purge']);
+    expect(printed()).toBe('Removed 1 entries');
+    expect(Object.keys(savedCache().entries)).toEqual(['8.8.8.8']);
+
+    await command.run(['purge', '--all']);
+    expect(savedCache()).toEqual({ entries: {}, ranges: {} });
+  });
+
+  test('should refuse to change the cache while the agent owns it', async () => {
+    geoService.cache.set('8.8.8.8', located('8.8.8.8', 'Mountain View'));
+    await geoService.forceSavePersistentCache();
+    // The parent process stands in for a running agent
+    fs.writeFileSync(geoService.getCacheLockFile(), String(process.ppid));
+
+    expect(await command.run(['purge', '--all'])).toBe(1);
+    expect(output.error).toHaveBeenCalledWith(expect.stringContaining(`The agent (PID ${process.ppid}) is running`));
+    expect(Object.keys(savedCache().entries)).toEqual(['8.8.8.8']);
+    expect(await command.run(['list'])).toBe(0);
+
+    // A lock left behind by an agent that has exited is ignored
+    fs.writeFileSync(geoService.getCacheLockFile(), '99999999');
+    expect(await command.run(['purge', '--all'])).toBe(0);
+    expect(savedCache().entries).toEqual({});
+
+    await geoService.lockPersistentCache();
+    expect(await geoService.getCacheLockOwner()).toBeNull();
+    await geoService.unlockPersistentCache();
+    expect(fs.existsSync(geoService.getCacheLockFile())).toBe(false);
+  });
+
+  test('should prewarm public addresses from a file', async () => {
+    const file = path.join(tempDir, 'ips.txt');
+    fs.writeFileSync(file, '8.8.8.8\n# resolvers\n1.1.1.1  # cloudflare\n10.0.0.1\nnonsense\n8.8.8.8\n');
+    geoService.batchSize = 1;
+    fetch.mockResolvedValue({ ok: true, json: async () => ({ status: 'success', lat: 1, lon: 2 }) });
+
+    expect(await command.run(['prewarm', file])).toBe(0);
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(printed()).toBe('Prewarmed 2 addresses: 2 located, 0 failed, 2 skipped (invalid or private)');
+    expect(Object.keys(savedCache().entries).sort()).toEqual(['1.1.1.1', '8.8.8.8']);
+  }, 10000);
+
+  test.each(['json', 'csv'])('should round-trip the cache through %s export and import', async (format) => {
+    const file = path.join(tempDir, `export.${format}`);
+    geoService.cache.set('8.8.8.8', { ...located('8.8.8.8', 'Mountain View'), country: 'United States, "USA"' });
+    geoService.cache.set('240.0.0.1', { ip: '240.0.0.1', status: 'fail', message: 'reserved range', timestamp: Date.now() });
+    geoService.cacheRange('1.1.1.1', located('1.1.1.1', 'Sydney'));
+    const exported = geoService.exportCache();
+
+    expect(await command.run(['export', file])).toBe(0);
+    expect(printed()).toBe(`Exported 2 addresses and 1 ranges to ${file}`);
+
+    geoService.clearCache();
+    expect(await command.run(['import', file])).toBe(0);
+
+    expect(output.log).toHaveBeenLastCalledWith('Imported 3 entries (0 expired, 0 invalid skipped)');
+    expect(geoService.exportCache()).toEqual(exported);
+    expect(Object.keys(savedCache().entries)).toEqual(['8.8.8.8', '240.0.0.1']);
+  });
+
+  test('should skip invalid and expired rows on import', async () => {
+    const file = path.join(tempDir, 'import.csv');
+    const old = Date.now() - geoService.cacheDuration - 1;
+    fs.writeFileSync(file, [
+      'key,status,city,lat,lon,timestamp',
+      `8.8.8.8,success,Mountain View,37.4,-122.1,${Date.now()}`,
+      `1.1.1.1,success,Sydney,-33.8,151.2,${old}`,
+      `9.9.9.9,success,Zurich,,,${Date.now()}`,
+      `bogus,success,Nowhere,1,2,${Date.now()}`
+    ].join('\r\n'));
+
+    expect(await command.run(['import', file])).toBe(0);
+
+    expect(output.log).toHaveBeenLastCalledWith('Imported 1 entries (1 expired, 2 invalid skipped)');
+    expect(geoService.getCacheStats().entries).toEqual(['8.8.8.8']);
+  });
+
+  test('should report unreadable import files', async () => {
+    const file = path.join(tempDir, 'broken.csv');
+    fs.writeFileSync(file, 'key,status\n"8.8.8.8,success\n');
+
+    expect(await command.run(['import', file])).toBe(1);
+    expect(output.error).toHaveBeenCalledWith(`Error: Failed to parse ${file}: Unterminated quoted value`);
+    expect(await command.run(['export', file, '--format', 'xml'])).toBe(1);
+    expect(output.error).toHaveBeenLastCalledWith('Error: Unknown format: xml (expected json or csv)');
+  });
+});
@@ -0,0 +1,126 @@
+const CollectorRegistry = require('../collectors/CollectorRegistry');
+const BaseCollector = require('../collectors/BaseCollector');
+
+class FakeCollector extends BaseCollector {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'fake';
+    this.capabilities = { ...this.capabilities, platforms: ['linux'] };
+    this.snapshots = options.snapshots || [];
+  }
+
+  async snapshot() {
+    const next = this.snapshots.shift();
+    if (next instanceof Error) {
+      throw next;
+    }
+    return next === undefined ? [] : next;
+  }
+}
+
+describe('CollectorRegistry', () => {
+  test('should register all built-in collectors by default', () => {
+    const registry = CollectorRegistry.createDefault();
+
+    expect(registry.getNames()).toEqual(['lsof', 'nettop', 'proc', 'ss', 'pcap-file']);
+  });
+
+  test('should create registered collectors with options', () => {
+    const registry = new CollectorRegistry();
+    registry.register('fake', FakeCollector);
+
+    const collector = registry.create('fake', { pollInterval: 1234 });
+
+    expect(collector).toBeInstanceOf(FakeCollector);
+    expect(collector.pollInterval).toBe(1234);
+    expect(registry.has('fake')).toBe(true);
+  });
+
+  test('should reject unknown collectors and invalid registrations', () => {
+    const registry = new CollectorRegistry();
+
+    expect(() => registry.create('missing')).toThrow('Unknown collector: missing');
+    expect(() => registry.register('broken', null)).toThrow();
+  });
+
+  test('should describe built-in collector capabilities', () => {
+    const registry = CollectorRegistry.createDefault();
+
+    expect(registry.create('nettop').describe()).toEqual({
+      name: 'nettop',
+      capabilities: expect.objectContaining({ mode: 'stream', hasByteCounts: true, platforms: ['darwin'] })
+    });
+    expect(registry.create('proc').isSupported('linux')).toBe(true);
+    expect(registry.create('proc').isSupported('darwin')).toBe(false);
+    expect(registry.create('pcap-file').isSupported('win32')).toBe(true);
+  });
+});
+
+describe('BaseCollector polling', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should emit snapshots on every poll interval', async () => {
+    const first = [{ destIP: '1.2.3.4' }];
+    const second = [{ destIP: '5.6.7.8' }];
+    const collector = new FakeCollector({ pollInterval: 500, snapshots: [first, second] });
+    const snapshots = [];
+    collector.on('snapshot', connections => snapshots.push(connections));
+
+    collector.start();
+    await Promise.resolve();
+    expect(snapshots).toEqual([first]);
+
+    jest.advanceTimersByTime(500);
+    await Promise.resolve();
+    expect(snapshots).toEqual([first, second]);
+
+    collector.stop();
+  });
+
+  test('should skip null snapshots', async () => {
+    const collector = new FakeCollector({ snapshots: [null] });
+    const snapshotSpy = jest.fn();
+    collector.on('snapshot', snapshotSpy);
+
+    collector.start();
+    await Promise.resolve();
+
+    expect(snapshotSpy).not.toHaveBeenCalled();
+    collector.stop();
+  });
+
+  test('should report unavailable collectors and stop polling', async () => {
+    const error = new Error('not installed');
+    error.code = 'ENOENT';
+    const collector = new FakeCollector({ snapshots: [error] });
+    const unavailableSpy = jest.fn();
+    collector.on('unavailable', unavailableSpy);
+
+    collector.start();
+    await Promise.resolve();
+
+    expect(unavailableSpy).toHaveBeenCalledWith(error);
+    expect(collector.isRunning).toBe(false);
+    expect(collector.pollTimer).toBeNull();
+  });
+
+  test('should warn and retry after transient errors', async () => {
+    const collector = new FakeCollector({ pollInterval: 500, snapshots: [new Error('boom')] });
+    const warningSpy = jest.fn();
+    collector.on('warning', warningSpy);
+
+    collector.start();
+    await Promise.resolve();
+
+    expect(warningSpy).toHaveBeenCalledWith('fake error: boom');
+    expect(collector.isRunning).toBe(true);
+
+    collector.stop();
+  });
+});
@@ -0,0 +1,95 @@
+const ContainerResolver = require('../services/ContainerResolver');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const WEB_ID = 'a1b2c3d4e5f6'.padEnd(64, '0');
+const DB_ID = 'ffeeddccbbaa'.padEnd(64, '1');
+
+describe('ContainerResolver', () => {
+  let procRoot;
+  let resolver;
+
+  /**
+   * Writes /proc/<pid>/cgroup
+   */
+  function writeCgroup(pid, content) {
+    fs.mkdirSync(path.join(procRoot, String(pid)), { recursive: true });
+    fs.writeFileSync(path.join(procRoot, String(pid), 'cgroup'), content);
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    procRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'containers-'));
+    resolver = new ContainerResolver({ platform: 'linux', procRoot, socketPaths: [] });
+  });
+
+  afterEach(() => {
+    resolver.stop();
+    fs.rmSync(procRoot, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  describe('parseCgroup', () => {
+    test('should find container IDs in cgroup v1 and v2 paths of common runtimes', () => {
+      expect(resolver.parseCgroup(`12:memory:/docker/${WEB_ID}\n1:name=systemd:/docker/${WEB_ID}\n`)).toBe('a1b2c3d4e5f6');
+      expect(resolver.parseCgroup(`0::/system.slice/docker-${WEB_ID}.scope\n`)).toBe('a1b2c3d4e5f6');
+      expect(resolver.parseCgroup(`0::/machine.slice/libpod-${DB_ID}.scope/container\n`)).toBe('ffeeddccbbaa');
+      expect(resolver.parseCgroup(`0::/kubepods.slice/kubepods-pod1.slice/cri-containerd-${DB_ID}.scope\n`)).toBe('ffeeddccbbaa');
+      expect(resolver.parseCgroup('0::/user.slice/user-1000.slice/session-2.scope\n')).toBeNull();
+    });
+  });
+
+  test('should attribute processes by their cgroup and ignore processes outside containers', () => {
+    writeCgroup(100, `0::/system.slice/docker-${WEB_ID}.scope\n`);
+    writeCgroup(200, '0::/user.slice/user-1000.slice/session-2.scope\n');
+
+    expect(resolver.getContainer(100)).toEqual({ containerId: 'a1b2c3d4e5f6', containerName: null, containerImage: null });
+    expect(resolver.getContainer(200)).toBeNull();
+    expect(resolver.getContainer(300)).toBeNull();
+    expect(resolver.getContainer(undefined)).toBeNull();
+    expect(new ContainerResolver({ platform: 'darwin', procRoot }).getContainer(100)).toBeNull();
+  });
+
+  describe('with a runtime socket', () => {
+    let server;
+    let socketPath;
+    let containers;
+    let requests;
+
+    beforeEach((done) => {
+      socketPath = path.join(procRoot, 'docker.sock');
+      containers = [{ Id: WEB_ID, Names: ['/web'], Image: 'nginx:1.25' }];
+      requests = 0;
+      server = http.createServer((request, response) => {
+        requests++;
+        response.setHeader('Content-Type', 'application/json');
+        response.end(JSON.stringify(containers));
+      });
+      server.listen(socketPath, done);
+    });
+
+    afterEach((done) => {
+      server.close(done);
+    });
+
+    test('should add names and images and reload the list for unknown containers', async () => {
+      resolver = new ContainerResolver({ platform: 'linux', procRoot, socketPaths: ['/nonexistent.sock', socketPath] });
+      writeCgroup(100, `0::/system.slice/docker-${WEB_ID}.scope\n`);
+      writeCgroup(200, `0::/system.slice/docker-${DB_ID}.scope\n`);
+
+      await resolver.start();
+
+      expect(resolver.getContainer(100)).toEqual({ containerId: 'a1b2c3d4e5f6', containerName: 'web', containerImage: 'nginx:1.25' });
+
+      containers.push({ Id: DB_ID, Names: ['/db'], Image: 'postgres:16' });
+      expect(resolver.getContainer(200)).toEqual(expect.objectContaining({ containerId: 'ffeeddccbbaa', containerName: null }));
+      await resolver.refreshPromise;
+
+      expect(resolver.getContainer(200)).toEqual(expect.objectContaining({ containerName: 'db', containerImage: 'postgres:16' }));
+      expect(requests).toBe(2);
+      expect(resolver.getStatus()).toEqual(expect.objectContaining({ socketPath, containers: 2, lastError: null }));
+    });
+  });
+});
@@ -8,11 +8,13 @@ jest.mock('fs', () => ({
   promises: {
     readFile: jest.fn(),
     writeFile: jest.fn(),
+    rename: jest.fn(),
     mkdir: jest.fn()
   }
 }));
 
 const fetch = require('node-fetch');
+const buildMMDB = require('./fixtures/buildMMDB');
 
 describe('GeolocationService', () => {
   let geoService;
@@ -76,7 +78,10 @@ describe('GeolocationService', () => {
         country: 'United States',
         city: 'Mountain View',
         lat: 37.4056,
-        lon: -122.0775
+        lon: -122.0775,
+        org: 'Google Public DNS',
+        asn: 15169,
+        asName: 'Google LLC'
       }));
     });
 
@@ -101,6 +106,23 @@ describe('GeolocationService', () => {
       expect(result.ip).toBe('8.8.8.8');
     });
 
+    test('should share one cache entry between IPv6 spellings', async () => {
+      mockResponse.json.mockResolvedValue({
+        status: 'success',
+        country: 'United States',
+        city: 'San Francisco',
+        lat: 37.7621,
+        lon: -122.3971
+      });
+
+      await geoService.getLocation('2606:4700:0:0:0:0:0:1111');
+      const result = await geoService.getLocation('2606:4700::1111');
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(fetch).toHaveBeenCalledWith('http://ip-api.com/json/2606:4700::1111', expect.any(Object));
+      expect(result.ip).toBe('2606:4700::1111');
+    });
+
     test('should handle API errors gracefully', async () => {
       mockResponse.ok = false;
       mockResponse.status = 429;
@@ -134,6 +156,207 @@ describe('GeolocationService', () => {
     });
   });
 
+  describe('provider chain', () => {
+    test('should geolocate from the local database without calling the API', async () => {
+      const mmdbService = new GeolocationService({ providers: [{ type: 'mmdb', cityFile: 'GeoLite2-City.mmdb' }] });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      fs.readFile.mockResolvedValueOnce(buildMMDB({
+        networks: [{
+          cidr: '8.8.8.0/24',
+          data: {
+            city: { names: { en: 'Mountain View' } },
+            country: { iso_code: 'US', names: { en: 'United States' } },
+            location: { latitude: 37.386, longitude: -122.0838 }
+          }
+        }]
+      }));
+
+      const result = await mmdbService.getLocation('8.8.8.8');
+
+      expect(fetch).not.toHaveBeenCalled();
+      expect(fs.readFile).toHaveBeenCalledWith('GeoLite2-City.mmdb');
+      expect(result).toEqual(expect.objectContaining({
+        ip: '8.8.8.8',
+        status: 'success',
+        city: 'Mountain View',
+        countryCode: 'US',
+        lat: 37.386
+      }));
+      expect(mmdbService.getStatus()).toEqual(expect.objectContaining({
+        rateLimitDelay: 0,
+        providers: [expect.objectContaining({ name: 'mmdb', success: 1 })]
+      }));
+    });
+
+    test('should fall back to ip-api for addresses missing from the local database', async () => {
+      const chainService = new GeolocationService({ providers: [{ type: 'mmdb', cityFile: 'GeoLite2-City.mmdb' }, { type: 'ip-api' }] });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      fs.readFile.mockResolvedValueOnce(buildMMDB({ networks: [] }));
+      mockResponse.json.mockResolvedValue({ status: 'success', city: 'Sydney', lat: -33.86, lon: 151.2 });
+
+      const result = await chainService.getLocation('1.1.1.1');
+
+      expect(fetch).toHaveBeenCalledWith('http://ip-api.com/json/1.1.1.1', expect.any(Object));
+      expect(result).toEqual(expect.objectContaining({ city: 'Sydney', provider: 'ip-api' }));
+      expect(chainService.getStatus().providers).toEqual([
+        expect.objectContaining({ name: 'mmdb', miss: 1, failure: 0 }),
+        expect.objectContaining({ name: 'ip-api', success: 1 })
+      ]);
+    });
+
+    test('should reject unknown providers', () => {
+      expect(() => new GeolocationService({ providers: [{ type: 'carrier-pigeon' }] })).toThrow('Unknown geolocation provider type: carrier-pigeon');
+    });
+  });
+
+  describe('location overrides', () => {
+    test('should answer overridden ranges without asking providers or caching', async () => {
+      geoService.overrides.setOverrides([
+        { cidr: '8.8.8.0/24', label: 'Office egress', city: 'Berlin', lat: 52.52, lon: 13.405 }
+      ]);
+
+      const result = await geoService.getLocation('8.8.8.8');
+
+      expect(fetch).not.toHaveBeenCalled();
+      expect(result).toEqual(expect.objectContaining({ ip: '8.8.8.8', label: 'Office egress', lat: 52.52, provider: 'override' }));
+      expect(geoService.getCacheStats().size).toBe(0);
+      expect(geoService.getStatus()).toEqual(expect.objectContaining({ overrides: 1, overrideHits: 1 }));
+    });
+
+    test('should take priority over cached provider results', async () => {
+      mockResponse.json.mockResolvedValue({ status: 'success', city: 'Mountain View', lat: 37.4, lon: -122.1 });
+      await geoService.getLocation('8.8.8.8');
+
+      geoService.overrides.setOverrides([{ cidr: '8.8.8.8/32', city: 'Berlin', lat: 52.52, lon: 13.405 }]);
+
+      await expect(geoService.getLocation('8.8.8.8')).resolves.toEqual(expect.objectContaining({ city: 'Berlin' }));
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('range cache', () => {
+    test('should answer other addresses in the same /24 from the cache', async () => {
+      mockResponse.json.mockResolvedValue({ status: 'success', city: 'Mountain View', lat: 37.4056, lon: -122.0775 });
+
+      await geoService.getLocation('8.8.8.8');
+      const sibling = await geoService.getLocation('8.8.8.4');
+      await geoService.getLocation('8.8.8.8');
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(sibling).toEqual(expect.objectContaining({ ip: '8.8.8.4', city: 'Mountain View', network: '8.8.8.0/24' }));
+      expect(geoService.getCacheStats()).toEqual(expect.objectContaining({
+        size: 1,
+        rangeSize: 1,
+        ranges: ['8.8.8.0/24'],
+        hits: 1,
+        rangeHits: 1,
+        misses: 1
+      }));
+    });
+
+    test('should group IPv6 addresses by /48 and not cross block boundaries', async () => {
+      mockResponse.json.mockResolvedValue({ status: 'success', city: 'Dublin', lat: 53.3, lon: -6.2 });
+      geoService.setRateLimit(0);
+
+      await geoService.getLocation('2a00:1450:4001::1');
+      await geoService.getLocation('2a00:1450:4001:81c::200e');
+      await geoService.getLocation('2a00:1450:4002::1');
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(geoService.getCacheStats().ranges).toEqual(['2a00:1450:4001::/48', '2a00:1450:4002::/48']);
+    });
+
+    test('should use the network block reported by the local database', async () => {
+      const mmdbService = new GeolocationService({ providers: [{ type: 'mmdb', cityFile: 'GeoLite2-City.mmdb' }] });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      fs.readFile.mockResolvedValueOnce(buildMMDB({
+        networks: [{
+          cidr: '104.16.0.0/13',
+          data: { country: { iso_code: 'US', names: { en: 'United States' } }, location: { latitude: 37.75, longitude: -97.82 } }
+        }]
+      }));
+
+      await mmdbService.getLocation('104.16.1.1');
+      const sibling = await mmdbService.getLocation('104.22.5.5');
+
+      expect(sibling).toEqual(expect.objectContaining({ ip: '104.22.5.5', network: '104.16.0.0/13' }));
+      expect(mmdbService.getStatus().providers).toEqual([expect.objectContaining({ success: 1 })]);
+      expect(mmdbService.getCacheStats().rangeHits).toBe(1);
+    });
+
+    test('should not cache failed lookups by range', async () => {
+      mockResponse.json.mockResolvedValue({ status: 'fail', message: 'reserved range' });
+
+      await geoService.getLocation('8.8.8.8');
+
+      expect(geoService.getCacheStats().rangeSize).toBe(0);
+    });
+
+    test('should load ranges from the persistent cache', async () => {
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({
+        entries: {},
+        ranges: {
+          '1.1.1.0/24': { status: 'success', city: 'Sydney', lat: -33.86, lon: 151.2, network: '1.1.1.0/24', timestamp: Date.now() },
+          '9.9.9.0/24': { status: 'success', city: 'Zurich', lat: 47.37, lon: 8.54, network: '9.9.9.0/24', timestamp: Date.now() - 25 * 60 * 60 * 1000 }
+        }
+      }));
+
+      const newService = new GeolocationService();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      await expect(newService.getLocation('1.1.1.2')).resolves.toEqual(expect.objectContaining({ ip: '1.1.1.2', city: 'Sydney' }));
+      expect(newService.getCacheStats().ranges).toEqual(['1.1.1.0/24']);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('negative caching', () => {
+    test('should cache failed responses for the shorter negative TTL', async () => {
+      mockResponse.json.mockResolvedValue({ status: 'fail', message: 'reserved range' });
+
+      const first = await geoService.getLocation('8.8.8.8');
+      const second = await geoService.getLocation('8.8.8.8');
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(second).toBe(first);
+      expect(geoService.getCacheStats()).toEqual(expect.objectContaining({ negativeSize: 1, negativeHits: 1, hits: 0 }));
+      expect(geoService.getStatus()).toEqual(expect.objectContaining({
+        negativeCacheSize: 1,
+        negativeCacheDuration: geoService.negativeCacheDuration
+      }));
+
+      // Expires after the negative TTL although the normal TTL has not passed
+      first.timestamp = Date.now() - geoService.negativeCacheDuration - 1;
+      await geoService.getLocation('8.8.8.8');
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should cache addresses that failed after all retries', async () => {
+      geoService.maxRetries = 0;
+      fetch.mockRejectedValueOnce(new Error('Network error'));
+
+      const result = await geoService.getLocation('8.8.8.8');
+      await geoService.getLocation('8.8.8.8');
+
+      expect(result).toEqual(expect.objectContaining({ status: 'fail', error: 'Network error' }));
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(geoService.getStatus().negativeCacheSize).toBe(1);
+    });
+
+    test('should keep successful results for the full TTL', () => {
+      const age = geoService.negativeCacheDuration + 1;
+      geoService.cache.set('8.8.8.8', { ip: '8.8.8.8', status: 'success', timestamp: Date.now() - age });
+      geoService.cache.set('1.1.1.1', { ip: '1.1.1.1', status: 'fail', timestamp: Date.now() - age });
+
+      expect(geoService.cleanupExpiredCache()).toBe(1);
+      expect(geoService.getCacheStats().entries).toEqual(['8.8.8.8']);
+    });
+  });
+
   describe('isValidLocationResponse', () => {
     test('should validate correct response structure', () => {
       const validResponse = {
@@ -382,9 +605,12 @@ describe('GeolocationService', () => {
       jest.useFakeTimers();
       fs.readFile.mockClear();
       fs.writeFile.mockClear();
+      fs.rename.mockClear();
       fs.mkdir.mockClear();
     });
 
+    const tempFile = `.cache/geolocation.json.${process.pid}.tmp`;
+
     afterEach(() => {
       jest.useRealTimers();
     });
@@ -461,14 +687,82 @@ describe('GeolocationService', () => {
       mockResponse.json.mockResolvedValue(mockData);
       fs.mkdir.mockResolvedValue();
       fs.writeFile.mockResolvedValue();
+      fs.rename.mockResolvedValue();
 
       await geoService.getLocation('8.8.8.8');
 
+      // Saves are deferred until the save interval has passed
+      expect(fs.writeFile).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(geoService.saveInterval);
+      await geoService.flushPersistentCache();
+
       expect(fs.mkdir).toHaveBeenCalledWith('.cache', { recursive: true });
-      expect(fs.writeFile).toHaveBeenCalledWith(
-        '.cache/geolocation.json',
-        expect.stringContaining('8.8.8.8')
-      );
+      expect(fs.writeFile).toHaveBeenCalledWith(tempFile, expect.stringContaining('8.8.8.8'));
+      expect(fs.rename).toHaveBeenCalledWith(tempFile, '.cache/geolocation.json');
+    });
+
+    test('should write several results with one save', async () => {
+      mockResponse.json.mockResolvedValue({ status: 'success', lat: 1, lon: 2 });
+      fs.mkdir.mockResolvedValue();
+      fs.writeFile.mockResolvedValue();
+      fs.rename.mockResolvedValue();
+      geoService.setRateLimit(0);
+
+      await geoService.getLocation('8.8.8.8');
+      await geoService.getLocation('1.1.1.1');
+
+      jest.advanceTimersByTime(geoService.saveInterval);
+      await geoService.flushPersistentCache();
+
+      expect(fs.writeFile).toHaveBeenCalledTimes(1);
+      const saved = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(Object.keys(saved.entries)).toEqual(['8.8.8.8', '1.1.1.1']);
+      expect(Object.keys(saved.ranges)).toEqual(['8.8.8.0/24', '1.1.1.0/24']);
+    });
+
+    test('should flush pending results on demand', async () => {
+      mockResponse.json.mockResolvedValue({ status: 'success', lat: 1, lon: 2 });
+      fs.mkdir.mockResolvedValue();
+      fs.writeFile.mockResolvedValue();
+      fs.rename.mockResolvedValue();
+
+      await geoService.getLocation('8.8.8.8');
+      await geoService.flushPersistentCache();
+
+      expect(fs.rename).toHaveBeenCalledTimes(1);
+      expect(geoService.getStatus().cacheSavePending).toBe(false);
+
+      // Nothing left to write, and the cancelled timer does not save again
+      jest.advanceTimersByTime(geoService.saveInterval);
+      await geoService.flushPersistentCache();
+      expect(fs.rename).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep the previous cache file if writing fails', async () => {
+      fs.mkdir.mockResolvedValue();
+      fs.writeFile.mockRejectedValue(new Error('ENOSPC'));
+
+      geoService.cache.set('8.8.8.8', { ip: '8.8.8.8', status: 'success', timestamp: Date.now() });
+      await geoService.forceSavePersistentCache();
+
+      expect(fs.rename).not.toHaveBeenCalled();
+      expect(geoService.getStatus().cacheSavePending).toBe(true);
+    });
+
+    test('should evict least recently used entries beyond the size limit', () => {
+      geoService.cache.maxSize = 2;
+      const entry = ip => ({ ip, status: 'success', timestamp: Date.now() });
+
+      geoService.cache.set('8.8.8.8', entry('8.8.8.8'));
+      geoService.cache.set('1.1.1.1', entry('1.1.1.1'));
+      geoService.getCachedResult('8.8.8.8');
+      geoService.cache.set('9.9.9.9', entry('9.9.9.9'));
+
+      const stats = geoService.getCacheStats();
+      expect(stats.entries).toEqual(['8.8.8.8', '9.9.9.9']);
+      expect(stats.maxSize).toBe(2);
+      expect(stats.evictions).toBe(1);
     });
 
     test('should clean up expired cache entries', () => {
@@ -514,6 +808,7 @@ describe('GeolocationService', () => {
     test('should manually save persistent cache', async () => {
       fs.mkdir.mockResolvedValue();
       fs.writeFile.mockResolvedValue();
+      fs.rename.mockResolvedValue();
 
       // Add entry to cache
       geoService.cache.set('8.8.8.8', {
@@ -524,10 +819,8 @@ describe('GeolocationService', () => {
 
       await geoService.forceSavePersistentCache();
 
-      expect(fs.writeFile).toHaveBeenCalledWith(
-        '.cache/geolocation.json',
-        expect.stringContaining('8.8.8.8')
-      );
+      expect(fs.writeFile).toHaveBeenCalledWith(tempFile, expect.stringContaining('8.8.8.8'));
+      expect(fs.rename).toHaveBeenCalledWith(tempFile, '.cache/geolocation.json');
     });
   });
 
@@ -564,7 +857,8 @@ describe('GeolocationService', () => {
 
       await Promise.all(promises);
 
-      expect(fetch).toHaveBeenCalledTimes(3);
+      // The first request goes out alone; the two queued behind it share one batch request
+      expect(fetch).toHaveBeenCalledTimes(2);
     }, 15000);
 
     test('should process queue in order', async () => {
@@ -586,8 +880,88 @@ describe('GeolocationService', () => {
 
       // Verify calls were made in order
       expect(fetch).toHaveBeenNthCalledWith(1, 'http://ip-api.com/json/8.8.8.8', expect.any(Object));
-      expect(fetch).toHaveBeenNthCalledWith(2, 'http://ip-api.com/json/1.1.1.1', expect.any(Object));
-      expect(fetch).toHaveBeenNthCalledWith(3, 'http://ip-api.com/json/4.4.4.4', expect.any(Object));
+      expect(fetch).toHaveBeenNthCalledWith(2, 'http://ip-api.com/batch', expect.objectContaining({
+        body: JSON.stringify(['1.1.1.1', '4.4.4.4'])
+      }));
     }, 15000);
   });
-});
\ No newline at end of file
+
+  describe('in-flight coalescing', () => {
+    test('should share one lookup between concurrent callers for the same IP', async () => {
+      mockResponse.json.mockResolvedValue({ status: 'success', city: 'Mountain View', lat: 37.4056, lon: -122.0775 });
+
+      const first = geoService.getLocation('8.8.8.8');
+      const second = geoService.getLocation('8.8.8.8');
+      const third = geoService.getLocation('0:0:0:0:0:ffff:808:808'); // Same address, IPv4-mapped
+
+      expect(geoService.getStatus()).toEqual(expect.objectContaining({
+        inFlightLookups: 1,
+        coalescedRequests: 2
+      }));
+
+      const results = await Promise.all([first, second, third]);
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(results[1]).toBe(results[0]);
+      expect(results[2]).toBe(results[0]);
+      expect(geoService.getStatus().inFlightLookups).toBe(0);
+    });
+
+    test('should start a new lookup once the previous one has finished', async () => {
+      mockResponse.json.mockResolvedValue({ status: 'success', lat: 1, lon: 2 });
+
+      await geoService.getLocation('8.8.8.8');
+      geoService.clearCache();
+      await geoService.getLocation('8.8.8.8');
+
+      // With the result no longer cached, the second call must not reuse the finished promise
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(geoService.getStatus().coalescedRequests).toBe(0);
+    });
+  });
+
+  describe('batch lookups', () => {
+    const located = (city) => ({ status: 'success', city, lat: 1, lon: 2 });
+
+    test('should send queued addresses in one batch request', async () => {
+      mockResponse.json
+        .mockResolvedValueOnce(located('Mountain View'))
+        .mockResolvedValueOnce([located('Sydney'), located('Zurich'), { status: 'fail', message: 'reserved range' }]);
+
+      const results = await geoService.getLocations(['8.8.8.8', '1.1.1.1', '9.9.9.9', '240.0.0.1']);
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(fetch).toHaveBeenLastCalledWith('http://ip-api.com/batch', expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify(['1.1.1.1', '9.9.9.9', '240.0.0.1'])
+      }));
+      expect(results.map(result => result.city)).toEqual(['Mountain View', 'Sydney', 'Zurich', 'Unknown']);
+      expect(results[3].status).toBe('fail');
+      expect(geoService.getCacheStats()).toEqual(expect.objectContaining({ size: 4, negativeSize: 1 }));
+      expect(geoService.getStatus().batchesSent).toBe(1);
+    });
+
+    test('should fall back to single lookups when the batch request fails', async () => {
+      fetch
+        .mockResolvedValueOnce({ ...mockResponse, json: jest.fn().mockResolvedValue(located('Mountain View')) })
+        .mockRejectedValueOnce(new Error('batch endpoint down'));
+      mockResponse.json.mockResolvedValue(located('Single'));
+
+      const results = await geoService.getLocations(['8.8.8.8', '1.1.1.1', '9.9.9.9']);
+
+      expect(results.map(result => result.status)).toEqual(['success', 'success', 'success']);
+      expect(fetch).toHaveBeenCalledWith('http://ip-api.com/json/1.1.1.1', expect.any(Object));
+      expect(fetch).toHaveBeenCalledWith('http://ip-api.com/json/9.9.9.9', expect.any(Object));
+    });
+
+    test('should not batch when disabled', async () => {
+      geoService.batchSize = 1;
+      mockResponse.json.mockResolvedValue(located('Single'));
+
+      await geoService.getLocations(['8.8.8.8', '1.1.1.1', '9.9.9.9']);
+
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(fetch).not.toHaveBeenCalledWith('http://ip-api.com/batch', expect.any(Object));
+    });
+  });
+});
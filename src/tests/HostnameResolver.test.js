@@ -0,0 +1,73 @@
+const HostnameResolver = require('../services/HostnameResolver');
+
+describe('HostnameResolver', () => {
+  const notFound = () => Object.assign(new Error('getHostByAddr ENOTFOUND'), { code: 'ENOTFOUND' });
+
+  test('should resolve and cache the first PTR record', async () => {
+    const reverse = jest.fn().mockResolvedValue(['lga34s34-in-f14.1e100.net', 'other.example']);
+    const resolver = new HostnameResolver({ reverse });
+
+    await expect(resolver.resolve('142.250.80.46')).resolves.toBe('lga34s34-in-f14.1e100.net');
+    await expect(resolver.resolve('142.250.80.46')).resolves.toBe('lga34s34-in-f14.1e100.net');
+
+    expect(reverse).toHaveBeenCalledTimes(1);
+    expect(resolver.getStatus()).toEqual(expect.objectContaining({ cacheSize: 1, lookups: 1, resolved: 1, hits: 1 }));
+  });
+
+  test('should resolve to null without a PTR record and retry after the negative TTL', async () => {
+    const reverse = jest.fn().mockRejectedValue(notFound());
+    const resolver = new HostnameResolver({ reverse, negativeCacheDuration: 1000 });
+
+    await expect(resolver.resolve('8.8.4.4')).resolves.toBeNull();
+    await expect(resolver.resolve('8.8.4.4')).resolves.toBeNull();
+    expect(reverse).toHaveBeenCalledTimes(1);
+
+    resolver.cache.peek('8.8.4.4').timestamp -= 1001;
+    await resolver.resolve('8.8.4.4');
+    expect(reverse).toHaveBeenCalledTimes(2);
+    expect(resolver.getStatus().failed).toBe(2);
+  });
+
+  test('should give up on slow lookups after the timeout', async () => {
+    jest.useFakeTimers();
+    try {
+      const resolver = new HostnameResolver({ reverse: () => new Promise(() => {}), timeout: 50 });
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const result = resolver.resolve('1.1.1.1');
+      jest.advanceTimersByTime(50);
+
+      await expect(result).resolves.toBeNull();
+      expect(resolver.getStatus().timeouts).toBe(1);
+    } finally {
+      jest.useRealTimers();
+      jest.restoreAllMocks();
+    }
+  });
+
+  test('should share pending lookups and limit concurrency', async () => {
+    const pending = [];
+    const reverse = jest.fn(ip => new Promise(resolve => pending.push(() => resolve([`host-${ip}`]))));
+    const resolver = new HostnameResolver({ reverse, maxConcurrent: 2 });
+
+    const results = Promise.all(['1.1.1.1', '1.1.1.1', '2.2.2.2', '3.3.3.3'].map(ip => resolver.resolve(ip)));
+
+    expect(reverse).toHaveBeenCalledTimes(2);
+    expect(resolver.getStatus()).toEqual(expect.objectContaining({ activeLookups: 2, queuedLookups: 1 }));
+
+    pending.shift()();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(reverse).toHaveBeenCalledTimes(3);
+
+    pending.forEach(finish => finish());
+    await expect(results).resolves.toEqual(['host-1.1.1.1', 'host-1.1.1.1', 'host-2.2.2.2', 'host-3.3.3.3']);
+  });
+
+  test('should not look anything up when disabled', async () => {
+    const reverse = jest.fn();
+    const resolver = new HostnameResolver({ reverse, enabled: false });
+
+    await expect(resolver.resolve('1.1.1.1')).resolves.toBeNull();
+    expect(reverse).not.toHaveBeenCalled();
+  });
+});
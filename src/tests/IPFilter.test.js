@@ -1,3 +1,6 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const IPFilter = require('../utils/IPFilter');
 
 describe('IPFilter', () => {
@@ -24,6 +27,44 @@ describe('IPFilter', () => {
       expect(ipFilter.isValidIP(null)).toBe(false);
       expect(ipFilter.isValidIP(undefined)).toBe(false);
     });
+
+    test('should validate IPv6 addresses', () => {
+      expect(ipFilter.isValidIP('::1')).toBe(true);
+      expect(ipFilter.isValidIP('2001:4860:4860::8888')).toBe(true);
+      expect(ipFilter.isValidIP('fe80::1%en0')).toBe(true);
+      expect(ipFilter.isValidIP('::ffff:8.8.8.8')).toBe(true);
+      expect(ipFilter.isValidIP('2001:db8::1::2')).toBe(false);
+      expect(ipFilter.isValidIP('12345::1')).toBe(false);
+    });
+  });
+
+  describe('getIPVersion', () => {
+    test('should report the address family', () => {
+      expect(ipFilter.getIPVersion('8.8.8.8')).toBe(4);
+      expect(ipFilter.getIPVersion('2606:4700::1111')).toBe(6);
+      expect(ipFilter.getIPVersion('nope')).toBe(0);
+    });
+  });
+
+  describe('normalizeIP', () => {
+    test('should compress and lowercase IPv6 addresses', () => {
+      expect(ipFilter.normalizeIP('2607:F8B0:4004:0C1B:0:0:0:64')).toBe('2607:f8b0:4004:c1b::64');
+      expect(ipFilter.normalizeIP('2001:0db8:0000:0000:0001:0000:0000:0001')).toBe('2001:db8::1:0:0:1');
+    });
+
+    test('should strip zone IDs', () => {
+      expect(ipFilter.normalizeIP('fe80::1%en0')).toBe('fe80::1');
+    });
+
+    test('should unwrap IPv4-mapped addresses', () => {
+      expect(ipFilter.normalizeIP('::ffff:8.8.8.8')).toBe('8.8.8.8');
+      expect(ipFilter.normalizeIP('::FFFF:0808:0808')).toBe('8.8.8.8');
+    });
+
+    test('should leave IPv4 and invalid input unchanged', () => {
+      expect(ipFilter.normalizeIP('8.8.8.8')).toBe('8.8.8.8');
+      expect(ipFilter.normalizeIP('not-an-ip')).toBe('not-an-ip');
+    });
   });
 
   describe('isPrivateIP', () => {
@@ -72,6 +113,222 @@ describe('IPFilter', () => {
     });
   });
 
+  describe('isPrivateIP with the IANA special-purpose registry', () => {
+    test('should filter special-purpose IPv4 ranges', () => {
+      expect(ipFilter.isPrivateIP('100.64.0.1')).toBe(true); // CGNAT
+      expect(ipFilter.isPrivateIP('100.127.255.254')).toBe(true);
+      expect(ipFilter.isPrivateIP('198.18.0.1')).toBe(true); // Benchmarking
+      expect(ipFilter.isPrivateIP('198.19.255.254')).toBe(true);
+      expect(ipFilter.isPrivateIP('192.0.2.10')).toBe(true); // TEST-NET-1
+      expect(ipFilter.isPrivateIP('203.0.113.7')).toBe(true); // TEST-NET-3
+      expect(ipFilter.isPrivateIP('0.1.2.3')).toBe(true);
+      expect(ipFilter.isPrivateIP('250.1.1.1')).toBe(true);
+    });
+
+    test('should not treat public addresses ending in .255 as broadcast', () => {
+      expect(ipFilter.isPrivateIP('8.8.8.255')).toBe(false);
+      expect(ipFilter.isPrivateIP('100.128.0.1')).toBe(false);
+      expect(ipFilter.isPrivateIP('198.20.0.1')).toBe(false);
+    });
+
+    test('should report the matching rule', () => {
+      expect(ipFilter.getMatchingRule('100.64.0.1')).toBe('100.64.0.0/10');
+      expect(ipFilter.getMatchingRule('198.19.255.1')).toBe('198.18.0.0/15');
+      expect(ipFilter.getMatchingRule('::ffff:10.0.0.1')).toBe('10.0.0.0/8');
+      expect(ipFilter.getMatchingRule('8.8.8.8')).toBeNull();
+    });
+  });
+
+  describe('custom rules', () => {
+    test('should accept CIDR rules for both address families', () => {
+      const filter = new IPFilter(['8.8.8.0/24', '2606:4700::/32']);
+
+      expect(filter.isPrivateIP('8.8.8.8')).toBe(true);
+      expect(filter.isPrivateIP('2606:4700::1111')).toBe(true);
+      expect(filter.isPrivateIP('10.0.0.1')).toBe(false);
+    });
+
+    test('should convert legacy dotted prefixes', () => {
+      const filter = new IPFilter(['10.', '172.16.']);
+
+      expect(filter.privateRanges).toEqual(['10.0.0.0/8', '172.16.0.0/16']);
+      expect(filter.isPrivateIP('172.16.5.5')).toBe(true);
+      expect(filter.isPrivateIP('172.17.5.5')).toBe(false);
+    });
+
+    test('should reject invalid rules', () => {
+      expect(() => new IPFilter(['10.0.0.0/40'])).toThrow('Invalid IP filter rule: 10.0.0.0/40');
+    });
+  });
+
+  describe('connection rules', () => {
+    const connection = (overrides = {}) => ({
+      processName: 'Chrome',
+      destIP: '8.8.8.8',
+      destPort: 443,
+      ...overrides
+    });
+
+    test('should allow public connections when no rules are set', () => {
+      expect(ipFilter.isFilteredConnection(connection())).toBe(false);
+      expect(ipFilter.isFilteredConnection(connection({ destIP: '10.0.0.1' }))).toBe(true);
+    });
+
+    test('should exclude by CIDR, port range and process name', () => {
+      ipFilter.setConnectionRules({
+        exclude: { cidrs: ['8.8.4.0/24', '2606:4700::/32'], ports: [53, '8000-8100'], processes: ['Dropbox'] }
+      });
+
+      expect(ipFilter.isFilteredConnection(connection({ destIP: '8.8.4.4' }))).toBe(true);
+      expect(ipFilter.isFilteredConnection(connection({ destIP: '2606:4700::1111' }))).toBe(true);
+      expect(ipFilter.isFilteredConnection(connection({ destPort: 53 }))).toBe(true);
+      expect(ipFilter.isFilteredConnection(connection({ destPort: 8080 }))).toBe(true);
+      expect(ipFilter.isFilteredConnection(connection({ processName: 'dropbox' }))).toBe(true);
+      expect(ipFilter.isFilteredConnection(connection())).toBe(false);
+    });
+
+    test('should match inbound connections by our listening port', () => {
+      ipFilter.setConnectionRules({ exclude: { ports: [22] } });
+
+      expect(ipFilter.isFilteredConnection(connection({ sourcePort: 22, destPort: 50022, direction: 'inbound' }))).toBe(true);
+      expect(ipFilter.isFilteredConnection(connection({ sourcePort: 50022, destPort: 22, direction: 'outbound' }))).toBe(true);
+      // An outbound connection that happens to use local port 22 is not SSH
+      expect(ipFilter.isFilteredConnection(connection({ sourcePort: 22, destPort: 443, direction: 'outbound' }))).toBe(false);
+      expect(ipFilter.isFilteredConnection(connection({ sourcePort: 443, destPort: 22, direction: 'inbound' }))).toBe(false);
+    });
+
+    test('should match containers by name or short ID', () => {
+      ipFilter.setConnectionRules({ exclude: { containers: ['Prometheus', 'a1b2c3d4e5f6'] } });
+
+      expect(ipFilter.isFilteredConnection(connection({ containerId: '0123456789ab', containerName: 'prometheus' }))).toBe(true);
+      expect(ipFilter.isFilteredConnection(connection({ containerId: 'a1b2c3d4e5f6', containerName: null }))).toBe(true);
+      expect(ipFilter.isFilteredConnection(connection({ containerId: '0123456789ab', containerName: 'web' }))).toBe(false);
+      expect(ipFilter.isFilteredConnection(connection())).toBe(false);
+    });
+
+    test('should only show the watch-list when include rules are set', () => {
+      ipFilter.setConnectionRules({
+        include: { cidrs: ['1.1.1.0/24'], processes: ['curl'] },
+        exclude: { ports: [80] }
+      });
+
+      expect(ipFilter.isFilteredConnection(connection({ destIP: '1.1.1.1' }))).toBe(false);
+      expect(ipFilter.isFilteredConnection(connection({ processName: 'curl' }))).toBe(false);
+      expect(ipFilter.isFilteredConnection(connection())).toBe(true);
+      expect(ipFilter.isFilteredConnection(connection({ destIP: '1.1.1.1', destPort: 80 }))).toBe(true);
+    });
+
+    test('should reject malformed rules and keep the previous ones', () => {
+      ipFilter.setConnectionRules({ exclude: { ports: [53] } });
+
+      expect(() => ipFilter.setConnectionRules({ exclude: { ports: ['70000'] } })).toThrow('Invalid port in exclude.ports: 70000');
+      expect(() => ipFilter.setConnectionRules({ exclude: { cidrs: ['nope'] } })).toThrow('Invalid CIDR in exclude.cidrs: nope');
+      expect(() => ipFilter.setConnectionRules({ exclude: { hosts: [] } })).toThrow('Unknown filter rules field: exclude.hosts');
+      expect(() => ipFilter.setConnectionRules({ allow: {} })).toThrow('Unknown filter rules section: allow');
+      expect(() => ipFilter.setConnectionRules({ include: { ports: 443 } })).toThrow('Filter rules include.ports must be a list');
+
+      expect(ipFilter.isFilteredConnection(connection({ destPort: 53 }))).toBe(true);
+    });
+  });
+
+  describe('rules file', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ipfilter-'));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      ipFilter.unwatchRulesFile();
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      jest.restoreAllMocks();
+    });
+
+    test('should load JSON rules', async () => {
+      const file = path.join(tempDir, 'filters.json');
+      fs.writeFileSync(file, JSON.stringify({ exclude: { processes: ['Slack'] } }));
+
+      await ipFilter.loadRulesFile(file);
+
+      expect(ipFilter.isFilteredConnection({ processName: 'Slack', destIP: '8.8.8.8', destPort: 443 })).toBe(true);
+    });
+
+    test('should load YAML rules', async () => {
+      const file = path.join(tempDir, 'filters.yaml');
+      fs.writeFileSync(file, [
+        'exclude:',
+        '  cidrs:',
+        '    - 203.0.114.0/24',
+        '  ports: [5228, "6000-6010"]'
+      ].join('\n'));
+
+      await ipFilter.loadRulesFile(file);
+
+      expect(ipFilter.isFilteredConnection({ processName: 'x', destIP: '203.0.114.9', destPort: 443 })).toBe(true);
+      expect(ipFilter.isFilteredConnection({ processName: 'x', destIP: '8.8.8.8', destPort: 6005 })).toBe(true);
+      expect(ipFilter.isFilteredConnection({ processName: 'x', destIP: '8.8.8.8', destPort: 443 })).toBe(false);
+    });
+
+    test('should keep previous rules when a reload fails', async () => {
+      const file = path.join(tempDir, 'filters.json');
+      fs.writeFileSync(file, JSON.stringify({ exclude: { ports: [53] } }));
+      await ipFilter.loadRulesFile(file);
+
+      fs.writeFileSync(file, '{ not json');
+      const reloaded = await ipFilter.reloadRulesFile();
+
+      expect(reloaded).toBe(false);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Keeping previous filter rules'));
+      expect(ipFilter.isFilteredConnection({ processName: 'x', destIP: '8.8.8.8', destPort: 53 })).toBe(true);
+    });
+
+    test('should pick up changes on reload', async () => {
+      const file = path.join(tempDir, 'filters.json');
+      fs.writeFileSync(file, JSON.stringify({ exclude: { ports: [53] } }));
+      await ipFilter.loadRulesFile(file);
+
+      fs.writeFileSync(file, JSON.stringify({ exclude: { ports: [853] } }));
+      await ipFilter.reloadRulesFile();
+
+      expect(ipFilter.isFilteredConnection({ processName: 'x', destIP: '8.8.8.8', destPort: 53 })).toBe(false);
+      expect(ipFilter.isFilteredConnection({ processName: 'x', destIP: '8.8.8.8', destPort: 853 })).toBe(true);
+    });
+  });
+
+  describe('isPrivateIP with IPv6', () => {
+    test('should filter special-purpose IPv6 ranges', () => {
+      expect(ipFilter.isPrivateIP('::')).toBe(true);
+      expect(ipFilter.isPrivateIP('::1')).toBe(true);
+      expect(ipFilter.isPrivateIP('fe80::1%en0')).toBe(true);
+      expect(ipFilter.isPrivateIP('fd12:3456:789a::1')).toBe(true);
+      expect(ipFilter.isPrivateIP('ff02::1')).toBe(true);
+      expect(ipFilter.isPrivateIP('2001:db8::1')).toBe(true);
+    });
+
+    test('should filter IPv6 outside global unicast and the remaining IANA special-purpose ranges', () => {
+      expect(ipFilter.isPrivateIP('1000::1')).toBe(true);
+      expect(ipFilter.isPrivateIP('4000::1')).toBe(true);
+      expect(ipFilter.isPrivateIP('abcd::1')).toBe(true);
+      expect(ipFilter.isPrivateIP('64:ff9b::808:808')).toBe(true);
+      expect(ipFilter.isPrivateIP('100:0:0:1::1')).toBe(true);
+      expect(ipFilter.isPrivateIP('2001:0:4136:e378::1')).toBe(true); // Teredo
+      expect(ipFilter.getMatchingRule('64:ff9b::808:808')).toBe('64:ff9b::/96');
+      expect(new IPFilter(['8.8.8.0/24']).isPrivateIP('fe80::1')).toBe(true);
+    });
+
+    test('should allow global unicast IPv6 addresses', () => {
+      expect(ipFilter.isPrivateIP('2001:4860:4860::8888')).toBe(false);
+      expect(ipFilter.isPrivateIP('2606:4700::1111')).toBe(false);
+    });
+
+    test('should classify IPv4-mapped addresses by their IPv4 address', () => {
+      expect(ipFilter.isPrivateIP('::ffff:8.8.8.8')).toBe(false);
+      expect(ipFilter.isPrivateIP('::ffff:192.168.1.1')).toBe(true);
+    });
+  });
+
   describe('filterPublicIPs', () => {
     test('should filter out private IPs from array', () => {
       const ips = [
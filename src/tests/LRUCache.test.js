@@ -0,0 +1,66 @@
+const LRUCache = require('../utils/LRUCache');
+
+describe('LRUCache', () => {
+  test('should store and retrieve values like a Map', () => {
+    const cache = new LRUCache(10);
+
+    cache.set('a', 1).set('b', 2);
+
+    expect(cache.size).toBe(2);
+    expect(cache.get('a')).toBe(1);
+    expect(cache.has('b')).toBe(true);
+    expect(cache.get('missing')).toBeUndefined();
+    expect(cache.delete('a')).toBe(true);
+    expect(cache.has('a')).toBe(false);
+
+    cache.clear();
+    expect(cache.size).toBe(0);
+  });
+
+  test('should evict the least recently set entry when full', () => {
+    const cache = new LRUCache(2);
+
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('c', 3);
+
+    expect(Array.from(cache.keys())).toEqual(['b', 'c']);
+    expect(cache.evictions).toBe(1);
+  });
+
+  test('should treat get as a use but not peek or has', () => {
+    const cache = new LRUCache(2);
+
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+    expect(Array.from(cache.keys())).toEqual(['a', 'c']);
+
+    cache.peek('a');
+    cache.has('a');
+    cache.set('d', 4);
+    expect(Array.from(cache.keys())).toEqual(['c', 'd']);
+  });
+
+  test('should move an updated key to most recently used without evicting', () => {
+    const cache = new LRUCache(2);
+
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('a', 10);
+
+    expect(Array.from(cache.entries())).toEqual([['b', 2], ['a', 10]]);
+    expect(cache.evictions).toBe(0);
+  });
+
+  test('should be unbounded by default and reject invalid sizes', () => {
+    const cache = new LRUCache();
+    for (let i = 0; i < 1000; i++) {
+      cache.set(i, i);
+    }
+    expect(cache.size).toBe(1000);
+
+    expect(() => new LRUCache(0)).toThrow('LRUCache maxSize must be greater than 0');
+  });
+});
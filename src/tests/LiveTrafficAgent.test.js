@@ -0,0 +1,182 @@
+jest.mock('../services/GeolocationService');
+
+const LiveTrafficAgent = require('../../agent');
+
+describe('LiveTrafficAgent', () => {
+  let agent;
+  let hostnameResolver;
+
+  const trafficData = {
+    connectionId: 'conn-1',
+    processName: 'Chrome',
+    destIP: '142.250.80.46',
+    destPort: 443,
+    ipVersion: 4,
+    timestamp: 1700000000000
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    hostnameResolver = { resolve: jest.fn().mockResolvedValue('lga34s34-in-f14.1e100.net') };
+    agent = new LiveTrafficAgent({ hostnameResolver });
+    agent.geoService.getLocation.mockResolvedValue({
+      status: 'success',
+      lat: 40.7,
+      lon: -74,
+      city: 'New York',
+      country: 'United States',
+      isp: 'Google LLC',
+      org: 'Google LLC',
+      as: 'AS15169 Google LLC',
+      asn: 15169,
+      asName: 'Google LLC'
+    });
+    agent.wsServer.broadcast = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should add the resolved hostname to traffic messages', async () => {
+    await agent.handleTrafficEvent(trafficData);
+
+    expect(hostnameResolver.resolve).toHaveBeenCalledWith('142.250.80.46');
+    expect(agent.wsServer.broadcast).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'traffic',
+      ip: '142.250.80.46',
+      hostname: 'lga34s34-in-f14.1e100.net',
+      city: 'New York'
+    }));
+  });
+
+  test('should report the direction and use our listening port for inbound connections', async () => {
+    await agent.handleTrafficEvent(trafficData);
+    await agent.handleTrafficEvent({ ...trafficData, sourcePort: 22, destPort: 50022, direction: 'inbound' });
+
+    expect(agent.wsServer.broadcast).toHaveBeenNthCalledWith(1, expect.objectContaining({ direction: 'outbound', port: 443 }));
+    expect(agent.wsServer.broadcast).toHaveBeenNthCalledWith(2, expect.objectContaining({ direction: 'inbound', port: 22 }));
+  });
+
+  test('should forward byte counters when the collector reports them', async () => {
+    await agent.handleTrafficEvent({ ...trafficData, bytesIn: 2048, bytesOut: 512 });
+    await agent.handleTrafficEvent({ ...trafficData, destIP: '142.250.80.47' });
+
+    expect(agent.wsServer.broadcast).toHaveBeenNthCalledWith(1, expect.objectContaining({ bytesIn: 2048, bytesOut: 512, packetsIn: null }));
+    expect(agent.wsServer.broadcast).toHaveBeenNthCalledWith(2, expect.objectContaining({ bytesIn: null, bytesOut: null }));
+  });
+
+  test('should add the owning process details to traffic messages', async () => {
+    agent.processInfoResolver = {
+      resolve: jest.fn().mockResolvedValue({ pid: 4242, user: 'alice', exe: '/usr/bin/node', cmdline: 'node server.js' })
+    };
+
+    await agent.handleTrafficEvent({ ...trafficData, pid: 4242 });
+
+    expect(agent.processInfoResolver.resolve).toHaveBeenCalledWith(4242);
+    expect(agent.wsServer.broadcast).toHaveBeenNthCalledWith(1, expect.objectContaining({
+      pid: 4242,
+      user: 'alice',
+      exe: '/usr/bin/node',
+      cmdline: 'node server.js'
+    }));
+
+    agent.processInfoResolver.resolve.mockResolvedValue(null);
+    await agent.handleTrafficEvent({ ...trafficData, user: 'bob' });
+    expect(agent.wsServer.broadcast).toHaveBeenLastCalledWith(expect.objectContaining({ pid: null, user: 'bob', exe: null, cmdline: null }));
+  });
+
+  test('should classify helper processes by their application', async () => {
+    agent.processInfoResolver = {
+      resolve: jest.fn().mockResolvedValue({ pid: 812, application: 'Google Chrome' })
+    };
+
+    await agent.handleTrafficEvent({ ...trafficData, processName: 'Renderer', pid: 812 });
+
+    expect(agent.wsServer.broadcast).toHaveBeenCalledWith(expect.objectContaining({
+      processName: 'Renderer',
+      application: 'Google Chrome',
+      processType: 'browser'
+    }));
+    expect(agent.getStats().asnStats.top[0].topProcesses).toEqual([{ name: 'Google Chrome', connections: 1 }]);
+  });
+
+  test('should forward container fields and keep the container color', async () => {
+    await agent.handleTrafficEvent({ ...trafficData, containerId: 'a1b2c3d4e5f6', containerName: 'web', containerImage: 'nginx:1.25' });
+    await agent.handleTrafficEvent(trafficData);
+
+    expect(agent.wsServer.broadcast).toHaveBeenNthCalledWith(1, expect.objectContaining({
+      containerId: 'a1b2c3d4e5f6',
+      containerName: 'web',
+      containerImage: 'nginx:1.25',
+      processType: 'container'
+    }));
+    expect(agent.wsServer.broadcast).toHaveBeenNthCalledWith(2, expect.objectContaining({ containerId: null, containerName: null }));
+  });
+
+  test('should send a null hostname when none is found', async () => {
+    hostnameResolver.resolve.mockResolvedValue(null);
+
+    await agent.handleTrafficEvent(trafficData);
+
+    expect(agent.wsServer.broadcast).toHaveBeenCalledWith(expect.objectContaining({ hostname: null, city: 'New York' }));
+  });
+
+  test('should forward AS and organization fields and count traffic per AS', async () => {
+    await agent.handleTrafficEvent(trafficData);
+    await agent.handleTrafficEvent({ ...trafficData, destIP: '142.250.80.47' });
+
+    expect(agent.wsServer.broadcast).toHaveBeenCalledWith(expect.objectContaining({
+      asn: 15169,
+      asName: 'Google LLC',
+      org: 'Google LLC',
+      isp: 'Google LLC'
+    }));
+    expect(agent.getStats().asnStats).toEqual(expect.objectContaining({
+      totalConnections: 2,
+      top: [expect.objectContaining({ asn: 15169, connections: 2, uniqueIPs: 2, share: 1 })]
+    }));
+  });
+
+  test('should include the hostname when announcing opened connections', async () => {
+    agent.trafficMonitor.activeConnections.set('conn-1', {});
+
+    await agent.handleConnectionOpened({ ...trafficData, openedAt: 1700000000000 });
+
+    expect(agent.wsServer.broadcast).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'connectionOpened',
+      hostname: 'lga34s34-in-f14.1e100.net'
+    }));
+  });
+
+  test('should count helpers under the application the monitor resolved', async () => {
+    expect(agent.trafficMonitor.processInfo).toBe(agent.processInfoResolver);
+    agent.processInfoResolver.resolve = jest.fn().mockResolvedValue(null);
+
+    await agent.handleTrafficEvent({ ...trafficData, processName: 'Web Content', application: 'Firefox' });
+
+    expect(agent.wsServer.broadcast).toHaveBeenCalledWith(expect.objectContaining({
+      processName: 'Web Content',
+      application: 'Firefox',
+      processType: 'browser'
+    }));
+    expect(agent.asnStats.getTop(1)[0].topProcesses).toEqual([{ name: 'Firefox', connections: 1 }]);
+  });
+
+  test('should look up a new connection once and send one message for its opened and traffic events', async () => {
+    agent.trafficMonitor.activeConnections.set('conn-1', {});
+
+    // The monitor emits connectionOpened and then traffic in the same tick
+    await Promise.all([
+      agent.handleConnectionOpened({ ...trafficData, openedAt: 1700000000000 }),
+      agent.handleTrafficEvent(trafficData)
+    ]);
+
+    expect(hostnameResolver.resolve).toHaveBeenCalledTimes(1);
+    expect(agent.geoService.getLocation).toHaveBeenCalledTimes(1);
+    expect(agent.wsServer.broadcast).toHaveBeenCalledTimes(1);
+    expect(agent.wsServer.broadcast).toHaveBeenCalledWith(expect.objectContaining({ type: 'traffic', connectionId: 'conn-1' }));
+    expect(agent.liveConnections.has('conn-1')).toBe(true);
+    expect(agent.pendingConnections.size).toBe(0);
+  });
+});
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocationOverrides = require('../utils/LocationOverrides');
+
+describe('LocationOverrides', () => {
+  let overrides;
+
+  const office = {
+    cidr: '198.51.100.7/24',
+    label: 'Berlin office',
+    city: 'Berlin',
+    country: 'Germany',
+    countryCode: 'DE',
+    lat: 52.52,
+    lon: 13.405,
+    org: 'Example Corp'
+  };
+
+  beforeEach(() => {
+    overrides = new LocationOverrides();
+  });
+
+  test('should return overridden locations in the provider result shape', () => {
+    overrides.setOverrides([office]);
+
+    expect(overrides.lookup('198.51.100.20')).toEqual({
+      ip: '198.51.100.20',
+      status: 'success',
+      country: 'Germany',
+      countryCode: 'DE',
+      region: '',
+      regionName: '',
+      city: 'Berlin',
+      zip: '',
+      lat: 52.52,
+      lon: 13.405,
+      timezone: '',
+      isp: 'Example Corp',
+      org: 'Example Corp',
+      as: '',
+      asn: null,
+      asName: '',
+      label: 'Berlin office',
+      network: '198.51.100.0/24',
+      provider: 'override',
+      timestamp: expect.any(Number)
+    });
+    expect(overrides.lookup('198.51.101.1')).toBeNull();
+  });
+
+  test('should prefer the most specific range and support IPv6', () => {
+    overrides.setOverrides([
+      { cidr: '203.0.113.0/24', label: 'Datacenter', lat: 50.1, lon: 8.7 },
+      { cidr: '203.0.113.128/25', label: 'Datacenter DMZ', lat: 50.1, lon: 8.7 },
+      { cidr: '2001:db8:1::/48', label: 'Lab', lat: 1, lon: 2 }
+    ]);
+
+    expect(overrides.lookup('203.0.113.5').label).toBe('Datacenter');
+    expect(overrides.lookup('203.0.113.200').label).toBe('Datacenter DMZ');
+    expect(overrides.lookup('2001:db8:1:2::3')).toEqual(expect.objectContaining({ city: 'Lab', network: '2001:db8:1::/48' }));
+    expect(overrides.size).toBe(3);
+  });
+
+  test('should describe the autonomous system of overridden ranges', () => {
+    overrides.setOverrides([{ ...office, asn: 64500, asName: 'EXAMPLE-AS' }]);
+
+    expect(overrides.lookup('198.51.100.1')).toEqual(expect.objectContaining({
+      as: 'AS64500 EXAMPLE-AS',
+      asn: 64500,
+      asName: 'EXAMPLE-AS'
+    }));
+  });
+
+  test('should reject invalid entries and keep the previous overrides', () => {
+    overrides.setOverrides([office]);
+
+    expect(() => overrides.setOverrides({ cidr: '1.2.3.0/24' })).toThrow('Location overrides must be a list');
+    expect(() => overrides.setOverrides([{ ...office, cidr: 'nope' }])).toThrow('Invalid CIDR in location override 0: nope');
+    expect(() => overrides.setOverrides([{ ...office, lat: '52.5' }])).toThrow('needs numeric lat (-90..90) and lon (-180..180)');
+    expect(() => overrides.setOverrides([{ ...office, lon: 200 }])).toThrow('needs numeric lat');
+    expect(() => overrides.setOverrides([{ ...office, colour: 'red' }])).toThrow('Unknown location override field: colour');
+    expect(() => overrides.setOverrides([{ ...office, asn: 'AS64500' }])).toThrow('has an invalid asn: AS64500');
+
+    expect(overrides.lookup('198.51.100.1').label).toBe('Berlin office');
+  });
+
+  describe('overrides file', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'overrides-'));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      overrides.unwatchFile();
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      jest.restoreAllMocks();
+    });
+
+    test('should load YAML overrides', async () => {
+      const file = path.join(tempDir, 'overrides.yaml');
+      fs.writeFileSync(file, [
+        '- cidr: 198.51.100.0/24',
+        '  label: Berlin office',
+        '  lat: 52.52',
+        '  lon: 13.405'
+      ].join('\n'));
+
+      await overrides.loadFile(file);
+
+      expect(overrides.lookup('198.51.100.9')).toEqual(expect.objectContaining({ label: 'Berlin office', lat: 52.52 }));
+    });
+
+    test('should keep previous overrides when a reload fails and pick up valid changes', async () => {
+      const file = path.join(tempDir, 'overrides.json');
+      fs.writeFileSync(file, JSON.stringify([office]));
+      await overrides.loadFile(file);
+
+      fs.writeFileSync(file, '[{ not json');
+      expect(await overrides.reloadFile()).toBe(false);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Keeping previous location overrides'));
+      expect(overrides.lookup('198.51.100.1')).not.toBeNull();
+
+      fs.writeFileSync(file, JSON.stringify([{ ...office, label: 'Munich office', lat: 48.14, lon: 11.58 }]));
+      expect(await overrides.reloadFile()).toBe(true);
+      expect(overrides.lookup('198.51.100.1')).toEqual(expect.objectContaining({ label: 'Munich office', lat: 48.14 }));
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const LsofCollector = require('../collectors/LsofCollector');
+const LsofFieldParser = require('../utils/LsofFieldParser');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'lsof');
+
+/**
+ * Reads an lsof -F dump from the fixtures directory
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name));
+}
+
+/**
+ * Feeds a buffer to a fresh parser in chunks of the given size
+ */
+function parseInChunks(buffer, size) {
+  const parser = new LsofFieldParser();
+  const entries = [];
+  for (let offset = 0; offset < buffer.length; offset += size) {
+    entries.push(...parser.write(buffer.subarray(offset, offset + size)));
+  }
+  return [...entries, ...parser.end()];
+}
+
+describe('LsofCollector', () => {
+  let collector;
+
+  beforeEach(() => {
+    collector = new LsofCollector();
+  });
+
+  describe('field output fixtures', () => {
+    test('should parse a macOS dump with multi-word commands, IPv6 and TCP states', () => {
+      const entries = collector.parseOutput(readFixture('macos.txt').toString());
+
+      expect(entries.filter(entry => !entry.listening)).toEqual([
+        {
+          processName: 'mDNSResponder',
+          pid: 312,
+          user: '_mdnsresponder',
+          sourceIP: '192.168.1.100',
+          sourcePort: 62051,
+          destIP: '192.168.1.1',
+          destPort: 53,
+          protocol: 'udp',
+          timestamp: expect.any(Number)
+        },
+        expect.objectContaining({ processName: 'apsd', pid: 501, user: 'root', destIP: '17.57.146.20', destPort: 5223, protocol: 'tcp' }),
+        expect.objectContaining({ processName: 'Google Chrome Helper', pid: 812, user: 'alice', destIP: '142.250.80.46', destPort: 443, protocol: 'tcp' }),
+        expect.objectContaining({ processName: 'Google Chrome Helper', sourceIP: '2001:db8::2', destIP: '2607:f8b0:4004:c1b::64', protocol: 'tcp' }),
+        expect.objectContaining({ processName: 'Google Chrome Helper', sourcePort: 61234, destIP: '142.250.80.46', protocol: 'udp' }),
+        expect.objectContaining({ processName: 'Code Helper (Plugin)', pid: 933, destIP: '127.0.0.1', destPort: 6060 }),
+        expect.objectContaining({ processName: 'com.apple.WebKit.Networking', sourceIP: 'fe80::1c2a:3ff:fe4b:5d6e', destIP: 'fe80::aede:48ff:fe00:1122', destPort: 62078 })
+      ]);
+
+      expect(entries.filter(entry => entry.listening)).toEqual([
+        { listening: true, processName: 'mDNSResponder', pid: 312, sourceIP: '*', sourcePort: 5353, protocol: 'udp', timestamp: expect.any(Number) },
+        expect.objectContaining({ processName: 'mDNSResponder', sourceIP: '*', sourcePort: 5353, protocol: 'udp' }),
+        expect.objectContaining({ processName: 'Code Helper (Plugin)', sourceIP: '::1', sourcePort: 9229, protocol: 'tcp' }),
+        expect.objectContaining({ processName: 'ControlCenter', sourceIP: '*', sourcePort: 7000 }),
+        expect.objectContaining({ processName: 'ControlCenter', sourceIP: '*', sourcePort: 7000 })
+      ]);
+    });
+
+    test('should parse a Linux dump with IPv4-mapped addresses and unnamed users', () => {
+      const entries = collector.parseOutput(readFixture('linux.txt').toString());
+
+      expect(entries.filter(entry => !entry.listening).map(entry => [entry.processName, entry.user, entry.destIP, entry.destPort, entry.protocol])).toEqual([
+        ['sshd', 'alice', '203.0.113.50', 51514, 'tcp'],
+        ['Web Content', 'alice', '93.184.216.34', 443, 'tcp'],
+        ['Web Content', 'alice', '151.101.1.69', 443, 'tcp'],
+        ['systemd-resolve', '101', '1.1.1.1', 53, 'udp'],
+        ['node', 'alice', '2606:4700::1111', 443, 'tcp']
+      ]);
+      expect(entries.filter(entry => entry.listening).map(entry => [entry.processName, entry.sourceIP, entry.sourcePort, entry.protocol])).toEqual([
+        ['systemd', '*', 22, 'tcp'],
+        ['sshd', '*', 22, 'tcp'],
+        ['sshd', '*', 22, 'tcp'],
+        ['tmux: server', '127.0.0.1', 8080, 'tcp'],
+        ['systemd-resolve', '127.0.0.53', 53, 'udp']
+      ]);
+    });
+
+    test.each(['macos.txt', 'linux.txt'])('should give the same result for %s however the output is chunked', (name) => {
+      const buffer = readFixture(name);
+      const strip = entries => entries.map(({ timestamp, ...entry }) => entry);
+      const whole = strip(parseInChunks(buffer, buffer.length));
+
+      expect(whole.length).toBeGreaterThan(0);
+      for (const size of [1, 7, 64]) {
+        expect(strip(parseInChunks(buffer, size))).toEqual(whole);
+      }
+    });
+  });
+
+  test('should stream snapshot output into the field parser', async () => {
+    const buffer = readFixture('linux.txt');
+    jest.spyOn(collector, 'runCommand').mockImplementation(async (command, args, options) => {
+      options.onData(buffer.subarray(0, 100));
+      options.onData(buffer.subarray(100));
+      return { code: 0, stdout: '' };
+    });
+
+    const connections = await collector.snapshot();
+
+    expect(collector.runCommand).toHaveBeenCalledWith('lsof', expect.arrayContaining(['-FpcuLftPnT']), expect.any(Object));
+    expect(connections).toHaveLength(10);
+    expect(connections[0]).toEqual(expect.objectContaining({ listening: true, processName: 'systemd' }));
+  });
+
+  test('should return null when lsof fails', async () => {
+    jest.spyOn(collector, 'runCommand').mockResolvedValue({ code: 1, stdout: '' });
+
+    expect(await collector.snapshot()).toBeNull();
+  });
+
+  test('should keep multi-byte command names intact across chunk boundaries', () => {
+    const buffer = Buffer.from('p42\ncBücherwürmchen\nLalice\nf3\ntIPv4\nPTCP\nn10.0.0.5:40000->8.8.8.8:443\nTST=ESTABLISHED\n');
+    const [entry] = parseInChunks(buffer, 1);
+
+    expect(entry).toEqual(expect.objectContaining({ processName: 'Bücherwürmchen', destIP: '8.8.8.8' }));
+  });
+
+  test('should still parse the default column output', () => {
+    const output = [
+      'COMMAND     PID   USER   FD   TYPE             DEVICE SIZE/OFF NODE NAME',
+      'PIDgin     1234   user  123u  IPv4 0x123456      0t0  TCP 192.168.1.100:12345->1.2.3.4:443 (ESTABLISHED)'
+    ].join('\n');
+
+    expect(collector.parseOutput(output)).toEqual([expect.objectContaining({ processName: 'PIDgin', destIP: '1.2.3.4' })]);
+  });
+});
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MMDBProvider = require('../services/providers/MMDBProvider');
+const buildMMDB = require('./fixtures/buildMMDB');
+
+describe('MMDBProvider', () => {
+  let tempDir;
+  let cityFile;
+  let asnFile;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mmdb-'));
+    cityFile = path.join(tempDir, 'city.mmdb');
+    asnFile = path.join(tempDir, 'asn.mmdb');
+
+    fs.writeFileSync(cityFile, buildMMDB({
+      databaseType: 'GeoLite2-City',
+      networks: [{
+        cidr: '8.8.8.0/24',
+        data: {
+          city: { names: { en: 'Mountain View', de: 'Mountain View' } },
+          country: { iso_code: 'US', names: { en: 'United States', de: 'Vereinigte Staaten' } },
+          location: { latitude: 37.386, longitude: -122.0838, time_zone: 'America/Los_Angeles' },
+          postal: { code: '94035' },
+          subdivisions: [{ iso_code: 'CA', names: { en: 'California' } }]
+        }
+      }, {
+        cidr: '2a00:1450::/32',
+        data: {
+          country: { iso_code: 'IE', names: { en: 'Ireland' } },
+          location: { latitude: 53, longitude: -8 }
+        }
+      }]
+    }));
+
+    fs.writeFileSync(asnFile, buildMMDB({
+      databaseType: 'GeoLite2-ASN',
+      networks: [{
+        cidr: '8.8.8.0/24',
+        data: { autonomous_system_number: 15169, autonomous_system_organization: 'GOOGLE' }
+      }]
+    }));
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('should return results in the ip-api shape', async () => {
+    const provider = new MMDBProvider({ cityFile, asnFile });
+
+    await expect(provider.lookup('8.8.8.8')).resolves.toEqual({
+      ip: '8.8.8.8',
+      status: 'success',
+      country: 'United States',
+      countryCode: 'US',
+      region: 'CA',
+      regionName: 'California',
+      city: 'Mountain View',
+      zip: '94035',
+      lat: 37.386,
+      lon: -122.0838,
+      timezone: 'America/Los_Angeles',
+      isp: 'GOOGLE',
+      org: 'GOOGLE',
+      as: 'AS15169 GOOGLE',
+      asn: 15169,
+      asName: 'GOOGLE',
+      network: '8.8.8.0/24',
+      timestamp: expect.any(Number)
+    });
+  });
+
+  test('should fill defaults for sparse records and work without an ASN database', async () => {
+    const provider = new MMDBProvider({ cityFile });
+    const result = await provider.lookup('2a00:1450:4001::1');
+
+    expect(result).toEqual(expect.objectContaining({
+      status: 'success',
+      country: 'Ireland',
+      city: 'Unknown',
+      lat: 53,
+      lon: -8,
+      as: '',
+      network: '2a00:1450::/32'
+    }));
+  });
+
+  test('should return a fail result for unknown addresses', async () => {
+    const provider = new MMDBProvider({ cityFile, asnFile });
+    const result = await provider.lookup('9.9.9.9');
+
+    expect(result).toEqual(expect.objectContaining({ ip: '9.9.9.9', status: 'fail' }));
+  });
+
+  test('should prefer the configured language', async () => {
+    const provider = new MMDBProvider({ cityFile, language: 'de' });
+    const result = await provider.lookup('8.8.8.8');
+
+    expect(result.country).toBe('Vereinigte Staaten');
+  });
+
+  test('should fail when the database cannot be opened and retry on the next lookup', async () => {
+    const missing = path.join(tempDir, 'later.mmdb');
+    const provider = new MMDBProvider({ cityFile: missing });
+
+    await expect(provider.lookup('8.8.8.8')).rejects.toThrow('ENOENT');
+
+    fs.copyFileSync(cityFile, missing);
+    await expect(provider.lookup('8.8.8.8')).resolves.toEqual(expect.objectContaining({ status: 'success' }));
+  });
+
+  test('should report its status', async () => {
+    const provider = new MMDBProvider({ cityFile });
+    await provider.open();
+
+    expect(provider.getStatus()).toEqual(expect.objectContaining({
+      name: 'mmdb',
+      loaded: true,
+      databaseType: 'GeoLite2-City',
+      buildEpoch: 1700000000
+    }));
+  });
+});
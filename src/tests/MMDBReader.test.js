@@ -0,0 +1,91 @@
+const MMDBReader = require('../utils/MMDBReader');
+const buildMMDB = require('./fixtures/buildMMDB');
+
+const networks = [
+  { cidr: '8.8.8.0/24', data: { city: { names: { en: 'Mountain View' } }, location: { latitude: 37.386, longitude: -122.0838 } } },
+  { cidr: '1.1.1.0/24', data: { city: { names: { en: 'Research' } }, location: { latitude: -37.7, longitude: 145.1833 } } },
+  { cidr: '2606:4700::/32', data: { city: { names: { en: 'San Francisco' } }, anycast: true, ranks: [1, 2, 3] } }
+];
+
+describe('MMDBReader', () => {
+  describe.each([24, 28, 32])('with %i-bit records', (recordSize) => {
+    let reader;
+
+    beforeEach(() => {
+      reader = new MMDBReader(buildMMDB({ recordSize, networks }));
+    });
+
+    test('should read metadata', () => {
+      expect(reader.metadata).toEqual(expect.objectContaining({
+        record_size: recordSize,
+        ip_version: 6,
+        database_type: 'Test-City',
+        languages: ['en']
+      }));
+    });
+
+    test('should look up IPv4 addresses in an IPv6 tree', () => {
+      expect(reader.get('8.8.8.8')).toEqual({
+        city: { names: { en: 'Mountain View' } },
+        location: { latitude: 37.386, longitude: -122.0838 }
+      });
+      expect(reader.get('1.1.1.1').city.names.en).toBe('Research');
+    });
+
+    test('should look up IPv6 addresses', () => {
+      expect(reader.get('2606:4700::1111')).toEqual({
+        city: { names: { en: 'San Francisco' } },
+        anycast: true,
+        ranks: [1, 2, 3]
+      });
+    });
+
+    test('should report the prefix length of the matching network', () => {
+      expect(reader.lookup('8.8.8.8').prefixLength).toBe(24);
+      expect(reader.lookup('2606:4700:10::1').prefixLength).toBe(32);
+    });
+
+    test('should return null for addresses not in the database', () => {
+      expect(reader.get('9.9.9.9')).toBeNull();
+      expect(reader.get('2001:4860::8888')).toBeNull();
+    });
+  });
+
+  test('should follow pointers to shared values', () => {
+    const reader = new MMDBReader(buildMMDB({
+      networks: [
+        { cidr: '8.8.8.0/24', data: { country: { iso_code: 'US' } } },
+        { cidr: '8.8.4.0/24', data: { country: { iso_code: 'US' } } }
+      ]
+    }));
+
+    expect(reader.get('8.8.4.4')).toEqual({ country: { iso_code: 'US' } });
+    expect(reader.get('8.8.8.8')).toEqual({ country: { iso_code: 'US' } });
+  });
+
+  test('should decode int32 values, which are signed only at full width', () => {
+    const reader = new MMDBReader(buildMMDB({ networks }));
+    // Extended type 8 (int32) with payloads of 3 and 4 bytes
+    reader.buffer = Buffer.from([0x03, 0x01, 0x80, 0x00, 0x00, 0x03, 0x01, 0x00, 0x00, 0x2a, 0x04, 0x01, 0xff, 0xff, 0xff, 0xfe]);
+
+    expect(reader.decode(0, 0)).toEqual([8388608, 5]);
+    expect(reader.decode(5, 0)).toEqual([42, 10]);
+    expect(reader.decode(10, 0)).toEqual([-2, 16]);
+  });
+
+  test('should read IPv4-only databases', () => {
+    const reader = new MMDBReader(buildMMDB({ ipVersion: 4, networks: networks.slice(0, 2) }));
+
+    expect(reader.lookup('8.8.8.8')).toEqual(expect.objectContaining({ prefixLength: 24 }));
+    expect(() => reader.get('2606:4700::1111')).toThrow('IPv4-only database');
+  });
+
+  test('should reject files without metadata', () => {
+    expect(() => new MMDBReader(Buffer.from('not a database'))).toThrow('Invalid MMDB file: metadata marker not found');
+  });
+
+  test('should reject invalid addresses', () => {
+    const reader = new MMDBReader(buildMMDB({ networks }));
+    expect(() => reader.get('not-an-ip')).toThrow('Invalid IP address: not-an-ip');
+  });
+});
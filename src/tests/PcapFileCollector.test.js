@@ -0,0 +1,182 @@
+const PcapFileCollector = require('../collectors/PcapFileCollector');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Builds an Ethernet frame carrying a TCP or UDP segment
+ */
+function ethernetFrame({ version = 4, src, dst, srcPort, dstPort, protocol = 6, flags = 0x02 }) {
+  const transport = Buffer.alloc(protocol === 6 ? 20 : 8);
+  transport.writeUInt16BE(srcPort, 0);
+  transport.writeUInt16BE(dstPort, 2);
+  if (protocol === 6) {
+    transport[12] = 0x50;
+    transport[13] = flags;
+  }
+
+  let ip;
+  if (version === 4) {
+    ip = Buffer.alloc(20);
+    ip[0] = 0x45;
+    ip[9] = protocol;
+    src.split('.').forEach((octet, i) => { ip[12 + i] = Number(octet); });
+    dst.split('.').forEach((octet, i) => { ip[16 + i] = Number(octet); });
+  } else {
+    ip = Buffer.alloc(40);
+    ip[0] = 0x60;
+    ip[6] = protocol;
+    Buffer.from(src, 'hex').copy(ip, 8);
+    Buffer.from(dst, 'hex').copy(ip, 24);
+  }
+
+  const ethernet = Buffer.alloc(14);
+  ethernet.writeUInt16BE(version === 4 ? 0x0800 : 0x86dd, 12);
+  return Buffer.concat([ethernet, ip, transport]);
+}
+
+/**
+ * Builds a little-endian microsecond pcap file from frames
+ */
+function pcapFile(frames) {
+  const header = Buffer.alloc(24);
+  header.writeUInt32LE(0xa1b2c3d4, 0);
+  header.writeUInt16LE(2, 4);
+  header.writeUInt16LE(4, 6);
+  header.writeUInt32LE(65535, 16);
+  header.writeUInt32LE(1, 20); // Ethernet
+
+  const records = frames.map((frame, index) => {
+    const record = Buffer.alloc(16);
+    record.writeUInt32LE(1700000000 + index, 0);
+    record.writeUInt32LE(250000, 4);
+    record.writeUInt32LE(frame.length, 8);
+    record.writeUInt32LE(frame.length, 12);
+    return Buffer.concat([record, frame]);
+  });
+
+  return Buffer.concat([header, ...records]);
+}
+
+describe('PcapFileCollector', () => {
+  let collector;
+
+  beforeEach(() => {
+    collector = new PcapFileCollector();
+  });
+
+  describe('parseCapture', () => {
+    test('should emit one connection per TCP flow', () => {
+      const capture = pcapFile([
+        ethernetFrame({ src: '192.168.1.100', dst: '142.250.80.46', srcPort: 54321, dstPort: 443, flags: 0x02 }),
+        ethernetFrame({ src: '142.250.80.46', dst: '192.168.1.100', srcPort: 443, dstPort: 54321, flags: 0x12 }),
+        ethernetFrame({ src: '192.168.1.100', dst: '142.250.80.46', srcPort: 54321, dstPort: 443, flags: 0x10 })
+      ]);
+
+      expect(collector.parseCapture(capture)).toEqual([{
+        processName: 'unknown',
+        sourceIP: '192.168.1.100',
+        sourcePort: 54321,
+        destIP: '142.250.80.46',
+        destPort: 443,
+        protocol: 'tcp',
+        timestamp: 1700000000250
+      }]);
+    });
+
+    test('should report the client side when a flow starts with SYN-ACK', () => {
+      const capture = pcapFile([
+        ethernetFrame({ src: '1.1.1.1', dst: '192.168.1.100', srcPort: 443, dstPort: 50000, flags: 0x12 })
+      ]);
+
+      expect(collector.parseCapture(capture)[0]).toEqual(expect.objectContaining({
+        sourceIP: '192.168.1.100',
+        sourcePort: 50000,
+        destIP: '1.1.1.1',
+        destPort: 443
+      }));
+    });
+
+    test('should parse IPv6 and UDP flows', () => {
+      const capture = pcapFile([
+        ethernetFrame({ src: '192.168.1.100', dst: '8.8.8.8', srcPort: 5353, dstPort: 53, protocol: 17 }),
+        ethernetFrame({
+          version: 6,
+          src: '20010db8000000000000000000000001',
+          dst: '2607f8b040040c1b0000000000000064',
+          srcPort: 50000,
+          dstPort: 443
+        })
+      ]);
+
+      const connections = collector.parseCapture(capture);
+
+      expect(connections).toHaveLength(2);
+      expect(connections[0]).toEqual(expect.objectContaining({ destIP: '8.8.8.8', destPort: 53, protocol: 'udp' }));
+      expect(connections[1]).toEqual(expect.objectContaining({
+        sourceIP: '2001:db8::1',
+        destIP: '2607:f8b0:4004:c1b::64',
+        protocol: 'tcp'
+      }));
+    });
+
+    test('should report the client side of a UDP flow first seen from the server', () => {
+      const capture = pcapFile([
+        ethernetFrame({ src: '142.250.80.46', dst: '192.168.1.100', srcPort: 443, dstPort: 50000, protocol: 17 }),
+        ethernetFrame({ src: '192.168.1.100', dst: '142.250.80.46', srcPort: 50000, dstPort: 443, protocol: 17 })
+      ]);
+
+      expect(collector.parseCapture(capture)).toEqual([expect.objectContaining({
+        sourceIP: '192.168.1.100',
+        sourcePort: 50000,
+        destIP: '142.250.80.46',
+        destPort: 443,
+        protocol: 'udp'
+      })]);
+    });
+
+    test('should reject files that are not pcap', () => {
+      expect(() => collector.parseCapture(Buffer.alloc(24))).toThrow('unrecognised magic number');
+      expect(() => collector.parseCapture(Buffer.alloc(4))).toThrow('header too short');
+    });
+  });
+
+  describe('streaming', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pcap-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should emit connections and end for a capture file', async () => {
+      const file = path.join(tmpDir, 'capture.pcap');
+      fs.writeFileSync(file, pcapFile([
+        ethernetFrame({ src: '192.168.1.100', dst: '142.250.80.46', srcPort: 54321, dstPort: 443 })
+      ]));
+
+      const fileCollector = new PcapFileCollector({ file });
+      const connectionsSpy = jest.fn();
+      const ended = new Promise(resolve => fileCollector.on('end', resolve));
+      fileCollector.on('connections', connectionsSpy);
+
+      fileCollector.start();
+      await ended;
+
+      expect(connectionsSpy).toHaveBeenCalledWith([expect.objectContaining({ destIP: '142.250.80.46' })]);
+      expect(fileCollector.isRunning).toBe(false);
+    });
+
+    test('should be unavailable without a configured file', async () => {
+      const unavailable = new Promise(resolve => collector.on('unavailable', resolve));
+
+      collector.start();
+      const error = await unavailable;
+
+      expect(error.message).toContain('No pcap file configured');
+    });
+  });
+});
@@ -0,0 +1,166 @@
+const ProcNetReader = require('../utils/ProcNetReader');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TCP_HEADER = '  sl  local_address rem_address   st tx_queue rx_queue tr tm->when retrnsmt   uid  timeout inode';
+const UDP_HEADER = '   sl  local_address rem_address   st tx_queue rx_queue tr tm->when retrnsmt   uid  timeout inode ref pointer drops';
+
+/**
+ * Builds a fake /proc tree with net tables and per-process fd symlinks
+ */
+function createProcTree(root, { tcp = [], tcp6 = [], udp = [], processes = {} }) {
+  fs.mkdirSync(path.join(root, 'net'), { recursive: true });
+  fs.writeFileSync(path.join(root, 'net', 'tcp'), [TCP_HEADER, ...tcp].join('\n') + '\n');
+  fs.writeFileSync(path.join(root, 'net', 'tcp6'), [TCP_HEADER, ...tcp6].join('\n') + '\n');
+  fs.writeFileSync(path.join(root, 'net', 'udp'), [UDP_HEADER, ...udp].join('\n') + '\n');
+
+  for (const [pid, { comm, inodes }] of Object.entries(processes)) {
+    const fdDir = path.join(root, pid, 'fd');
+    fs.mkdirSync(fdDir, { recursive: true });
+    fs.writeFileSync(path.join(root, pid, 'comm'), `${comm}\n`);
+    fs.symlinkSync('/dev/null', path.join(fdDir, '0'));
+    inodes.forEach((inode, index) => {
+      fs.symlinkSync(`socket:[${inode}]`, path.join(fdDir, String(index + 3)));
+    });
+  }
+}
+
+describe('ProcNetReader', () => {
+  let procRoot;
+  let reader;
+
+  beforeEach(() => {
+    procRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'procnet-'));
+    reader = new ProcNetReader(procRoot);
+  });
+
+  afterEach(() => {
+    fs.rmSync(procRoot, { recursive: true, force: true });
+  });
+
+  describe('address parsing', () => {
+    test('should decode little-endian IPv4 addresses', () => {
+      expect(reader.parseIPv4('6401A8C0')).toBe('192.168.1.100');
+      expect(reader.parseIPv4('2E50FA8E')).toBe('142.250.80.46');
+      expect(reader.parseIPv4('0100007F')).toBe('127.0.0.1');
+    });
+
+    test('should decode IPv6 addresses word by word', () => {
+      expect(reader.parseIPv6('B0F807261B0C04400000000064000000')).toBe('2607:f8b0:4004:c1b::64');
+      expect(reader.parseIPv6('00000000000000000000000001000000')).toBe('::1');
+    });
+
+    test('should report IPv4-mapped IPv6 addresses as IPv4', () => {
+      expect(reader.parseIPv6('0000000000000000FFFF000001010101')).toBe('1.1.1.1');
+    });
+
+    test('should parse hex ports', () => {
+      expect(reader.parseEndpoint('6401A8C0:D431', 4)).toEqual({ ip: '192.168.1.100', port: 54321 });
+      expect(reader.parseEndpoint('garbage', 4)).toBeNull();
+    });
+  });
+
+  describe('parseTable', () => {
+    test('should parse socket state, uid and inode', () => {
+      const content = [
+        TCP_HEADER,
+        '   0: 00000000:1F90 00000000:0000 0A 00000000:00000000 00:00000000 00000000  1000        0 1111 1 0000000000000000 100 0 0 10 0',
+        '   1: 6401A8C0:D431 2E50FA8E:01BB 01 00000000:00000000 00:00000000 00000000  1000        0 2222 1 0000000000000000 20 4 30 10 -1'
+      ].join('\n');
+
+      const entries = reader.parseTable(content, 4);
+
+      expect(entries).toEqual([
+        { localIP: '0.0.0.0', localPort: 8080, remoteIP: '0.0.0.0', remotePort: 0, state: 'LISTEN', protocol: 'tcp', uid: 1000, inode: '1111' },
+        { localIP: '192.168.1.100', localPort: 54321, remoteIP: '142.250.80.46', remotePort: 443, state: 'ESTABLISHED', protocol: 'tcp', uid: 1000, inode: '2222' }
+      ]);
+    });
+  });
+
+  describe('readConnections', () => {
+    test('should map established and listening sockets to owning processes', async () => {
+      createProcTree(procRoot, {
+        tcp: [
+          '   0: 00000000:1F90 00000000:0000 0A 00000000:00000000 00:00000000 00000000  1000        0 1111 1 0000000000000000 100 0 0 10 0',
+          '   1: 6401A8C0:D431 2E50FA8E:01BB 01 00000000:00000000 00:00000000 00000000  1000        0 2222 1 0000000000000000 20 4 30 10 -1',
+          '   2: 6401A8C0:D432 08080808:0035 06 00000000:00000000 00:00000000 00000000  1000        0 0 1 0000000000000000 20 4 30 10 -1'
+        ],
+        tcp6: [
+          '   0: B80D0120000000000000000001000000:C350 B0F807261B0C04400000000064000000:01BB 01 00000000:00000000 00:00000000 00000000  1000        0 3333 1 0000000000000000 20 4 30 10 -1'
+        ],
+        processes: {
+          '100': { comm: 'node', inodes: ['1111'] },
+          '200': { comm: 'curl', inodes: ['2222'] },
+          '300': { comm: 'firefox', inodes: ['3333'] }
+        }
+      });
+
+      const connections = await reader.readConnections();
+
+      expect(connections).toEqual([
+        {
+          listening: true,
+          processName: 'node',
+          pid: 100,
+          sourceIP: '0.0.0.0',
+          sourcePort: 8080,
+          protocol: 'tcp',
+          timestamp: expect.any(Number)
+        },
+        {
+          processName: 'curl',
+          pid: 200,
+          sourceIP: '192.168.1.100',
+          sourcePort: 54321,
+          destIP: '142.250.80.46',
+          destPort: 443,
+          protocol: 'tcp',
+          timestamp: expect.any(Number)
+        },
+        {
+          processName: 'firefox',
+          pid: 300,
+          sourceIP: '2001:db8::1',
+          sourcePort: 50000,
+          destIP: '2607:f8b0:4004:c1b::64',
+          destPort: 443,
+          protocol: 'tcp',
+          timestamp: expect.any(Number)
+        }
+      ]);
+    });
+
+    test('should report connected UDP sockets and bound ones as listening', async () => {
+      createProcTree(procRoot, {
+        udp: [
+          '  100: 00000000:14E9 00000000:0000 07 00000000:00000000 00:00000000 00000000  1000        0 4444 2 0000000000000000 0',
+          '  101: 6401A8C0:D433 2E50FA8E:01BB 01 00000000:00000000 00:00000000 00000000  1000        0 5555 2 0000000000000000 0'
+        ],
+        processes: {
+          '400': { comm: 'avahi-daemon', inodes: ['4444'] },
+          '500': { comm: 'chrome', inodes: ['5555'] }
+        }
+      });
+
+      expect(await reader.readConnections()).toEqual([
+        expect.objectContaining({ listening: true, processName: 'avahi-daemon', sourcePort: 5353, protocol: 'udp' }),
+        expect.objectContaining({ processName: 'chrome', destIP: '142.250.80.46', destPort: 443, protocol: 'udp' })
+      ]);
+    });
+
+    test('should skip sockets whose owner cannot be found', async () => {
+      createProcTree(procRoot, {
+        tcp: [
+          '   0: 6401A8C0:D431 2E50FA8E:01BB 01 00000000:00000000 00:00000000 00000000  1000        0 2222 1 0000000000000000 20 4 30 10 -1'
+        ]
+      });
+
+      expect(await reader.readConnections()).toEqual([]);
+    });
+
+    test('should return no connections when tables are missing', async () => {
+      expect(await reader.readConnections()).toEqual([]);
+    });
+  });
+});
@@ -190,7 +190,21 @@ describe('ProcessColorizer', () => {
       expect(processTypes).toContain('media');
       expect(processTypes).toContain('development');
       expect(processTypes).toContain('other');
-      expect(processTypes).toHaveLength(5);
+      expect(processTypes).toContain('container');
+      expect(processTypes).toHaveLength(6);
+    });
+  });
+
+  describe('Container Colors', () => {
+    test('should give each container a stable color of its own', () => {
+      const web = processColorizer.getContainerColorInfo('web');
+      const db = processColorizer.getContainerColorInfo('db');
+
+      expect(web.processType).toBe('container');
+      expect(web.primaryColor).toMatch(/^#[0-9A-F]{6}$/);
+      expect(web.gradientColors).toHaveLength(3);
+      expect(processColorizer.getContainerColorInfo('web')).toEqual(web);
+      expect(db.primaryColor).not.toBe(web.primaryColor);
     });
   });
 
@@ -0,0 +1,167 @@
+const ProcessInfoResolver = require('../services/ProcessInfoResolver');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Writes a fake /proc/<pid> directory with stat, status, exe and cmdline
+ */
+function createProcess(root, pid, { comm, startTime, uid, exe, argv, ppid = 1 }) {
+  const dir = path.join(root, String(pid));
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'stat'),
+    `${pid} (${comm}) S ${ppid} ${pid} ${pid} 0 -1 4194560 100 0 0 0 5 2 0 0 20 0 1 0 ${startTime} 1000 100\n`);
+  fs.writeFileSync(path.join(dir, 'status'), `Name:\t${comm}\nUid:\t${uid}\t${uid}\t${uid}\t${uid}\n`);
+  fs.writeFileSync(path.join(dir, 'cmdline'), `${argv.join('\0')}\0`);
+  fs.symlinkSync(exe, path.join(dir, 'exe'));
+}
+
+describe('ProcessInfoResolver', () => {
+  let procRoot;
+  let resolver;
+
+  beforeEach(() => {
+    procRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'procinfo-'));
+    fs.writeFileSync(path.join(procRoot, 'passwd'), 'root:x:0:0:root:/root:/bin/bash\nalice:x:1000:1000::/home/alice:/bin/zsh\n');
+    resolver = new ProcessInfoResolver({ platform: 'linux', procRoot, passwdFile: path.join(procRoot, 'passwd') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(procRoot, { recursive: true, force: true });
+  });
+
+  test('should read the user, executable and command line from /proc', async () => {
+    createProcess(procRoot, 4242, {
+      comm: 'Web Content', startTime: 8812, uid: 1000, exe: '/usr/bin/node', argv: ['node', 'server.js', '--port', '3000']
+    });
+
+    expect(await resolver.resolve(4242)).toEqual({
+      pid: 4242,
+      ppid: 1,
+      name: 'Web Content',
+      startTime: '8812',
+      user: 'alice',
+      exe: '/usr/bin/node',
+      cmdline: 'node server.js --port 3000',
+      application: 'node'
+    });
+  });
+
+  test('should map uids to names for processes resolved concurrently', async () => {
+    createProcess(procRoot, 100, { comm: 'sshd', startTime: 1, uid: 0, exe: '/usr/sbin/sshd', argv: ['sshd'] });
+    createProcess(procRoot, 200, { comm: 'node', startTime: 2, uid: 1000, exe: '/usr/bin/node', argv: ['node'] });
+
+    const [sshd, node] = await Promise.all([resolver.resolve(100), resolver.resolve(200)]);
+
+    expect(sshd.user).toBe('root');
+    expect(node.user).toBe('alice');
+  });
+
+  test('should cache by PID and start time so a reused PID is looked up again', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    createProcess(procRoot, 4242, { comm: 'node', startTime: 100, uid: 1000, exe: '/usr/bin/node', argv: ['node', 'a.js'] });
+    await resolver.resolve(4242);
+    await resolver.resolve(4242);
+
+    now.mockReturnValue(1000 + resolver.cacheDuration);
+    createProcess(procRoot, 4242, { comm: 'python3', startTime: 900, uid: 0, exe: '/usr/bin/python3', argv: ['python3', 'b.py'] });
+    const reused = await resolver.resolve(4242);
+
+    expect(reused).toEqual(expect.objectContaining({ user: 'root', exe: '/usr/bin/python3', cmdline: 'python3 b.py' }));
+    expect(resolver.getStatus()).toEqual(expect.objectContaining({ hits: 1, lookups: 2, cacheSize: 2 }));
+    now.mockRestore();
+  });
+
+  test('should roll helpers up into the application below the session root', async () => {
+    createProcess(procRoot, 10, { comm: 'systemd', startTime: 1, uid: 1000, exe: '/usr/lib/systemd/systemd', argv: ['systemd', '--user'] });
+    createProcess(procRoot, 20, { comm: 'code', startTime: 2, uid: 1000, exe: '/usr/share/code/code', argv: ['code'], ppid: 10 });
+    createProcess(procRoot, 30, { comm: 'code', startTime: 3, uid: 1000, exe: '/usr/share/code/code', argv: ['code', '--type=utility'], ppid: 20 });
+    createProcess(procRoot, 40, { comm: 'node', startTime: 4, uid: 1000, exe: '/usr/bin/node', argv: ['node', 'tsserver.js'], ppid: 30 });
+    createProcess(procRoot, 50, { comm: 'bash', startTime: 5, uid: 1000, exe: '/usr/bin/bash', argv: ['bash'], ppid: 20 });
+    createProcess(procRoot, 60, { comm: 'curl', startTime: 6, uid: 1000, exe: '/usr/bin/curl', argv: ['curl', 'example.com'], ppid: 50 });
+
+    expect((await resolver.resolve(40)).application).toBe('code');
+    expect((await resolver.resolve(60)).application).toBe('curl');
+    expect((await resolver.resolve(50)).application).toBe('bash');
+    expect(resolver.getStatus().hits).toBeGreaterThan(0); // Parents resolved for one child are reused
+  });
+
+  test('should name macOS applications after their outermost app bundle', () => {
+    expect(resolver.getApplicationName({
+      name: 'Google Chrome Helper',
+      exe: '/Applications/Google Chrome.app/Contents/Frameworks/Google Chrome Framework.framework/Helpers/Google Chrome Helper.app/Contents/MacOS/Google Chrome Helper'
+    })).toBe('Google Chrome');
+    expect(resolver.getApplicationName({ name: 'Web Content', exe: null })).toBe('Web Content');
+    expect(resolver.isRootProcess({ name: '-zsh' })).toBe(true);
+  });
+
+  test('should resolve to null for missing PIDs and exited processes', async () => {
+    expect(await resolver.resolve(undefined)).toBeNull();
+    expect(await resolver.resolve(99999)).toBeNull();
+    expect(resolver.getStatus().failed).toBe(1);
+  });
+
+  test('should run ps once per process on other platforms', async () => {
+    const rows = {
+      612: 'alice   1 Mon Oct 19 09:12:01 2026 /Applications/Slack.app/Contents/MacOS/Slack /Applications/Slack.app/Contents/MacOS/Slack --type=renderer',
+      700: 'alice   1 Mon Oct  5 18:00:00 2026 /Applications/Google Chrome.app/Contents/MacOS/Google Chrome /Applications/Google Chrome.app/Contents/MacOS/Google Chrome --flag',
+      701: 'root  700 Mon Oct  5 18:00:01 2026 /usr/local/bin/node node server.js'
+    };
+    const execFile = jest.fn((command, args, callback) => {
+      if (!rows[args[2]]) {
+        callback(Object.assign(new Error('exit 1'), { code: 1 }), '');
+        return;
+      }
+      callback(null, `${rows[args[2]]}\n`);
+    });
+    resolver = new ProcessInfoResolver({ platform: 'darwin', execFile });
+
+    expect(await resolver.resolve(612)).toEqual({
+      pid: 612,
+      ppid: 1,
+      name: 'Slack',
+      startTime: 'Mon Oct 19 09:12:01 2026',
+      user: 'alice',
+      exe: '/Applications/Slack.app/Contents/MacOS/Slack',
+      cmdline: '/Applications/Slack.app/Contents/MacOS/Slack --type=renderer',
+      application: 'Slack'
+    });
+    expect(execFile).toHaveBeenCalledTimes(1);
+    expect(execFile).toHaveBeenCalledWith('ps', ['-ww', '-p', '612', '-o', 'user=,ppid=,lstart=,comm=,args='], expect.any(Function));
+
+    expect(await resolver.resolve(701)).toEqual(expect.objectContaining({
+      name: 'node',
+      user: 'root',
+      exe: '/usr/local/bin/node',
+      cmdline: 'node server.js',
+      application: 'Google Chrome'
+    }));
+    expect(resolver.cache.get('700:Mon Oct 5 18:00:00 2026')).toEqual(expect.objectContaining({
+      exe: '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+      cmdline: '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome --flag'
+    }));
+    expect(execFile).toHaveBeenCalledTimes(3);
+
+    expect(await resolver.resolve(613)).toBeNull();
+  });
+
+  test('should not run ps again for a process resolved within the cache duration', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    const execFile = jest.fn((command, args, callback) => {
+      callback(null, 'alice   1 Mon Oct 19 09:12:01 2026 /usr/bin/curl curl example.com\n');
+    });
+    resolver = new ProcessInfoResolver({ platform: 'darwin', execFile });
+
+    const first = await resolver.resolve(612);
+    expect(await resolver.resolve(612)).toBe(first);
+    expect(execFile).toHaveBeenCalledTimes(1);
+
+    // Afterwards the start time is checked again, and the details are still reused
+    now.mockReturnValue(1000 + resolver.cacheDuration);
+    expect(await resolver.resolve(612)).toBe(first);
+    expect(execFile).toHaveBeenCalledTimes(2);
+    expect(resolver.getStatus()).toEqual(expect.objectContaining({ hits: 2, lookups: 1 }));
+    now.mockRestore();
+  });
+});
@@ -0,0 +1,174 @@
+const ProviderChain = require('../services/providers/ProviderChain');
+const CircuitBreaker = require('../utils/CircuitBreaker');
+
+/**
+ * Creates a provider whose lookup is a jest mock
+ * @param {string} name - Provider name
+ * @param {Function} implementation - Lookup implementation
+ * @returns {Object} - Fake provider
+ */
+function fakeProvider(name, implementation) {
+  return {
+    name,
+    isLocal: false,
+    lookup: jest.fn(implementation),
+    getStatus: () => ({ name })
+  };
+}
+
+const located = (ip) => Promise.resolve({ ip, status: 'success', city: 'Somewhere', lat: 1, lon: 2 });
+const unknown = (ip) => Promise.resolve({ ip, status: 'fail', message: 'not found' });
+const broken = () => Promise.reject(new Error('connection refused'));
+
+describe('ProviderChain', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should return the first successful answer and tag it with the provider', async () => {
+    const first = fakeProvider('local', located);
+    const second = fakeProvider('remote', located);
+    const chain = new ProviderChain([{ provider: first }, { provider: second }]);
+
+    await expect(chain.lookup('8.8.8.8')).resolves.toEqual(expect.objectContaining({ provider: 'local' }));
+    expect(second.lookup).not.toHaveBeenCalled();
+  });
+
+  test('should fall through misses and failures', async () => {
+    const miss = fakeProvider('local', unknown);
+    const failing = fakeProvider('internal', broken);
+    const last = fakeProvider('ip-api', located);
+    const chain = new ProviderChain([{ provider: miss }, { provider: failing }, { provider: last }]);
+
+    const result = await chain.lookup('8.8.8.8');
+
+    expect(result.provider).toBe('ip-api');
+    expect(chain.getStatus()).toEqual([
+      expect.objectContaining({ name: 'local', miss: 1, failure: 0 }),
+      expect.objectContaining({ name: 'internal', failure: 1, lastError: 'connection refused' }),
+      expect.objectContaining({ name: 'ip-api', success: 1, state: 'closed' })
+    ]);
+  });
+
+  test('should return the miss when no provider knows the address', async () => {
+    const chain = new ProviderChain([{ provider: fakeProvider('local', unknown) }, { provider: fakeProvider('remote', broken) }]);
+
+    await expect(chain.lookup('8.8.8.8')).resolves.toEqual(expect.objectContaining({ status: 'fail', provider: 'local' }));
+  });
+
+  test('should throw the last error when every provider fails', async () => {
+    const chain = new ProviderChain([{ provider: fakeProvider('remote', broken) }]);
+
+    await expect(chain.lookup('8.8.8.8')).rejects.toThrow('connection refused');
+  });
+
+  test('should time out slow providers', async () => {
+    const slow = fakeProvider('slow', () => new Promise(() => {}));
+    const chain = new ProviderChain([{ provider: slow, timeout: 20 }, { provider: fakeProvider('fast', located) }]);
+
+    const result = await chain.lookup('8.8.8.8');
+
+    expect(result.provider).toBe('fast');
+    expect(chain.getStatus()[0].lastError).toBe('slow timed out after 20ms');
+    expect(slow.lookup).toHaveBeenCalledWith('8.8.8.8', { timeout: 20 });
+  });
+
+  test('should skip a provider while its circuit is open', async () => {
+    const failing = fakeProvider('internal', broken);
+    const backup = fakeProvider('ip-api', located);
+    const chain = new ProviderChain([
+      { provider: failing, failureThreshold: 2, resetTimeout: 60000 },
+      { provider: backup }
+    ]);
+
+    await chain.lookup('1.1.1.1');
+    await chain.lookup('1.1.1.2');
+    await chain.lookup('1.1.1.3');
+
+    expect(failing.lookup).toHaveBeenCalledTimes(2);
+    expect(chain.getStatus()[0]).toEqual(expect.objectContaining({ state: 'open', failure: 2, skipped: 1 }));
+  });
+
+  test('should space requests by the provider rate limit', async () => {
+    const provider = fakeProvider('remote', located);
+    const chain = new ProviderChain([{ provider, rateLimitDelay: 30 }]);
+
+    const start = Date.now();
+    await Promise.all([chain.lookup('1.1.1.1'), chain.lookup('1.1.1.2'), chain.lookup('1.1.1.3')]);
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(55);
+    expect(provider.lookup).toHaveBeenCalledTimes(3);
+  });
+
+  test('should space batch requests by their own rate limit', async () => {
+    const provider = {
+      ...fakeProvider('remote', located),
+      supportsBatch: () => true,
+      lookupBatch: jest.fn(ips => Promise.all(ips.map(located)))
+    };
+    const chain = new ProviderChain([{ provider, rateLimitDelay: 0, batchRateLimitDelay: 40 }]);
+
+    const start = Date.now();
+    await Promise.all([chain.lookupBatch(['1.1.1.1', '1.1.1.2']), chain.lookupBatch(['1.1.1.3', '1.1.1.4'])]);
+    expect(Date.now() - start).toBeGreaterThanOrEqual(35);
+
+    // Single lookups are not held up by the batch spacing
+    const singleStart = Date.now();
+    await chain.lookup('1.1.1.5');
+    expect(Date.now() - singleStart).toBeLessThan(35);
+    expect(provider.lookupBatch).toHaveBeenCalledTimes(2);
+  });
+
+  test('should build providers from configuration', () => {
+    const chain = ProviderChain.fromConfig([
+      { type: 'mmdb', cityFile: 'city.mmdb' },
+      { type: 'http', name: 'geo-internal', url: 'http://geo.internal/json/{ip}', timeout: 2000 },
+      { type: 'ip-api' }
+    ]);
+
+    expect(chain.getStatus()).toEqual([
+      expect.objectContaining({ name: 'mmdb', cityFile: 'city.mmdb', timeout: 10000 }),
+      expect.objectContaining({ name: 'geo-internal', url: 'http://geo.internal/json/{ip}', timeout: 2000 }),
+      expect.objectContaining({ name: 'ip-api', url: 'http://ip-api.com/json/', batchRateLimitDelay: 4000 })
+    ]);
+    expect(chain.getStatus()[1].batchRateLimitDelay).toBe(0);
+    expect(chain.isLocalOnly()).toBe(false);
+    expect(() => ProviderChain.fromConfig([])).toThrow('At least one geolocation provider is required');
+  });
+});
+
+describe('CircuitBreaker', () => {
+  test('should open after the failure threshold and allow one trial after the reset timeout', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeout: 1000 });
+
+    breaker.recordFailure(0);
+    expect(breaker.allowRequest(0)).toBe(true);
+    breaker.recordFailure(0);
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.allowRequest(500)).toBe(false);
+
+    expect(breaker.allowRequest(1000)).toBe(true);
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.allowRequest(1000)).toBe(false); // Only one trial at a time
+
+    breaker.recordSuccess();
+    expect(breaker.state).toBe('closed');
+    expect(breaker.consecutiveFailures).toBe(0);
+  });
+
+  test('should reopen when the trial call fails', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 1000 });
+
+    breaker.recordFailure(0);
+    breaker.allowRequest(1000);
+    breaker.recordFailure(1000);
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.openedAt).toBe(1000);
+  });
+});
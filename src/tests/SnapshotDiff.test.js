@@ -0,0 +1,31 @@
+const SnapshotDiff = require('../services/SnapshotDiff');
+
+describe('SnapshotDiff', () => {
+  const connection = (overrides) => ({
+    processName: 'curl', pid: 812, sourceIP: '192.168.1.100', sourcePort: 50000, destIP: '1.2.3.4', destPort: 443, protocol: 'tcp', ...overrides
+  });
+
+  test('should key connections by transport, 5-tuple and PID', () => {
+    expect(SnapshotDiff.getKey(connection())).toBe('tcp:192.168.1.100:50000->1.2.3.4:443#812');
+    expect(SnapshotDiff.getKey(connection({ protocol: 'quic', pid: undefined }))).toBe('udp:192.168.1.100:50000->1.2.3.4:443#');
+    expect(SnapshotDiff.getKey(connection({ processName: 'renamed' }))).toBe(SnapshotDiff.getKey(connection()));
+  });
+
+  test('should report added, removed and unchanged connections between snapshots', () => {
+    const diff = new SnapshotDiff();
+    const first = connection();
+    const second = connection({ sourcePort: 50001 });
+
+    expect(diff.update([first, { ...first }, second])).toEqual({ added: [first, second], removed: [], unchanged: [] });
+
+    const reused = connection({ pid: 900 });
+    const result = diff.update([second, reused]);
+    expect(result.added).toEqual([reused]);
+    expect(result.removed[0]).toBe(first);
+    expect(result.unchanged[0]).toBe(second);
+    expect(diff.getStatus()).toEqual({ connections: 2, snapshots: 2, lastDiff: { added: 1, removed: 1, unchanged: 1 } });
+
+    diff.reset();
+    expect(diff.update([second]).added).toEqual([second]);
+  });
+});
@@ -0,0 +1,96 @@
+const SsCollector = require('../collectors/SsCollector');
+
+describe('SsCollector', () => {
+  let collector;
+
+  beforeEach(() => {
+    collector = new SsCollector();
+  });
+
+  describe('parseLine', () => {
+    test('should parse established IPv4 connections with process info', () => {
+      const line = 'ESTAB 0      0      192.168.1.100:54321 142.250.80.46:443 users:(("curl",pid=1234,fd=3))';
+
+      expect(collector.parseLine(line)).toEqual({
+        processName: 'curl',
+        pid: 1234,
+        sourceIP: '192.168.1.100',
+        sourcePort: 54321,
+        destIP: '142.250.80.46',
+        destPort: 443,
+        protocol: 'tcp',
+        timestamp: expect.any(Number),
+        rawLine: line
+      });
+    });
+
+    test('should parse bracketed IPv6 and IPv4-mapped endpoints', () => {
+      const v6 = collector.parseLine('ESTAB 0 0 [2001:db8::1]:50000 [2607:f8b0:4004:c1b::64]:443 users:(("firefox",pid=42,fd=80))');
+      const mapped = collector.parseLine('ESTAB 0 0 [::ffff:10.0.0.5]:8080 [::ffff:1.1.1.1]:443');
+
+      expect(v6).toEqual(expect.objectContaining({ sourceIP: '2001:db8::1', destIP: '2607:f8b0:4004:c1b::64', destPort: 443 }));
+      expect(mapped).toEqual(expect.objectContaining({ processName: 'unknown', pid: null, sourceIP: '10.0.0.5', destIP: '1.1.1.1' }));
+    });
+
+    test('should read the protocol from the Netid column', () => {
+      const udp = collector.parseLine('udp ESTAB 0 0 192.168.1.100:54321 142.250.80.46:443 users:(("chrome",pid=7,fd=40))');
+      const tcp = collector.parseLine('tcp ESTAB 0 0 192.168.1.100:54322 142.250.80.46:443 users:(("curl",pid=8,fd=3))');
+
+      expect(udp).toEqual(expect.objectContaining({ processName: 'chrome', destIP: '142.250.80.46', protocol: 'udp' }));
+      expect(tcp).toEqual(expect.objectContaining({ processName: 'curl', protocol: 'tcp' }));
+      expect(collector.parseLine('udp UNCONN 0 0 0.0.0.0:5353 0.0.0.0:*')).toBeNull();
+    });
+
+    test('should strip interface scope suffixes', () => {
+      const result = collector.parseLine('ESTAB 0 0 10.0.0.5%eth0:22 8.8.8.8:53');
+
+      expect(result.sourceIP).toBe('10.0.0.5');
+    });
+
+    test('should ignore non-established sockets and malformed lines', () => {
+      expect(collector.parseLine('LISTEN 0 4096 0.0.0.0:22 0.0.0.0:*')).toBeNull();
+      expect(collector.parseLine('garbage')).toBeNull();
+      expect(collector.parseLine('')).toBeNull();
+    });
+  });
+
+  describe('parseListeningLine', () => {
+    test('should parse listening TCP and bound UDP sockets', () => {
+      const tcp = collector.parseListeningLine('tcp LISTEN 0 128 [::]:22 [::]:* users:(("sshd",pid=812,fd=4))');
+      const udp = collector.parseListeningLine('udp UNCONN 0 0 *:5353 *:* users:(("avahi-daemon",pid=600,fd=12))');
+
+      expect(tcp).toEqual({ listening: true, processName: 'sshd', pid: 812, sourceIP: '::', sourcePort: 22, protocol: 'tcp', timestamp: expect.any(Number) });
+      expect(udp).toEqual(expect.objectContaining({ processName: 'avahi-daemon', sourceIP: '*', sourcePort: 5353, protocol: 'udp' }));
+      expect(collector.parseListeningLine('tcp ESTAB 0 0 192.168.1.100:54321 142.250.80.46:443')).toBeNull();
+      expect(collector.parseListeningLine('udp LISTEN 0 0 0.0.0.0:53 0.0.0.0:*')).toBeNull();
+    });
+  });
+
+  test('should attach byte and segment counters from -i detail lines', () => {
+    const output = [
+      'tcp ESTAB 0 0 192.168.1.100:54321 142.250.80.46:443 users:(("curl",pid=1234,fd=3))',
+      '\t cubic wscale:7,7 rto:204 rtt:1.5/0.75 bytes_sent:5120 bytes_acked:5121 bytes_received:20480 segs_out:40 segs_in:35',
+      'tcp ESTAB 0 0 192.168.1.100:54322 1.1.1.1:443 users:(("node",pid=99,fd=21))',
+      '\t cubic bytes_acked:100 bytes_received:300 segs_out:3 segs_in:4',
+      'udp ESTAB 0 0 192.168.1.100:54323 8.8.8.8:53 users:(("dig",pid=7,fd=5))'
+    ].join('\n');
+
+    const [curl, node, dig] = collector.parseOutput(output);
+
+    expect(curl).toEqual(expect.objectContaining({ bytesIn: 20480, bytesOut: 5120, packetsIn: 35, packetsOut: 40 }));
+    expect(node).toEqual(expect.objectContaining({ bytesIn: 300, bytesOut: 100 }));
+    expect(dig).not.toHaveProperty('bytesIn');
+  });
+
+  test('should parse multi-line output', () => {
+    const output = [
+      'ESTAB 0 0 192.168.1.100:54321 142.250.80.46:443 users:(("curl",pid=1234,fd=3))',
+      'TIME-WAIT 0 0 192.168.1.100:54322 142.250.80.46:443',
+      'ESTAB 0 0 192.168.1.100:54323 1.1.1.1:443 users:(("node",pid=99,fd=21))',
+      'LISTEN 0 128 0.0.0.0:22 0.0.0.0:* users:(("sshd",pid=812,fd=3))',
+      ''
+    ].join('\n');
+
+    expect(collector.parseOutput(output).map(c => c.processName)).toEqual(['curl', 'node', 'sshd']);
+  });
+});
@@ -1,5 +1,6 @@
 const TrafficMonitor = require('../services/TrafficMonitor');
 const EventEmitter = require('events');
+const CONFIG = require('../config');
 
 // Mock child_process
 jest.mock('child_process');
@@ -10,7 +11,7 @@ describe('TrafficMonitor', () => {
   let mockProcess;
 
   beforeEach(() => {
-    trafficMonitor = new TrafficMonitor();
+    trafficMonitor = new TrafficMonitor({ platform: 'darwin' });
     
     // Create mock process
     mockProcess = new EventEmitter();
@@ -71,6 +72,529 @@ describe('TrafficMonitor', () => {
     });
   });
 
+  describe('collector selection', () => {
+    test('should use the proc collector on Linux', () => {
+      const linuxMonitor = new TrafficMonitor({ platform: 'linux', procRoot: '/nonexistent-proc' });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      linuxMonitor.start();
+
+      expect(linuxMonitor.collector.name).toBe('proc');
+      expect(spawn).not.toHaveBeenCalled();
+      expect(console.log).toHaveBeenCalledWith(
+        "[TrafficMonitor] The proc collector has no byte counters, so bandwidth stats stay empty; set COLLECTOR to 'ss' for them");
+      console.log.mockRestore();
+
+      linuxMonitor.stop();
+    });
+
+    test('should use the lsof collector on macOS', () => {
+      trafficMonitor.start();
+
+      expect(trafficMonitor.collector.name).toBe('lsof');
+      expect(spawn).toHaveBeenCalledWith('lsof', CONFIG.LSOF_ARGS, expect.any(Object));
+    });
+
+    test('should prefer a configured collector over platform defaults', () => {
+      const ssMonitor = new TrafficMonitor({ platform: 'linux', collector: 'ss' });
+
+      expect(ssMonitor.resolveCollectorNames()).toEqual(['ss', 'proc', 'lsof']);
+    });
+
+    test('should skip collectors not supported on the platform', () => {
+      const darwinMonitor = new TrafficMonitor({ platform: 'darwin', collector: 'proc' });
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      darwinMonitor.start();
+
+      expect(darwinMonitor.collector.name).toBe('lsof');
+      expect(consoleSpy).toHaveBeenCalledWith('[TrafficMonitor] proc collector is not supported on darwin, skipping');
+
+      darwinMonitor.stop();
+      consoleSpy.mockRestore();
+    });
+
+    test('should fall back to the next collector when one is unavailable', () => {
+      const fallbackMonitor = new TrafficMonitor({ platform: 'linux', collector: 'ss', procRoot: '/nonexistent-proc' });
+      jest.spyOn(console, 'error').mockImplementation();
+
+      fallbackMonitor.start();
+      expect(fallbackMonitor.collector.name).toBe('ss');
+
+      const error = new Error('ss command not found');
+      error.code = 'ENOENT';
+      mockProcess.emit('error', error);
+
+      return new Promise(resolve => setImmediate(resolve)).then(() => {
+        expect(fallbackMonitor.collector.name).toBe('proc');
+        fallbackMonitor.stop();
+        console.error.mockRestore();
+      });
+    });
+
+    test('should emit error when no collector can run', () => {
+      const errorSpy = jest.fn();
+      trafficMonitor.on('error', errorSpy);
+      jest.spyOn(console, 'error').mockImplementation();
+
+      trafficMonitor.start();
+
+      const error = new Error('lsof command not found');
+      error.code = 'ENOENT';
+      mockProcess.emit('error', error);
+
+      return new Promise(resolve => setImmediate(resolve)).then(() => {
+        expect(errorSpy).toHaveBeenCalledWith(error);
+        expect(trafficMonitor.collector).toBeNull();
+        console.error.mockRestore();
+      });
+    });
+  });
+
+  describe('processConnections', () => {
+    test('should emit traffic events for /proc connections', () => {
+      const trafficEvents = [];
+      trafficMonitor.on('traffic', (data) => trafficEvents.push(data));
+
+      trafficMonitor.processConnections([
+        { processName: 'curl', sourceIP: '192.168.1.100', sourcePort: 54321, destIP: '142.250.80.46', destPort: 443, timestamp: Date.now() },
+        { processName: 'curl', sourceIP: '192.168.1.100', sourcePort: 54322, destIP: '192.168.1.1', destPort: 80, timestamp: Date.now() }
+      ]);
+
+      expect(trafficEvents).toHaveLength(1);
+      expect(trafficEvents[0]).toEqual(expect.objectContaining({
+        processName: 'curl',
+        destIP: '142.250.80.46',
+        destPort: 443,
+        processType: 'other'
+      }));
+    });
+
+    test('should skip connections rejected by user filter rules', () => {
+      const trafficEvents = [];
+      trafficMonitor.on('traffic', (data) => trafficEvents.push(data));
+      trafficMonitor.ipFilter.setConnectionRules({ exclude: { processes: ['Dropbox'] } });
+
+      trafficMonitor.processConnections([
+        { processName: 'Dropbox', sourceIP: '192.168.1.100', sourcePort: 50000, destIP: '162.125.1.1', destPort: 443, timestamp: Date.now() },
+        { processName: 'curl', sourceIP: '192.168.1.100', sourcePort: 50001, destIP: '142.250.80.46', destPort: 443, timestamp: Date.now() }
+      ]);
+
+      expect(trafficEvents).toHaveLength(1);
+      expect(trafficEvents[0].processName).toBe('curl');
+    });
+
+    test('should normalize IPv6 addresses and report the IP version', () => {
+      const trafficEvents = [];
+      trafficMonitor.on('traffic', (data) => trafficEvents.push(data));
+
+      trafficMonitor.processConnections([
+        { processName: 'curl', sourceIP: '2001:db8::2', sourcePort: 50000, destIP: '2606:4700:0:0:0:0:0:1111', destPort: 443, timestamp: Date.now() },
+        { processName: 'curl', sourceIP: 'fe80::2', sourcePort: 50001, destIP: 'fe80::1%en0', destPort: 443, timestamp: Date.now() }
+      ]);
+
+      expect(trafficEvents).toHaveLength(1);
+      expect(trafficEvents[0]).toEqual(expect.objectContaining({
+        destIP: '2606:4700::1111',
+        ipVersion: 6,
+        connectionId: 'tcp:2001:db8::2:50000->2606:4700::1111:443#'
+      }));
+    });
+  });
+
+  describe('protocols', () => {
+    test('should tag events with tcp, udp or quic and keep UDP flows apart from TCP', () => {
+      const trafficEvents = [];
+      trafficMonitor.on('traffic', (data) => trafficEvents.push(data));
+
+      trafficMonitor.processConnections([
+        { processName: 'Chrome', sourceIP: '192.168.1.100', sourcePort: 50000, destIP: '142.250.80.46', destPort: 443, timestamp: Date.now() },
+        { processName: 'Chrome', sourceIP: '192.168.1.100', sourcePort: 50000, destIP: '142.250.80.47', destPort: 443, protocol: 'udp', timestamp: Date.now() },
+        { processName: 'WireGuard', sourceIP: '192.168.1.100', sourcePort: 51820, destIP: '185.199.108.153', destPort: 51820, protocol: 'udp', timestamp: Date.now() }
+      ]);
+
+      expect(trafficEvents.map(event => event.protocol)).toEqual(['tcp', 'quic', 'udp']);
+      expect(trafficEvents[0].connectionId).toBe('tcp:192.168.1.100:50000->142.250.80.46:443#');
+      expect(trafficEvents[1].connectionId).toBe('udp:192.168.1.100:50000->142.250.80.47:443#');
+    });
+  });
+
+  describe('direction', () => {
+    const listener = (overrides) => ({ listening: true, processName: 'sshd', pid: 812, sourceIP: '*', sourcePort: 22, protocol: 'tcp', timestamp: Date.now(), ...overrides });
+
+    test('should classify connections to a listening port as inbound', () => {
+      const trafficEvents = [];
+      trafficMonitor.on('traffic', (data) => trafficEvents.push(data));
+
+      trafficMonitor.processConnections([
+        listener(),
+        { processName: 'sshd', sourceIP: '192.168.1.100', sourcePort: 22, destIP: '81.2.69.142', destPort: 50022, timestamp: Date.now() },
+        { processName: 'curl', sourceIP: '192.168.1.100', sourcePort: 50000, destIP: '142.250.80.46', destPort: 22, timestamp: Date.now() }
+      ]);
+
+      expect(trafficEvents.map(event => [event.destIP, event.direction])).toEqual([
+        ['81.2.69.142', 'inbound'],
+        ['142.250.80.46', 'outbound']
+      ]);
+    });
+
+    test('should match listeners by transport and bound address', () => {
+      trafficMonitor.updateListeningSockets([
+        listener({ sourceIP: '::', sourcePort: 443 }),
+        listener({ processName: 'unbound', sourceIP: '127.0.0.1', sourcePort: 53, protocol: 'udp' })
+      ]);
+
+      const direction = (sourceIP, sourcePort, protocol) => trafficMonitor.classifyDirection({ sourceIP, sourcePort, protocol });
+
+      expect(direction('192.168.1.100', 443, 'tcp')).toBe('inbound');
+      expect(direction('192.168.1.100', 443, 'quic')).toBe('outbound');
+      expect(direction('127.0.0.1', 53, 'udp')).toBe('inbound');
+      expect(direction('192.168.1.100', 53, 'udp')).toBe('outbound');
+    });
+
+    test('should list listening sockets per application and report changes', () => {
+      const changes = [];
+      trafficMonitor.on('listeningChanged', (sockets) => changes.push(sockets));
+
+      const snapshot = [
+        listener(),
+        listener({ sourceIP: '::', protocol: 'tcp' }),
+        listener({ processName: 'mDNSResponder', pid: undefined, sourcePort: 5353, protocol: 'udp' })
+      ];
+      trafficMonitor.processConnections(snapshot);
+      trafficMonitor.processConnections(snapshot);
+
+      expect(changes).toHaveLength(1);
+      expect(trafficMonitor.getListeningSockets()).toEqual([
+        { application: 'mDNSResponder', processNames: ['mDNSResponder'], sockets: [{ protocol: 'udp', address: '*', port: 5353, pid: null }] },
+        { application: 'sshd', processNames: ['sshd'], sockets: [{ protocol: 'tcp', address: '*', port: 22, pid: 812 }] }
+      ]);
+
+      trafficMonitor.processConnections([]);
+      expect(changes[1]).toEqual([]);
+    });
+  });
+
+  describe('containers', () => {
+    test('should attach the container, color it per container and filter by it', () => {
+      const containerResolver = {
+        getContainer: jest.fn(pid => (pid === 7 ? { containerId: 'a1b2c3d4e5f6', containerName: 'web', containerImage: 'nginx:1.25' } : null))
+      };
+      const monitor = new TrafficMonitor({ platform: 'linux', containerResolver });
+      const traffic = jest.fn();
+      monitor.on('traffic', traffic);
+
+      const connection = (pid, destIP) => ({ processName: 'nginx', pid, sourceIP: '172.17.0.2', sourcePort: 40000 + pid, destIP, destPort: 443, timestamp: 1 });
+      monitor.processConnections([connection(7, '1.2.3.4'), connection(8, '5.6.7.8')]);
+
+      expect(traffic).toHaveBeenCalledWith(expect.objectContaining({
+        destIP: '1.2.3.4',
+        containerId: 'a1b2c3d4e5f6',
+        containerName: 'web',
+        containerImage: 'nginx:1.25',
+        processType: 'container',
+        primaryColor: monitor.processColorizer.getContainerColorInfo('web').primaryColor
+      }));
+      expect(traffic).toHaveBeenCalledWith(expect.objectContaining({ destIP: '5.6.7.8', processType: 'other' }));
+      expect(traffic.mock.calls[1][0]).not.toHaveProperty('containerId');
+
+      monitor.ipFilter.setConnectionRules({ exclude: { containers: ['web'] } });
+      traffic.mockClear();
+      monitor.processConnections([connection(7, '9.9.9.9')]);
+      expect(traffic).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('applications', () => {
+    const helper = { processName: 'Web Content', pid: 812, sourceIP: '192.168.1.100', sourcePort: 50000, destIP: '1.2.3.4', destPort: 443, timestamp: 1 };
+    let monitor;
+    let traffic;
+
+    beforeEach(() => {
+      const processInfoResolver = {
+        resolve: jest.fn(async pid => (pid === 812 ? { pid, application: 'Firefox' } : null))
+      };
+      monitor = new TrafficMonitor({ platform: 'darwin', processInfoResolver });
+      monitor.isRunning = true;
+      traffic = jest.fn();
+      monitor.on('traffic', traffic);
+    });
+
+    test('should classify, log and group helper processes under their application', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      await monitor.handleConnections([
+        helper,
+        { ...helper, pid: 900, sourcePort: 50001, destIP: '5.6.7.8' },
+        { listening: true, processName: 'Web Content', pid: 812, sourceIP: '127.0.0.1', sourcePort: 9222, protocol: 'tcp' }
+      ]);
+
+      expect(traffic).toHaveBeenCalledWith(expect.objectContaining({
+        processName: 'Web Content',
+        application: 'Firefox',
+        processType: 'browser'
+      }));
+      expect(traffic).toHaveBeenCalledWith(expect.objectContaining({
+        destIP: '5.6.7.8',
+        application: 'Web Content',
+        processType: 'other'
+      }));
+      expect(console.log).toHaveBeenCalledWith('[TrafficMonitor] New connection: Firefox (browser) via Web Content -> 1.2.3.4:443/tcp');
+      expect(monitor.getListeningSockets()).toEqual([
+        { application: 'Firefox', processNames: ['Web Content'], sockets: [{ protocol: 'tcp', address: '127.0.0.1', port: 9222, pid: 812 }] }
+      ]);
+      console.log.mockRestore();
+    });
+
+    test('should apply process rules to the application as well as the helper name', async () => {
+      monitor.ipFilter.setConnectionRules({ exclude: { processes: ['firefox'] } });
+      await monitor.handleConnections([helper]);
+      expect(traffic).not.toHaveBeenCalled();
+
+      monitor.ipFilter.setConnectionRules({ include: { processes: ['Web Content'] } });
+      await monitor.handleConnections([{ ...helper, sourcePort: 50002 }]);
+      expect(traffic).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('connection lifecycle', () => {
+    const chrome = { processName: 'Chrome', sourceIP: '192.168.1.100', sourcePort: 12345, destIP: '1.2.3.4', destPort: 443, timestamp: 1 };
+    const firefox = { processName: 'Firefox', sourceIP: '192.168.1.100', sourcePort: 54321, destIP: '5.6.7.8', destPort: 443, timestamp: 1 };
+    const chromeKey = 'tcp:192.168.1.100:12345->1.2.3.4:443#';
+    let originalNow;
+    let mockTime;
+
+    beforeEach(() => {
+      originalNow = Date.now;
+      mockTime = 1000000;
+      Date.now = jest.fn(() => mockTime);
+    });
+
+    afterEach(() => {
+      Date.now = originalNow;
+    });
+
+    test('should attach counters and rates to traffic and lifecycle events', () => {
+      const traffic = jest.fn();
+      const active = jest.fn();
+      const closed = jest.fn();
+      trafficMonitor.on('traffic', traffic);
+      trafficMonitor.on('connectionActive', active);
+      trafficMonitor.on('connectionClosed', closed);
+
+      const connection = (bytesIn, bytesOut) => ({
+        processName: 'curl', sourceIP: '192.168.1.100', sourcePort: 54321, destIP: '142.250.80.46', destPort: 443, bytesIn, bytesOut, timestamp: mockTime
+      });
+
+      trafficMonitor.processConnections([connection(1000, 100)]);
+      mockTime += 2000;
+      trafficMonitor.processConnections([connection(9000, 300)]);
+      trafficMonitor.checkConnectionLifecycle();
+      trafficMonitor.processConnections([]);
+
+      expect(traffic).toHaveBeenCalledWith(expect.objectContaining({ bytesIn: 1000, bytesOut: 100 }));
+      expect(active).toHaveBeenCalledWith(expect.objectContaining({ bytesIn: 9000, bytesOut: 300, bytesInRate: 4000, bytesOutRate: 100 }));
+      expect(closed).toHaveBeenCalledWith(expect.objectContaining({ bytesIn: 9000, bytesOut: 300 }));
+      expect(trafficMonitor.getStatus().bandwidth.topDestinations).toEqual([
+        expect.objectContaining({ ip: '142.250.80.46', connections: 1, bytesIn: 9000, bytesOut: 300 })
+      ]);
+    });
+
+    test('should emit connectionOpened once per connection across snapshots', () => {
+      const openedSpy = jest.fn();
+      trafficMonitor.on('connectionOpened', openedSpy);
+
+      trafficMonitor.processConnections([chrome]);
+      mockTime += 500;
+      trafficMonitor.processConnections([chrome]);
+
+      expect(openedSpy).toHaveBeenCalledTimes(1);
+      expect(openedSpy).toHaveBeenCalledWith(expect.objectContaining({
+        connectionId: chromeKey,
+        destIP: '1.2.3.4',
+        processType: 'browser',
+        openedAt: 1000000
+      }));
+    });
+
+    test('should emit connectionClosed with duration when a connection leaves the snapshot', () => {
+      const closedSpy = jest.fn();
+      trafficMonitor.on('connectionClosed', closedSpy);
+
+      trafficMonitor.processConnections([chrome, firefox]);
+      mockTime += 42000;
+      trafficMonitor.processConnections([firefox]);
+
+      expect(closedSpy).toHaveBeenCalledTimes(1);
+      expect(closedSpy).toHaveBeenCalledWith(expect.objectContaining({
+        connectionId: chromeKey,
+        openedAt: 1000000,
+        closedAt: 1042000,
+        duration: 42000
+      }));
+      expect(trafficMonitor.activeConnections.has(chromeKey)).toBe(false);
+    });
+
+    test('should not track private destinations', () => {
+      const openedSpy = jest.fn();
+      trafficMonitor.on('connectionOpened', openedSpy);
+
+      trafficMonitor.processConnections([{ ...chrome, destIP: '192.168.1.1' }]);
+
+      expect(openedSpy).not.toHaveBeenCalled();
+      expect(trafficMonitor.activeConnections.size).toBe(0);
+    });
+
+    test('should include the connection ID on traffic events', () => {
+      const trafficSpy = jest.fn();
+      trafficMonitor.on('traffic', trafficSpy);
+
+      trafficMonitor.processConnections([chrome]);
+
+      expect(trafficSpy).toHaveBeenCalledWith(expect.objectContaining({ connectionId: chromeKey }));
+    });
+
+    test('should emit connectionActive heartbeats for open connections', () => {
+      const activeSpy = jest.fn();
+      trafficMonitor.on('connectionActive', activeSpy);
+
+      trafficMonitor.processConnections([chrome]);
+      mockTime += 5000;
+      trafficMonitor.checkConnectionLifecycle();
+
+      expect(activeSpy).toHaveBeenCalledWith(expect.objectContaining({
+        connectionId: chromeKey,
+        lastSeen: 1000000,
+        duration: 5000
+      }));
+    });
+
+    test('should close idle streaming connections after the idle timeout', () => {
+      const closedSpy = jest.fn();
+      trafficMonitor.on('connectionClosed', closedSpy);
+
+      trafficMonitor.processConnections([chrome], { streaming: true });
+      mockTime += 3000;
+      trafficMonitor.processConnections([chrome], { streaming: true });
+
+      // Absent from a streaming batch is not the same as closed
+      mockTime += 1000;
+      trafficMonitor.processConnections([firefox], { streaming: true });
+      expect(closedSpy).not.toHaveBeenCalled();
+
+      mockTime += trafficMonitor.connectionIdleTimeout + 1;
+      trafficMonitor.checkConnectionLifecycle();
+
+      expect(closedSpy).toHaveBeenCalledWith(expect.objectContaining({
+        connectionId: chromeKey,
+        closedAt: 1003000,
+        duration: 3000
+      }));
+    });
+
+    test('should emit traffic for connections a snapshot adds, however soon they reappear', () => {
+      const trafficSpy = jest.fn();
+      trafficMonitor.on('traffic', trafficSpy);
+      const secondTab = { ...chrome, sourcePort: 12346 };
+
+      trafficMonitor.processConnections([chrome, chrome]);
+      trafficMonitor.processConnections([chrome, secondTab]);
+      trafficMonitor.processConnections([secondTab]);
+      trafficMonitor.processConnections([chrome, secondTab]);
+
+      expect(trafficSpy.mock.calls.map(([event]) => event.sourcePort)).toEqual([12345, 12346, 12345]);
+    });
+
+    test('should emit the snapshot diff and close connections it removes', () => {
+      const diffSpy = jest.fn();
+      const closedSpy = jest.fn();
+      trafficMonitor.on('snapshotDiff', diffSpy);
+      trafficMonitor.on('connectionClosed', closedSpy);
+
+      trafficMonitor.processConnections([{ ...chrome, pid: 100 }, { ...chrome, pid: 101 }, firefox]);
+      mockTime += 1000;
+      trafficMonitor.processConnections([{ ...chrome, pid: 101 }, { ...firefox, destIP: '192.168.1.1' }]);
+
+      expect(diffSpy).toHaveBeenLastCalledWith({
+        added: [],
+        removed: [
+          expect.objectContaining({ connectionId: 'tcp:192.168.1.100:12345->1.2.3.4:443#100', pid: 100 }),
+          expect.objectContaining({ processName: 'Firefox' })
+        ],
+        unchanged: [expect.objectContaining({ connectionId: 'tcp:192.168.1.100:12345->1.2.3.4:443#101', pid: 101 })],
+        timestamp: 1001000
+      });
+      expect(closedSpy.mock.calls.map(([event]) => event.connectionId)).toEqual([
+        'tcp:192.168.1.100:12345->1.2.3.4:443#100',
+        'tcp:192.168.1.100:54321->5.6.7.8:443#'
+      ]);
+      expect(Array.from(trafficMonitor.activeConnections.keys())).toEqual(['tcp:192.168.1.100:12345->1.2.3.4:443#101']);
+      expect(trafficMonitor.getStatus().snapshotDiff).toEqual({
+        connections: 1,
+        snapshots: 2,
+        lastDiff: { added: 0, removed: 2, unchanged: 1 }
+      });
+    });
+
+    test('should treat a socket whose process name changes as the same connection', () => {
+      const openedSpy = jest.fn();
+      const closedSpy = jest.fn();
+      trafficMonitor.on('connectionOpened', openedSpy);
+      trafficMonitor.on('connectionClosed', closedSpy);
+
+      // e.g. exec, or lsof printing a truncated name in one run and the full name in the next
+      trafficMonitor.processConnections([{ ...chrome, pid: 812, processName: 'Google Chrome H' }]);
+      trafficMonitor.processConnections([{ ...chrome, pid: 812, processName: 'Google Chrome Helper' }]);
+      expect(openedSpy).toHaveBeenCalledTimes(1);
+      expect(trafficMonitor.activeConnections.size).toBe(1);
+
+      trafficMonitor.processConnections([]);
+      expect(closedSpy).toHaveBeenCalledTimes(1);
+      expect(trafficMonitor.activeConnections.size).toBe(0);
+      expect(trafficMonitor.bandwidth.connections.size).toBe(0);
+    });
+
+    test('should clear lifecycle state and heartbeat on stop', () => {
+      Date.now = originalNow;
+      trafficMonitor.start();
+      expect(trafficMonitor.lifecycleInterval).not.toBeNull();
+
+      trafficMonitor.processConnections([chrome]);
+      trafficMonitor.stop();
+
+      expect(trafficMonitor.activeConnections.size).toBe(0);
+      expect(trafficMonitor.lifecycleInterval).toBeNull();
+    });
+  });
+
+  describe('nettop CSV', () => {
+    test('should parse flow rows with their process and counters', () => {
+      const connections = trafficMonitor.getParser('nettop').parseOutput([
+        'time,,bytes_in,bytes_out,packets_in,packets_out,',
+        '10:00:00.000000,Google Chrome H.812,25000,4000,30,20,',
+        '10:00:00.000000,tcp4 192.168.1.100:54321<->142.250.80.46:443,20000,3000,25,15,',
+        '10:00:00.000000,udp6 2001:db8::2.50000<->2606:4700::1111.443,5000,1000,5,5,',
+        '10:00:00.000000,udp4 *:5353<->*:*,0,0,0,0,'
+      ].join('\n'));
+
+      expect(connections).toEqual([
+        expect.objectContaining({
+          processName: 'Google Chrome H',
+          pid: 812,
+          sourceIP: '192.168.1.100',
+          destIP: '142.250.80.46',
+          destPort: 443,
+          protocol: 'tcp',
+          bytesIn: 20000,
+          bytesOut: 3000,
+          packetsIn: 25,
+          packetsOut: 15
+        }),
+        expect.objectContaining({ sourceIP: '2001:db8::2', sourcePort: 50000, destIP: '2606:4700::1111', destPort: 443, protocol: 'udp' })
+      ]);
+    });
+  });
+
   describe('parseNettopLine', () => {
     test('should parse valid nettop line', () => {
       const line = 'Chrome.123,456,789,192.168.1.100:54321->8.8.8.8:443,,,';
@@ -82,6 +606,7 @@ describe('TrafficMonitor', () => {
         sourcePort: 54321,
         destIP: '8.8.8.8',
         destPort: 443,
+        protocol: 'tcp',
         timestamp: expect.any(Number),
         rawLine: line
       });
@@ -104,6 +629,7 @@ describe('TrafficMonitor', () => {
         sourcePort: 12345,
         destIP: '8.8.8.8',
         destPort: 443,
+        protocol: 'tcp',
         timestamp: expect.any(Number),
         rawLine: line
       });
@@ -177,9 +703,15 @@ describe('TrafficMonitor', () => {
 
       expect(status).toEqual({
         isRunning: true,
+        collector: expect.objectContaining({ name: 'lsof' }),
         processId: null,
         restartAttempts: 0,
         maxRestartAttempts: 3,
+        activeConnections: 0,
+        listeningSockets: [],
+        bandwidth: expect.objectContaining({ bytesIn: 0, bytesOut: 0, trackedConnections: 0 }),
+        containers: expect.objectContaining({ containers: 0 }),
+        snapshotDiff: { connections: 0, snapshots: 0, lastDiff: null },
         deduplication: {
           processedIPsCount: 0,
           connectionStatesCount: 0,
@@ -194,9 +726,15 @@ describe('TrafficMonitor', () => {
 
       expect(status).toEqual({
         isRunning: false,
+        collector: null,
         processId: null,
         restartAttempts: 0,
         maxRestartAttempts: 3,
+        activeConnections: 0,
+        listeningSockets: [],
+        bandwidth: expect.objectContaining({ bytesIn: 0, bytesOut: 0, trackedConnections: 0 }),
+        containers: expect.objectContaining({ containers: 0 }),
+        snapshotDiff: { connections: 0, snapshots: 0, lastDiff: null },
         deduplication: {
           processedIPsCount: 0,
           connectionStatesCount: 0,
@@ -219,64 +757,6 @@ describe('TrafficMonitor', () => {
       });
     });
 
-    describe('isNewConnection', () => {
-      test('should identify new connections correctly', () => {
-        const connectionKey = 'Chrome:192.168.1.100:12345->1.2.3.4:443';
-        const destIP = '1.2.3.4';
-        
-        // First check should return true (new connection)
-        expect(trafficMonitor.isNewConnection(connectionKey, destIP)).toBe(true);
-        
-        // Update state
-        trafficMonitor.updateConnectionState(connectionKey, destIP);
-        
-        // Second check should return false (duplicate)
-        expect(trafficMonitor.isNewConnection(connectionKey, destIP)).toBe(false);
-      });
-
-      test('should respect IP cache timeout', () => {
-        const connectionKey = 'Chrome:192.168.1.100:12345->1.2.3.4:443';
-        const destIP = '1.2.3.4';
-        
-        // Mock Date.now to simulate time passage
-        const originalNow = Date.now;
-        let mockTime = 1000000;
-        Date.now = jest.fn(() => mockTime);
-        
-        // Update state at time 1000000
-        trafficMonitor.updateConnectionState(connectionKey, destIP);
-        expect(trafficMonitor.isNewConnection(connectionKey, destIP)).toBe(false);
-        
-        // Advance time beyond IP cache timeout (10 seconds)
-        mockTime += 11000; // 10 seconds + 1 second
-        expect(trafficMonitor.isNewConnection(connectionKey, destIP)).toBe(true);
-        
-        // Restore original Date.now
-        Date.now = originalNow;
-      });
-
-      test('should respect connection cache timeout', () => {
-        const connectionKey = 'Chrome:192.168.1.100:12345->1.2.3.4:443';
-        const destIP = '1.2.3.4';
-        
-        // Mock Date.now to simulate time passage
-        const originalNow = Date.now;
-        let mockTime = 1000000;
-        Date.now = jest.fn(() => mockTime);
-        
-        // Update state at time 1000000
-        trafficMonitor.updateConnectionState(connectionKey, destIP);
-        expect(trafficMonitor.isNewConnection(connectionKey, destIP)).toBe(false);
-        
-        // Advance time beyond connection cache timeout (5 seconds) but within IP timeout (10 seconds)
-        mockTime += 6000; // 5 seconds + 1 second
-        expect(trafficMonitor.isNewConnection(connectionKey, destIP)).toBe(false); // Still blocked by IP cache
-        
-        // Restore original Date.now
-        Date.now = originalNow;
-      });
-    });
-
     describe('updateConnectionState', () => {
       test('should track connection states correctly', () => {
         const connectionKey = 'Chrome:192.168.1.100:12345->1.2.3.4:443';
@@ -453,19 +933,47 @@ Chrome     1234   user  124u  IPv4 0x123457      0t0  TCP 192.168.1.100:12346->1
         
         expect(result).toEqual({
           processName: 'Chrome',
+          pid: 1234,
+          user: 'user',
           sourceIP: '192.168.1.100',
           sourcePort: 12345,
           destIP: '1.2.3.4',
           destPort: 443,
+          protocol: 'tcp',
           timestamp: expect.any(Number),
           rawLine: line
         });
       });
 
-      test('should return null for non-TCP connections', () => {
+      test('should parse bracketed IPv6 addresses', () => {
+        const line = 'curl      4321 user    5u  IPv6 0x654321      0t0  TCP [2001:DB8::2]:50000->[2606:4700::1111]:443 (ESTABLISHED)';
+        const result = trafficMonitor.parseLsofLine(line);
+
+        expect(result).toEqual(expect.objectContaining({
+          processName: 'curl',
+          sourceIP: '2001:db8::2',
+          sourcePort: 50000,
+          destIP: '2606:4700::1111',
+          destPort: 443
+        }));
+      });
+
+      test('should parse UDP sockets with a connected remote endpoint', () => {
         const line = 'Chrome    1234 user  123u  IPv4 0x123456      0t0  UDP 192.168.1.100:12345->1.2.3.4:443';
         const result = trafficMonitor.parseLsofLine(line);
-        
+
+        expect(result).toEqual(expect.objectContaining({
+          processName: 'Chrome',
+          destIP: '1.2.3.4',
+          destPort: 443,
+          protocol: 'udp'
+        }));
+      });
+
+      test('should return null for unconnected UDP sockets', () => {
+        const line = 'mDNSResp   321 user    8u  IPv4 0x123456      0t0  UDP *:5353';
+        const result = trafficMonitor.parseLsofLine(line);
+
         expect(result).toBeNull();
       });
 
@@ -475,6 +983,25 @@ Chrome     1234   user  124u  IPv4 0x123457      0t0  TCP 192.168.1.100:12346->1
         
         expect(result).toBeNull();
       });
+
+      test('should parse listening TCP and bound UDP sockets', () => {
+        const parser = trafficMonitor.getParser('lsof');
+
+        expect(parser.parseListeningLine('sshd       812 root    3u  IPv6 0x123456      0t0  TCP *:22 (LISTEN)')).toEqual({
+          listening: true,
+          processName: 'sshd',
+          pid: 812,
+          sourceIP: '*',
+          sourcePort: 22,
+          protocol: 'tcp',
+          timestamp: expect.any(Number)
+        });
+        expect(parser.parseListeningLine('cupsd      300 root    5u  IPv6 0x123456      0t0  TCP [::1]:631 (LISTEN)'))
+          .toEqual(expect.objectContaining({ sourceIP: '::1', sourcePort: 631 }));
+        expect(parser.parseListeningLine('mDNSResp   321 user    8u  IPv4 0x123456      0t0  UDP *:5353'))
+          .toEqual(expect.objectContaining({ processName: 'mDNSResp', sourcePort: 5353, protocol: 'udp' }));
+        expect(parser.parseListeningLine('Chrome    1234 user  123u  IPv4 0x123456      0t0  TCP 192.168.1.100:12345->1.2.3.4:443 (ESTABLISHED)')).toBeNull();
+      });
     });
   });
 
@@ -487,9 +1014,15 @@ Chrome     1234   user  124u  IPv4 0x123457      0t0  TCP 192.168.1.100:12346->1
       
       expect(status).toEqual({
         isRunning: false,
+        collector: null,
         processId: null,
         restartAttempts: 0,
         maxRestartAttempts: 3,
+        activeConnections: 0,
+        listeningSockets: [],
+        bandwidth: expect.objectContaining({ bytesIn: 0, bytesOut: 0, trackedConnections: 0 }),
+        containers: expect.objectContaining({ containers: 0 }),
+        snapshotDiff: { connections: 0, snapshots: 0, lastDiff: null },
         deduplication: {
           processedIPsCount: 1,
           connectionStatesCount: 1,
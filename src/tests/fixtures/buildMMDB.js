@@ -0,0 +1,159 @@
+const CIDRMatcher = require('../../utils/CIDRMatcher');
+
+/**
+ * Builds a small MaxMind DB file in memory for tests
+ * Repeated strings are written once and referenced with pointers, as real databases do
+ * @param {Object} options - Database contents
+ * @param {number} [options.ipVersion] - 4 or 6
+ * @param {number} [options.recordSize] - 24, 28 or 32
+ * @param {string} [options.databaseType] - Metadata database_type
+ * @param {Object[]} options.networks - Objects with cidr and data
+ * @returns {Buffer} - Complete .mmdb file contents
+ */
+function buildMMDB({ ipVersion = 6, recordSize = 24, databaseType = 'Test-City', networks }) {
+  const dataChunks = [];
+  const stringOffsets = new Map();
+  let dataLength = 0;
+
+  const write = (buffer) => {
+    dataChunks.push(buffer);
+    dataLength += buffer.length;
+  };
+
+  const writeControl = (type, size) => {
+    const extended = type > 7;
+    const bytes = [((extended ? 0 : type) << 5) | (size < 29 ? size : 29)];
+    if (extended) bytes.push(type - 7);
+    if (size >= 29) bytes.push(size - 29);
+    write(Buffer.from(bytes));
+  };
+
+  const writeValue = (value) => {
+    if (typeof value === 'string') {
+      if (stringOffsets.has(value)) {
+        const pointer = stringOffsets.get(value);
+        write(Buffer.from([(1 << 5) | ((pointer >> 8) & 0x7), pointer & 0xff]));
+        return;
+      }
+      stringOffsets.set(value, dataLength);
+      const bytes = Buffer.from(value, 'utf8');
+      writeControl(2, bytes.length);
+      write(bytes);
+    } else if (typeof value === 'boolean') {
+      writeControl(14, value ? 1 : 0);
+    } else if (typeof value === 'number' && Number.isInteger(value) && value >= 0) {
+      const bytes = [];
+      for (let remaining = value; remaining > 0; remaining = Math.floor(remaining / 256)) {
+        bytes.unshift(remaining % 256);
+      }
+      writeControl(6, bytes.length);
+      write(Buffer.from(bytes));
+    } else if (typeof value === 'number') {
+      const bytes = Buffer.alloc(8);
+      bytes.writeDoubleBE(value);
+      writeControl(3, 8);
+      write(bytes);
+    } else if (Array.isArray(value)) {
+      writeControl(11, value.length);
+      value.forEach(writeValue);
+    } else {
+      const entries = Object.entries(value);
+      writeControl(7, entries.length);
+      for (const [key, entryValue] of entries) {
+        writeValue(key);
+        writeValue(entryValue);
+      }
+    }
+  };
+
+  // Search tree: each node has two children that are nodes, data offsets or null
+  const createNode = () => ({ children: [null, null] });
+  const root = createNode();
+
+  for (const { cidr, data } of networks) {
+    const { version, bytes, prefixLength } = CIDRMatcher.parseCIDR(cidr);
+    const fullBytes = version === 4 && ipVersion === 6 ? [...new Array(12).fill(0), ...bytes] : bytes;
+    const fullPrefix = version === 4 && ipVersion === 6 ? prefixLength + 96 : prefixLength;
+
+    const dataOffset = dataLength;
+    writeValue(data);
+
+    let node = root;
+    for (let i = 0; i < fullPrefix; i++) {
+      const bit = (fullBytes[i >> 3] >> (7 - (i & 7))) & 1;
+      if (i === fullPrefix - 1) {
+        node.children[bit] = { dataOffset };
+      } else {
+        if (!node.children[bit] || node.children[bit].dataOffset !== undefined) {
+          node.children[bit] = createNode();
+        }
+        node = node.children[bit];
+      }
+    }
+  }
+
+  // Number nodes breadth-first
+  const nodes = [];
+  const queue = [root];
+  while (queue.length > 0) {
+    const node = queue.shift();
+    node.number = nodes.length;
+    nodes.push(node);
+    for (const child of node.children) {
+      if (child && child.children) queue.push(child);
+    }
+  }
+
+  const nodeCount = nodes.length;
+  const recordValue = (child) => {
+    if (!child) return nodeCount;
+    if (child.children) return child.number;
+    return nodeCount + 16 + child.dataOffset;
+  };
+
+  const nodeByteSize = recordSize / 4;
+  const tree = Buffer.alloc(nodeCount * nodeByteSize);
+  for (const node of nodes) {
+    const base = node.number * nodeByteSize;
+    const [left, right] = node.children.map(recordValue);
+
+    if (recordSize === 24) {
+      tree.writeUIntBE(left, base, 3);
+      tree.writeUIntBE(right, base + 3, 3);
+    } else if (recordSize === 28) {
+      tree.writeUIntBE(left & 0xffffff, base, 3);
+      tree[base + 3] = ((left >> 20) & 0xf0) | ((right >> 24) & 0x0f);
+      tree.writeUIntBE(right & 0xffffff, base + 4, 3);
+    } else {
+      tree.writeUInt32BE(left, base);
+      tree.writeUInt32BE(right, base + 4);
+    }
+  }
+
+  const dataSection = Buffer.concat(dataChunks);
+
+  // Metadata is decoded relative to its own start, so write it with a fresh string table
+  dataChunks.length = 0;
+  dataLength = 0;
+  stringOffsets.clear();
+  writeValue({
+    node_count: nodeCount,
+    record_size: recordSize,
+    ip_version: ipVersion,
+    database_type: databaseType,
+    languages: ['en'],
+    binary_format_major_version: 2,
+    binary_format_minor_version: 0,
+    build_epoch: 1700000000
+  });
+
+  return Buffer.concat([
+    tree,
+    Buffer.alloc(16),
+    dataSection,
+    Buffer.from('abcdef4d61784d696e642e636f6d', 'hex'),
+    Buffer.concat(dataChunks)
+  ]);
+}
+
+module.exports = buildMMDB;
@@ -0,0 +1,224 @@
+const net = require('net');
+
+/**
+ * CIDRMatcher class for fast longest-prefix matching of IPv4 and IPv6 addresses
+ * Rules are compiled into a binary prefix trie per address family, so a lookup costs
+ * at most 32 (IPv4) or 128 (IPv6) steps regardless of how many rules are loaded
+ */
+class CIDRMatcher {
+  /**
+   * @param {Array<string|Object>} rules - CIDR strings, or objects with cidr and value
+   */
+  constructor(rules = []) {
+    this.tries = { 4: this.createNode(), 6: this.createNode() };
+    this.size = 0;
+
+    for (const rule of rules) {
+      if (typeof rule === 'string') {
+        this.add(rule);
+      } else {
+        this.add(rule.cidr, rule.value);
+      }
+    }
+  }
+
+  /**
+   * Converts an IP address to its bytes in network order
+   * @param {string} ip - IPv4 or IPv6 address (IPv6 may carry a %zone suffix)
+   * @returns {Object|null} - Object with version and bytes, or null if invalid
+   */
+  static toBytes(ip) {
+    if (!ip || typeof ip !== 'string') {
+      return null;
+    }
+
+    const address = ip.replace(/%.*$/, '');
+
+    if (net.isIPv4(address)) {
+      return { version: 4, bytes: address.split('.').map(Number) };
+    }
+
+    if (!net.isIPv6(address)) {
+      return null;
+    }
+
+    let text = address.toLowerCase();
+
+    // Convert an embedded IPv4 tail (::ffff:1.2.3.4) into two hex groups
+    const ipv4Tail = text.match(/(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+    if (ipv4Tail) {
+      const [, a, b, c, d] = ipv4Tail.map(Number);
+      text = `${text.slice(0, ipv4Tail.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+
+    const [head, tail] = text.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const missing = text.includes('::') ? 8 - headGroups.length - tailGroups.length : 0;
+
+    const groups = [...headGroups, ...new Array(missing).fill('0'), ...tailGroups];
+    const bytes = [];
+    for (const group of groups) {
+      const value = parseInt(group, 16);
+      bytes.push(value >> 8, value & 0xff);
+    }
+
+    return { version: 6, bytes };
+  }
+
+  /**
+   * Formats address bytes as text (IPv6 lowercased with the longest zero run compressed, RFC 5952)
+   * This is the one formatter for addresses read as bytes (pcap frames, /proc/net, CIDR blocks)
+   * @param {number[]|Buffer} bytes - 4 or 16 bytes in network order
+   * @returns {string} - IP address
+   */
+  static fromBytes(bytes) {
+    if (bytes.length === 4) {
+      return Array.from(bytes).join('.');
+    }
+
+    const groups = [];
+    for (let i = 0; i < bytes.length; i += 2) {
+      groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+    }
+
+    // The first longest run of two or more zero groups becomes "::"
+    let bestStart = -1;
+    let bestLength = 1;
+    for (let i = 0; i < groups.length;) {
+      let j = i;
+      while (j < groups.length && groups[j] === '0') j++;
+      if (j - i > bestLength) {
+        bestStart = i;
+        bestLength = j - i;
+      }
+      i = Math.max(j, i + 1);
+    }
+
+    if (bestStart === -1) {
+      return groups.join(':');
+    }
+
+    const head = groups.slice(0, bestStart).join(':');
+    const tail = groups.slice(bestStart + bestLength).join(':');
+    return `${head}::${tail}`;
+  }
+
+  /**
+   * Gets the network block of a given size that contains an address
+   * @param {string} ip - IPv4 or IPv6 address
+   * @param {number} prefixLength - Block prefix length
+   * @returns {string|null} - Block in CIDR notation (e.g. 8.8.8.0/24), or null if the address is invalid
+   */
+  static networkOf(ip, prefixLength) {
+    const parsed = CIDRMatcher.toBytes(ip);
+    if (!parsed || prefixLength < 0 || prefixLength > parsed.bytes.length * 8) {
+      return null;
+    }
+
+    const bytes = parsed.bytes.map((byte, index) => {
+      const bits = Math.min(8, Math.max(0, prefixLength - index * 8));
+      return byte & ((0xff << (8 - bits)) & 0xff);
+    });
+
+    return `${CIDRMatcher.fromBytes(bytes)}/${prefixLength}`;
+  }
+
+  /**
+   * Parses CIDR notation such as 10.0.0.0/8 or fe80::/10 (a bare address is a single host)
+   * @param {string} cidr - CIDR string
+   * @returns {Object} - Object with version, bytes and prefixLength
+   * @throws {Error} - If the CIDR is malformed
+   */
+  static parseCIDR(cidr) {
+    if (!cidr || typeof cidr !== 'string') {
+      throw new Error(`Invalid CIDR: ${cidr}`);
+    }
+
+    const [address, prefix, extra] = cidr.trim().split('/');
+    const parsed = extra === undefined ? CIDRMatcher.toBytes(address) : null;
+    if (!parsed) {
+      throw new Error(`Invalid CIDR: ${cidr}`);
+    }
+
+    const maxLength = parsed.bytes.length * 8;
+    if (prefix !== undefined && !/^\d+$/.test(prefix)) {
+      throw new Error(`Invalid CIDR: ${cidr}`);
+    }
+
+    const prefixLength = prefix === undefined ? maxLength : Number(prefix);
+    if (prefixLength > maxLength) {
+      throw new Error(`Invalid CIDR: ${cidr}`);
+    }
+
+    return { ...parsed, prefixLength };
+  }
+
+  /**
+   * Creates an empty trie node
+   * @returns {Object} - Trie node
+   */
+  createNode() {
+    return { children: [null, null], rule: null };
+  }
+
+  /**
+   * Adds a CIDR rule to the matcher
+   * @param {string} cidr - CIDR string
+   * @param {*} value - Value returned when an address matches this rule (defaults to the CIDR)
+   */
+  add(cidr, value = cidr) {
+    const { version, bytes, prefixLength } = CIDRMatcher.parseCIDR(cidr);
+    let node = this.tries[version];
+
+    for (let i = 0; i < prefixLength; i++) {
+      const bit = (bytes[i >> 3] >> (7 - (i & 7))) & 1;
+      if (!node.children[bit]) {
+        node.children[bit] = this.createNode();
+      }
+      node = node.children[bit];
+    }
+
+    if (!node.rule) {
+      this.size++;
+    }
+    node.rule = { cidr, prefixLength, value };
+  }
+
+  /**
+   * Finds the most specific rule containing an address
+   * @param {string} ip - IPv4 or IPv6 address
+   * @returns {Object|null} - Matching rule ({ cidr, prefixLength, value }) or null
+   */
+  match(ip) {
+    const parsed = CIDRMatcher.toBytes(ip);
+    if (!parsed) {
+      return null;
+    }
+
+    const { version, bytes } = parsed;
+    let node = this.tries[version];
+    let best = node.rule;
+
+    for (let i = 0; i < bytes.length * 8 && node; i++) {
+      const bit = (bytes[i >> 3] >> (7 - (i & 7))) & 1;
+      node = node.children[bit];
+      if (node && node.rule) {
+        best = node.rule;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Checks whether any rule contains an address
+   * @param {string} ip - IPv4 or IPv6 address
+   * @returns {boolean} - True if the address is covered by a rule
+   */
+  contains(ip) {
+    return this.match(ip) !== null;
+  }
+}
+
+module.exports = CIDRMatcher;
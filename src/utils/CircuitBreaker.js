@@ -0,0 +1,83 @@
+/**
+ * CircuitBreaker class for skipping a dependency after repeated failures
+ *
+ * States:
+ * - 'closed': calls are allowed; consecutive failures are counted
+ * - 'open': calls are refused until resetTimeout has passed since the circuit opened
+ * - 'half-open': a single trial call is allowed; success closes the circuit, failure reopens it
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.resetTimeout - Time the circuit stays open before a trial call (ms)
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 60000;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInProgress = false;
+  }
+
+  /**
+   * Checks whether a call may be made now, moving an expired open circuit to half-open
+   * @param {number} now - Current time
+   * @returns {boolean} - True if the call is allowed
+   */
+  allowRequest(now = Date.now()) {
+    if (this.state === 'open' && now - this.openedAt >= this.resetTimeout) {
+      this.state = 'half-open';
+    }
+
+    if (this.state === 'closed') {
+      return true;
+    }
+
+    if (this.state === 'half-open' && !this.trialInProgress) {
+      this.trialInProgress = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Records a successful call
+   */
+  recordSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInProgress = false;
+  }
+
+  /**
+   * Records a failed call
+   * @param {number} now - Current time
+   */
+  recordFailure(now = Date.now()) {
+    this.consecutiveFailures++;
+    this.trialInProgress = false;
+
+    if (this.state === 'half-open' || this.consecutiveFailures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = now;
+    }
+  }
+
+  /**
+   * Gets breaker status
+   * @returns {Object} - State and failure count
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
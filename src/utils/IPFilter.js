@@ -1,19 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const yaml = require('js-yaml');
 const CONFIG = require('../config');
+const CIDRMatcher = require('./CIDRMatcher');
+
+// Only 2000::/3 is allocated as global unicast (RFC 4291); IPv6 anywhere else never reaches the internet
+const IPV6_GLOBAL_UNICAST = new CIDRMatcher(['2000::/3']);
 
 /**
  * IPFilter class for identifying and filtering private/local IP addresses
  */
 class IPFilter {
-  constructor() {
-    this.privateRanges = CONFIG.IP_FILTER_RULES;
+  /**
+   * @param {string[]} rules - CIDR ranges to filter (defaults to CONFIG.IP_FILTER_RULES)
+   */
+  constructor(rules = CONFIG.IP_FILTER_RULES) {
+    this.privateRanges = rules.map(rule => this.toCIDR(rule));
+    this.matcher = new CIDRMatcher(this.privateRanges);
+    this.connectionRules = this.compileConnectionRules({});
+    this.rulesFile = null;
+    this.rulesFileListener = null;
   }
 
   /**
-   * Validates if a string is a valid IP address format
+   * Converts a filter rule to CIDR notation
+   * Legacy dotted prefixes such as '172.16.' are accepted and widened to their octet boundary
+   * @param {string} rule - CIDR, bare address or legacy dotted prefix
+   * @returns {string} - CIDR string
+   * @throws {Error} - If the rule is not a valid range
+   */
+  toCIDR(rule) {
+    let cidr = rule;
+
+    if (typeof rule === 'string' && /^(\d{1,3}\.){1,3}$/.test(rule)) {
+      const octets = rule.split('.').filter(Boolean);
+      const prefixLength = octets.length * 8;
+      while (octets.length < 4) octets.push('0');
+      cidr = `${octets.join('.')}/${prefixLength}`;
+    }
+
+    try {
+      CIDRMatcher.parseCIDR(cidr);
+    } catch (error) {
+      throw new Error(`Invalid IP filter rule: ${rule}`);
+    }
+
+    return cidr;
+  }
+
+  /**
+   * Validates if a string is a valid IPv4 or IPv6 address
    * @param {string} ip - IP address to validate
    * @returns {boolean} - True if valid IP format
    */
   isValidIP(ip) {
+    return this.isValidIPv4(ip) || this.isValidIPv6(ip);
+  }
+
+  /**
+   * Validates if a string is a valid IPv6 address (optionally with a %zone suffix)
+   * @param {string} ip - IP address to validate
+   * @returns {boolean} - True if valid IPv6 format
+   */
+  isValidIPv6(ip) {
+    if (!ip || typeof ip !== 'string' || !ip.includes(':')) {
+      return false;
+    }
+
+    return net.isIPv6(ip);
+  }
+
+  /**
+   * Gets the IP version of an address
+   * @param {string} ip - IP address
+   * @returns {number} - 4, 6, or 0 if invalid
+   */
+  getIPVersion(ip) {
+    if (this.isValidIPv4(ip)) return 4;
+    if (this.isValidIPv6(ip)) return 6;
+    return 0;
+  }
+
+  /**
+   * Validates if a string is a valid dotted-quad IPv4 address
+   * @param {string} ip - IP address to validate
+   * @returns {boolean} - True if valid IPv4 format
+   */
+  isValidIPv4(ip) {
     if (!ip || typeof ip !== 'string') {
       return false;
     }
@@ -46,32 +120,281 @@ class IPFilter {
       return true; // Filter invalid IPs
     }
 
-    // Check against all private IP ranges
-    for (const range of this.privateRanges) {
-      if (ip.startsWith(range)) {
-        return true;
-      }
+    // IPv4-mapped IPv6 addresses normalize to IPv4 and are matched against the IPv4 rules
+    const address = this.normalizeIP(ip);
+    if (net.isIPv6(address) && !IPV6_GLOBAL_UNICAST.contains(address)) {
+      return true;
     }
 
-    // Additional specific checks for edge cases
-    const octets = ip.split('.').map(Number);
-    
-    // Check 172.16.0.0 to 172.31.255.255 (Class B private)
-    if (octets[0] === 172 && octets[1] >= 16 && octets[1] <= 31) {
+    return this.matcher.contains(address);
+  }
+
+  /**
+   * Gets the filter rule that covers an IP address
+   * @param {string} ip - IP address to check
+   * @returns {string|null} - Most specific matching CIDR, or null if no rule lists the address
+   *   (IPv6 outside 2000::/3 is filtered even then)
+   */
+  getMatchingRule(ip) {
+    if (!this.isValidIP(ip)) {
+      return null;
+    }
+
+    const rule = this.matcher.match(this.normalizeIP(ip));
+    return rule ? rule.cidr : null;
+  }
+
+  /**
+   * Checks if a connection should be hidden, either because its destination is
+   * private/local or because the user-defined include/exclude rules reject it
+   * @param {Object} connection - Connection with destIP, destPort and processName
+   * @returns {boolean} - True if the connection should be filtered out
+   */
+  isFilteredConnection(connection) {
+    if (this.isPrivateIP(connection.destIP)) {
       return true;
     }
 
-    // Check broadcast addresses
-    if (octets[3] === 255) {
+    const { include, exclude } = this.connectionRules;
+
+    if (this.matchesRuleSet(exclude, connection)) {
       return true;
     }
 
-    // Check reserved ranges
-    if (octets[0] === 0 || octets[0] >= 240) {
+    return !include.isEmpty && !this.matchesRuleSet(include, connection);
+  }
+
+  /**
+   * Checks a connection against one compiled include or exclude list
+   * A connection matches if any of its remote address, service port, process name, application or container (name or ID)
+   * is listed. The service port is the remote port, or our local port for inbound connections.
+   * @param {Object} ruleSet - Compiled rule set
+   * @param {Object} connection - Connection with destIP, destPort, sourcePort, direction, processName, application if
+   *   resolved and, in a container, containerId and containerName
+   * @returns {boolean} - True if the connection matches the list
+   */
+  matchesRuleSet(ruleSet, connection) {
+    if (ruleSet.isEmpty) {
+      return false;
+    }
+
+    if (ruleSet.cidrs.contains(this.normalizeIP(connection.destIP))) {
+      return true;
+    }
+
+    // Inbound connections were made to our listening port, so "exclude port 22" hides SSH in both directions
+    const port = Number(connection.direction === 'inbound' ? connection.sourcePort : connection.destPort);
+    if (ruleSet.ports.some(([low, high]) => port >= low && port <= high)) {
+      return true;
+    }
+
+    // Rules may name a helper process or the application it belongs to
+    if ([connection.processName, connection.application]
+      .some(name => name && ruleSet.processes.has(String(name).toLowerCase()))) {
+      return true;
+    }
+
+    return [connection.containerName, connection.containerId]
+      .some(container => container && ruleSet.containers.has(String(container).toLowerCase()));
+  }
+
+  /**
+   * Replaces the user-defined include/exclude rules
+   * @param {Object} rules - Object with optional include and exclude lists,
+   *   each with optional cidrs, ports (numbers or 'low-high' ranges), processes and containers (names or short IDs)
+   * @throws {Error} - If the rules are malformed; the previous rules are kept
+   */
+  setConnectionRules(rules) {
+    this.connectionRules = this.compileConnectionRules(rules);
+  }
+
+  /**
+   * Compiles include/exclude rules into matchers
+   * @param {Object} rules - Raw rules object
+   * @returns {Object} - Compiled include and exclude rule sets
+   * @throws {Error} - If the rules are malformed
+   */
+  compileConnectionRules(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      throw new Error('Filter rules must be an object with include and/or exclude lists');
+    }
+
+    for (const key of Object.keys(rules)) {
+      if (key !== 'include' && key !== 'exclude') {
+        throw new Error(`Unknown filter rules section: ${key}`);
+      }
+    }
+
+    return {
+      include: this.compileRuleSet(rules.include, 'include'),
+      exclude: this.compileRuleSet(rules.exclude, 'exclude')
+    };
+  }
+
+  /**
+   * Compiles one include or exclude list
+   * @param {Object} ruleSet - Object with optional cidrs, ports, processes and containers arrays
+   * @param {string} section - Section name used in error messages
+   * @returns {Object} - Compiled rule set
+   * @throws {Error} - If the list is malformed
+   */
+  compileRuleSet(ruleSet = {}, section) {
+    if (!ruleSet || typeof ruleSet !== 'object' || Array.isArray(ruleSet)) {
+      throw new Error(`Filter rules section ${section} must be an object`);
+    }
+
+    const list = (key) => {
+      const value = ruleSet[key] || [];
+      if (!Array.isArray(value)) {
+        throw new Error(`Filter rules ${section}.${key} must be a list`);
+      }
+      return value;
+    };
+
+    for (const key of Object.keys(ruleSet)) {
+      if (!['cidrs', 'ports', 'processes', 'containers'].includes(key)) {
+        throw new Error(`Unknown filter rules field: ${section}.${key}`);
+      }
+    }
+
+    const cidrs = new CIDRMatcher();
+    for (const cidr of list('cidrs')) {
+      try {
+        cidrs.add(String(cidr));
+      } catch (error) {
+        throw new Error(`Invalid CIDR in ${section}.cidrs: ${cidr}`);
+      }
+    }
+
+    const ports = list('ports').map((port) => {
+      const match = String(port).trim().match(/^(\d+)(?:-(\d+))?$/);
+      const low = match ? Number(match[1]) : NaN;
+      const high = match && match[2] ? Number(match[2]) : low;
+
+      if (!match || low > high || high > 65535) {
+        throw new Error(`Invalid port in ${section}.ports: ${port}`);
+      }
+      return [low, high];
+    });
+
+    const processes = new Set(list('processes').map(name => String(name).toLowerCase()));
+    const containers = new Set(list('containers').map(name => String(name).toLowerCase()));
+
+    return {
+      cidrs,
+      ports,
+      processes,
+      containers,
+      isEmpty: cidrs.size === 0 && ports.length === 0 && processes.size === 0 && containers.size === 0
+    };
+  }
+
+  /**
+   * Loads include/exclude rules from a JSON or YAML file
+   * @param {string} file - Path to the rules file (.json, .yaml or .yml)
+   * @returns {Promise<void>}
+   * @throws {Error} - If the file cannot be read or parsed; the previous rules are kept
+   */
+  async loadRulesFile(file) {
+    const content = await fs.promises.readFile(file, 'utf8');
+    let rules;
+
+    try {
+      rules = /\.ya?ml$/i.test(file) ? yaml.safeLoad(content) : JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Failed to parse filter rules ${file}: ${error.message}`);
+    }
+
+    // An empty file means no user-defined rules
+    this.setConnectionRules(rules || {});
+    this.rulesFile = file;
+    console.log(`[IPFilter] Loaded filter rules from ${path.basename(file)}`);
+  }
+
+  /**
+   * Reloads the rules file last passed to loadRulesFile
+   * Errors are logged and the previous rules stay in effect
+   * @returns {Promise<boolean>} - True if the rules were reloaded
+   */
+  async reloadRulesFile() {
+    if (!this.rulesFile) {
+      return false;
+    }
+
+    try {
+      await this.loadRulesFile(this.rulesFile);
       return true;
+    } catch (error) {
+      console.warn(`[IPFilter] Keeping previous filter rules: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Watches the loaded rules file and reloads it whenever it changes
+   * @param {number} interval - Polling interval in milliseconds
+   */
+  watchRulesFile(interval = CONFIG.FILTER_RULES_WATCH_INTERVAL) {
+    if (!this.rulesFile || this.rulesFileListener) {
+      return;
+    }
+
+    // Polling survives editors that replace the file instead of writing in place
+    this.rulesFileListener = (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        this.reloadRulesFile();
+      }
+    };
+    fs.watchFile(this.rulesFile, { interval, persistent: false }, this.rulesFileListener);
+  }
+
+  /**
+   * Stops watching the rules file
+   */
+  unwatchRulesFile() {
+    if (this.rulesFile && this.rulesFileListener) {
+      fs.unwatchFile(this.rulesFile, this.rulesFileListener);
+    }
+    this.rulesFileListener = null;
+  }
+
+  /**
+   * Expands an IPv6 address into its eight 16-bit groups
+   * @param {string} ip - IPv6 address, optionally with an embedded IPv4 tail or %zone
+   * @returns {number[]|null} - Eight group values or null if invalid
+   */
+  expandIPv6(ip) {
+    if (!this.isValidIPv6(ip)) {
+      return null;
+    }
+
+    const { bytes } = CIDRMatcher.toBytes(ip);
+    const groups = [];
+    for (let i = 0; i < bytes.length; i += 2) {
+      groups.push((bytes[i] << 8) | bytes[i + 1]);
+    }
+
+    return groups;
+  }
+
+  /**
+   * Normalizes an IP address to a canonical form for use as a cache or map key
+   * IPv6 is lowercased, zone IDs are removed and zeros are compressed (RFC 5952);
+   * IPv4-mapped IPv6 addresses become plain IPv4
+   * @param {string} ip - IP address
+   * @returns {string} - Normalized address, or the input unchanged if not IPv6
+   */
+  normalizeIP(ip) {
+    const groups = this.expandIPv6(ip);
+    if (!groups) {
+      return ip;
+    }
+
+    if (groups.slice(0, 5).every(group => group === 0) && groups[5] === 0xffff) {
+      return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
     }
 
-    return false;
+    return CIDRMatcher.fromBytes(CIDRMatcher.toBytes(ip).bytes);
   }
 
   /**
@@ -0,0 +1,125 @@
+/**
+ * LRUCache class for a size-capped Map that evicts the least recently used entry
+ * Iteration order is least to most recently used, so entries() can be persisted
+ * and re-inserted in the same order to restore recency
+ */
+class LRUCache {
+  /**
+   * @param {number} maxSize - Maximum number of entries (Infinity for no limit)
+   */
+  constructor(maxSize = Infinity) {
+    if (!(maxSize > 0)) {
+      throw new Error('LRUCache maxSize must be greater than 0');
+    }
+
+    this.maxSize = maxSize;
+    this.map = new Map();
+    this.evictions = 0;
+  }
+
+  /**
+   * Gets the number of entries
+   * @returns {number} - Entry count
+   */
+  get size() {
+    return this.map.size;
+  }
+
+  /**
+   * Checks whether a key is present without changing its recency
+   * @param {*} key - Key
+   * @returns {boolean} - True if present
+   */
+  has(key) {
+    return this.map.has(key);
+  }
+
+  /**
+   * Gets a value and marks it as most recently used
+   * @param {*} key - Key
+   * @returns {*} - Value, or undefined if absent
+   */
+  get(key) {
+    if (!this.map.has(key)) {
+      return undefined;
+    }
+
+    const value = this.map.get(key);
+    this.map.delete(key);
+    this.map.set(key, value);
+    return value;
+  }
+
+  /**
+   * Gets a value without changing its recency
+   * @param {*} key - Key
+   * @returns {*} - Value, or undefined if absent
+   */
+  peek(key) {
+    return this.map.get(key);
+  }
+
+  /**
+   * Stores a value as most recently used, evicting the least recently used entries if full
+   * @param {*} key - Key
+   * @param {*} value - Value
+   * @returns {LRUCache} - This cache
+   */
+  set(key, value) {
+    this.map.delete(key);
+    this.map.set(key, value);
+
+    while (this.map.size > this.maxSize) {
+      this.map.delete(this.map.keys().next().value);
+      this.evictions++;
+    }
+
+    return this;
+  }
+
+  /**
+   * Removes an entry
+   * @param {*} key - Key
+   * @returns {boolean} - True if an entry was removed
+   */
+  delete(key) {
+    return this.map.delete(key);
+  }
+
+  /**
+   * Removes all entries
+   */
+  clear() {
+    this.map.clear();
+  }
+
+  /**
+   * Iterates keys from least to most recently used
+   * @returns {Iterator} - Key iterator
+   */
+  keys() {
+    return this.map.keys();
+  }
+
+  /**
+   * Iterates values from least to most recently used
+   * @returns {Iterator} - Value iterator
+   */
+  values() {
+    return this.map.values();
+  }
+
+  /**
+   * Iterates [key, value] pairs from least to most recently used
+   * @returns {Iterator} - Entry iterator
+   */
+  entries() {
+    return this.map.entries();
+  }
+
+  [Symbol.iterator]() {
+    return this.map.entries();
+  }
+}
+
+module.exports = LRUCache;
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const CIDRMatcher = require('./CIDRMatcher');
+const CONFIG = require('../config');
+
+const TEXT_FIELDS = ['label', 'city', 'region', 'regionName', 'country', 'countryCode', 'zip', 'timezone', 'org', 'isp', 'as', 'asName'];
+
+/**
+ * LocationOverrides class for user-defined locations of CIDR ranges
+ * Used for networks that providers place wrongly, such as office egress addresses or
+ * datacenters registered to an ISP's headquarters. Overrides take priority over every provider.
+ *
+ * File format (JSON or YAML), a list of entries:
+ *   - cidr: 198.51.100.0/24
+ *     label: Berlin office
+ *     city: Berlin
+ *     country: Germany
+ *     countryCode: DE
+ *     lat: 52.52
+ *     lon: 13.405
+ *     org: Example Corp
+ *     asn: 64500
+ */
+class LocationOverrides {
+  constructor() {
+    this.matcher = new CIDRMatcher();
+    this.file = null;
+    this.fileListener = null;
+  }
+
+  /**
+   * Gets the number of overrides
+   * @returns {number} - Override count
+   */
+  get size() {
+    return this.matcher.size;
+  }
+
+  /**
+   * Replaces the overrides
+   * @param {Object[]} entries - Override entries with cidr, lat, lon and optional text fields
+   * @throws {Error} - If an entry is invalid; the previous overrides are kept
+   */
+  setOverrides(entries) {
+    this.matcher = this.compile(entries);
+  }
+
+  /**
+   * Validates override entries and builds the CIDR matcher
+   * @param {Object[]} entries - Override entries
+   * @returns {CIDRMatcher} - Matcher with each entry as the value of its CIDR
+   * @throws {Error} - If an entry is invalid
+   */
+  compile(entries) {
+    if (!Array.isArray(entries)) {
+      throw new Error('Location overrides must be a list');
+    }
+
+    const matcher = new CIDRMatcher();
+
+    entries.forEach((entry, index) => {
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        throw new Error(`Location override ${index} must be an object`);
+      }
+
+      for (const key of Object.keys(entry)) {
+        if (!['cidr', 'lat', 'lon', 'asn'].includes(key) && !TEXT_FIELDS.includes(key)) {
+          throw new Error(`Unknown location override field: ${key}`);
+        }
+      }
+
+      let parsed;
+      try {
+        parsed = CIDRMatcher.parseCIDR(entry.cidr);
+      } catch (error) {
+        throw new Error(`Invalid CIDR in location override ${index}: ${entry.cidr}`);
+      }
+
+      const { lat, lon } = entry;
+      if (typeof lat !== 'number' || typeof lon !== 'number' || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        throw new Error(`Location override ${entry.cidr} needs numeric lat (-90..90) and lon (-180..180)`);
+      }
+
+      if (entry.asn !== undefined && !(Number.isInteger(entry.asn) && entry.asn > 0)) {
+        throw new Error(`Location override ${entry.cidr} has an invalid asn: ${entry.asn}`);
+      }
+
+      // Canonical spelling, e.g. 198.51.100.7/24 -> 198.51.100.0/24
+      const network = CIDRMatcher.networkOf(CIDRMatcher.fromBytes(parsed.bytes), parsed.prefixLength);
+      matcher.add(network, { ...entry, cidr: network });
+    });
+
+    return matcher;
+  }
+
+  /**
+   * Finds the override for an address
+   * @param {string} ip - IP address
+   * @returns {Object|null} - Location data in the provider result shape, or null if not overridden
+   */
+  lookup(ip) {
+    const rule = this.matcher.match(ip);
+    if (!rule) {
+      return null;
+    }
+
+    const entry = rule.value;
+    return {
+      ip: ip,
+      status: 'success',
+      country: entry.country || 'Unknown',
+      countryCode: entry.countryCode || 'XX',
+      region: entry.region || '',
+      regionName: entry.regionName || '',
+      city: entry.city || entry.label || 'Unknown',
+      zip: entry.zip || '',
+      lat: entry.lat,
+      lon: entry.lon,
+      timezone: entry.timezone || '',
+      isp: entry.isp || entry.org || '',
+      org: entry.org || '',
+      as: entry.as || (entry.asn ? `AS${entry.asn} ${entry.asName || ''}`.trim() : ''),
+      asn: entry.asn || null,
+      asName: entry.asName || '',
+      label: entry.label || '',
+      network: entry.cidr,
+      provider: 'override',
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Loads overrides from a JSON or YAML file
+   * @param {string} file - Path to the overrides file (.json, .yaml or .yml)
+   * @returns {Promise<void>}
+   * @throws {Error} - If the file cannot be read, parsed or validated; the previous overrides are kept
+   */
+  async loadFile(file) {
+    const content = await fs.promises.readFile(file, 'utf8');
+    let entries;
+
+    try {
+      entries = /\.ya?ml$/i.test(file) ? yaml.safeLoad(content) : JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Failed to parse location overrides ${file}: ${error.message}`);
+    }
+
+    // An empty file means no overrides
+    this.setOverrides(entries || []);
+    this.file = file;
+    console.log(`[LocationOverrides] Loaded ${this.size} location overrides from ${path.basename(file)}`);
+  }
+
+  /**
+   * Reloads the file last passed to loadFile
+   * Errors are logged and the previous overrides stay in effect
+   * @returns {Promise<boolean>} - True if the overrides were reloaded
+   */
+  async reloadFile() {
+    if (!this.file) {
+      return false;
+    }
+
+    try {
+      await this.loadFile(this.file);
+      return true;
+    } catch (error) {
+      console.warn(`[LocationOverrides] Keeping previous location overrides: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Watches the loaded file and reloads it whenever it changes
+   * @param {number} interval - Polling interval in milliseconds
+   */
+  watchFile(interval = CONFIG.GEOLOCATION_OVERRIDES_WATCH_INTERVAL) {
+    if (!this.file || this.fileListener) {
+      return;
+    }
+
+    this.fileListener = (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        this.reloadFile();
+      }
+    };
+    fs.watchFile(this.file, { interval, persistent: false }, this.fileListener);
+  }
+
+  /**
+   * Stops watching the file
+   */
+  unwatchFile() {
+    if (this.file && this.fileListener) {
+      fs.unwatchFile(this.file, this.fileListener);
+    }
+    this.fileListener = null;
+  }
+}
+
+module.exports = LocationOverrides;
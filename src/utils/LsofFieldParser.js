@@ -0,0 +1,188 @@
+const { StringDecoder } = require('string_decoder');
+const IPFilter = require('./IPFilter');
+
+// "addr:port" where addr is *, an IPv4 address, a hostname or a bracketed IPv6 address (with optional %zone)
+const ENDPOINT_REGEX = /^(\*|\[[0-9a-fA-F:.]+(?:%[\w.-]+)?\]|[^:[\]]+):(\d+|\*)$/;
+const ipFilter = new IPFilter();
+
+/**
+ * LsofFieldParser class for the machine-readable output of `lsof -F`
+ * Output is a sequence of lines, each a one-letter field identifier followed by its value.
+ * A 'p' line starts a process set (followed by c command, u uid, L login name) and an 'f' line
+ * starts a file set within it (t type, P protocol, n name, T TCP info such as TST=ESTABLISHED).
+ * Chunks can be written as they arrive, so the full output is never buffered, and command
+ * names with spaces need no column guessing.
+ */
+class LsofFieldParser {
+  constructor() {
+    this.decoder = new StringDecoder('utf8');
+    this.remainder = ''; // Incomplete last line of the previous chunk
+    this.process = null; // Current process set
+    this.file = null; // Current file set
+  }
+
+  /**
+   * Parses a chunk of output
+   * @param {Buffer|string} chunk - Next piece of lsof output, may end mid-line or mid-character
+   * @returns {Object[]} - Connections and listening sockets completed by this chunk
+   */
+  write(chunk) {
+    const text = this.remainder + (typeof chunk === 'string' ? chunk : this.decoder.write(chunk));
+    const lines = text.split('\n');
+    this.remainder = lines.pop();
+
+    const entries = [];
+    for (const line of lines) {
+      this.parseField(line, entries);
+    }
+    return entries;
+  }
+
+  /**
+   * Parses whatever remains after the last chunk
+   * @returns {Object[]} - Remaining connections and listening sockets
+   */
+  end() {
+    const entries = [];
+    const rest = this.remainder + this.decoder.end();
+    this.remainder = '';
+
+    if (rest) {
+      this.parseField(rest, entries);
+    }
+    this.finishFile(entries);
+    this.process = null;
+    return entries;
+  }
+
+  /**
+   * Applies one field line to the current process or file set
+   * @param {string} line - Field identifier character followed by the value
+   * @param {Object[]} entries - Completed entries are appended here
+   */
+  parseField(line, entries) {
+    const field = line[0];
+    const value = line.slice(1).replace(/\r$/, '');
+
+    switch (field) {
+      case 'p':
+        this.finishFile(entries);
+        this.process = { pid: parseInt(value, 10), command: 'unknown', user: null };
+        break;
+      case 'c':
+        if (this.process) this.process.command = value;
+        break;
+      case 'L':
+        if (this.process) this.process.user = value;
+        break;
+      case 'u':
+        // Numeric uid; only used when lsof cannot map it to a login name
+        if (this.process && !this.process.user) this.process.user = value;
+        break;
+      case 'f':
+        this.finishFile(entries);
+        this.file = this.process ? { protocol: null, name: null, state: null } : null;
+        break;
+      case 'P':
+        if (this.file) this.file.protocol = value;
+        break;
+      case 'n':
+        if (this.file) this.file.name = value;
+        break;
+      case 'T':
+        if (this.file && value.startsWith('ST=')) this.file.state = value.slice(3);
+        break;
+      default:
+        // Other fields (t type, d device, g pgid, R ppid, ...) are not needed
+        break;
+    }
+  }
+
+  /**
+   * Turns the current file set into an entry, if it is an internet socket worth reporting
+   * @param {Object[]} entries - The entry is appended here
+   */
+  finishFile(entries) {
+    if (this.file) {
+      const entry = this.buildEntry(this.process, this.file);
+      if (entry) {
+        entries.push(entry);
+      }
+    }
+    this.file = null;
+  }
+
+  /**
+   * Builds a connection or listening socket from a process set and one of its files
+   * TCP connections must be ESTABLISHED; UDP sockets are connections when they have a remote endpoint
+   * @param {Object} proc - Process set with pid, command and user
+   * @param {Object} file - File set with protocol, name and TCP state
+   * @returns {Object|null} - Connection, listening socket, or null for anything else
+   */
+  buildEntry(proc, file) {
+    if ((file.protocol !== 'TCP' && file.protocol !== 'UDP') || !file.name) {
+      return null;
+    }
+
+    const protocol = file.protocol.toLowerCase();
+    const [localText, remoteText] = file.name.split('->');
+    const local = this.parseEndpoint(localText);
+    if (!local) {
+      return null;
+    }
+
+    if (remoteText === undefined) {
+      const listening = protocol === 'tcp' ? file.state === 'LISTEN' : file.state === null;
+      if (!listening || local.port === null) {
+        return null;
+      }
+
+      return {
+        listening: true,
+        processName: proc.command,
+        pid: proc.pid,
+        sourceIP: local.ip,
+        sourcePort: local.port,
+        protocol,
+        timestamp: Date.now()
+      };
+    }
+
+    const remote = this.parseEndpoint(remoteText);
+    if (!remote || remote.ip === '*' || remote.port === null || (protocol === 'tcp' && file.state !== 'ESTABLISHED')) {
+      return null;
+    }
+
+    return {
+      processName: proc.command,
+      pid: proc.pid,
+      user: proc.user,
+      sourceIP: local.ip,
+      sourcePort: local.port,
+      destIP: remote.ip,
+      destPort: remote.port,
+      protocol,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Parses an lsof endpoint such as 1.2.3.4:443, [2001:db8::1]:443, [fe80::1%en0]:5353 or *:22
+   * @param {string} text - Endpoint text
+   * @returns {Object|null} - Object with ip ('*' for any address, IPv6 normalized) and port (null for *)
+   */
+  parseEndpoint(text) {
+    const match = (text || '').match(ENDPOINT_REGEX);
+    if (!match) {
+      return null;
+    }
+
+    const [, address, port] = match;
+    return {
+      ip: address === '*' ? '*' : ipFilter.normalizeIP(address.replace(/^\[|\]$/g, '')),
+      port: port === '*' ? null : parseInt(port, 10)
+    };
+  }
+}
+
+module.exports = LsofFieldParser;
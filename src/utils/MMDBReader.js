@@ -0,0 +1,281 @@
+const fs = require('fs').promises;
+const CIDRMatcher = require('./CIDRMatcher');
+
+// Marker that precedes the metadata section at the end of every MaxMind DB file
+const METADATA_MARKER = Buffer.from('abcdef4d61784d696e642e636f6d', 'hex'); // \xAB\xCD\xEF + "MaxMind.com"
+const METADATA_MAX_SIZE = 128 * 1024;
+const DATA_SECTION_SEPARATOR_SIZE = 16;
+
+// Data field types (https://maxmind.github.io/MaxMind-DB/)
+const TYPE_EXTENDED = 0;
+const TYPE_POINTER = 1;
+const TYPE_UTF8_STRING = 2;
+const TYPE_DOUBLE = 3;
+const TYPE_BYTES = 4;
+const TYPE_UINT16 = 5;
+const TYPE_UINT32 = 6;
+const TYPE_MAP = 7;
+const TYPE_INT32 = 8;
+const TYPE_UINT64 = 9;
+const TYPE_UINT128 = 10;
+const TYPE_ARRAY = 11;
+const TYPE_BOOLEAN = 14;
+const TYPE_FLOAT = 15;
+
+/**
+ * MMDBReader class for reading MaxMind DB (.mmdb) files such as GeoLite2-City and GeoLite2-ASN
+ * Pure JavaScript implementation of the MaxMind DB format v2: the whole file is held in memory
+ * and lookups walk the binary search tree, then decode the record from the data section
+ */
+class MMDBReader {
+  /**
+   * @param {Buffer} buffer - Complete database file contents
+   */
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.metadata = this.readMetadata();
+
+    const { node_count: nodeCount, record_size: recordSize } = this.metadata;
+    if (![24, 28, 32].includes(recordSize)) {
+      throw new Error(`Unsupported MMDB record size: ${recordSize}`);
+    }
+
+    this.nodeCount = nodeCount;
+    this.recordSize = recordSize;
+    this.nodeByteSize = recordSize / 4;
+    this.searchTreeSize = this.nodeByteSize * nodeCount;
+    this.dataSectionStart = this.searchTreeSize + DATA_SECTION_SEPARATOR_SIZE;
+    this.ipv4StartNode = null;
+  }
+
+  /**
+   * Reads a database file from disk
+   * @param {string} file - Path to the .mmdb file
+   * @returns {Promise<MMDBReader>} - Reader instance
+   */
+  static async open(file) {
+    const buffer = await fs.readFile(file);
+    return new MMDBReader(buffer);
+  }
+
+  /**
+   * Locates and decodes the metadata map at the end of the file
+   * @returns {Object} - Database metadata
+   * @throws {Error} - If the file is not a MaxMind DB
+   */
+  readMetadata() {
+    const searchStart = Math.max(0, this.buffer.length - METADATA_MAX_SIZE);
+    const markerIndex = this.buffer.lastIndexOf(METADATA_MARKER);
+
+    if (markerIndex === -1 || markerIndex < searchStart) {
+      throw new Error('Invalid MMDB file: metadata marker not found');
+    }
+
+    const metadataStart = markerIndex + METADATA_MARKER.length;
+    const [metadata] = this.decode(metadataStart, metadataStart);
+
+    if (!metadata || typeof metadata.node_count !== 'number' || typeof metadata.record_size !== 'number') {
+      throw new Error('Invalid MMDB file: incomplete metadata');
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Looks up the record for an IP address
+   * @param {string} ip - IPv4 or IPv6 address
+   * @returns {Object|null} - Decoded record, or null if the address is not in the database
+   */
+  get(ip) {
+    const result = this.lookup(ip);
+    return result ? result.record : null;
+  }
+
+  /**
+   * Looks up the record for an IP address along with the network that contains it
+   * @param {string} ip - IPv4 or IPv6 address
+   * @returns {Object|null} - Object with record and prefixLength (in the address's own family,
+   *   so /24 for an IPv4 network even in an IPv6 database), or null if not found
+   * @throws {Error} - If the address is invalid or cannot be stored in this database
+   */
+  lookup(ip) {
+    const parsed = CIDRMatcher.toBytes(ip);
+    if (!parsed) {
+      throw new Error(`Invalid IP address: ${ip}`);
+    }
+
+    const { version, bytes } = parsed;
+    const bitCount = bytes.length * 8;
+
+    if (version === 6 && this.metadata.ip_version === 4) {
+      throw new Error(`Cannot look up IPv6 address ${ip} in an IPv4-only database`);
+    }
+
+    let node = version === 4 && this.metadata.ip_version === 6 ? this.getIPv4StartNode() : 0;
+    let depth = 0;
+
+    while (depth < bitCount && node < this.nodeCount) {
+      const bit = (bytes[depth >> 3] >> (7 - (depth & 7))) & 1;
+      node = this.readNode(node, bit);
+      depth++;
+    }
+
+    if (node <= this.nodeCount) {
+      return null; // nodeCount is the "no data" marker
+    }
+
+    const offset = this.searchTreeSize + (node - this.nodeCount);
+    if (offset >= this.buffer.length) {
+      throw new Error('Invalid MMDB file: search tree points outside the data section');
+    }
+
+    const [record] = this.decode(offset);
+    return { record, prefixLength: depth };
+  }
+
+  /**
+   * Finds the node where IPv4 addresses start in an IPv6 tree (the ::/96 subtree)
+   * @returns {number} - Node number
+   */
+  getIPv4StartNode() {
+    if (this.ipv4StartNode === null) {
+      let node = 0;
+      for (let i = 0; i < 96 && node < this.nodeCount; i++) {
+        node = this.readNode(node, 0);
+      }
+      this.ipv4StartNode = node;
+    }
+    return this.ipv4StartNode;
+  }
+
+  /**
+   * Reads the left (0) or right (1) record of a search tree node
+   * @param {number} node - Node number
+   * @param {number} bit - 0 for the left record, 1 for the right record
+   * @returns {number} - Record value
+   */
+  readNode(node, bit) {
+    const base = node * this.nodeByteSize;
+    const buf = this.buffer;
+
+    switch (this.recordSize) {
+      case 24:
+        return bit === 0 ? buf.readUIntBE(base, 3) : buf.readUIntBE(base + 3, 3);
+      case 28:
+        return bit === 0
+          ? ((buf[base + 3] & 0xf0) << 20) | buf.readUIntBE(base, 3)
+          : ((buf[base + 3] & 0x0f) << 24) | buf.readUIntBE(base + 4, 3);
+      default:
+        return bit === 0 ? buf.readUInt32BE(base) : buf.readUInt32BE(base + 4);
+    }
+  }
+
+  /**
+   * Decodes one value from the data section
+   * @param {number} offset - Absolute offset of the value
+   * @param {number} base - Absolute offset that pointers are relative to
+   * @returns {Array} - Tuple of [value, offset after the value]
+   */
+  decode(offset, base = this.dataSectionStart) {
+    const buf = this.buffer;
+    const ctrl = buf[offset++];
+    let type = ctrl >> 5;
+
+    if (type === TYPE_POINTER) {
+      const pointerSize = (ctrl >> 3) & 0x3;
+      const high = ctrl & 0x7;
+      let pointer;
+
+      switch (pointerSize) {
+        case 0:
+          pointer = (high << 8) | buf[offset];
+          break;
+        case 1:
+          pointer = ((high << 16) | buf.readUInt16BE(offset)) + 2048;
+          break;
+        case 2:
+          pointer = ((high << 24) | buf.readUIntBE(offset, 3)) + 526336;
+          break;
+        default:
+          pointer = buf.readUInt32BE(offset);
+      }
+
+      const [value] = this.decode(base + pointer, base);
+      return [value, offset + pointerSize + 1];
+    }
+
+    if (type === TYPE_EXTENDED) {
+      type = 7 + buf[offset++];
+    }
+
+    let size = ctrl & 0x1f;
+    if (size === 29) {
+      size = 29 + buf[offset++];
+    } else if (size === 30) {
+      size = 285 + buf.readUInt16BE(offset);
+      offset += 2;
+    } else if (size === 31) {
+      size = 65821 + buf.readUIntBE(offset, 3);
+      offset += 3;
+    }
+
+    switch (type) {
+      case TYPE_UTF8_STRING:
+        return [buf.toString('utf8', offset, offset + size), offset + size];
+      case TYPE_DOUBLE:
+        return [buf.readDoubleBE(offset), offset + 8];
+      case TYPE_FLOAT:
+        return [buf.readFloatBE(offset), offset + 4];
+      case TYPE_BYTES:
+        return [Buffer.from(buf.subarray(offset, offset + size)), offset + size];
+      case TYPE_UINT16:
+      case TYPE_UINT32:
+        return [size === 0 ? 0 : buf.readUIntBE(offset, size), offset + size];
+      case TYPE_INT32:
+        // Shorter payloads are zero-padded, so only the full 4 bytes carry a sign bit; | 0 leaves smaller values unchanged
+        return [size === 0 ? 0 : buf.readUIntBE(offset, size) | 0, offset + size];
+      case TYPE_UINT64:
+      case TYPE_UINT128:
+        return [this.decodeBigUnsigned(offset, size), offset + size];
+      case TYPE_BOOLEAN:
+        return [size !== 0, offset];
+      case TYPE_MAP: {
+        const map = {};
+        for (let i = 0; i < size; i++) {
+          const [key, afterKey] = this.decode(offset, base);
+          const [value, afterValue] = this.decode(afterKey, base);
+          map[key] = value;
+          offset = afterValue;
+        }
+        return [map, offset];
+      }
+      case TYPE_ARRAY: {
+        const array = [];
+        for (let i = 0; i < size; i++) {
+          const [value, afterValue] = this.decode(offset, base);
+          array.push(value);
+          offset = afterValue;
+        }
+        return [array, offset];
+      }
+      default:
+        throw new Error(`Invalid MMDB file: unknown data type ${type} at offset ${offset - 1}`);
+    }
+  }
+
+  /**
+   * Decodes an unsigned integer too wide for readUIntBE
+   * @param {number} offset - Absolute offset of the integer bytes
+   * @param {number} size - Number of bytes
+   * @returns {number|BigInt} - Number when it is a safe integer, otherwise BigInt
+   */
+  decodeBigUnsigned(offset, size) {
+    let value = 0n;
+    for (let i = 0; i < size; i++) {
+      value = (value << 8n) | BigInt(this.buffer[offset + i]);
+    }
+    return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+  }
+}
+
+module.exports = MMDBReader;
@@ -0,0 +1,277 @@
+const fs = require('fs').promises;
+const path = require('path');
+const CIDRMatcher = require('./CIDRMatcher');
+
+// TCP state codes used by the kernel in /proc/net/tcp (include/net/tcp_states.h)
+const TCP_STATES = {
+  '01': 'ESTABLISHED',
+  '02': 'SYN_SENT',
+  '03': 'SYN_RECV',
+  '04': 'FIN_WAIT1',
+  '05': 'FIN_WAIT2',
+  '06': 'TIME_WAIT',
+  '07': 'CLOSE',
+  '08': 'CLOSE_WAIT',
+  '09': 'LAST_ACK',
+  '0A': 'LISTEN',
+  '0B': 'CLOSING'
+};
+
+/**
+ * ProcNetReader class for reading TCP and UDP connections from the Linux /proc filesystem
+ * Parses /proc/net/{tcp,tcp6,udp,udp6} and maps socket inodes to owning processes.
+ * The UDP tables use the same state codes; a connected UDP socket shows as ESTABLISHED.
+ */
+class ProcNetReader {
+  constructor(procRoot = '/proc') {
+    this.procRoot = procRoot;
+  }
+
+  /**
+   * Reads all established TCP connections, connected UDP sockets and listening sockets with their owning process
+   * @returns {Promise<Object[]>} - Connection objects in the same shape as parseLsofLine; listening
+   *   sockets (TCP LISTEN, UDP bound without a remote endpoint) have listening: true and no destination
+   */
+  async readConnections() {
+    const sockets = [
+      ...await this.readTable('tcp', 4),
+      ...await this.readTable('tcp6', 6),
+      ...await this.readTable('udp', 4),
+      ...await this.readTable('udp6', 6)
+    ].filter(socket => socket.state === 'ESTABLISHED' || this.isListening(socket));
+
+    if (sockets.length === 0) {
+      return [];
+    }
+
+    const inodeMap = await this.buildInodeMap();
+    const timestamp = Date.now();
+    const connections = [];
+
+    for (const socket of sockets) {
+      const owner = inodeMap.get(socket.inode);
+      if (!owner) {
+        continue; // Socket owned by a process we cannot inspect
+      }
+
+      if (this.isListening(socket)) {
+        connections.push({
+          listening: true,
+          processName: owner.processName,
+          pid: owner.pid,
+          sourceIP: socket.localIP,
+          sourcePort: socket.localPort,
+          protocol: socket.protocol,
+          timestamp
+        });
+        continue;
+      }
+
+      connections.push({
+        processName: owner.processName,
+        pid: owner.pid,
+        sourceIP: socket.localIP,
+        sourcePort: socket.localPort,
+        destIP: socket.remoteIP,
+        destPort: socket.remotePort,
+        protocol: socket.protocol,
+        timestamp
+      });
+    }
+
+    return connections;
+  }
+
+  /**
+   * Checks whether a socket accepts connections: TCP in LISTEN, or UDP bound to a port with no remote endpoint
+   * @param {Object} socket - Parsed socket entry
+   * @returns {boolean} - True for listening sockets
+   */
+  isListening(socket) {
+    if (socket.protocol === 'udp') {
+      return socket.state === 'CLOSE' && socket.remotePort === 0 && socket.localPort !== 0;
+    }
+    return socket.state === 'LISTEN';
+  }
+
+  /**
+   * Reads and parses a single /proc/net table
+   * @param {string} name - Table name (tcp, tcp6, udp or udp6)
+   * @param {number} family - Address family (4 or 6)
+   * @returns {Promise<Object[]>} - Parsed socket entries
+   */
+  async readTable(name, family) {
+    try {
+      const content = await fs.readFile(path.join(this.procRoot, 'net', name), 'utf8');
+      return this.parseTable(content, family, name.startsWith('udp') ? 'udp' : 'tcp');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[ProcNetReader] Failed to read /proc/net/${name}: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Parses the content of a /proc/net/tcp, tcp6, udp or udp6 table
+   * @param {string} content - Raw table content
+   * @param {number} family - Address family (4 or 6)
+   * @param {string} protocol - 'tcp' or 'udp'
+   * @returns {Object[]} - Parsed socket entries
+   */
+  parseTable(content, family, protocol = 'tcp') {
+    const entries = [];
+    const lines = content.split('\n').slice(1); // Skip header line
+
+    for (const line of lines) {
+      const parts = line.trim().split(/\s+/);
+      // sl local_address rem_address st tx_queue:rx_queue tr:tm->when retrnsmt uid timeout inode
+      if (parts.length < 10) {
+        continue;
+      }
+
+      const local = this.parseEndpoint(parts[1], family);
+      const remote = this.parseEndpoint(parts[2], family);
+      if (!local || !remote) {
+        continue;
+      }
+
+      entries.push({
+        localIP: local.ip,
+        localPort: local.port,
+        remoteIP: remote.ip,
+        remotePort: remote.port,
+        state: TCP_STATES[parts[3].toUpperCase()] || 'UNKNOWN',
+        protocol,
+        uid: parseInt(parts[7], 10),
+        inode: parts[9]
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Parses a hex endpoint such as 0100007F:0050
+   * @param {string} endpoint - Hex address and port separated by a colon
+   * @param {number} family - Address family (4 or 6)
+   * @returns {Object|null} - Object with ip and port, or null if malformed
+   */
+  parseEndpoint(endpoint, family) {
+    const [hexIP, hexPort] = endpoint.split(':');
+    const expectedLength = family === 6 ? 32 : 8;
+
+    if (!hexIP || !hexPort || hexIP.length !== expectedLength) {
+      return null;
+    }
+
+    const ip = family === 6 ? this.parseIPv6(hexIP) : this.parseIPv4(hexIP);
+    return { ip, port: parseInt(hexPort, 16) };
+  }
+
+  /**
+   * Converts a kernel hex IPv4 address (host byte order) to dotted-quad notation
+   * @param {string} hex - 8 character hex string
+   * @returns {string} - Dotted-quad IPv4 address
+   */
+  parseIPv4(hex) {
+    const octets = [];
+    for (let i = 6; i >= 0; i -= 2) {
+      octets.push(parseInt(hex.substr(i, 2), 16));
+    }
+    return octets.join('.');
+  }
+
+  /**
+   * Converts a kernel hex IPv6 address to text notation
+   * The kernel prints four 32-bit words, each in host byte order
+   * @param {string} hex - 32 character hex string
+   * @returns {string} - IPv6 address, or IPv4 for IPv4-mapped addresses
+   */
+  parseIPv6(hex) {
+    const bytes = [];
+    for (let word = 0; word < 4; word++) {
+      const wordHex = hex.substr(word * 8, 8);
+      for (let i = 6; i >= 0; i -= 2) {
+        bytes.push(parseInt(wordHex.substr(i, 2), 16));
+      }
+    }
+
+    // ::ffff:a.b.c.d - report IPv4-mapped sockets as plain IPv4
+    const isMapped = bytes.slice(0, 10).every(b => b === 0) && bytes[10] === 0xff && bytes[11] === 0xff;
+    if (isMapped) {
+      return bytes.slice(12).join('.');
+    }
+
+    return CIDRMatcher.fromBytes(bytes);
+  }
+
+  /**
+   * Builds a map of socket inode to owning process by scanning /proc/<pid>/fd
+   * @returns {Promise<Map<string, Object>>} - Map of inode to { pid, processName }
+   */
+  async buildInodeMap() {
+    const inodeMap = new Map();
+    let entries;
+
+    try {
+      entries = await fs.readdir(this.procRoot);
+    } catch (error) {
+      console.warn(`[ProcNetReader] Failed to list ${this.procRoot}: ${error.message}`);
+      return inodeMap;
+    }
+
+    const pids = entries.filter(entry => /^\d+$/.test(entry));
+
+    for (const pid of pids) {
+      const fdDir = path.join(this.procRoot, pid, 'fd');
+      let fds;
+
+      try {
+        fds = await fs.readdir(fdDir);
+      } catch (error) {
+        continue; // Process exited or not permitted (needs root for other users)
+      }
+
+      let processName = null;
+
+      for (const fd of fds) {
+        let target;
+        try {
+          target = await fs.readlink(path.join(fdDir, fd));
+        } catch (error) {
+          continue;
+        }
+
+        const match = target.match(/^socket:\[(\d+)\]$/);
+        if (!match || inodeMap.has(match[1])) {
+          continue;
+        }
+
+        if (processName === null) {
+          processName = await this.readProcessName(pid);
+        }
+
+        inodeMap.set(match[1], { pid: parseInt(pid, 10), processName });
+      }
+    }
+
+    return inodeMap;
+  }
+
+  /**
+   * Reads the command name of a process from /proc/<pid>/comm
+   * @param {string} pid - Process ID
+   * @returns {Promise<string>} - Process name or 'unknown'
+   */
+  async readProcessName(pid) {
+    try {
+      const comm = await fs.readFile(path.join(this.procRoot, pid, 'comm'), 'utf8');
+      return comm.trim() || 'unknown';
+    } catch (error) {
+      return 'unknown';
+    }
+  }
+}
+
+module.exports = ProcNetReader;
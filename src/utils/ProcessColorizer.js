@@ -1,6 +1,7 @@
 /**
  * ProcessColorizer class to manage color schemes for different process types
- * and classify applications into categories (browser, system, media, development, other)
+ * and classify applications into categories (browser, system, media, development, other).
+ * Containerized traffic has the type container, with a color of its own for each container.
  */
 class ProcessColorizer {
   constructor() {
@@ -66,6 +67,12 @@ class ProcessColorizer {
         secondary: '#BDC3C7',
         particles: '#D5DBDB',
         gradient: ['#95A5A6', '#BDC3C7', '#D5DBDB']
+      },
+      container: {
+        primary: '#1ABC9C',
+        secondary: '#48C9B0',
+        particles: '#A3E4D7',
+        gradient: ['#1ABC9C', '#48C9B0', '#A3E4D7']
       }
     };
   }
@@ -146,6 +153,62 @@ class ProcessColorizer {
     };
   }
 
+  /**
+   * Gets color information for a container
+   * The hue is derived from the container name, so each container keeps the same color across restarts
+   * @param {string} containerName - Container name (or ID if the name is unknown)
+   * @returns {Object} - Object containing processType 'container' and a color scheme
+   */
+  getContainerColorInfo(containerName) {
+    if (!containerName) {
+      return { processType: 'container', ...this.describeScheme(this.colorSchemes.container) };
+    }
+
+    let hash = 0;
+    for (const char of String(containerName)) {
+      hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    const hue = hash % 360;
+
+    const gradient = [this.hslToHex(hue, 65, 50), this.hslToHex(hue, 70, 65), this.hslToHex(hue, 75, 80)];
+    return {
+      processType: 'container',
+      ...this.describeScheme({ primary: gradient[0], secondary: gradient[1], particles: gradient[2], gradient })
+    };
+  }
+
+  /**
+   * Builds the color fields returned by getProcessColorInfo from a scheme
+   * @param {Object} colorScheme - Color scheme object
+   * @returns {Object} - Object with colorScheme, primaryColor and gradientColors
+   */
+  describeScheme(colorScheme) {
+    return {
+      colorScheme,
+      primaryColor: colorScheme.primary,
+      gradientColors: colorScheme.gradient
+    };
+  }
+
+  /**
+   * Converts an HSL color to a hex string
+   * @param {number} hue - Hue in degrees (0-359)
+   * @param {number} saturation - Saturation in percent
+   * @param {number} lightness - Lightness in percent
+   * @returns {string} - Hex color string
+   */
+  hslToHex(hue, saturation, lightness) {
+    const s = saturation / 100;
+    const l = lightness / 100;
+    const a = s * Math.min(l, 1 - l);
+    const channel = (n) => {
+      const k = (n + hue / 30) % 12;
+      const value = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+      return Math.round(value * 255).toString(16).padStart(2, '0');
+    };
+    return `#${channel(0)}${channel(8)}${channel(4)}`.toUpperCase();
+  }
+
   /**
    * Adds a new process pattern to an existing category
    * @param {string} category - The category to add to